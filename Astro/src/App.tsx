@@ -14,6 +14,8 @@ const App = () => {
         {/* Route 2: The Tabbed View (Parent Route) */}
         {/* When you hit /asteroidplayer, AstroidPlayer renders the tabs. */}
         <Route path='/asteroidplayer' element={<AstroidPlayer/>}/>
+        {/* Deep link to a single asteroid by NASA SPK-ID */}
+        <Route path='/asteroidplayer/:neoId' element={<AstroidPlayer/>}/>
         
         {/* If you want a top-level route for hit, you can add it, but this nested approach is better for tabs */}
         <Route path='/hit' element={<ImpactDashboard/>}/>
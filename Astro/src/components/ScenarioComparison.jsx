@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Popup, useMap } from 'react-leaflet';
+import { X } from 'lucide-react';
+import ZoneShape from './ZoneShape';
+import 'leaflet/dist/leaflet.css';
+
+// Side-by-side view of two to four impact scenarios shaped like the dashboard's detail
+// objects (custom hit data with customInputs). The first column is the baseline that
+// every other column is measured against.
+
+export const MAX_COMPARE_ITEMS = 4;
+const COMPARE_COLORS = ['#22d3ee', '#f472b6', '#a3e635', '#fbbf24'];
+
+const KM_PER_DEGREE = 111.32;
+
+// Blast rings drawn for every scenario, innermost first
+const BLAST_RINGS = [
+  { key: 'totalDestruction', label: '20 psi', dashArray: null },
+  { key: 'severeBlastDamage', label: '10 psi', dashArray: '8 4' },
+  { key: 'moderateBlastDamage', label: '5 psi', dashArray: '4 4' },
+  { key: 'lightBlastDamage', label: '2 psi', dashArray: '2 4' },
+  { key: 'minorDamage', label: '1 psi', dashArray: '2 8' },
+  { key: 'glassBreakage', label: '0.5 psi', dashArray: '1 10' }
+];
+
+const parseLeadingNumber = (text) => {
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+const formatNumber = (num) => Number.isFinite(num) ? Number(num).toLocaleString(undefined, { maximumFractionDigits: 2 }) : 'N/A';
+
+// Rows of the comparison table: text is what is shown, value (when numeric) drives the deltas
+const COMPARE_SECTIONS = [
+  {
+    title: 'Inputs',
+    rows: [
+      { label: 'Diameter', get: (item) => item.customInputs?.diameter, unit: 'm' },
+      { label: 'Density', get: (item) => item.customInputs?.density ?? 3000, unit: 'kg/m³' },
+      { label: 'Velocity', get: (item) => item.customInputs?.velocity, unit: 'km/s' },
+      { label: 'Impact angle', get: (item) => item.customInputs?.angle ?? 45, unit: '°' },
+      { label: 'Location', text: (item) => item.customInputs ? `${Number(item.customInputs.lat).toFixed(2)}, ${Number(item.customInputs.long).toFixed(2)}` : 'N/A' }
+    ]
+  },
+  {
+    title: 'Key Metrics',
+    rows: [
+      { label: 'Threat level', text: (item) => item.impactSummary?.overallThreatLevel },
+      { label: 'Energy', text: (item) => item.impactSummary?.keyMetrics?.energy },
+      { label: 'Max blast radius', text: (item) => item.impactSummary?.keyMetrics?.maxBlastRadius },
+      { label: 'Crater', text: (item) => item.impactSummary?.keyMetrics?.craterSize },
+      { label: 'Thermal radius', text: (item) => item.impactSummary?.keyMetrics?.thermalRadius },
+      { label: 'Fireball radius', text: (item) => item.impactSummary?.keyMetrics?.fireballRadius },
+      { label: 'Torino', text: (item) => item.impactSummary?.keyMetrics?.torinoScale },
+      { label: 'Palermo', text: (item) => item.impactSummary?.keyMetrics?.palermoScale }
+    ]
+  },
+  {
+    title: 'Casualties',
+    rows: [
+      { label: 'Deaths', get: (item) => item.casualtyData?.total?.deaths?.estimate },
+      { label: 'Injuries', get: (item) => item.casualtyData?.total?.injuries?.estimate },
+      { label: 'Exposed population', get: (item) => item.casualtyData?.total?.exposedPopulation }
+    ]
+  },
+  {
+    title: 'Seismic',
+    rows: [
+      { label: 'Magnitude', get: (item) => item.earthquakeData?.seismicMagnitude?.primaryMagnitude },
+      { label: 'Class', text: (item) => item.earthquakeData?.seismicMagnitude?.magnitudeClass }
+    ]
+  },
+  {
+    title: 'Mitigation',
+    rows: [
+      { label: 'Approach', text: (item) => item.mitigationData?.recommendedApproach?.replace(/_/g, ' ') },
+      { label: 'Time available', text: (item) => item.mitigationData?.timeAvailable },
+      { label: 'Success probability', text: (item) => item.mitigationData?.successProbability }
+    ]
+  }
+];
+
+// Resolve one row for one scenario into { text, value }
+const readCell = (row, item) => {
+  if (row.get) {
+    const value = row.get(item);
+    const numeric = value === null || value === undefined || value === '' ? null : Number(value);
+    return {
+      text: Number.isFinite(numeric) ? `${formatNumber(numeric)}${row.unit ? ` ${row.unit}` : ''}` : 'N/A',
+      value: Number.isFinite(numeric) ? numeric : null
+    };
+  }
+  const text = row.text(item) ?? 'N/A';
+  return { text: String(text), value: parseLeadingNumber(text) };
+};
+
+// Change relative to the baseline: a ratio for large differences, a percentage otherwise
+const describeDelta = (value, baseline) => {
+  if (value === null || baseline === null || value === baseline) return null;
+  if (baseline === 0) return value > 0 ? 'new' : null;
+  const ratio = value / baseline;
+  if (ratio >= 2 || (ratio > 0 && ratio <= 0.5)) return `×${ratio.toPrecision(2)}`;
+  const percent = (ratio - 1) * 100;
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(0)}%`;
+};
+
+// Ground zero of a scenario
+const getImpactPoint = (item) => {
+  const point = item.geographicImpactData?.impactLocation?.estimatedImpactPoint;
+  if (point) return [point.latitude, point.longitude];
+  return item.customInputs ? [Number(item.customInputs.lat), Number(item.customInputs.long)] : null;
+};
+
+// Fit the map to every drawn ring whenever the set of scenarios changes
+const FitToRings = ({ extents }) => {
+  const map = useMap();
+  const key = JSON.stringify(extents);
+  useEffect(() => {
+    if (extents.length === 0) return;
+    const bounds = extents.map(({ center: [lat, lng], radiusKm }) => {
+      const dLat = Math.max(radiusKm, 1) / KM_PER_DEGREE;
+      const dLng = dLat / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+      return [[lat - dLat, lng - dLng], [lat + dLat, lng + dLng]];
+    }).flat();
+    map.fitBounds(bounds, { padding: [20, 20] });
+  }, [key]);
+  return null;
+};
+
+export default function ScenarioComparison({ items, onRemove }) {
+  const [commonGroundZero, setCommonGroundZero] = useState(false);
+  const [hideIdentical, setHideIdentical] = useState(false);
+
+  if (items.length < 2) {
+    return (
+      <p className="text-slate-400 text-sm">
+        Add at least two scenarios or asteroids to compare (up to {MAX_COMPARE_ITEMS}).
+      </p>
+    );
+  }
+
+  const baselinePoint = getImpactPoint(items[0]);
+  const drawn = items.map((item, index) => ({
+    item,
+    color: COMPARE_COLORS[index],
+    center: commonGroundZero ? baselinePoint : getImpactPoint(item)
+  })).filter(entry => entry.center);
+  const extents = drawn.map(({ item, center }) => ({
+    center,
+    radiusKm: Math.max(0, ...BLAST_RINGS.map(ring => {
+      const zone = item.blastRadiusData?.blastEffects?.[ring.key];
+      return Math.max(zone?.radius || 0, zone?.footprint?.downrangeExtentKm || 0);
+    }))
+  }));
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr>
+              <th className="text-left text-slate-400 font-normal p-2 w-44"></th>
+              {items.map((item, index) => (
+                <th key={item.id} className="text-left p-2 align-top">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="flex items-center gap-2 text-white font-semibold">
+                        <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: COMPARE_COLORS[index] }}></span>
+                        {item.name}
+                      </div>
+                      <div className="text-xs text-slate-400 font-normal">{index === 0 ? 'Baseline' : 'vs. baseline'}</div>
+                    </div>
+                    {onRemove && (
+                      <button onClick={() => onRemove(item.id)} className="text-slate-400 hover:text-white" title="Remove from comparison">
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARE_SECTIONS.map(section => {
+              const rows = section.rows
+                .map(row => ({ row, cells: items.map(item => readCell(row, item)) }))
+                .filter(({ cells }) => !hideIdentical || cells.some(cell => cell.text !== cells[0].text));
+              if (rows.length === 0) return null;
+              return (
+                <React.Fragment key={section.title}>
+                  <tr>
+                    <td colSpan={items.length + 1} className="pt-4 pb-1 px-2 text-xs uppercase tracking-wide text-cyan-400">{section.title}</td>
+                  </tr>
+                  {rows.map(({ row, cells }) => {
+                    const identical = cells.every(cell => cell.text === cells[0].text);
+                    return (
+                      <tr key={row.label} className={`border-t border-slate-800 ${identical ? 'text-slate-500' : 'text-white'}`}>
+                        <td className="p-2 text-slate-400">{row.label}</td>
+                        {cells.map((cell, index) => {
+                          const differs = index > 0 && cell.text !== cells[0].text;
+                          const delta = index > 0 ? describeDelta(cell.value, cells[0].value) : null;
+                          return (
+                            <td key={items[index].id} className={`p-2 ${differs ? 'bg-amber-500/10' : ''}`}>
+                              {cell.text}
+                              {delta && (
+                                <span className={`ml-2 text-xs font-semibold ${cell.value > cells[0].value ? 'text-orange-400' : 'text-cyan-400'}`}>
+                                  {delta}
+                                </span>
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-slate-300">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={hideIdentical} onChange={(e) => setHideIdentical(e.target.checked)} />
+          Only show differences
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={commonGroundZero} onChange={(e) => setCommonGroundZero(e.target.checked)} />
+          Overlay at the baseline's ground zero
+        </label>
+        <span className="text-xs text-slate-400">
+          Rings: {BLAST_RINGS.map(ring => ring.label).join(', ')} (solid to dotted)
+        </span>
+      </div>
+
+      <div className="h-[28rem] rounded-lg overflow-hidden border border-slate-700">
+        <MapContainer center={baselinePoint || [0, 0]} zoom={6} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution="&copy; OpenStreetMap contributors"
+          />
+          <FitToRings extents={extents} />
+          {drawn.map(({ item, color, center }) => (
+            <React.Fragment key={item.id}>
+              {BLAST_RINGS.map(ring => {
+                const zone = item.blastRadiusData?.blastEffects?.[ring.key];
+                if (!zone || !(zone.radius > 0)) return null;
+                return (
+                  <ZoneShape key={ring.key} lat={center[0]} lng={center[1]} zone={zone} color={color} fillOpacity={0.05} dashArray={ring.dashArray}>
+                    <Popup>
+                      <strong>{item.name}</strong><br/>
+                      {ring.label} ({zone.description})<br/>
+                      Radius: {formatNumber(zone.radius)} km
+                    </Popup>
+                  </ZoneShape>
+                );
+              })}
+              <CircleMarker center={center} radius={5} pathOptions={{ color, fillColor: color, fillOpacity: 1 }}>
+                <Popup><strong>{item.name}</strong><br/>Ground zero</Popup>
+              </CircleMarker>
+            </React.Fragment>
+          ))}
+        </MapContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+// Line chart of one or more outputs against a swept input, drawn as plain SVG.
+// series: [{ name, color, values }] aligned with xValues; null values leave gaps.
+// marker: x value of the current scenario, highlighted on every curve.
+// includeZero: start linear y axes at zero (off for quantities like magnitudes).
+
+const WIDTH = 560;
+const HEIGHT = 190;
+const PADDING = { top: 12, right: 16, bottom: 34, left: 56 };
+
+// Decide whether a set of positive values spans enough decades to plot on a log axis
+const spansDecades = (values) => {
+  const finite = values.filter(value => Number.isFinite(value));
+  return finite.length > 1 && finite.every(value => value > 0) && Math.max(...finite) / Math.min(...finite) >= 100;
+};
+
+const makeScale = (min, max, log, from, to) => {
+  const transform = log ? Math.log10 : (value) => value;
+  const lo = transform(min);
+  const hi = transform(max);
+  const span = hi - lo || 1;
+  return (value) => from + ((transform(value) - lo) / span) * (to - from);
+};
+
+// Round tick positions: powers of ten on log axes, 1-2-5 steps on linear axes
+const makeTicks = (min, max, log) => {
+  if (log) {
+    const ticks = [];
+    for (let exponent = Math.floor(Math.log10(min)); exponent <= Math.ceil(Math.log10(max)); exponent++) {
+      const tick = Math.pow(10, exponent);
+      if (tick >= min * 0.999 && tick <= max * 1.001) ticks.push(tick);
+    }
+    return ticks.length >= 2 ? ticks : [min, max];
+  }
+  const range = max - min || 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(range / 6)));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => range / candidate <= 6);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) ticks.push(tick);
+  return ticks;
+};
+
+const formatTick = (value) => {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e5 || magnitude < 1e-2) return value.toExponential(0);
+  return Number(value.toPrecision(3)).toLocaleString();
+};
+
+export default function SweepChart({ title, unit, xLabel, xValues, series, marker, logX = false, includeZero = true }) {
+  const allValues = series.flatMap(line => line.values).filter(value => Number.isFinite(value));
+  if (xValues.length < 2 || allValues.length === 0) {
+    return (
+      <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700 text-xs text-slate-400">
+        {title}: no values in this range
+      </div>
+    );
+  }
+
+  const logY = spansDecades(allValues);
+  const yMin = logY || !includeZero ? Math.min(...allValues) : Math.min(0, ...allValues);
+  const yMax = Math.max(...allValues) > yMin ? Math.max(...allValues) : yMin + 1;
+  const xMin = Math.min(...xValues);
+  const xMax = Math.max(...xValues);
+  const x = makeScale(xMin, xMax, logX, PADDING.left, WIDTH - PADDING.right);
+  const y = makeScale(yMin, yMax, logY, HEIGHT - PADDING.bottom, PADDING.top);
+  const markerIndex = marker === undefined ? -1 : xValues.indexOf(marker);
+
+  // Break the line wherever a value is missing (e.g. magnitude for airbursts)
+  const toPath = (values) => values
+    .map((value, i) => (Number.isFinite(value) && (!logY || value > 0) ? `${x(xValues[i]).toFixed(1)},${y(value).toFixed(1)}` : null))
+    .reduce((path, point, i, points) => {
+      if (!point) return path;
+      return path + (i === 0 || !points[i - 1] ? ` M${point}` : ` L${point}`);
+    }, '')
+    .trim();
+
+  return (
+    <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
+      <div className="flex items-center justify-between mb-1">
+        <h4 className="text-sm font-semibold text-white">{title}</h4>
+        {series.length > 1 && (
+          <div className="flex gap-2 flex-wrap justify-end">
+            {series.map(line => (
+              <span key={line.name} className="flex items-center gap-1 text-[10px] text-slate-400">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: line.color }}></span>{line.name}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {makeTicks(yMin, yMax, logY).map(tick => (
+          <g key={`y-${tick}`}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#334155" strokeWidth="0.5" />
+            <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#94a3b8">{formatTick(tick)}</text>
+          </g>
+        ))}
+        {makeTicks(xMin, xMax, logX).map(tick => (
+          <text key={`x-${tick}`} x={x(tick)} y={HEIGHT - PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#94a3b8">{formatTick(tick)}</text>
+        ))}
+        <text x={(PADDING.left + WIDTH - PADDING.right) / 2} y={HEIGHT - 4} textAnchor="middle" fontSize="10" fill="#cbd5e1">{xLabel}</text>
+        <text x={12} y={(PADDING.top + HEIGHT - PADDING.bottom) / 2} textAnchor="middle" fontSize="10" fill="#cbd5e1"
+          transform={`rotate(-90 12 ${(PADDING.top + HEIGHT - PADDING.bottom) / 2})`}>{unit}{logY ? ' (log)' : ''}</text>
+        {markerIndex >= 0 && (
+          <line x1={x(marker)} x2={x(marker)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} stroke="#22d3ee" strokeDasharray="4 3" strokeWidth="1" />
+        )}
+        {series.map(line => (
+          <path key={line.name} d={toPath(line.values)} fill="none" stroke={line.color} strokeWidth="2" />
+        ))}
+        {markerIndex >= 0 && series.map(line => {
+          const value = line.values[markerIndex];
+          if (!Number.isFinite(value) || (logY && value <= 0)) return null;
+          return (
+            <circle key={`marker-${line.name}`} cx={x(marker)} cy={y(value)} r="4" fill={line.color} stroke="#fff" strokeWidth="1.5">
+              <title>{`Current scenario: ${line.name} ${formatTick(value)} ${unit}`}</title>
+            </circle>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Circle, Polygon } from 'react-leaflet';
+
+const KM_PER_DEGREE = 111.32;
+
+// Trace an elliptical zone footprint (km, relative to ground zero) as lat/lng points
+const footprintToLatLngs = (latValue, lngValue, footprint, segments = 72) => {
+  const lat = Number(latValue);
+  const lng = Number(lngValue);
+  const azimuth = (footprint.orientation || 0) * Math.PI / 180;
+  const kmPerDegreeLng = KM_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+  return Array.from({ length: segments }, (_, i) => {
+    const t = (i / segments) * 2 * Math.PI;
+    const downrange = footprint.centerOffsetKm + footprint.semiMajorAxisKm * Math.cos(t);
+    const crossrange = footprint.semiMinorAxisKm * Math.sin(t);
+    const north = downrange * Math.cos(azimuth) - crossrange * Math.sin(azimuth);
+    const east = downrange * Math.sin(azimuth) + crossrange * Math.cos(azimuth);
+    return [lat + north / KM_PER_DEGREE, lng + east / kmPerDegreeLng];
+  });
+};
+
+// Oblique impacts and airburst trails produce ellipses; everything else stays a circle
+export default function ZoneShape({ lat, lng, zone, color, fillOpacity, dashArray, children }) {
+  const footprint = zone.footprint;
+  const pathOptions = { color, fillOpacity, dashArray };
+  if (footprint?.shape === 'ellipse' && footprint.semiMinorAxisKm > 1) {
+    return (
+      <Polygon positions={footprintToLatLngs(lat, lng, footprint)} pathOptions={pathOptions}>
+        {children}
+      </Polygon>
+    );
+  }
+  return (
+    <Circle center={[lat, lng]} radius={zone.radius > 1 ? zone.radius * 1000 : 500} pathOptions={pathOptions}>
+      {children}
+    </Circle>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { AlertCircle, TrendingUp, Gauge, MapPin, Zap, Plus, X, Home, Activity, Shield, Target, Users, Clock, AlertTriangle, Flame, Wind, Eye, Layers } from 'lucide-react'
-import { useNavigate } from 'react-router-dom'
+import { AlertCircle, TrendingUp, Gauge, MapPin, Zap, Plus, X, Home, Activity, Shield, Target, Users, Clock, AlertTriangle, Flame, Wind, Eye, Layers, Save, Copy, Trash2, FolderOpen, Columns2, Download } from 'lucide-react'
+import { useNavigate, useParams } from 'react-router-dom'
+import ScenarioComparison, { MAX_COMPARE_ITEMS } from '../components/ScenarioComparison'
 
 const AstroidPlayer = () => {
   const [asteroidData, setAsteroidData] = useState(null)
@@ -12,6 +13,9 @@ const AstroidPlayer = () => {
     end: '2025-09-07'
   })
   const navigation = useNavigate()
+  const { neoId } = useParams()
+  const [lookupError, setLookupError] = useState(null)
+  const [sortBy, setSortBy] = useState('date')
   const [showCustomForm, setShowCustomForm] = useState(false)
   const [customData, setCustomData] = useState({
     date: '2026-03-15',
@@ -23,8 +27,18 @@ const AstroidPlayer = () => {
     density: 3000,
     approach: 5.2,
     miss: 25000,
+    angle: 45,
+    azimuth: 0,
+    target: 'crystalline_rock',
     hazard: true
   })
+  const [showScenarios, setShowScenarios] = useState(false)
+  const [scenarioList, setScenarioList] = useState({ scenarios: [], pagination: { page: 1, totalPages: 0, total: 0 } })
+  const [scenarioQuery, setScenarioQuery] = useState('')
+  const [scenarioError, setScenarioError] = useState(null)
+  const [compareList, setCompareList] = useState([])
+  const [showCompare, setShowCompare] = useState(false)
+  const [compareError, setCompareError] = useState(null)
   const canvasRef = useRef(null)
 
   // Animated space background
@@ -131,19 +145,25 @@ const AstroidPlayer = () => {
     fetchAsteroidData()
   }, [])
 
+  useEffect(() => {
+    if (neoId && neoId !== selectedAsteroid?.id) {
+      fetchAsteroidById(neoId)
+    }
+  }, [neoId])
+
   const fetchAsteroidData = async () => {
     const API_BASE = 'https://nasa-meteor-madness.onrender.com'
     try {
       setLoading(true)
       const response = await fetch(`${API_BASE}?start_date=${dateRange.start}&end_date=${dateRange.end}`)
-      if (!response.ok) throw new Error('Failed to fetch data')
       const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch data')
       setAsteroidData(data)
       
       if (data.processedDates && data.processedDates.length > 0) {
         const firstDate = data.processedDates[0]
         if (firstDate.neos && firstDate.neos.length > 0) {
-          setSelectedAsteroid(firstDate.neos[0])
+          setSelectedAsteroid(prev => prev || firstDate.neos[0])
         }
       }
       setError(null)
@@ -154,6 +174,61 @@ const AstroidPlayer = () => {
     }
   }
 
+  const fetchAsteroidById = async (id) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    try {
+      const response = await fetch(`${API_BASE}/neo/${id}`)
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch asteroid')
+      setSelectedAsteroid(data)
+      setLookupError(null)
+    } catch (err) {
+      setLookupError(`Could not load asteroid ${id}: ${err.message}`)
+    }
+  }
+
+  const selectAsteroid = (asteroid) => {
+    setSelectedAsteroid(asteroid)
+    if (/^\d+$/.test(asteroid.id)) {
+      navigation(`/asteroidplayer/${asteroid.id}`, { replace: true })
+    }
+  }
+
+  // Shape custom hit data like a feed entry so the detail panel can show it
+  const toCustomAsteroid = (data, inputs, scenario) => ({
+    id: scenario ? scenario.id : 'CUSTOM-' + Date.now(),
+    name: scenario ? scenario.name : 'Custom Impact Scenario',
+    scenario: scenario ? { id: scenario.id, author: scenario.author, tags: scenario.tags, modelVersion: scenario.modelVersion } : null,
+    customInputs: { ...inputs, seed: data.metadata?.seed },
+    isPotentiallyHazardous: inputs.hazard,
+    absoluteMagnitude: 0,
+    diameter: {
+      min: data.input.size.diameter,
+      max: data.input.size.diameter,
+      average: data.input.size.diameter,
+      unit: 'meters'
+    },
+    primaryApproach: {
+      closeApproachDate: data.input.date,
+      closeApproachDateFull: data.geographicImpactData.impactLocation.impactTimestamp,
+      orbitingBody: 'Earth',
+      velocity: data.input.velocity,
+      missDistance: {
+        astronomical: data.input.approach ? data.input.approach.lunarDistances / 389 : 0,
+        lunar: data.input.approach ? data.input.approach.lunarDistances : 0,
+        kilometers: data.input.missDistance.kilometers,
+        miles: data.input.missDistance.kilometers * 0.621371
+      },
+      calculations: data.calculations
+    },
+    geographicImpactData: data.geographicImpactData,
+    earthquakeData: data.earthquakeData,
+    blastRadiusData: data.blastRadiusData,
+    casualtyData: data.casualtyData,
+    mitigationData: data.mitigationData,
+    impactSummary: data.impactSummary
+  })
+
   const submitCustomHit = async () => {
     const API_BASE = 'https://nasa-meteor-madness.onrender.com'
     try {
@@ -169,38 +244,7 @@ const AstroidPlayer = () => {
       if (!response.ok) throw new Error('Failed to submit custom hit')
       const result = await response.json()
       
-      const customAsteroid = {
-        id: 'CUSTOM-' + Date.now(),
-        name: 'Custom Impact Scenario',
-        isPotentiallyHazardous: customData.hazard,
-        absoluteMagnitude: 0,
-        diameter: {
-          min: result.data.input.size.diameter,
-          max: result.data.input.size.diameter,
-          average: result.data.input.size.diameter,
-          unit: 'meters'
-        },
-        primaryApproach: {
-          closeApproachDate: result.data.input.date,
-          closeApproachDateFull: result.data.geographicImpactData.impactLocation.impactTimestamp,
-          orbitingBody: 'Earth',
-          velocity: result.data.input.velocity,
-          missDistance: {
-            astronomical: result.data.input.approach ? result.data.input.approach.lunarDistances / 389 : 0,
-            lunar: result.data.input.approach ? result.data.input.approach.lunarDistances : 0,
-            kilometers: result.data.input.missDistance.kilometers,
-            miles: result.data.input.missDistance.kilometers * 0.621371
-          },
-          calculations: result.data.calculations
-        },
-        geographicImpactData: result.data.geographicImpactData,
-        earthquakeData: result.data.earthquakeData,
-        blastRadiusData: result.data.blastRadiusData,
-        mitigationData: result.data.mitigationData,
-        impactSummary: result.data.impactSummary
-      }
-      
-      setSelectedAsteroid(customAsteroid)
+      setSelectedAsteroid(toCustomAsteroid(result.data, customData))
       setShowCustomForm(false)
       setError(null)
       alert('Custom impact scenario created successfully!')
@@ -212,6 +256,152 @@ const AstroidPlayer = () => {
     }
   }
 
+  const fetchScenarios = async (page = 1) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    try {
+      const params = new URLSearchParams({ page, pageSize: 10 })
+      if (scenarioQuery.trim()) params.set('q', scenarioQuery.trim())
+      const response = await fetch(`${API_BASE}/scenarios?${params}`)
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Failed to load scenarios')
+      setScenarioList(data)
+      setScenarioError(null)
+    } catch (err) {
+      setScenarioError(err.message)
+    }
+  }
+
+  // Save the custom scenario on display; the server recomputes it with the same seed
+  const saveScenario = async () => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    const name = window.prompt('Scenario name', selectedAsteroid.scenario ? selectedAsteroid.name : '')
+    if (!name?.trim()) return
+    const tags = window.prompt('Tags (comma-separated, optional)', selectedAsteroid.scenario?.tags?.join(', ') || '')
+    try {
+      const response = await fetch(`${API_BASE}/scenarios`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: name.trim(),
+          tags: (tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+          inputs: selectedAsteroid.customInputs
+        })
+      })
+      const scenario = await response.json()
+      if (!response.ok) throw new Error(scenario.error || 'Failed to save scenario')
+      setSelectedAsteroid(toCustomAsteroid(scenario.result, scenario.inputs, scenario))
+      if (showScenarios) fetchScenarios()
+      alert(`Scenario "${scenario.name}" saved.`)
+    } catch (err) {
+      alert('Error: ' + err.message)
+    }
+  }
+
+  const loadScenario = async (id) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    try {
+      const response = await fetch(`${API_BASE}/scenarios/${id}`)
+      const scenario = await response.json()
+      if (!response.ok) throw new Error(scenario.error || 'Failed to load scenario')
+      setSelectedAsteroid(toCustomAsteroid(scenario.result, scenario.inputs, scenario))
+      setCustomData(prev => ({ ...prev, ...scenario.inputs }))
+      setScenarioError(null)
+    } catch (err) {
+      setScenarioError(err.message)
+    }
+  }
+
+  const duplicateScenario = async (id) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    try {
+      const response = await fetch(`${API_BASE}/scenarios/${id}/duplicate`, { method: 'POST' })
+      const scenario = await response.json()
+      if (!response.ok) throw new Error(scenario.error || 'Failed to duplicate scenario')
+      fetchScenarios(scenarioList.pagination.page)
+    } catch (err) {
+      setScenarioError(err.message)
+    }
+  }
+
+  const deleteScenario = async (scenario) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return
+    try {
+      const response = await fetch(`${API_BASE}/scenarios/${scenario.id}`, { method: 'DELETE' })
+      if (!response.ok) throw new Error((await response.json()).error || 'Failed to delete scenario')
+      fetchScenarios(scenarioList.pagination.page)
+    } catch (err) {
+      setScenarioError(err.message)
+    }
+  }
+
+  // NEOs carry no impact analysis, so compare them as if they struck: their size and
+  // speed at the estimated impact point (or the custom form's location), with no miss
+  const simulateNeoImpact = async (asteroid) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    const point = asteroid.geographicImpactData?.impactLocation?.estimatedImpactPoint
+    const inputs = {
+      date: asteroid.primaryApproach?.closeApproachDate || customData.date,
+      lat: point ? point.latitude : customData.lat,
+      long: point ? point.longitude : customData.long,
+      velocity: asteroid.primaryApproach?.velocity?.kilometersPerSecond,
+      diameter: asteroid.diameter?.average,
+      miss: 0,
+      hazard: asteroid.isPotentiallyHazardous
+    }
+    const response = await fetch(`${API_BASE}/custom-hit`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(inputs)
+    })
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.error || `Failed to simulate ${asteroid.name}`)
+    return { ...toCustomAsteroid(result.data, inputs), id: asteroid.id, name: `${asteroid.name} (if it hit)` }
+  }
+
+  const addToComparison = async (asteroid) => {
+    if (compareList.some(item => item.id === asteroid.id)) {
+      setShowCompare(true)
+      return
+    }
+    if (compareList.length >= MAX_COMPARE_ITEMS) {
+      setCompareError(`Up to ${MAX_COMPARE_ITEMS} scenarios can be compared; remove one first.`)
+      setShowCompare(true)
+      return
+    }
+    try {
+      const item = asteroid.customInputs ? asteroid : await simulateNeoImpact(asteroid)
+      setCompareList(prev => prev.some(existing => existing.id === item.id) ? prev : [...prev, item].slice(0, MAX_COMPARE_ITEMS))
+      setCompareError(null)
+    } catch (err) {
+      setCompareError(err.message)
+    }
+    setShowCompare(true)
+  }
+
+  // Map file of a NEO as if it struck; NEOs without an estimated impact point use the custom form's location
+  const neoExportUrl = (asteroid, format) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    const params = new URLSearchParams({ format, lat: customData.lat, long: customData.long })
+    return `${API_BASE}/neo/${asteroid.id}?${params}`
+  }
+
+  const compareScenario = async (id) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com'
+    try {
+      const response = await fetch(`${API_BASE}/scenarios/${id}`)
+      const scenario = await response.json()
+      if (!response.ok) throw new Error(scenario.error || 'Failed to load scenario')
+      addToComparison(toCustomAsteroid(scenario.result, scenario.inputs, scenario))
+    } catch (err) {
+      setScenarioError(err.message)
+    }
+  }
+
   const handleCustomInputChange = (field, value) => {
     setCustomData(prev => ({
       ...prev,
@@ -232,6 +422,16 @@ const AstroidPlayer = () => {
     return 'low'
   }
 
+  const getTorinoBadgeClass = (color) => {
+    switch(color) {
+      case 'red': return 'bg-red-600 text-white'
+      case 'orange': return 'bg-orange-500 text-white'
+      case 'yellow': return 'bg-yellow-400 text-slate-900'
+      case 'green': return 'bg-green-500 text-white'
+      default: return 'bg-slate-100 text-slate-900'
+    }
+  }
+
   const getThreatColor = (level) => {
     switch(level) {
       case 'high': return 'text-red-500'
@@ -259,6 +459,22 @@ const AstroidPlayer = () => {
 
   const allAsteroids = getAllAsteroids()
 
+  // Feed objects carry no orbital elements, so their MOID is only the closest miss distance
+  // (an upper bound); objects with a computed MOID rank ahead of them by orbital proximity
+  const hasTrueMoid = (asteroid) => asteroid.moid?.astronomical !== undefined && !asteroid.moid.isUpperBound
+  const missDistanceOf = (asteroid) => asteroid.primaryApproach?.missDistance?.astronomical ?? Infinity
+  const compareMissDistance = (a, b) => missDistanceOf(a) - missDistanceOf(b)
+  const compareMoid = (a, b) => {
+    if (hasTrueMoid(a) !== hasTrueMoid(b)) return hasTrueMoid(a) ? -1 : 1
+    return hasTrueMoid(a) ? a.moid.astronomical - b.moid.astronomical : compareMissDistance(a, b)
+  }
+  const trueMoidCount = allAsteroids.filter(hasTrueMoid).length
+  const sortedAsteroids = sortBy === 'moid'
+    ? [...allAsteroids].sort(compareMoid)
+    : sortBy === 'missDistance'
+      ? [...allAsteroids].sort(compareMissDistance)
+      : allAsteroids
+
   const getAverageDiameter = () => {
     if (allAsteroids.length === 0) return 0
     const total = allAsteroids.reduce((sum, ast) => sum + (ast.diameter?.average || 0), 0)
@@ -354,8 +570,159 @@ const AstroidPlayer = () => {
               {showCustomForm ? <X className='w-4 h-4' /> : <Plus className='w-4 h-4' />}
               {showCustomForm ? 'Close' : 'Create Custom Impact Scenario'}
             </button>
+            <button
+              onClick={() => {
+                if (!showScenarios) fetchScenarios()
+                setShowScenarios(!showScenarios)
+              }}
+              className='mt-4 ml-2 bg-slate-900/80 backdrop-blur-md hover:bg-slate-800 border border-cyan-500/30 text-white px-4 py-2 rounded-lg inline-flex items-center gap-2 transition-colors'
+            >
+              {showScenarios ? <X className='w-4 h-4' /> : <FolderOpen className='w-4 h-4' />}
+              {showScenarios ? 'Close' : 'Saved Scenarios'}
+            </button>
+            <button
+              onClick={() => setShowCompare(!showCompare)}
+              className='mt-4 ml-2 bg-slate-900/80 backdrop-blur-md hover:bg-slate-800 border border-cyan-500/30 text-white px-4 py-2 rounded-lg inline-flex items-center gap-2 transition-colors'
+            >
+              {showCompare ? <X className='w-4 h-4' /> : <Columns2 className='w-4 h-4' />}
+              {showCompare ? 'Close' : `Compare (${compareList.length})`}
+            </button>
           </div>
 
+          {showCompare && (
+            <div className='bg-slate-900/80 backdrop-blur-md rounded-lg border border-cyan-500/30 p-6 mb-8'>
+              <div className='flex items-center justify-between mb-4'>
+                <h2 className='text-2xl font-bold text-white'>Scenario Comparison</h2>
+                {compareList.length > 0 && (
+                  <button
+                    onClick={() => setCompareList([])}
+                    className='bg-slate-800 hover:bg-slate-700 text-white text-sm px-3 py-1 rounded flex items-center gap-1 transition-colors'
+                  >
+                    <Trash2 className='w-3 h-3' />
+                    Clear
+                  </button>
+                )}
+              </div>
+              {compareError && (
+                <div className='text-red-400 text-sm mb-3'>
+                  <AlertCircle className='inline mr-2' size={16} />
+                  {compareError}
+                </div>
+              )}
+              {compareList.length === 1 && (
+                <p className='text-slate-400 text-sm mb-3'>{compareList[0].name} is ready to compare.</p>
+              )}
+              <ScenarioComparison
+                items={compareList}
+                onRemove={(id) => setCompareList(prev => prev.filter(item => item.id !== id))}
+              />
+            </div>
+          )}
+
+          {showScenarios && (
+            <div className='bg-slate-900/80 backdrop-blur-md rounded-lg border border-cyan-500/30 p-6 mb-8'>
+              <div className='flex items-center justify-between mb-4'>
+                <h2 className='text-2xl font-bold text-white'>Saved Scenarios</h2>
+                <div className='flex items-center gap-2'>
+                  <input
+                    type='text'
+                    value={scenarioQuery}
+                    onChange={(e) => setScenarioQuery(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && fetchScenarios()}
+                    placeholder='Search by name'
+                    className='bg-slate-800 text-white text-sm px-3 py-2 rounded border border-slate-700 focus:border-cyan-500 outline-none'
+                  />
+                  <button
+                    onClick={() => fetchScenarios()}
+                    className='bg-purple-600 hover:bg-purple-700 text-white text-sm px-4 py-2 rounded-lg transition-colors'
+                  >
+                    Search
+                  </button>
+                </div>
+              </div>
+              {scenarioError && (
+                <div className='text-red-400 text-sm mb-3'>
+                  <AlertCircle className='inline mr-2' size={16} />
+                  {scenarioError}
+                </div>
+              )}
+              {scenarioList.scenarios.length === 0 ? (
+                <p className='text-slate-400 text-sm'>No saved scenarios yet. Calculate a custom impact and save it from the detail panel.</p>
+              ) : (
+                <div className='divide-y divide-slate-800'>
+                  {scenarioList.scenarios.map(scenario => (
+                    <div key={scenario.id} className='py-3 flex items-center justify-between gap-4'>
+                      <div className='flex-1'>
+                        <div className='font-medium text-white'>{scenario.name}</div>
+                        <div className='text-xs text-slate-400'>
+                          {scenario.inputs.diameter} m at {scenario.inputs.velocity} km/s · ({scenario.inputs.lat}, {scenario.inputs.long})
+                          {scenario.author && <> · by {scenario.author}</>}
+                          {' '}· model {scenario.modelVersion} · saved {formatDate(scenario.updatedAt)}
+                        </div>
+                        {scenario.tags.length > 0 && (
+                          <div className='flex gap-1 mt-1'>
+                            {scenario.tags.map(tag => (
+                              <span key={tag} className='text-xs bg-slate-800 text-cyan-400 px-2 py-0.5 rounded'>{tag}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <div className='flex items-center gap-2'>
+                        <button
+                          onClick={() => loadScenario(scenario.id)}
+                          className='bg-cyan-600 hover:bg-cyan-700 text-white text-sm px-3 py-1 rounded flex items-center gap-1 transition-colors'
+                        >
+                          <FolderOpen className='w-3 h-3' />
+                          Load
+                        </button>
+                        <button
+                          onClick={() => compareScenario(scenario.id)}
+                          className='bg-slate-800 hover:bg-slate-700 text-white text-sm px-3 py-1 rounded flex items-center gap-1 transition-colors'
+                        >
+                          <Columns2 className='w-3 h-3' />
+                          Compare
+                        </button>
+                        <button
+                          onClick={() => duplicateScenario(scenario.id)}
+                          title='Duplicate'
+                          className='bg-slate-800 hover:bg-slate-700 text-white p-2 rounded transition-colors'
+                        >
+                          <Copy className='w-3 h-3' />
+                        </button>
+                        <button
+                          onClick={() => deleteScenario(scenario)}
+                          title='Delete'
+                          className='bg-slate-800 hover:bg-red-700 text-white p-2 rounded transition-colors'
+                        >
+                          <Trash2 className='w-3 h-3' />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {scenarioList.pagination.totalPages > 1 && (
+                <div className='flex items-center justify-end gap-2 mt-4 text-sm text-slate-400'>
+                  <button
+                    onClick={() => fetchScenarios(scenarioList.pagination.page - 1)}
+                    disabled={scenarioList.pagination.page <= 1}
+                    className='bg-slate-800 hover:bg-slate-700 disabled:opacity-40 text-white px-3 py-1 rounded transition-colors'
+                  >
+                    Previous
+                  </button>
+                  Page {scenarioList.pagination.page} of {scenarioList.pagination.totalPages}
+                  <button
+                    onClick={() => fetchScenarios(scenarioList.pagination.page + 1)}
+                    disabled={scenarioList.pagination.page >= scenarioList.pagination.totalPages}
+                    className='bg-slate-800 hover:bg-slate-700 disabled:opacity-40 text-white px-3 py-1 rounded transition-colors'
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
           {showCustomForm && (
             <div className='bg-slate-900/80 backdrop-blur-md rounded-lg border border-cyan-500/30 p-6 mb-8'>
               <h2 className='text-2xl font-bold text-white mb-4'>Custom Impact Scenario</h2>
@@ -436,6 +803,42 @@ const AstroidPlayer = () => {
                     className='w-full bg-slate-800 text-white px-4 py-2 rounded border border-slate-700 focus:border-cyan-500 outline-none'
                   />
                 </div>
+                <div>
+                  <label className='block text-slate-400 text-sm mb-2'>Impact Angle (° from horizontal)</label>
+                  <input
+                    type='number'
+                    min='1'
+                    max='90'
+                    value={customData.angle}
+                    onChange={(e) => handleCustomInputChange('angle', parseFloat(e.target.value))}
+                    className='w-full bg-slate-800 text-white px-4 py-2 rounded border border-slate-700 focus:border-cyan-500 outline-none'
+                  />
+                </div>
+                <div>
+                  <label className='block text-slate-400 text-sm mb-2'>Azimuth (° clockwise from north)</label>
+                  <input
+                    type='number'
+                    min='0'
+                    max='359'
+                    value={customData.azimuth}
+                    onChange={(e) => handleCustomInputChange('azimuth', parseFloat(e.target.value))}
+                    className='w-full bg-slate-800 text-white px-4 py-2 rounded border border-slate-700 focus:border-cyan-500 outline-none'
+                  />
+                </div>
+                <div>
+                  <label className='block text-slate-400 text-sm mb-2'>Target Material</label>
+                  <select
+                    value={customData.target}
+                    onChange={(e) => handleCustomInputChange('target', e.target.value)}
+                    className='w-full bg-slate-800 text-white px-4 py-2 rounded border border-slate-700 focus:border-cyan-500 outline-none'
+                  >
+                    <option value='crystalline_rock'>Crystalline rock</option>
+                    <option value='wet_sediment'>Wet sediment</option>
+                    <option value='dry_soil'>Dry soil / sand</option>
+                    <option value='ice'>Ice</option>
+                    <option value='water'>Water</option>
+                  </select>
+                </div>
                 <div>
                   <label className='block text-slate-400 text-sm mb-2'>Mass (kg) - Optional</label>
                   <input
@@ -479,6 +882,30 @@ const AstroidPlayer = () => {
             </div>
           ) : (
             <>
+              {(asteroidData?.dataSource?.stale || asteroidData?.dataSource?.offline) && (
+                <div className='bg-yellow-900/20 border border-yellow-500 rounded-lg p-4 mb-6 text-yellow-400 text-sm'>
+                  <AlertCircle className='inline mr-2' size={16} />
+                  {asteroidData.dataSource.offline
+                    ? 'Offline mode: showing recorded NEO data.'
+                    : `NASA is unavailable: showing cached data from ${new Date(asteroidData.dataSource.fetchedAt).toLocaleString()}.`}
+                </div>
+              )}
+              {lookupError && (
+                <div className='bg-yellow-900/20 border border-yellow-500 rounded-lg p-4 mb-6 text-yellow-400 text-sm'>
+                  <AlertCircle className='inline mr-2' size={16} />
+                  {lookupError}
+                </div>
+              )}
+              {asteroidData?.partialFailure && (
+                <div className='bg-yellow-900/20 border border-yellow-500 rounded-lg p-4 mb-6 text-yellow-400 text-sm'>
+                  <AlertCircle className='inline mr-2' size={16} />
+                  Some dates could not be loaded:{' '}
+                  {asteroidData.windows
+                    .filter(window => window.status === 'failed')
+                    .map(window => `${window.startDate} to ${window.endDate}`)
+                    .join(', ')}
+                </div>
+              )}
               <div className='grid grid-cols-4 max-md:grid-cols-2 gap-4 mb-8'>
                 <div className='bg-slate-900/80 backdrop-blur-md rounded-lg p-4 border border-cyan-500/30'>
                   <div className='text-slate-400 text-sm mb-1'>Total Detected</div>
@@ -509,19 +936,35 @@ const AstroidPlayer = () => {
               <div className='flex max-md:grid gap-6 h-[600px]'>
                 <div className='lg:w-2/5 bg-slate-900/80 backdrop-blur-md rounded-lg border border-cyan-500/30 overflow-hidden flex flex-col'>
                   <div className='p-4 border-b border-slate-800'>
-                    <h2 className='text-xl font-semibold text-white'>Detected Objects</h2>
+                    <div className='flex items-center justify-between'>
+                      <h2 className='text-xl font-semibold text-white'>Detected Objects</h2>
+                      <select
+                        value={sortBy}
+                        onChange={(e) => setSortBy(e.target.value)}
+                        className='bg-slate-800 text-white text-sm px-2 py-1 rounded border border-slate-700 focus:border-cyan-500 outline-none'
+                      >
+                        <option value='date'>Approach date</option>
+                        <option value='missDistance'>Miss distance</option>
+                        <option value='moid'>Orbital proximity (MOID)</option>
+                      </select>
+                    </div>
                     <p className='text-sm text-slate-400 mt-1'>
                       {allAsteroids.length} asteroids in range
                     </p>
+                    {sortBy === 'moid' && trueMoidCount < allAsteroids.length && (
+                      <p className='text-xs text-slate-500 mt-1'>
+                        {trueMoidCount} with a computed MOID; the rest have no orbital elements in the feed and follow by miss distance
+                      </p>
+                    )}
                   </div>
                   <div className='overflow-y-auto flex-1'>
-                    {allAsteroids.map((asteroid, idx) => {
+                    {sortedAsteroids.map((asteroid, idx) => {
                       const threatLevel = getThreatLevel(asteroid)
                       const isSelected = selectedAsteroid?.id === asteroid.id
                       return (
                         <div
                           key={asteroid.id || idx}
-                          onClick={() => setSelectedAsteroid(asteroid)}
+                          onClick={() => selectAsteroid(asteroid)}
                           className={`p-4 border-b border-slate-800 cursor-pointer transition-colors ${
                             isSelected ? 'bg-slate-800' : 'hover:bg-slate-800/50'
                           }`}
@@ -531,8 +974,18 @@ const AstroidPlayer = () => {
                               <div className='font-medium text-white mb-1'>{asteroid.name}</div>
                               <div className='text-xs text-slate-400'>ID: {asteroid.id}</div>
                             </div>
-                            <div className={`text-xs font-semibold px-2 py-1 rounded ${getThreatColor(threatLevel)} bg-slate-800`}>
-                              {threatLevel.toUpperCase()}
+                            <div className='flex items-center gap-1'>
+                              {asteroid.primaryApproach?.calculations?.hazardScales && (
+                                <div
+                                  className={`text-xs font-semibold px-2 py-1 rounded ${getTorinoBadgeClass(asteroid.primaryApproach.calculations.hazardScales.torino.color)}`}
+                                  title={asteroid.primaryApproach.calculations.hazardScales.torino.category}
+                                >
+                                  T{asteroid.primaryApproach.calculations.hazardScales.torino.rating}
+                                </div>
+                              )}
+                              <div className={`text-xs font-semibold px-2 py-1 rounded ${getThreatColor(threatLevel)} bg-slate-800`}>
+                                {threatLevel.toUpperCase()}
+                              </div>
                             </div>
                           </div>
                           <div className='grid grid-cols-2 gap-2 text-xs text-slate-400'>
@@ -544,6 +997,14 @@ const AstroidPlayer = () => {
                               <Gauge className='inline w-3 h-3 mr-1' />
                               {formatNumber(asteroid.diameter?.average)} m
                             </div>
+                            {asteroid.moid?.astronomical !== undefined && (
+                              <div className='col-span-2'>
+                                <Target className='inline w-3 h-3 mr-1' />
+                                {hasTrueMoid(asteroid)
+                                  ? `MOID ${asteroid.moid.astronomical.toFixed(4)} AU`
+                                  : `MOID ≤ ${asteroid.moid.astronomical.toFixed(4)} AU (miss distance)`}
+                              </div>
+                            )}
                           </div>
                           {asteroid.isPotentiallyHazardous && (
                             <div className='mt-2 text-xs text-red-400 flex items-center'>
@@ -560,7 +1021,46 @@ const AstroidPlayer = () => {
                 <div className='flex-1 bg-slate-900/80 backdrop-blur-md rounded-lg border border-cyan-500/30 overflow-hidden'>
                   {selectedAsteroid ? (
                     <div className='h-full overflow-y-auto p-6'>
-                      <h2 className='text-2xl font-bold text-white mb-4'>{selectedAsteroid.name}</h2>
+                      <div className='flex items-start justify-between gap-4 mb-4'>
+                        <div>
+                          <h2 className='text-2xl font-bold text-white'>{selectedAsteroid.name}</h2>
+                          {selectedAsteroid.scenario && (
+                            <div className='text-xs text-slate-400 mt-1'>
+                              Saved scenario · model {selectedAsteroid.scenario.modelVersion}
+                              {selectedAsteroid.scenario.tags.length > 0 && <> · {selectedAsteroid.scenario.tags.join(', ')}</>}
+                            </div>
+                          )}
+                        </div>
+                        <div className='flex items-center gap-2'>
+                          <button
+                            onClick={() => addToComparison(selectedAsteroid)}
+                            className='bg-slate-800 hover:bg-slate-700 border border-cyan-500/30 text-white text-sm px-3 py-2 rounded-lg flex items-center gap-2 transition-colors'
+                          >
+                            <Columns2 className='w-4 h-4' />
+                            {compareList.some(item => item.id === selectedAsteroid.id) ? 'In Comparison' : 'Compare'}
+                          </button>
+                          {/^\d+$/.test(selectedAsteroid.id) && ['kml', 'czml'].map(format => (
+                            <a
+                              key={format}
+                              href={neoExportUrl(selectedAsteroid, format)}
+                              title={`Download a simulated impact of this asteroid as ${format.toUpperCase()}`}
+                              className='bg-slate-800 hover:bg-slate-700 border border-cyan-500/30 text-white text-sm px-3 py-2 rounded-lg flex items-center gap-2 transition-colors'
+                            >
+                              <Download className='w-4 h-4' />
+                              {format.toUpperCase()}
+                            </a>
+                          ))}
+                          {selectedAsteroid.customInputs && (
+                            <button
+                              onClick={saveScenario}
+                              className='bg-green-600 hover:bg-green-700 text-white text-sm px-3 py-2 rounded-lg flex items-center gap-2 transition-colors'
+                            >
+                              <Save className='w-4 h-4' />
+                              {selectedAsteroid.scenario ? 'Save as New' : 'Save Scenario'}
+                            </button>
+                          )}
+                        </div>
+                      </div>
                       
                       <div className='space-y-6'>
                         <div>
@@ -571,13 +1071,70 @@ const AstroidPlayer = () => {
                             </div>
                             <div className='text-slate-300 text-sm mb-2'>
                               Impact Probability: {selectedAsteroid.primaryApproach?.calculations?.impactProbability?.percentage}%
+                              {selectedAsteroid.primaryApproach?.calculations?.impactProbability?.source && (
+                                <span className='text-slate-500 ml-2'>
+                                  ({selectedAsteroid.primaryApproach.calculations.impactProbability.source === 'sentry' ? 'JPL Sentry' : 'estimate'})
+                                </span>
+                              )}
                             </div>
+                            {selectedAsteroid.primaryApproach?.calculations?.impactProbability?.bPlane && (
+                              <div className='text-slate-400 text-xs mb-2'>
+                                B-plane: {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.impactProbability.bPlane.impactParameterKm))} km from Earth
+                                (capture radius {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.impactProbability.bPlane.captureRadiusKm))} km),
+                                1σ {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.impactProbability.bPlane.uncertainty.majorKm))} × {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.impactProbability.bPlane.uncertainty.minorKm))} km
+                                {' '}· P = {selectedAsteroid.primaryApproach.calculations.impactProbability.value.toExponential(2)}
+                              </div>
+                            )}
+                            {selectedAsteroid.primaryApproach?.calculations?.hazardScales && (
+                              <div className='flex flex-wrap items-center gap-2 mb-2'>
+                                <span
+                                  className={`text-xs font-semibold px-2 py-1 rounded ${getTorinoBadgeClass(selectedAsteroid.primaryApproach.calculations.hazardScales.torino.color)}`}
+                                  title={selectedAsteroid.primaryApproach.calculations.hazardScales.torino.description}
+                                >
+                                  Torino {selectedAsteroid.primaryApproach.calculations.hazardScales.torino.rating} · {selectedAsteroid.primaryApproach.calculations.hazardScales.torino.category}
+                                </span>
+                                <span
+                                  className='text-xs font-semibold px-2 py-1 rounded bg-slate-700 text-cyan-300'
+                                  title={selectedAsteroid.primaryApproach.calculations.hazardScales.palermo.interpretation}
+                                >
+                                  Palermo {selectedAsteroid.primaryApproach.calculations.hazardScales.palermo.rating ?? 'N/A'}
+                                </span>
+                              </div>
+                            )}
                             {selectedAsteroid.isPotentiallyHazardous && (
                               <div className='text-red-400 flex items-center mt-2'>
                                 <AlertCircle className='w-4 h-4 mr-2' />
                                 Flagged as Potentially Hazardous Asteroid (PHA)
                               </div>
                             )}
+                            {selectedAsteroid.moid?.astronomical !== undefined && (
+                              <div className='text-slate-300 text-sm mt-2'>
+                                Earth MOID: {selectedAsteroid.moid.isUpperBound ? '≤ ' : ''}{selectedAsteroid.moid.astronomical.toFixed(4)} AU
+                                ({formatNumber(selectedAsteroid.moid.lunar)} LD)
+                                {selectedAsteroid.moid.phaVerification?.agreesWithNasa === false && (
+                                  <span className='text-yellow-400 ml-2'>
+                                    Computed PHA status ({selectedAsteroid.moid.phaVerification.computed ? 'PHA' : 'not PHA'}) differs from NASA
+                                  </span>
+                                )}
+                              </div>
+                            )}
+                            {selectedAsteroid.sentry?.available && (
+                              <div className='mt-3 pt-3 border-t border-slate-700 text-sm space-y-1'>
+                                <div className='text-orange-400 font-semibold'>On the JPL Sentry risk list</div>
+                                <div className='text-slate-300'>
+                                  Cumulative impact probability: {(selectedAsteroid.sentry.cumulativeImpactProbability * 100).toPrecision(3)}%
+                                  {' '}(1 in {formatNumber(Math.round(1 / selectedAsteroid.sentry.cumulativeImpactProbability))})
+                                </div>
+                                <div className='text-slate-300'>
+                                  Palermo cumulative {selectedAsteroid.sentry.palermo.cumulative ?? 'N/A'} · max {selectedAsteroid.sentry.palermo.max ?? 'N/A'} · Torino max {selectedAsteroid.sentry.torino.max ?? 'N/A'}
+                                </div>
+                                <div className='text-slate-400'>
+                                  {selectedAsteroid.sentry.impactCount} potential impact date(s):{' '}
+                                  {selectedAsteroid.sentry.impactDates.slice(0, 3).map(impact => impact.date).join(', ')}
+                                  {selectedAsteroid.sentry.impactDates.length > 3 ? ', ...' : ''}
+                                </div>
+                              </div>
+                            )}
                           </div>
                         </div>
 
@@ -647,6 +1204,47 @@ const AstroidPlayer = () => {
                           </div>
                         )}
 
+                        {selectedAsteroid.approachSummary?.total > 1 && (
+                          <div>
+                            <h3 className='text-lg font-semibold text-white mb-3'>
+                              <Clock className='inline w-5 h-5 mr-2' />
+                              All Close Approaches
+                            </h3>
+                            <div className='bg-slate-800/70 backdrop-blur-sm rounded-lg p-4 space-y-3 border border-slate-700'>
+                              <div className='flex justify-between'>
+                                <span className='text-slate-400'>Earth Approaches</span>
+                                <span className='text-white font-medium'>
+                                  {selectedAsteroid.approachSummary.earth.past} past · {selectedAsteroid.approachSummary.earth.future} upcoming
+                                </span>
+                              </div>
+                              {selectedAsteroid.approachSummary.earth.closest && (
+                                <div className='flex justify-between'>
+                                  <span className='text-slate-400'>Closest Listed</span>
+                                  <span className='text-white font-medium'>
+                                    {selectedAsteroid.approachSummary.earth.closest.date} · {formatNumber(selectedAsteroid.approachSummary.earth.closest.missDistance?.lunar)} LD
+                                  </span>
+                                </div>
+                              )}
+                              <div className='max-h-48 overflow-y-auto text-sm'>
+                                {selectedAsteroid.closeApproaches.map((approach, idx) => (
+                                  <div
+                                    key={`${approach.closeApproachDate}-${approach.orbitingBody}-${idx}`}
+                                    className={`flex justify-between py-1 border-b border-slate-700/50 ${
+                                      approach.closeApproachDate === selectedAsteroid.primaryApproach?.closeApproachDate &&
+                                      approach.orbitingBody === selectedAsteroid.primaryApproach?.orbitingBody
+                                        ? 'text-cyan-400'
+                                        : 'text-slate-300'
+                                    }`}
+                                  >
+                                    <span>{approach.closeApproachDate} ({approach.orbitingBody})</span>
+                                    <span>{formatNumber(approach.missDistance?.lunar)} LD</span>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          </div>
+                        )}
+
                         {selectedAsteroid.primaryApproach?.calculations && (
                           <div>
                             <h3 className='text-lg font-semibold text-white mb-3'>
@@ -672,6 +1270,34 @@ const AstroidPlayer = () => {
                                   {formatNumber(selectedAsteroid.primaryApproach.calculations.estimatedCrater?.radius)} m
                                 </span>
                               </div>
+                              {selectedAsteroid.primaryApproach.calculations.estimatedCrater?.craterType && (
+                                <>
+                                  <div className='flex justify-between'>
+                                    <span className='text-slate-400'>Crater Type</span>
+                                    <span className='text-white font-medium capitalize'>
+                                      {selectedAsteroid.primaryApproach.calculations.estimatedCrater.craterType} ({selectedAsteroid.primaryApproach.calculations.estimatedCrater.target?.name})
+                                    </span>
+                                  </div>
+                                  <div className='flex justify-between'>
+                                    <span className='text-slate-400'>Transient Crater</span>
+                                    <span className='text-white font-medium'>
+                                      {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.estimatedCrater.transientCrater?.diameter))} m
+                                    </span>
+                                  </div>
+                                  <div className='flex justify-between'>
+                                    <span className='text-slate-400'>Depth / Rim Height</span>
+                                    <span className='text-white font-medium'>
+                                      {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.estimatedCrater.depth))} m / {formatNumber(Math.round(selectedAsteroid.primaryApproach.calculations.estimatedCrater.rimHeight))} m
+                                    </span>
+                                  </div>
+                                  <div className='flex justify-between'>
+                                    <span className='text-slate-400'>Impact Melt</span>
+                                    <span className='text-white font-medium'>
+                                      {selectedAsteroid.primaryApproach.calculations.estimatedCrater.meltVolume?.cubicKilometers.toFixed(4)} km³
+                                    </span>
+                                  </div>
+                                </>
+                              )}
                             </div>
                           </div>
                         )}
@@ -689,6 +1315,14 @@ const AstroidPlayer = () => {
                                   {selectedAsteroid.geographicImpactData.geographicRisk?.primaryRegion}
                                 </span>
                               </div>
+                              {selectedAsteroid.geographicImpactData.geographicRisk?.country && (
+                                <div className='flex justify-between'>
+                                  <span className='text-slate-400'>Country</span>
+                                  <span className='text-white font-medium'>
+                                    {selectedAsteroid.geographicImpactData.geographicRisk.country.name} ({selectedAsteroid.geographicImpactData.geographicRisk.country.isoA3})
+                                  </span>
+                                </div>
+                              )}
                               <div className='flex justify-between'>
                                 <span className='text-slate-400'>Impact Location</span>
                                 <span className='text-white font-medium text-xs'>
@@ -1006,6 +1640,53 @@ const AstroidPlayer = () => {
                               </div>
                             )}
 
+                            {/* Casualty Estimates */}
+                            {selectedAsteroid.casualtyData?.total && (
+                              <div className='bg-slate-800/70 backdrop-blur-sm rounded-lg p-4 mb-4 border border-slate-700'>
+                                <h4 className='text-white font-semibold mb-3 flex items-center'>
+                                  <Users className='w-4 h-4 mr-2' />
+                                  Casualty Estimates
+                                </h4>
+                                <div className='space-y-2 text-sm'>
+                                  <div className='flex justify-between p-2 bg-red-900/20 rounded'>
+                                    <span className='text-red-300'>Deaths</span>
+                                    <span className='text-red-400 font-bold'>
+                                      {formatNumber(selectedAsteroid.casualtyData.total.deaths.estimate)}
+                                    </span>
+                                  </div>
+                                  <div className='flex justify-between p-2 bg-orange-900/20 rounded'>
+                                    <span className='text-orange-300'>Injuries</span>
+                                    <span className='text-orange-400 font-bold'>
+                                      {formatNumber(selectedAsteroid.casualtyData.total.injuries.estimate)}
+                                    </span>
+                                  </div>
+                                  <div className='text-xs text-slate-400'>
+                                    Range {formatNumber(selectedAsteroid.casualtyData.total.deaths.low)} - {formatNumber(selectedAsteroid.casualtyData.total.deaths.high)} deaths
+                                    among {formatNumber(selectedAsteroid.casualtyData.total.exposedPopulation)} people exposed
+                                  </div>
+                                  {Object.entries(selectedAsteroid.casualtyData.byEffect).filter(([, data]) => data).map(([effect, data]) => (
+                                    <div key={effect} className='flex justify-between'>
+                                      <span className='text-slate-400 capitalize'>{effect}</span>
+                                      <span className='text-white font-medium'>
+                                        {formatNumber(data.deaths.estimate)} deaths / {formatNumber(data.injuries.estimate)} injured
+                                      </span>
+                                    </div>
+                                  ))}
+                                  {selectedAsteroid.casualtyData.mostAffectedCities?.length > 0 && (
+                                    <div className='pt-2 border-t border-slate-700'>
+                                      <div className='text-slate-400 text-xs mb-1'>Most Affected Cities</div>
+                                      {selectedAsteroid.casualtyData.mostAffectedCities.map(city => (
+                                        <div key={`${city.name}-${city.countryCode}`} className='flex justify-between text-xs'>
+                                          <span className='text-white'>{city.name}, {city.countryCode}</span>
+                                          <span className='text-red-400'>{formatNumber(city.estimatedDeaths)} deaths</span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  )}
+                                </div>
+                              </div>
+                            )}
+
                             {/* Evacuation Zones */}
                             {selectedAsteroid.blastRadiusData.evacuationZones && (
                               <div className='bg-slate-800/70 backdrop-blur-sm rounded-lg p-4 mb-4 border border-slate-700'>
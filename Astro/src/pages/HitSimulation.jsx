@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Circle, Popup } from 'react-leaflet';
+import { MapContainer, TileLayer, Circle, CircleMarker, Popup, useMapEvents } from 'react-leaflet';
+import { useSearchParams } from 'react-router-dom';
+import SweepChart from '../components/SweepChart';
+import ZoneShape from '../components/ZoneShape';
 import 'leaflet/dist/leaflet.css';
 import { Tab, Tabs, TabList, TabPanel } from 'react-tabs';
 import 'react-tabs/style/react-tabs.css';
-import { Zap, MapPin, Activity, Target, Flame, Wind, Users, ArrowLeft, Rocket, Globe, Radio, Home } from 'lucide-react';
+import { Zap, MapPin, Activity, Target, Flame, Wind, Users, ArrowLeft, Rocket, Globe, Radio, Home, Compass, Navigation, Waves, Link, Share2, Check, LineChart, Download, Clock, Play, Pause } from 'lucide-react';
 
 const getZoneColor = (key) => ({
   totalDestruction: '#FF1744',
@@ -18,21 +21,144 @@ const getThermalColor = (key) => ({
   ignitionZone: '#FFD600'
 }[key] || '#AAA');
 
+const getTsunamiColor = (level) => ({
+  EXTREME: '#FF1744',
+  SEVERE: '#FF9100',
+  HIGH: '#FFD600',
+  MODERATE: '#29B6F6',
+  LOW: '#00E676'
+}[level] || '#AAA');
+
 const formatNumber = (num) => num ? Number(num).toLocaleString() : '0';
 
+const formatExtent = (footprint) => footprint?.shape === 'ellipse'
+  ? `Downrange: ${footprint.downrangeExtentKm.toFixed(1)} km, Uprange: ${footprint.uprangeExtentKm.toFixed(1)} km`
+  : null;
+
+// Simulation inputs kept in the URL so a link reproduces the scenario
+const PERMALINK_FIELDS = ['date', 'lat', 'long', 'velocity', 'diameter', 'density', 'miss', 'angle', 'azimuth', 'waterDepth'];
+const RESULT_TABS = ['blast', 'thermal', 'evacuation', 'tsunami', 'timeline', 'sensitivity'];
+const DEFAULT_ZOOM = { blast: 6, thermal: 6, evacuation: 6, tsunami: 2 };
+
+// Inputs the Sensitivity tab can sweep, with their default ranges
+const SWEEP_PARAMETERS = {
+  diameter: { label: 'Diameter', unit: 'm', min: 10, max: 1000, spacing: 'log' },
+  velocity: { label: 'Velocity', unit: 'km/s', min: 11, max: 72, spacing: 'linear' },
+  density: { label: 'Density', unit: 'kg/m³', min: 1000, max: 8000, spacing: 'linear' },
+  angle: { label: 'Impact Angle', unit: '°', min: 5, max: 90, spacing: 'linear' }
+};
+const SWEEP_BLAST_ZONES = [
+  { key: 'totalDestruction', label: '20 psi', color: getZoneColor('totalDestruction') },
+  { key: 'severeBlastDamage', label: '10 psi', color: getZoneColor('severeBlastDamage') },
+  { key: 'moderateBlastDamage', label: '5 psi', color: getZoneColor('moderateBlastDamage') },
+  { key: 'lightBlastDamage', label: '2 psi', color: getZoneColor('lightBlastDamage') },
+  { key: 'minorDamage', label: '1 psi', color: '#29B6F6' },
+  { key: 'glassBreakage', label: '0.5 psi', color: '#B0BEC5' }
+];
+const SWEEP_FIELDS = ['energyMegatons', 'craterDiameterM', 'seismicMagnitude', ...SWEEP_BLAST_ZONES.map(zone => `blastRadiusData.blastEffects.${zone.key}.radius`)];
+const MAX_SWEEP_STEPS = 50;
+
+// Map file downloads of the current result (POST /custom-hit?format=)
+const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson' },
+  kml: { label: 'KML', extension: 'kml' },
+  czml: { label: 'CZML', extension: 'czml' }
+};
+
+// Timeline playback: slider positions across the whole timeline, and frame interval (ms)
+const TIMELINE_STEPS = 500;
+const TIMELINE_FRAME_MS = 50;
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds.toFixed(seconds < 10 ? 1 : 0)} s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+// Ground range reached by the blast front after a number of seconds
+const blastFrontRadius = (front, seconds) => {
+  if (front.length === 0 || seconds <= front[0].seconds) return 0;
+  const next = front.findIndex(point => point.seconds >= seconds);
+  if (next === -1) return front[front.length - 1].radiusKm;
+  const previous = front[next - 1];
+  const fraction = (seconds - previous.seconds) / (front[next].seconds - previous.seconds);
+  return previous.radiusKm + fraction * (front[next].radiusKm - previous.radiusKm);
+};
+
+// Shrink a zone (and its elliptical footprint) to a fraction of its final size
+const scaleZone = (zone, factor) => ({
+  ...zone,
+  radius: zone.radius * factor,
+  footprint: zone.footprint?.shape === 'ellipse' ? {
+    ...zone.footprint,
+    semiMajorAxisKm: zone.footprint.semiMajorAxisKm * factor,
+    semiMinorAxisKm: zone.footprint.semiMinorAxisKm * factor,
+    centerOffsetKm: zone.footprint.centerOffsetKm * factor
+  } : zone.footprint
+});
+
+// Values across the range, plus the current input so the curves pass through the current scenario
+const sweepValues = ({ min, max, steps, spacing }, current) => {
+  const values = Array.from({ length: steps }, (_, i) => {
+    const fraction = i / (steps - 1);
+    return spacing === 'log'
+      ? Math.pow(10, Math.log10(min) + fraction * (Math.log10(max) - Math.log10(min)))
+      : min + fraction * (max - min);
+  });
+  if (Number.isFinite(current) && current >= min && current <= max) values.push(current);
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+// Read inputs from the query string, ignoring anything that is not a usable value
+const readPermalinkInputs = (searchParams) => Object.fromEntries(PERMALINK_FIELDS
+  .filter(field => searchParams.has(field))
+  .map(field => [field, searchParams.get(field)])
+  .filter(([field, value]) => field === 'date' ? /^\d{4}-\d{2}-\d{2}$/.test(value) : value !== '' && Number.isFinite(Number(value)))
+  .map(([field, value]) => [field, field === 'date' ? value : Number(value)]));
+
+// Report the zoom level whenever the user zooms a map
+const ZoomTracker = ({ onZoom }) => {
+  useMapEvents({ zoomend: (e) => onZoom(e.target.getZoom()) });
+  return null;
+};
+
 export default function ImpactDashboard() {
   const canvasRef = useRef(null);
-  const [customData, setCustomData] = useState({
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [customData, setCustomData] = useState(() => ({
     date: new Date().toISOString().slice(0,10),
     lat: 51.5074,
     long: -0.1278,
     velocity: 25,
     diameter: 100,
-    miss: 0
-  });
+    density: 3000,
+    miss: 0,
+    angle: 45,
+    azimuth: 0,
+    waterDepth: '',
+    ...readPermalinkInputs(searchParams)
+  }));
   const [selectedAsteroid, setSelectedAsteroid] = useState(null);
+  // Inputs behind the result on screen; edits made since then are not part of the link
+  const [simulatedInputs, setSimulatedInputs] = useState(null);
   const [loading, setLoading] = useState(false);
   const [showMap, setShowMap] = useState(true);
+  const [seed, setSeed] = useState(searchParams.get('seed') || '');
+  const [scenarioId, setScenarioId] = useState(searchParams.get('scenario'));
+  const [activeTab, setActiveTab] = useState(RESULT_TABS.includes(searchParams.get('tab')) ? searchParams.get('tab') : 'blast');
+  const [mapZoom, setMapZoom] = useState(() => {
+    const zoom = parseInt(searchParams.get('zoom'), 10);
+    return zoom >= 1 && zoom <= 18 ? zoom : null;
+  });
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [sweep, setSweep] = useState({ parameter: 'diameter', ...SWEEP_PARAMETERS.diameter, steps: 15 });
+  const [sweepResult, setSweepResult] = useState(null);
+  const [sweepLoading, setSweepLoading] = useState(false);
+  const [timelineDistance, setTimelineDistance] = useState(10);
+  const [timeline, setTimeline] = useState(null);
+  const [timelineLoading, setTimelineLoading] = useState(false);
+  const [timelineSeconds, setTimelineSeconds] = useState(0);
+  const [timelinePlaying, setTimelinePlaying] = useState(false);
 
   // Animated space background
   useEffect(() => {
@@ -134,7 +260,71 @@ export default function ImpactDashboard() {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  const handleChange = (e) => setCustomData({...customData, [e.target.name]: e.target.value});
+  // Restore a shared link: a saved scenario, or inputs to simulate again with the same seed
+  useEffect(() => {
+    if (scenarioId) {
+      loadScenario(scenarioId);
+    } else if (searchParams.has('lat') && searchParams.has('long')) {
+      submitCustomHit();
+    }
+  }, []);
+
+  // Links to a saved scenario only need its short id; otherwise the inputs and seed are spelled out
+  const buildPermalinkParams = () => {
+    const params = new URLSearchParams();
+    const inputs = simulatedInputs || customData;
+    if (scenarioId) {
+      params.set('scenario', scenarioId);
+    } else {
+      PERMALINK_FIELDS
+        .filter(field => inputs[field] !== '' && inputs[field] !== undefined && inputs[field] !== null)
+        .forEach(field => params.set(field, inputs[field]));
+      if (seed) params.set('seed', seed);
+    }
+    if (selectedAsteroid) params.set('tab', activeTab);
+    if (mapZoom) params.set('zoom', mapZoom);
+    return params;
+  };
+
+  // Only a result is linked: writing the default inputs before anything was simulated would
+  // make a reload run a simulation the user never asked for
+  useEffect(() => {
+    if (!selectedAsteroid) return;
+    setSearchParams(buildPermalinkParams(), { replace: true });
+  }, [simulatedInputs, seed, scenarioId, activeTab, mapZoom, selectedAsteroid]);
+
+  // A timeline belongs to one saved scenario
+  useEffect(() => {
+    setTimeline(null);
+    setTimelinePlaying(false);
+  }, [scenarioId]);
+
+  // Slider range: until the last effect reaches the chosen distance or the blast front settles
+  const timelineDuration = timeline ? 1.05 * Math.max(
+    timeline.fronts.fireballSeconds,
+    timeline.fronts.blastFront.length ? timeline.fronts.blastFront[timeline.fronts.blastFront.length - 1].seconds : 0,
+    ...timeline.effects.map(effect => effect.arrivalSeconds),
+    1
+  ) : 0;
+
+  // Advance the slider while playing so the whole timeline plays in TIMELINE_STEPS frames
+  useEffect(() => {
+    if (!timelinePlaying) return;
+    const interval = setInterval(() => {
+      setTimelineSeconds(prev => Math.min(prev + timelineDuration / TIMELINE_STEPS, timelineDuration));
+    }, TIMELINE_FRAME_MS);
+    return () => clearInterval(interval);
+  }, [timelinePlaying, timelineDuration]);
+
+  useEffect(() => {
+    if (timelinePlaying && timelineSeconds >= timelineDuration) setTimelinePlaying(false);
+  }, [timelinePlaying, timelineSeconds, timelineDuration]);
+
+  const handleChange = (e) => {
+    setCustomData({...customData, [e.target.name]: e.target.value});
+    // Edited inputs no longer match the saved result
+    setScenarioId(null);
+  };
 
   const submitCustomHit = async () => {
     const API_BASE = 'https://nasa-meteor-madness.onrender.com';
@@ -146,11 +336,14 @@ export default function ImpactDashboard() {
       const response = await fetch(`${API_BASE}/custom-hit`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(customData)
+        body: JSON.stringify(seed ? { ...customData, seed } : customData)
       });
       if (!response.ok) throw new Error('Failed to submit custom hit');
       const result = await response.json();
       setSelectedAsteroid(result.data);
+      setSimulatedInputs(customData);
+      setSeed(String(result.data.metadata.seed));
+      setScenarioId(null);
       
       // Wait a brief moment then reopen the map
       setTimeout(() => {
@@ -165,9 +358,219 @@ export default function ImpactDashboard() {
     }
   };
 
+  const loadScenario = async (id) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com';
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE}/scenarios/${id}`);
+      const scenario = await response.json();
+      if (!response.ok) throw new Error(scenario.error || 'Failed to load scenario');
+      const inputs = Object.fromEntries(PERMALINK_FIELDS.filter(field => field in scenario.inputs).map(field => [field, scenario.inputs[field]]));
+      setCustomData(prev => ({ ...prev, ...inputs }));
+      setSimulatedInputs(inputs);
+      setSeed(String(scenario.inputs.seed));
+      setSelectedAsteroid(scenario.result);
+      setScenarioId(scenario.shortId);
+    } catch (err) {
+      alert(err.message);
+      setScenarioId(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyLink = async (params = buildPermalinkParams()) => {
+    const link = `${window.location.origin}${window.location.pathname}?${params}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt('Copy this link', link);
+    }
+  };
+
+  // Save the result as a scenario so the link is short and does not need recomputing
+  const saveAndShare = async () => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com';
+    const name = window.prompt('Scenario name', `${customData.diameter} m impact at ${customData.lat}, ${customData.long}`);
+    if (!name?.trim()) return;
+    try {
+      const response = await fetch(`${API_BASE}/scenarios`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), inputs: { ...customData, seed } })
+      });
+      const scenario = await response.json();
+      if (!response.ok) throw new Error(scenario.error || 'Failed to save scenario');
+      setScenarioId(scenario.shortId);
+      const params = new URLSearchParams({ scenario: scenario.shortId, tab: activeTab });
+      if (mapZoom) params.set('zoom', mapZoom);
+      copyLink(params);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Recompute the result with the same inputs and seed in a GIS format and save it as a file
+  const downloadExport = async (format) => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com';
+    try {
+      const response = await fetch(`${API_BASE}/custom-hit?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(seed ? { ...customData, seed } : customData)
+      });
+      if (!response.ok) throw new Error((await response.json()).error || `Failed to export ${EXPORT_FORMATS[format].label}`);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `impact-${scenarioId || seed || 'scenario'}.${EXPORT_FORMATS[format].extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Ask the saved scenario when each effect reaches the chosen distance from ground zero
+  const loadTimeline = async () => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com';
+    try {
+      setTimelineLoading(true);
+      setTimelinePlaying(false);
+      const response = await fetch(`${API_BASE}/custom-hit/${scenarioId}/timeline?distanceKm=${encodeURIComponent(timelineDistance)}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to build effect timeline');
+      setTimeline(result);
+      setTimelineSeconds(0);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setTimelineLoading(false);
+    }
+  };
+
+  const toggleTimelinePlayback = () => {
+    if (!timelinePlaying && timelineSeconds >= timelineDuration) setTimelineSeconds(0);
+    setTimelinePlaying(!timelinePlaying);
+  };
+
+  // Rings as they stand at the slider time: blast rings ride the shock front, thermal rings
+  // fill in as the fluence builds up, and seismic and tsunami fronts spread at constant speed
+  const renderTimelineRings = () => {
+    const { fronts } = timeline;
+    const blastRadius = blastFrontRadius(fronts.blastFront, timelineSeconds);
+    const thermalFactor = fronts.fireballSeconds > 0 ? Math.sqrt(Math.min(1, timelineSeconds / fronts.fireballSeconds)) : 1;
+    const waveFronts = [
+      { key: 'pWave', label: 'P wave', speed: fronts.speeds.pWaveKmPerSecond, color: '#AB47BC' },
+      { key: 'sWave', label: 'S wave', speed: fronts.speeds.sWaveKmPerSecond, color: '#7E57C2' },
+      { key: 'tsunami', label: 'Tsunami', speed: fronts.speeds.tsunamiKmPerSecond, color: '#29B6F6' }
+    ].filter(wave => wave.speed && wave.speed * timelineSeconds > 0);
+
+    return (
+      <>
+        {Object.entries(selectedAsteroid.blastRadiusData?.thermalRadiation || {})
+          .filter(([, zone]) => zone.radius > 0 && thermalFactor > 0)
+          .map(([key, zone]) => (
+            <ZoneShape key={`thermal-${key}`} lat={customData.lat} lng={customData.long} zone={scaleZone(zone, thermalFactor)} color={getThermalColor(key)} fillOpacity={0.05} dashArray="4 4" />
+          ))}
+        {Object.entries(selectedAsteroid.blastRadiusData?.blastEffects || {})
+          .filter(([, zone]) => zone.radius > 0 && blastRadius > 0)
+          .map(([key, zone]) => (
+            <ZoneShape key={`blast-${key}`} lat={customData.lat} lng={customData.long} zone={scaleZone(zone, Math.min(1, blastRadius / zone.radius))} color={getZoneColor(key)} fillOpacity={0.25} />
+          ))}
+        {waveFronts.map(wave => (
+          <Circle key={wave.key} center={[customData.lat, customData.long]} radius={wave.speed * timelineSeconds * 1000} pathOptions={{ color: wave.color, fill: false, dashArray: '2 6' }}>
+            <Popup>{wave.label} front: {formatNumber((wave.speed * timelineSeconds).toFixed(1))} km</Popup>
+          </Circle>
+        ))}
+        <Circle center={[customData.lat, customData.long]} radius={Math.max(timeline.distanceKm, 0.01) * 1000} pathOptions={{ color: '#FFFFFF', fill: false, weight: 1, dashArray: '6 4' }}>
+          <Popup>{timeline.distanceKm} km from ground zero</Popup>
+        </Circle>
+      </>
+    );
+  };
+
+  const handleSweepParameter = (parameter) => {
+    setSweep(prev => ({ ...prev, parameter, ...SWEEP_PARAMETERS[parameter] }));
+    setSweepResult(null);
+  };
+
+  // Run the swept inputs through the batch endpoint, holding every other input at the current scenario
+  const runSweep = async () => {
+    const API_BASE = 'https://nasa-meteor-madness.onrender.com';
+    const min = Number(sweep.min);
+    const max = Number(sweep.max);
+    const steps = Number(sweep.steps);
+    if (!(min < max) || (sweep.spacing === 'log' && min <= 0)) {
+      alert('Sweep range needs min < max (and min > 0 for a log scale)');
+      return;
+    }
+    if (!Number.isInteger(steps) || steps < 2 || steps > MAX_SWEEP_STEPS) {
+      alert(`Sweep steps must be a whole number from 2 to ${MAX_SWEEP_STEPS}`);
+      return;
+    }
+
+    const current = Number(customData[sweep.parameter]);
+    try {
+      setSweepLoading(true);
+      const response = await fetch(`${API_BASE}/custom-hit/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          base: seed ? { ...customData, seed } : customData,
+          grid: { [sweep.parameter]: { values: sweepValues({ min, max, steps, spacing: sweep.spacing }, current) } },
+          fields: SWEEP_FIELDS
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to run sensitivity sweep');
+      setSweepResult({
+        parameter: sweep.parameter,
+        logX: sweep.spacing === 'log',
+        xValues: result.results.map(row => row.parameters[sweep.parameter]),
+        outputs: result.results.map(row => row.outputs || {}),
+        marker: current,
+        failedRuns: result.failedRuns
+      });
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSweepLoading(false);
+    }
+  };
+
+  const renderSweepCharts = () => {
+    const { parameter, logX, xValues, outputs, marker, failedRuns } = sweepResult;
+    const { label, unit } = SWEEP_PARAMETERS[parameter];
+    const chart = { xLabel: `${label} (${unit})`, xValues, marker, logX };
+    const valuesOf = (field) => outputs.map(output => output[field] ?? null);
+    return (
+      <div className="space-y-3 mt-3">
+        {failedRuns > 0 && (
+          <p className="text-xs text-yellow-400">{failedRuns} of {xValues.length} runs failed and are left out of the curves</p>
+        )}
+        <SweepChart {...chart} title="Impact Energy" unit="Mt TNT" series={[{ name: 'Energy', color: '#FF9100', values: valuesOf('energyMegatons') }]} />
+        <SweepChart {...chart} title="Crater Diameter" unit="m" series={[{ name: 'Crater', color: '#A1887F', values: valuesOf('craterDiameterM') }]} />
+        <SweepChart
+          {...chart}
+          title="Blast Radii"
+          unit="km"
+          series={SWEEP_BLAST_ZONES.map(zone => ({ name: zone.label, color: zone.color, values: valuesOf(`blastRadiusData.blastEffects.${zone.key}.radius`) }))}
+        />
+        <SweepChart {...chart} title="Seismic Magnitude" unit="Mw" includeZero={false} series={[{ name: 'Magnitude', color: '#AB47BC', values: valuesOf('seismicMagnitude') }]} />
+      </div>
+    );
+  };
+
   const resetSimulation = () => {
     setSelectedAsteroid(null);
+    setSimulatedInputs(null);
     setShowMap(true);
+    setSeed('');
+    setScenarioId(null);
+    setSearchParams(new URLSearchParams(), { replace: true });
   };
 
   const renderLegend = (type) => {
@@ -214,52 +617,79 @@ export default function ImpactDashboard() {
     switch(type) {
       case 'blast':
         return Object.entries(selectedAsteroid.blastRadiusData?.blastEffects || {}).map(([key, zone], idx) => (
-          <Circle
+          <ZoneShape
             key={idx}
-            center={[customData.lat, customData.long]}
-            radius={zone.radius > 1 ? zone.radius * 1000 : 500}
-            pathOptions={{ color: getZoneColor(key), fillOpacity: 0.3 }}
+            lat={customData.lat}
+            lng={customData.long}
+            zone={zone}
+            color={getZoneColor(key)}
+            fillOpacity={0.3}
           >
             <Popup>
               <strong>{key}</strong><br/>
               Radius: {zone.radius} km<br/>
+              {formatExtent(zone.footprint) && <>{formatExtent(zone.footprint)}<br/></>}
               Survivability: {zone.survivability}
             </Popup>
-          </Circle>
+          </ZoneShape>
         ));
       case 'thermal':
         return Object.entries(selectedAsteroid.blastRadiusData?.thermalRadiation || {}).map(([key, zone], idx) => (
-          <Circle
+          <ZoneShape
             key={idx}
-            center={[customData.lat, customData.long]}
-            radius={zone.radius > 1 ? zone.radius * 1000 : 500}
-            pathOptions={{ color: getThermalColor(key), fillOpacity: 0.2 }}
+            lat={customData.lat}
+            lng={customData.long}
+            zone={zone}
+            color={getThermalColor(key)}
+            fillOpacity={0.2}
           >
             <Popup>
               <strong>{key}</strong><br/>
               Radius: {zone.radius} km
+              {formatExtent(zone.footprint) && <><br/>{formatExtent(zone.footprint)}</>}
             </Popup>
-          </Circle>
+          </ZoneShape>
         ));
       case 'evacuation':
         return Object.entries(selectedAsteroid.blastRadiusData?.evacuationZones || {}).map(([zoneName, zone], idx) => (
-          <Circle
+          <ZoneShape
             key={idx}
-            center={[customData.lat, customData.long]}
-            radius={zone.radius > 1 ? zone.radius * 1000 : 500}
-            pathOptions={{ color: zone.color || '#2196F3', fillOpacity: 0.1 }}
+            lat={customData.lat}
+            lng={customData.long}
+            zone={zone}
+            color={zone.color || '#2196F3'}
+            fillOpacity={0.1}
           >
             <Popup>
               <strong>{zoneName}</strong><br/>
               Radius: {zone.radius} km<br/>
               {zone.description}
             </Popup>
-          </Circle>
+          </ZoneShape>
+        ));
+      case 'tsunami':
+        return (selectedAsteroid.tsunamiData?.coastalImpacts || []).map((point, idx) => (
+          <CircleMarker
+            key={idx}
+            center={[point.coordinates.latitude, point.coordinates.longitude]}
+            radius={6}
+            pathOptions={{ color: getTsunamiColor(point.hazardLevel), fillOpacity: 0.8 }}
+          >
+            <Popup>
+              <strong>{point.name}</strong><br/>
+              Arrival: {point.arrivalTime.hours.toFixed(1)} h<br/>
+              Wave amplitude: {point.waveAmplitude.toFixed(2)} m<br/>
+              Run-up: {point.runupHeight.toFixed(1)} m ({point.hazardLevel})
+            </Popup>
+          </CircleMarker>
         ));
       default: return null;
     }
   };
 
+  // Tabs shown for this result; the tsunami tab only exists for ocean impacts
+  const visibleTabs = RESULT_TABS.filter(tab => tab !== 'tsunami' || selectedAsteroid?.tsunamiData?.generated);
+
   return (
     <div className="min-h-screen relative overflow-hidden bg-slate-950">
       {/* Animated Canvas Background */}
@@ -325,7 +755,11 @@ export default function ImpactDashboard() {
                 {label: 'Longitude', name:'long', type:'number', value: customData.long, icon: <MapPin className="w-3 h-3" />},
                 {label: 'Velocity (km/s)', name:'velocity', type:'number', value: customData.velocity, icon: <Zap className="w-3 h-3" />},
                 {label: 'Diameter (m)', name:'diameter', type:'number', value: customData.diameter, icon: <Activity className="w-3 h-3" />},
-                {label: 'Miss Distance (km)', name:'miss', type:'number', value: customData.miss, icon: <Radio className="w-3 h-3" />}
+                {label: 'Density (kg/m³)', name:'density', type:'number', value: customData.density, icon: <Globe className="w-3 h-3" />},
+                {label: 'Miss Distance (km)', name:'miss', type:'number', value: customData.miss, icon: <Radio className="w-3 h-3" />},
+                {label: 'Impact Angle (°)', name:'angle', type:'number', value: customData.angle, icon: <Navigation className="w-3 h-3" />},
+                {label: 'Azimuth (° from N)', name:'azimuth', type:'number', value: customData.azimuth, icon: <Compass className="w-3 h-3" />},
+                {label: 'Water Depth (m, ocean)', name:'waterDepth', type:'number', value: customData.waterDepth, icon: <Waves className="w-3 h-3" />}
               ].map(field => (
                 <div className="flex flex-col group" key={field.name}>
                   <label className="block text-slate-400 text-xs mb-1">
@@ -362,13 +796,50 @@ export default function ImpactDashboard() {
                 Reset
               </button>
             </div>
+
+            {selectedAsteroid && (
+              <div className="flex flex-wrap gap-3 mt-3">
+                <button
+                  className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-white px-4 py-2 rounded-lg font-semibold transition-colors flex items-center gap-2 text-sm"
+                  onClick={() => copyLink()}
+                >
+                  {linkCopied ? <Check className="w-4 h-4 text-green-400" /> : <Link className="w-4 h-4" />}
+                  {linkCopied ? 'Link Copied' : 'Copy Link'}
+                </button>
+                {!scenarioId && (
+                  <button
+                    className="bg-cyan-600 hover:bg-cyan-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors flex items-center gap-2 text-sm"
+                    onClick={saveAndShare}
+                  >
+                    <Share2 className="w-4 h-4" />
+                    Save &amp; Share
+                  </button>
+                )}
+                {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                  <button
+                    key={format}
+                    className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-white px-4 py-2 rounded-lg font-semibold transition-colors flex items-center gap-2 text-sm"
+                    onClick={() => downloadExport(format)}
+                  >
+                    <Download className="w-4 h-4" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {scenarioId && (
+              <p className="text-xs text-slate-400 mt-2">Showing saved scenario {scenarioId}</p>
+            )}
           </div>
 
           {/* Right Side - Map Preview with Tabs */}
           <div className="bg-slate-900/80 backdrop-blur-md rounded-lg p-4 border border-slate-700">
             <h3 className="text-lg font-bold text-white mb-3">Impact Preview</h3>
             {selectedAsteroid && showMap ? (
-              <Tabs>
+              <Tabs
+                selectedIndex={Math.max(0, visibleTabs.indexOf(activeTab))}
+                onSelect={(index) => setActiveTab(visibleTabs[index])}
+              >
                 <TabList className="flex gap-1 mb-3 border-b border-slate-700 pb-2">
                   <Tab className="px-2 py-1 rounded-md bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-300 hover:text-white transition-colors cursor-pointer font-medium flex items-center gap-1 text-xs">
                     <Zap className="w-2 h-2" />
@@ -382,12 +853,27 @@ export default function ImpactDashboard() {
                     <Users className="w-2 h-2" />
                     Evacuation
                   </Tab>
+                  {selectedAsteroid.tsunamiData?.generated && (
+                    <Tab className="px-2 py-1 rounded-md bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-300 hover:text-white transition-colors cursor-pointer font-medium flex items-center gap-1 text-xs">
+                      <Waves className="w-2 h-2" />
+                      Tsunami
+                    </Tab>
+                  )}
+                  <Tab className="px-2 py-1 rounded-md bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-300 hover:text-white transition-colors cursor-pointer font-medium flex items-center gap-1 text-xs">
+                    <Clock className="w-2 h-2" />
+                    Timeline
+                  </Tab>
+                  <Tab className="px-2 py-1 rounded-md bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-300 hover:text-white transition-colors cursor-pointer font-medium flex items-center gap-1 text-xs">
+                    <LineChart className="w-2 h-2" />
+                    Sensitivity
+                  </Tab>
                 </TabList>
 
                 <TabPanel>
                   <div className="rounded-lg overflow-hidden border border-slate-600">
-                    <MapContainer key={`preview-blast-${Date.now()}`} center={[customData.lat, customData.long]} zoom={6} style={{ height: '250px', width: '100%' }}>
+                    <MapContainer key={`preview-blast-${Date.now()}`} center={[customData.lat, customData.long]} zoom={mapZoom ?? DEFAULT_ZOOM.blast} style={{ height: '250px', width: '100%' }}>
                       <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="© OpenStreetMap contributors"/>
+                      <ZoomTracker onZoom={setMapZoom} />
                       {renderMapCircles('blast')}
                     </MapContainer>
                   </div>
@@ -409,8 +895,9 @@ export default function ImpactDashboard() {
 
                 <TabPanel>
                   <div className="rounded-lg overflow-hidden border border-slate-600">
-                    <MapContainer key={`preview-thermal-${Date.now()}`} center={[customData.lat, customData.long]} zoom={6} style={{ height: '250px', width: '100%' }}>
+                    <MapContainer key={`preview-thermal-${Date.now()}`} center={[customData.lat, customData.long]} zoom={mapZoom ?? DEFAULT_ZOOM.thermal} style={{ height: '250px', width: '100%' }}>
                       <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="© OpenStreetMap contributors"/>
+                      <ZoomTracker onZoom={setMapZoom} />
                       {renderMapCircles('thermal')}
                     </MapContainer>
                   </div>
@@ -429,8 +916,9 @@ export default function ImpactDashboard() {
 
                 <TabPanel>
                   <div className="rounded-lg overflow-hidden border border-slate-600">
-                    <MapContainer key={`preview-evacuation-${Date.now()}`} center={[customData.lat, customData.long]} zoom={6} style={{ height: '250px', width: '100%' }}>
+                    <MapContainer key={`preview-evacuation-${Date.now()}`} center={[customData.lat, customData.long]} zoom={mapZoom ?? DEFAULT_ZOOM.evacuation} style={{ height: '250px', width: '100%' }}>
                       <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="© OpenStreetMap contributors"/>
+                      <ZoomTracker onZoom={setMapZoom} />
                       {renderMapCircles('evacuation')}
                     </MapContainer>
                   </div>
@@ -449,6 +937,184 @@ export default function ImpactDashboard() {
                     </span>
                   </div>
                 </TabPanel>
+
+                {selectedAsteroid.tsunamiData?.generated && (
+                  <TabPanel>
+                    <div className="rounded-lg overflow-hidden border border-slate-600">
+                      <MapContainer key={`preview-tsunami-${Date.now()}`} center={[customData.lat, customData.long]} zoom={mapZoom ?? DEFAULT_ZOOM.tsunami} style={{ height: '250px', width: '100%' }}>
+                        <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="© OpenStreetMap contributors"/>
+                        <ZoomTracker onZoom={setMapZoom} />
+                        <Circle
+                          center={[customData.lat, customData.long]}
+                          radius={selectedAsteroid.tsunamiData.source.cavity.diameter / 2}
+                          pathOptions={{ color: '#29B6F6', fillOpacity: 0.4 }}
+                        />
+                        {renderMapCircles('tsunami')}
+                      </MapContainer>
+                    </div>
+                    <p className="text-xs text-slate-400 mt-1 text-center">
+                      Initial wave {selectedAsteroid.tsunamiData.source.initialAmplitude.toFixed(0)} m, max run-up {selectedAsteroid.tsunamiData.maxRunup.toFixed(1)} m
+                    </p>
+                    <div className="flex gap-1 flex-wrap mt-1 justify-center">
+                      {['EXTREME', 'SEVERE', 'HIGH', 'MODERATE', 'LOW'].map(level => (
+                        <span key={level} className="flex items-center gap-1 text-xs text-slate-400">
+                          <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getTsunamiColor(level) }}></span>{level}
+                        </span>
+                      ))}
+                    </div>
+                  </TabPanel>
+                )}
+
+                <TabPanel>
+                  {scenarioId ? (
+                    <>
+                      <div className="flex items-end gap-2">
+                        <label className="text-xs text-slate-400 flex flex-col gap-1">
+                          Distance from ground zero (km)
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={timelineDistance}
+                            onChange={(e) => setTimelineDistance(e.target.value)}
+                            className="p-2 rounded-lg bg-slate-800/70 text-white border border-slate-700/60 outline-none focus:border-cyan-400/60 text-sm"
+                          />
+                        </label>
+                        <button
+                          className="bg-green-600 hover:bg-green-700 disabled:bg-slate-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors flex items-center gap-2 text-sm"
+                          onClick={loadTimeline}
+                          disabled={timelineLoading}
+                        >
+                          <Clock className={`w-4 h-4 ${timelineLoading ? 'animate-pulse' : ''}`} />
+                          {timelineLoading ? 'Building...' : 'Build Timeline'}
+                        </button>
+                      </div>
+                      {timeline ? (
+                        <>
+                          <div className="rounded-lg overflow-hidden border border-slate-600 mt-3">
+                            <MapContainer key={`preview-timeline-${scenarioId}`} center={[customData.lat, customData.long]} zoom={mapZoom ?? DEFAULT_ZOOM.blast} style={{ height: '250px', width: '100%' }}>
+                              <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="© OpenStreetMap contributors"/>
+                              <ZoomTracker onZoom={setMapZoom} />
+                              {renderTimelineRings()}
+                            </MapContainer>
+                          </div>
+                          <div className="flex items-center gap-2 mt-2">
+                            <button
+                              className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-white p-2 rounded-lg transition-colors"
+                              onClick={toggleTimelinePlayback}
+                              title={timelinePlaying ? 'Pause' : 'Play'}
+                            >
+                              {timelinePlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                            </button>
+                            <input
+                              type="range"
+                              min="0"
+                              max={timelineDuration}
+                              step={timelineDuration / TIMELINE_STEPS}
+                              value={timelineSeconds}
+                              onChange={(e) => { setTimelinePlaying(false); setTimelineSeconds(Number(e.target.value)); }}
+                              className="flex-1 accent-cyan-500"
+                            />
+                            <span className="text-xs text-white font-mono w-20 text-right">T+{formatDuration(timelineSeconds)}</span>
+                          </div>
+                          <table className="w-full text-xs mt-3">
+                            <thead>
+                              <tr className="text-slate-400 text-left">
+                                <th className="py-1 font-normal">Effect at {timeline.distanceKm} km</th>
+                                <th className="py-1 font-normal">Arrives</th>
+                                <th className="py-1 font-normal">Peak</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {timeline.effects.map(effect => (
+                                <tr key={effect.effect} className={`border-t border-slate-800 align-top ${effect.arrivalSeconds <= timelineSeconds ? 'text-white' : 'text-slate-500'}`}>
+                                  <td className="py-1 pr-2">
+                                    <div className="font-semibold">{effect.name}</div>
+                                    <div className="text-slate-400">{effect.description}</div>
+                                  </td>
+                                  <td className="py-1 pr-2 whitespace-nowrap">T+{formatDuration(effect.arrivalSeconds)}</td>
+                                  <td className="py-1 whitespace-nowrap">
+                                    {effect.peak.value === null ? '—' : `${Number(effect.peak.value.toPrecision(3)).toLocaleString()} ${effect.peak.unit}`}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {timeline.notApplicable.length > 0 && (
+                            <p className="text-xs text-slate-400 mt-2">
+                              Not expected here: {timeline.notApplicable.map(item => item.reason).join('; ')}
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <p className="text-xs text-slate-400 mt-3">
+                          Pick a distance to see when the thermal pulse, air blast, seismic waves, ejecta and tsunami arrive there, then scrub or play the rings expanding.
+                        </p>
+                      )}
+                    </>
+                  ) : (
+                    <div className="text-xs text-slate-400 space-y-3">
+                      <p>Timelines are built from saved scenarios. Save this result to see when each effect reaches a given distance.</p>
+                      <button
+                        className="bg-cyan-600 hover:bg-cyan-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors flex items-center gap-2 text-sm"
+                        onClick={saveAndShare}
+                      >
+                        <Share2 className="w-4 h-4" />
+                        Save &amp; Share
+                      </button>
+                    </div>
+                  )}
+                </TabPanel>
+
+                <TabPanel>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+                    <label className="text-xs text-slate-400 flex flex-col gap-1 col-span-2 md:col-span-1">
+                      Vary
+                      <select
+                        value={sweep.parameter}
+                        onChange={(e) => handleSweepParameter(e.target.value)}
+                        className="p-2 rounded-lg bg-slate-800/70 text-white border border-slate-700/60 outline-none focus:border-cyan-400/60 text-sm"
+                      >
+                        {Object.entries(SWEEP_PARAMETERS).map(([name, parameter]) => (
+                          <option key={name} value={name}>{parameter.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {['min', 'max', 'steps'].map(field => (
+                      <label key={field} className="text-xs text-slate-400 flex flex-col gap-1">
+                        {field === 'steps' ? 'Steps' : `${field === 'min' ? 'From' : 'To'} (${SWEEP_PARAMETERS[sweep.parameter].unit})`}
+                        <input
+                          type="number"
+                          step="any"
+                          value={sweep[field]}
+                          onChange={(e) => setSweep(prev => ({ ...prev, [field]: e.target.value }))}
+                          className="p-2 rounded-lg bg-slate-800/70 text-white border border-slate-700/60 outline-none focus:border-cyan-400/60 text-sm"
+                        />
+                      </label>
+                    ))}
+                    <label className="text-xs text-slate-400 flex items-center gap-2 pb-2">
+                      <input
+                        type="checkbox"
+                        checked={sweep.spacing === 'log'}
+                        onChange={(e) => setSweep(prev => ({ ...prev, spacing: e.target.checked ? 'log' : 'linear' }))}
+                      />
+                      Log scale
+                    </label>
+                  </div>
+                  <button
+                    className="mt-3 bg-green-600 hover:bg-green-700 disabled:bg-slate-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors flex items-center gap-2 text-sm"
+                    onClick={runSweep}
+                    disabled={sweepLoading}
+                  >
+                    <LineChart className={`w-4 h-4 ${sweepLoading ? 'animate-pulse' : ''}`} />
+                    {sweepLoading ? 'Running sweep...' : 'Run Sweep'}
+                  </button>
+                  {sweepResult ? renderSweepCharts() : (
+                    <p className="text-xs text-slate-400 mt-3">
+                      Vary one input over a range, holding the others at the current scenario; the cyan line marks the current value.
+                    </p>
+                  )}
+                </TabPanel>
               </Tabs>
             ) : (
               <div className="h-[300px] w-full bg-slate-800 rounded-lg flex items-center justify-center border border-slate-600">
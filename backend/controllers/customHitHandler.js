@@ -10,17 +10,53 @@ Custom Hit Handler --> Values to control the custom hit endpoint
         8. approach (in lunar distances)
         9. miss (in km)
         10. hazard (boolean true/false)
+        11. strength (optional - yield strength in Pa, estimated from density if not provided)
+        12. angle (optional - impact angle in degrees from horizontal, default: 45)
+        13. azimuth (optional - direction of travel in degrees clockwise from north, default: 0)
+        14. target (optional - crater target material: dry_soil, wet_sediment, crystalline_rock, ice, water; default: water over ocean, crystalline_rock on land)
+        15. waterDepth (optional - water depth at the impact point in meters, default: 3700 for ocean impacts)
+        16. coastalPoints (optional - array of { name, lat, long } to evaluate tsunami arrival and run-up)
+        17. monteCarlo (optional - true, or { samples, diameter, density, velocity, angle, strength } distributions, to report median and percentile bands)
+        18. uncertaintyMajor (optional - 1-sigma b-plane uncertainty along the ellipse's major axis in km, default: 10% of miss)
+        19. uncertaintyMinor (optional - 1-sigma b-plane uncertainty along the minor axis in km, default: uncertaintyMajor)
+        20. uncertaintyAngle (optional - angle between the major axis and the line to Earth's centre in degrees, default: 0)
+        21. seed (optional - number or string seeding all random sampling; echoed in metadata, generated if not provided)
+
+Output formats (?format=) --> json (default), geojson (FeatureCollection of effect zone polygons),
+        kml (styled zone polygons for Google Earth) or czml (trajectory and expanding rings for Cesium);
+        GET /custom-hit takes the same inputs as query parameters (true/false for booleans, monteCarlo=true
+        or URL-encoded JSON for coastalPoints and monteCarlo options), and GET /neo/:id?format= exports
+        the NEO as if it struck (see neoImpactInputs)
+
+Batch endpoint (POST /custom-hit/batch) --> { scenarios: [inputs...] } or { grid: { diameter: { min, max, steps, spacing }, ... } },
+        with optional base inputs shared by every run, fields (output aliases or dot paths) and format (json or csv)
 */
 
 const { 
     calculateMass, 
     calculateKineticEnergy, 
-    calculateCraterDiameter, 
-    estimateImpactProbability,
     CONSTANTS 
 } = require('../services/calculate_hit');
 
-const { assessGeographicRisk } = require('../services/calculate_lat_and_long');
+// Import the b-plane impact probability model
+const { calculateImpactProbability, estimateMissUncertainty, BPLANE_CONSTANTS } = require('../services/calculate_bplane');
+
+// Import the impact corridor calculator
+const { calculateCustomImpactCorridor } = require('../services/calculate_corridor');
+
+const { assessGeographicRisk, detectRegion } = require('../services/calculate_lat_and_long');
+
+// Import the Torino/Palermo hazard scales
+const { calculateHazardScales, getRiskLevel } = require('../services/hazard_scales');
+
+// Import the crater calculator
+const { calculateCrater, TARGET_MATERIALS, CRATER_CONSTANTS } = require('../services/calculate_crater');
+
+// Import the atmospheric entry calculator
+const { simulateAtmosphericEntry, ENTRY_CONSTANTS } = require('../services/calculate_atmospheric_entry');
+
+// Import the tsunami calculator
+const { addTsunamiData } = require('../services/calculate_tsunami');
 
 // Import the earthquake calculator
 const { addEarthquakeData } = require('../services/calculate_earthquake');
@@ -28,175 +64,68 @@ const { addEarthquakeData } = require('../services/calculate_earthquake');
 // Import the blast radius calculator
 const { addBlastRadiusData } = require('../services/calculate_blast_radius');
 
+// Import the casualty estimator
+const { addCasualtyData } = require('../services/calculate_casualties');
+
 // Import the mitigation strategies calculator
 const { addMitigationStrategies } = require('../services/mitigation_strategies');
 
-module.exports.getCustomHit = async (req, res) => {
-    try {
-        const {
-            date,
-            lat,
-            long,
-            velocity,      // in km/s
-            diameter,      // in meters
-            mass,          // in kg (optional)
-            density,       // in kg/m³ (optional, default: 3000)
-            approach,      // in lunar distances
-            miss,          // in km
-            hazard         // boolean
-        } = req.body;
-
-        // Validate required input
-        if (!date || lat === undefined || long === undefined || !velocity || !diameter || miss === undefined) {
-            return res.status(400).json({ 
-                error: 'Required fields: date, lat, long, velocity, diameter, miss',
-                requiredFields: {
-                    date: 'YYYY-MM-DD format',
-                    lat: 'latitude in decimal degrees (-90 to 90)',
-                    long: 'longitude in decimal degrees (-180 to 180)',
-                    velocity: 'velocity in km/s',
-                    diameter: 'diameter in meters',
-                    miss: 'miss distance in km'
-                },
-                optionalFields: {
-                    mass: 'mass in kg (calculated if not provided)',
-                    density: 'density in kg/m³ (default: 3000)',
-                    approach: 'approach distance in lunar distances',
-                    hazard: 'boolean (default: false)'
-                }
-            });
-        }
-
-        // Parse and validate numeric inputs
-        const parsedLat = parseFloat(lat);
-        const parsedLong = parseFloat(long);
-        const parsedVelocity = parseFloat(velocity);
-        const parsedDiameter = parseFloat(diameter);
-        const parsedMiss = parseFloat(miss);
-        const parsedDensity = density ? parseFloat(density) : CONSTANTS.DEFAULT_DENSITY;
-        const parsedApproach = approach ? parseFloat(approach) : null;
-        const isHazardous = hazard === true || hazard === 'true';
-
-        // Validate ranges
-        if (parsedLat < -90 || parsedLat > 90) {
-            return res.status(400).json({ error: 'Latitude must be between -90 and 90' });
-        }
-        if (parsedLong < -180 || parsedLong > 180) {
-            return res.status(400).json({ error: 'Longitude must be between -180 and 180' });
-        }
-        if (parsedVelocity <= 0 || parsedDiameter <= 0 || parsedMiss < 0) {
-            return res.status(400).json({ error: 'Velocity, diameter, and miss distance must be positive' });
-        }
+// Import the Monte Carlo uncertainty propagation
+const { runMonteCarlo, validateMonteCarloOptions } = require('../services/monte_carlo');
 
-        // Calculate mass if not provided
-        const calculatedMass = mass ? parseFloat(mass) : calculateMass(parsedDiameter, parsedDensity);
+// Import the seeded random number generator
+const { createRandom, validateSeed, resolveSeed } = require('../services/random');
 
-        // Convert velocity from km/s to m/s
-        const velocityMS = parsedVelocity * 1000;
+// Import batch expansion and formatting for parameter sweeps
+const { planBatch, runBatch, formatBatchCsv } = require('../services/batch');
 
-        // Perform impact calculations
-        const kineticEnergy = calculateKineticEnergy(calculatedMass, velocityMS);
-        const craterDiameter = calculateCraterDiameter(kineticEnergy);
-        const craterRadius = craterDiameter / 2;
-        const impactProbability = estimateImpactProbability(parsedMiss, parsedDiameter / 1000);
+// Import the strict YYYY-MM-DD check shared with the NEO feed
+const { parseFeedDate } = require('../services/nasa');
 
-        // Determine risk level
-        const riskLevel = getRiskLevel(impactProbability, isHazardous);
+// Import the map exporters for GIS, Google Earth and Cesium downloads
+const { buildImpactGeoJSON } = require('../services/geojson_export');
+const { buildImpactKml } = require('../services/kml_export');
+const { buildImpactCzml } = require('../services/czml_export');
 
-        // Calculate geographic risk
-        const craterRadiusKm = craterRadius / 1000;
-        const impactLocation = {
-            estimatedImpactPoint: {
-                latitude: parsedLat,
-                longitude: parsedLong,
-                confidence: 'user-provided',
-                note: 'Custom impact location provided by user'
-            },
-            impactTimestamp: new Date(date).toISOString(),
-            coordinateSystem: 'WGS84'
-        };
+// Version of the impact model; bump when a change alters computed results
+const MODEL_VERSION = '1.0.0';
 
-        const geographicRisk = assessGeographicRisk(impactLocation, craterRadiusKm);
-
-        // Prepare comprehensive response with basic calculations
-        let customHitData = {
-            input: {
-                date: date,
-                location: {
-                    latitude: parsedLat,
-                    longitude: parsedLong
-                },
-                velocity: {
-                    kilometersPerSecond: parsedVelocity,
-                    kilometersPerHour: parsedVelocity * 3600,
-                    metersPerSecond: velocityMS
-                },
-                size: {
-                    diameter: parsedDiameter,
-                    mass: calculatedMass,
-                    density: parsedDensity,
-                    unit: 'meters'
-                },
-                approach: parsedApproach ? {
-                    lunarDistances: parsedApproach,
-                    kilometers: parsedApproach * 384400 // 1 LD = 384,400 km
-                } : null,
-                missDistance: {
-                    kilometers: parsedMiss,
-                    earthRadii: parsedMiss / 6371
-                },
-                isPotentiallyHazardous: isHazardous
-            },
-            calculations: {
-                mass: {
-                    value: calculatedMass,
-                    unit: 'kg',
-                    source: mass ? 'user-provided' : 'calculated'
-                },
-                kineticEnergy: {
-                    value: kineticEnergy,
-                    unit: 'Joules',
-                    megatons: kineticEnergy / 4.184e15,
-                    kilotons: kineticEnergy / 4.184e12,
-                    note: 'Energy equivalent in TNT explosive yield'
-                },
-                estimatedCrater: {
-                    diameter: craterDiameter,
-                    radius: craterRadius,
-                    unit: 'meters',
-                    radiusKm: craterRadiusKm
-                },
-                impactProbability: {
-                    value: impactProbability,
-                    percentage: (impactProbability * 100).toFixed(8),
-                    riskLevel: riskLevel
-                }
-            },
-            geographicImpactData: {
-                impactLocation: impactLocation,
-                geographicRisk: geographicRisk
-            },
-            metadata: {
-                calculatedAt: new Date().toISOString(),
-                source: 'custom-user-input',
-                note: 'Calculations based on user-provided custom asteroid data'
-            }
-        };
+// Map file exports of a single result (?format=), alongside the default json
+const EXPORTERS = {
+    geojson: { type: 'application/geo+json', extension: 'geojson', build: (data, options) => JSON.stringify(buildImpactGeoJSON(data, options)) },
+    kml: { type: 'application/vnd.google-earth.kml+xml', extension: 'kml', build: buildImpactKml },
+    czml: { type: 'application/json', extension: 'czml', build: (data, options) => JSON.stringify(buildImpactCzml(data, options)) }
+};
+const OUTPUT_FORMATS = ['json', ...Object.keys(EXPORTERS)];
 
-        // Add earthquake data calculations
-        console.log('Calculating earthquake effects...');
-        customHitData = addEarthquakeData(customHitData);
+// Structured inputs passed as JSON in the query string of GET /custom-hit
+const QUERY_JSON_INPUTS = ['coastalPoints', 'monteCarlo'];
+const QUERY_JSON_EXAMPLES = {
+    coastalPoints: '[{"name":"Lisbon","lat":38.7,"long":-9.1}]',
+    monteCarlo: '{"samples":200}'
+};
 
-        // Add blast radius calculations
-        console.log('Calculating blast radius effects...');
-        customHitData = addBlastRadiusData(customHitData);
+module.exports.getCustomHit = async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const formatError = validateOutputFormat(req.query.format);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
 
-        // Add mitigation strategies
-        console.log('Calculating mitigation strategies...');
-        customHitData = addMitigationStrategies(customHitData);
+        // GET takes the inputs from the query string so a result can be linked or downloaded directly
+        const { inputs, error: queryError } = req.method === 'GET' ? parseQueryInputs(req.query) : { inputs: req.body };
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+        const { data: customHitData, error } = await computeCustomHit(inputs);
+        if (error) {
+            return res.status(400).json(error);
+        }
 
-        // Add comprehensive summary
-        customHitData.impactSummary = generateImpactSummary(customHitData);
+        if (EXPORTERS[format]) {
+            return sendExport(res, format, customHitData, { name: 'Custom impact scenario', filename: 'custom-hit' });
+        }
 
         // Return the complete processed data with all calculations
         res.json({ 
@@ -206,11 +135,15 @@ module.exports.getCustomHit = async (req, res) => {
             dataStructure: {
                 input: 'User-provided asteroid parameters',
                 calculations: 'Basic impact physics (energy, crater)',
+                atmosphericEntryData: 'Drag, ablation, breakup and airburst altitude',
                 geographicImpactData: 'Geographic location and risk assessment',
+                tsunamiData: 'Water cavity, wave propagation and coastal run-up (ocean impacts)',
                 earthquakeData: 'Seismic magnitude and effects',
                 blastRadiusData: 'Blast wave, thermal, and ejecta effects',
+                casualtyData: 'Population-weighted deaths and injuries per effect with most affected cities',
                 mitigationData: 'Planetary defense and prevention strategies',
-                impactSummary: 'Overall impact assessment and recommendations'
+                impactSummary: 'Overall impact assessment and recommendations',
+                monteCarlo: 'Median and percentile bands from sampled inputs (Monte Carlo mode only)'
             }
         });
     } catch (error) {
@@ -224,18 +157,639 @@ module.exports.getCustomHit = async (req, res) => {
     }
 };
 
+module.exports.getCustomHitBatch = async (req, res) => {
+    try {
+        const plan = planBatch(req.body);
+        if (plan.error) {
+            return res.status(400).json({ error: plan.error });
+        }
+
+        // Invalid runs are reported in their row instead of failing the whole batch
+        console.log(`Running batch of ${plan.runs.length} custom hits...`);
+        const rows = await runBatch(plan, inputs => {
+            const { params, error } = parseCustomHitInput(inputs);
+            return error ? { error: error.error } : { data: runCustomHitPipeline(params, { verbose: false }) };
+        });
+
+        if (plan.format === 'csv') {
+            res.type('text/csv');
+            res.attachment('custom-hit-batch.csv');
+            return res.send(formatBatchCsv(plan, rows));
+        }
+
+        res.json({
+            success: true,
+            mode: plan.mode,
+            runs: rows.length,
+            failedRuns: rows.filter(row => row.error).length,
+            parameters: plan.parameters,
+            grid: plan.grid,
+            fields: plan.fields,
+            results: rows,
+            metadata: {
+                calculatedAt: new Date().toISOString(),
+                modelVersion: MODEL_VERSION
+            }
+        });
+    } catch (error) {
+        console.error('Error processing custom hit batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process custom hit batch',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Validate an output format query parameter
+ * @param {string} format - Requested format (optional)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOutputFormat(format) {
+    if (format === undefined || OUTPUT_FORMATS.includes(format)) return null;
+    return `format must be one of: ${OUTPUT_FORMATS.join(', ')}`;
+}
+
+/**
+ * Send a result as a map file download
+ * @param {object} res - Response
+ * @param {string} format - Export format (a key of EXPORTERS)
+ * @param {object} data - Custom hit data
+ * @param {object} options - { name } shown in the file and { filename } without extension
+ * @returns {void}
+ */
+function sendExport(res, format, data, { name, filename }) {
+    const exporter = EXPORTERS[format];
+    res.attachment(`${filename}.${exporter.extension}`);
+    res.type(exporter.type);
+    res.send(exporter.build(data, { name }));
+}
+
+/**
+ * Custom hit inputs that simulate a NEO striking Earth at its primary approach
+ * NEOs only carry miss calculations, so exports model the object as if it hit: its
+ * average diameter and approach velocity, with no miss distance
+ * @param {object} neo - Processed NEO (see processNEO)
+ * @param {object} location - { lat, long } used when the NEO has no estimated impact point (optional)
+ * @param {number|string} seed - Seed for the simulated impact
+ * @returns {object} { inputs }, or { error } message when there is nowhere to place the impact
+ */
+function neoImpactInputs(neo, { lat, long } = {}, seed) {
+    const approach = neo.primaryApproach;
+    if (!approach) {
+        return { error: `NEO ${neo.id} has no close approach to simulate` };
+    }
+
+    const point = neo.geographicImpactData?.impactLocation?.estimatedImpactPoint;
+    if (!point && (lat === undefined || long === undefined)) {
+        return { error: `NEO ${neo.id} has no estimated impact point; pass lat and long to place the simulated impact` };
+    }
+
+    return {
+        inputs: {
+            date: approach.closeApproachDate,
+            lat: point ? point.latitude : lat,
+            long: point ? point.longitude : long,
+            velocity: approach.velocity.kilometersPerSecond,
+            diameter: neo.diameter.average,
+            miss: 0,
+            hazard: neo.isPotentiallyHazardous,
+            seed: seed
+        }
+    };
+}
+
 /**
- * Determine risk level based on impact probability and hazard status
- * @param {number} probability - Impact probability (0-1)
- * @param {boolean} isPotentiallyHazardous - Hazard classification
- * @returns {string} Risk level
+ * Export a NEO as a map file of its simulated impact
+ * @param {object} res - Response
+ * @param {object} neo - Processed NEO (see processNEO)
+ * @param {object} options - Export options
+ * @param {string} options.format - Export format (a key of EXPORTERS)
+ * @param {object} options.location - { lat, long } for NEOs without an estimated impact point (optional)
+ * @param {number|string} options.seed - Seed for the simulated impact
+ * @returns {Promise<void>}
  */
-function getRiskLevel(probability, isPotentiallyHazardous) {
-    if (probability > 0.01) return 'CRITICAL';
-    if (probability > 0.001) return 'HIGH';
-    if (probability > 0.0001) return 'MODERATE';
-    if (isPotentiallyHazardous) return 'LOW-HAZARDOUS';
-    return 'MINIMAL';
+async function sendNeoExport(res, neo, { format, location, seed }) {
+    const { inputs, error } = neoImpactInputs(neo, location, seed);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { data, error: inputError } = await computeCustomHit(inputs);
+    if (inputError) {
+        return res.status(400).json(inputError);
+    }
+    sendExport(res, format, data, { name: `${neo.name} (simulated impact)`, filename: `neo-${neo.id}` });
+}
+
+/**
+ * Validate custom hit inputs and compute the complete result, with Monte Carlo bands when requested
+ * @param {object} body - Custom hit inputs (request body)
+ * @returns {Promise<object>} { data } with the complete impact data, or { error } with the 400 response body
+ */
+async function computeCustomHit(body) {
+    const { params, error } = parseCustomHitInput(body);
+    if (error) {
+        return { error };
+    }
+
+    const monteCarloError = validateMonteCarloOptions(body.monteCarlo);
+    if (monteCarloError) {
+        return { error: { error: monteCarloError } };
+    }
+
+    const customHitData = runCustomHitPipeline(params);
+
+    // Propagate input uncertainty through the whole pipeline
+    if (body.monteCarlo) {
+        console.log('Running Monte Carlo uncertainty propagation...');
+        customHitData.monteCarlo = await runMonteCarlo(
+            params,
+            body.monteCarlo,
+            sample => runCustomHitPipeline(sample, { verbose: false }),
+            createRandom(params.seed, 'monte-carlo')
+        );
+    }
+
+    return { data: customHitData };
+}
+
+/**
+ * Parse and validate the custom hit request body
+ * @param {object} body - Request body
+ * @returns {object} { params } with parsed inputs, or { error } with the 400 response body
+ */
+function parseCustomHitInput(body) {
+    const {
+        date,
+        lat,
+        long,
+        velocity,      // in km/s
+        diameter,      // in meters
+        mass,          // in kg (optional)
+        density,       // in kg/m³ (optional, default: 3000)
+        approach,      // in lunar distances
+        miss,          // in km
+        hazard,        // boolean
+        strength,      // in Pa (optional)
+        angle,         // in degrees from horizontal (optional, default: 45)
+        azimuth,       // in degrees clockwise from north (optional, default: 0)
+        target,        // crater target material (optional)
+        waterDepth,    // in meters (optional, ocean impacts only)
+        coastalPoints, // array of { name, lat, long } (optional)
+        uncertaintyMajor, // in km (optional)
+        uncertaintyMinor, // in km (optional)
+        uncertaintyAngle, // in degrees (optional, default: 0)
+        seed           // number or string (optional)
+    } = body;
+
+    // Validate required input
+    if (!date || lat === undefined || long === undefined || !velocity || !diameter || miss === undefined) {
+        return { error: { 
+            error: 'Required fields: date, lat, long, velocity, diameter, miss',
+            requiredFields: {
+                date: 'YYYY-MM-DD format',
+                lat: 'latitude in decimal degrees (-90 to 90)',
+                long: 'longitude in decimal degrees (-180 to 180)',
+                velocity: 'velocity in km/s',
+                diameter: 'diameter in meters',
+                miss: 'miss distance in km'
+            },
+            optionalFields: {
+                mass: 'mass in kg (calculated if not provided)',
+                density: 'density in kg/m³ (default: 3000)',
+                approach: 'approach distance in lunar distances',
+                hazard: 'boolean (default: false)',
+                strength: 'yield strength in Pa (estimated from density if not provided)',
+                angle: 'impact angle in degrees from horizontal, 0-90 (default: 45)',
+                azimuth: 'direction of travel in degrees clockwise from north, 0-360 (default: 0)',
+                target: `crater target material: ${Object.keys(TARGET_MATERIALS).join(', ')} (default: water over ocean, ${CRATER_CONSTANTS.DEFAULT_TARGET} on land)`,
+                waterDepth: 'water depth at the impact point in meters (default: 3700 for ocean impacts)',
+                coastalPoints: 'array of { name, lat, long } for tsunami arrival and run-up',
+                uncertaintyMajor: '1-sigma b-plane uncertainty along the major axis in km (default: 10% of miss distance)',
+                uncertaintyMinor: '1-sigma b-plane uncertainty along the minor axis in km (default: uncertaintyMajor)',
+                uncertaintyAngle: 'angle between the major axis and the line to Earth\'s centre in degrees, 0-180 (default: 0)',
+                seed: 'number or string seeding all random sampling, echoed in metadata (generated if not provided)'
+            }
+        } };
+    }
+
+    // Parse numeric inputs; anything that is not a finite number is rejected below
+    const parsedLat = parseNumber(lat);
+    const parsedLong = parseNumber(long);
+    const parsedVelocity = parseNumber(velocity);
+    const parsedDiameter = parseNumber(diameter);
+    const parsedMiss = parseNumber(miss);
+    const parsedMass = isProvided(mass) ? parseNumber(mass) : undefined;
+    const parsedDensity = isProvided(density) ? parseNumber(density) : CONSTANTS.DEFAULT_DENSITY;
+    const parsedApproach = isProvided(approach) ? parseNumber(approach) : null;
+    const parsedStrength = isProvided(strength) ? parseNumber(strength) : undefined;
+    const parsedAngle = isProvided(angle) ? parseNumber(angle) : ENTRY_CONSTANTS.DEFAULT_ENTRY_ANGLE;
+    const parsedAzimuth = isProvided(azimuth) ? parseNumber(azimuth) : 0;
+    const parsedWaterDepth = isProvided(waterDepth) ? parseNumber(waterDepth) : null;
+    const isHazardous = hazard === true || hazard === 'true';
+
+    // Validate values and ranges
+    if (typeof date !== 'string' || parseFeedDate(date) === null) {
+        return { error: { error: 'Date must be a valid date in YYYY-MM-DD format' } };
+    }
+    if (!Number.isFinite(parsedLat) || parsedLat < -90 || parsedLat > 90) {
+        return { error: { error: 'Latitude must be a number between -90 and 90' } };
+    }
+    if (!Number.isFinite(parsedLong) || parsedLong < -180 || parsedLong > 180) {
+        return { error: { error: 'Longitude must be a number between -180 and 180' } };
+    }
+    if (!(parsedVelocity > 0) || !(parsedDiameter > 0) || !(parsedMiss >= 0) ||
+        !Number.isFinite(parsedVelocity) || !Number.isFinite(parsedDiameter) || !Number.isFinite(parsedMiss)) {
+        return { error: { error: 'Velocity, diameter, and miss distance must be positive numbers' } };
+    }
+    if (parsedMass !== undefined && !(Number.isFinite(parsedMass) && parsedMass > 0)) {
+        return { error: { error: 'Mass must be a positive number of kilograms' } };
+    }
+    if (!(Number.isFinite(parsedDensity) && parsedDensity > 0)) {
+        return { error: { error: 'Density must be a positive number of kg/m³' } };
+    }
+    if (parsedApproach !== null && !(Number.isFinite(parsedApproach) && parsedApproach >= 0)) {
+        return { error: { error: 'Approach must be a non-negative number of lunar distances' } };
+    }
+    if (parsedStrength !== undefined && !(Number.isFinite(parsedStrength) && parsedStrength > 0)) {
+        return { error: { error: 'Strength must be a positive number of pascals' } };
+    }
+    if (!(parsedAngle > 0 && parsedAngle <= 90)) {
+        return { error: { error: 'Angle must be greater than 0 and at most 90 degrees from horizontal' } };
+    }
+    if (!(parsedAzimuth >= 0 && parsedAzimuth < 360)) {
+        return { error: { error: 'Azimuth must be between 0 (inclusive) and 360 (exclusive) degrees' } };
+    }
+    if (parsedWaterDepth !== null && !(Number.isFinite(parsedWaterDepth) && parsedWaterDepth > 0)) {
+        return { error: { error: 'Water depth must be a positive number of meters' } };
+    }
+    const coastalPointsError = validateCoastalPoints(coastalPoints);
+    if (coastalPointsError) {
+        return { error: { error: coastalPointsError } };
+    }
+    const { uncertainty, error: uncertaintyError } = parseUncertaintyEllipse(uncertaintyMajor, uncertaintyMinor, uncertaintyAngle);
+    if (uncertaintyError) {
+        return { error: { error: uncertaintyError } };
+    }
+    const seedError = validateSeed(seed);
+    if (seedError) {
+        return { error: { error: seedError } };
+    }
+
+    // The default crater target depends on the surface, so look it up once the location is valid
+    const isOceanSurface = detectRegion(parsedLat, parsedLong).isOcean;
+    const craterTarget = target || (isOceanSurface ? 'water' : CRATER_CONSTANTS.DEFAULT_TARGET);
+    if (!TARGET_MATERIALS[craterTarget]) {
+        return { error: { 
+            error: `Target must be one of: ${Object.keys(TARGET_MATERIALS).join(', ')}` 
+        } };
+    }
+
+    return {
+        params: {
+            date: date,
+            latitude: parsedLat,
+            longitude: parsedLong,
+            velocity: parsedVelocity,
+            diameter: parsedDiameter,
+            mass: parsedMass,
+            density: parsedDensity,
+            approach: parsedApproach,
+            miss: parsedMiss,
+            strength: parsedStrength,
+            angle: parsedAngle,
+            angleProvided: isProvided(angle),
+            azimuth: parsedAzimuth,
+            target: craterTarget,
+            waterDepth: parsedWaterDepth,
+            coastalPoints: coastalPoints,
+            uncertainty: uncertainty,
+            isHazardous: isHazardous,
+            seed: resolveSeed(seed)
+        }
+    };
+}
+
+/**
+ * Turn query string values into the types a POST body would carry
+ * 'true' and 'false' become booleans, and the structured inputs (coastalPoints and a
+ * monteCarlo options object) are read as JSON
+ * @param {object} query - Request query
+ * @returns {object} { inputs }, or { error } message when a JSON input does not parse
+ */
+function parseQueryInputs(query) {
+    const inputs = {};
+    for (const [name, value] of Object.entries(query)) {
+        if (name === 'format') continue;
+        if (value === 'true' || value === 'false') {
+            inputs[name] = value === 'true';
+        } else if (QUERY_JSON_INPUTS.includes(name) && typeof value === 'string') {
+            try {
+                inputs[name] = JSON.parse(value);
+            } catch (error) {
+                return { error: `${name} must be URL-encoded JSON on GET requests (e.g. ${name}=${encodeURIComponent(QUERY_JSON_EXAMPLES[name])})` };
+            }
+        } else {
+            inputs[name] = value;
+        }
+    }
+    return { inputs };
+}
+
+/**
+ * Whether an optional input was given
+ * @param {*} value - Input value
+ * @returns {boolean} False for undefined, null and empty strings
+ */
+function isProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Read a numeric input from JSON or a query string
+ * Unlike parseFloat, trailing text ('12abc') and non-numeric types give NaN
+ * @param {*} value - Input value
+ * @returns {number} Parsed number, or NaN when the value is not numeric
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+/**
+ * Parse the optional 1-sigma b-plane uncertainty ellipse
+ * @param {number|string} major - 1-sigma along the major axis in km
+ * @param {number|string} minor - 1-sigma along the minor axis in km (default: major)
+ * @param {number|string} angle - Major axis angle from the line to Earth's centre in degrees
+ * @returns {object} { uncertainty } (null when not provided), or { error } message
+ */
+function parseUncertaintyEllipse(major, minor, angle) {
+    if (!isProvided(major)) {
+        if (isProvided(minor) || isProvided(angle)) {
+            return { error: 'uncertaintyMajor is required when uncertaintyMinor or uncertaintyAngle is given' };
+        }
+        return { uncertainty: null };
+    }
+
+    const majorKm = parseNumber(major);
+    const minorKm = isProvided(minor) ? parseNumber(minor) : majorKm;
+    const orientationDeg = isProvided(angle) ? parseNumber(angle) : BPLANE_CONSTANTS.DEFAULT_ORIENTATION;
+    if (!(Number.isFinite(majorKm) && majorKm > 0) || !(Number.isFinite(minorKm) && minorKm > 0)) {
+        return { error: 'uncertaintyMajor and uncertaintyMinor must be positive numbers of km' };
+    }
+    if (!(orientationDeg >= 0 && orientationDeg <= 180)) {
+        return { error: 'uncertaintyAngle must be between 0 and 180 degrees' };
+    }
+
+    return {
+        uncertainty: {
+            majorKm: majorKm,
+            minorKm: minorKm,
+            orientationDeg: orientationDeg,
+            source: 'user'
+        }
+    };
+}
+
+/**
+ * Run the full impact pipeline for parsed custom hit inputs
+ * @param {object} params - Parsed inputs from parseCustomHitInput
+ * @param {object} options - Pipeline options
+ * @param {boolean} options.verbose - Log each stage (default: true)
+ * @returns {object} Complete impact data with summary
+ */
+function runCustomHitPipeline(params, { verbose = true } = {}) {
+    const log = verbose ? console.log : () => {};
+    const {
+        date,
+        mass,
+        coastalPoints,
+        uncertainty,
+        isHazardous,
+        seed,
+        latitude: parsedLat,
+        longitude: parsedLong,
+        velocity: parsedVelocity,
+        diameter: parsedDiameter,
+        density: parsedDensity,
+        approach: parsedApproach,
+        miss: parsedMiss,
+        strength: parsedStrength,
+        angle: parsedAngle,
+        azimuth: parsedAzimuth,
+        waterDepth: parsedWaterDepth,
+        target: craterTarget
+    } = params;
+
+    // Calculate mass if not provided
+    const calculatedMass = mass ? parseFloat(mass) : calculateMass(parsedDiameter, parsedDensity);
+
+    // Convert velocity from km/s to m/s
+    const velocityMS = parsedVelocity * 1000;
+
+    // Perform impact calculations
+    const kineticEnergy = calculateKineticEnergy(calculatedMass, velocityMS);
+
+    // Bulk density consistent with a user-provided mass
+    const bulkDensity = calculatedMass / ((4 / 3) * Math.PI * Math.pow(parsedDiameter / 2, 3));
+
+    // Simulate atmospheric entry - airbursts deposit most of their energy aloft
+    const atmosphericEntry = simulateAtmosphericEntry({
+        diameter: parsedDiameter,
+        density: bulkDensity,
+        velocity: velocityMS,
+        angle: parsedAngle,
+        strength: parsedStrength
+    });
+
+    // Only the mass that reaches the ground excavates a crater
+    const crater = calculateCrater({
+        mass: atmosphericEntry.groundImpact.mass,
+        density: bulkDensity,
+        velocity: atmosphericEntry.groundImpact.velocity,
+        angle: atmosphericEntry.groundImpact.angle ?? parsedAngle,
+        target: craterTarget
+    });
+
+    // Integrate the miss-distance uncertainty over Earth's capture cross-section
+    const bPlane = calculateImpactProbability({
+        missDistanceKm: parsedMiss,
+        velocityKmS: parsedVelocity,
+        diameterKm: parsedDiameter / 1000,
+        uncertainty: uncertainty || estimateMissUncertainty({ missDistanceKm: parsedMiss })
+    });
+    const impactProbability = bPlane.value;
+
+    // Determine risk level
+    const riskLevel = getRiskLevel(impactProbability, isHazardous);
+
+    // Calculate geographic risk
+    const craterRadiusKm = crater.radiusKm;
+    const impactLocation = {
+        estimatedImpactPoint: {
+            latitude: parsedLat,
+            longitude: parsedLong,
+            confidence: 'user-provided',
+            note: 'Custom impact location provided by user'
+        },
+        impactTimestamp: new Date(date).toISOString(),
+        coordinateSystem: 'WGS84'
+    };
+
+    const geographicRisk = assessGeographicRisk(impactLocation, craterRadiusKm);
+
+    // Spread the chosen impact point along the line of variations
+    let impactCorridor;
+    try {
+        impactCorridor = calculateCustomImpactCorridor({
+            latitude: parsedLat,
+            longitude: parsedLong,
+            date: date,
+            velocity: parsedVelocity,
+            angle: parsedAngle,
+            azimuth: parsedAzimuth,
+            uncertainty: bPlane.uncertainty,
+            diameterKm: parsedDiameter / 1000
+        });
+    } catch (error) {
+        impactCorridor = {
+            available: false,
+            reason: 'Unable to calculate impact corridor',
+            details: error.message
+        };
+    }
+
+    // Prepare comprehensive response with basic calculations
+    let customHitData = {
+        input: {
+            date: date,
+            location: {
+                latitude: parsedLat,
+                longitude: parsedLong
+            },
+            velocity: {
+                kilometersPerSecond: parsedVelocity,
+                kilometersPerHour: parsedVelocity * 3600,
+                metersPerSecond: velocityMS
+            },
+            size: {
+                diameter: parsedDiameter,
+                mass: calculatedMass,
+                density: parsedDensity,
+                unit: 'meters'
+            },
+            approach: parsedApproach ? {
+                lunarDistances: parsedApproach,
+                kilometers: parsedApproach * 384400 // 1 LD = 384,400 km
+            } : null,
+            missDistance: {
+                kilometers: parsedMiss,
+                earthRadii: parsedMiss / 6371
+            },
+            trajectory: {
+                angle: parsedAngle,
+                azimuth: parsedAzimuth,
+                unit: 'degrees',
+                note: 'Angle from horizontal; azimuth is the direction of travel clockwise from north'
+            },
+            ocean: {
+                waterDepth: parsedWaterDepth,
+                coastalPoints: coastalPoints ? coastalPoints.map(point => ({
+                    name: point.name,
+                    lat: parseFloat(point.lat),
+                    long: parseFloat(point.long)
+                })) : null
+            },
+            isPotentiallyHazardous: isHazardous
+        },
+        calculations: {
+            mass: {
+                value: calculatedMass,
+                unit: 'kg',
+                source: mass ? 'user-provided' : 'calculated'
+            },
+            kineticEnergy: {
+                value: kineticEnergy,
+                unit: 'Joules',
+                megatons: kineticEnergy / 4.184e15,
+                kilotons: kineticEnergy / 4.184e12,
+                note: 'Energy equivalent in TNT explosive yield'
+            },
+            estimatedCrater: {
+                ...crater,
+                orientation: parsedAzimuth
+            },
+            impactProbability: {
+                value: impactProbability,
+                percentage: (impactProbability * 100).toFixed(8),
+                riskLevel: riskLevel,
+                bPlane: bPlane
+            },
+            hazardScales: calculateHazardScales(impactProbability, kineticEnergy / 4.184e15, date)
+        },
+        atmosphericEntryData: atmosphericEntry,
+        geographicImpactData: {
+            impactLocation: impactLocation,
+            geographicRisk: geographicRisk,
+            impactCorridor: impactCorridor
+        },
+        metadata: {
+            calculatedAt: new Date().toISOString(),
+            source: 'custom-user-input',
+            note: 'Calculations based on user-provided custom asteroid data',
+            seed: seed,
+            modelVersion: MODEL_VERSION
+        }
+    };
+
+    // Add tsunami calculations (before earthquake data, which reports the warning)
+    log('Calculating tsunami effects...');
+    customHitData = addTsunamiData(customHitData);
+
+    // Add earthquake data calculations
+    log('Calculating earthquake effects...');
+    customHitData = addEarthquakeData(customHitData);
+
+    // Add blast radius calculations
+    log('Calculating blast radius effects...');
+    customHitData = addBlastRadiusData(customHitData);
+
+    // Add population-weighted casualty estimates
+    log('Estimating casualties...');
+    customHitData = addCasualtyData(customHitData);
+
+    // Add mitigation strategies
+    log('Calculating mitigation strategies...');
+    customHitData = addMitigationStrategies(customHitData);
+
+    // Add comprehensive summary
+    customHitData.impactSummary = generateImpactSummary(customHitData);
+
+    return customHitData;
+}
+
+/**
+ * Validate user-provided coastal points for the tsunami model
+ * @param {array} coastalPoints - Points of { name, lat, long }
+ * @returns {string|null} Error message, or null if valid or not provided
+ */
+function validateCoastalPoints(coastalPoints) {
+    if (coastalPoints === undefined || coastalPoints === null) return null;
+    if (!Array.isArray(coastalPoints) || coastalPoints.length === 0) {
+        return 'coastalPoints must be a non-empty array of { name, lat, long }';
+    }
+
+    for (const point of coastalPoints) {
+        const pointLat = parseFloat(point?.lat);
+        const pointLong = parseFloat(point?.long);
+        if (!point?.name || !(pointLat >= -90 && pointLat <= 90) || !(pointLong >= -180 && pointLong <= 180)) {
+            return 'Each coastal point needs a name, lat (-90 to 90) and long (-180 to 180)';
+        }
+    }
+    return null;
 }
 
 /**
@@ -248,6 +802,7 @@ function generateImpactSummary(impactData) {
     const earthquakeMag = impactData.earthquakeData?.seismicMagnitude?.primaryMagnitude || 0;
     const maxBlastRadius = impactData.blastRadiusData?.impactZoneSummary?.maxAffectedRadius || 0;
     const location = impactData.geographicImpactData?.geographicRisk;
+    const hazardScales = impactData.calculations?.hazardScales;
     
     // Determine overall threat level
     let overallThreat = 'MINIMAL';
@@ -267,6 +822,9 @@ function generateImpactSummary(impactData) {
     
     // Primary effects
     const primaryEffects = [];
+    if (impactData.atmosphericEntryData?.isAirburst) {
+        primaryEffects.push(`Airburst at ${impactData.atmosphericEntryData.burstAltitude.kilometers.toFixed(1)} km altitude`);
+    }
     if (maxBlastRadius > 0) {
         primaryEffects.push(`Blast effects extending ${maxBlastRadius.toFixed(1)} km`);
     }
@@ -324,9 +882,12 @@ function generateImpactSummary(impactData) {
     // Time-sensitive warnings
     const timeframe = getTimeframe(impactData.input?.date);
     
-    // Affected population estimate
+    // Affected population estimate - prefer the population-weighted figures
+    const casualties = impactData.casualtyData;
     let populationRisk = 'Unknown';
-    if (location?.riskLevel === 'CATASTROPHIC') {
+    if (casualties?.total) {
+        populationRisk = `${casualties.total.exposedPopulation.toLocaleString('en-US')} people within the affected area`;
+    } else if (location?.riskLevel === 'CATASTROPHIC') {
         populationRisk = 'Major population centers at extreme risk';
     } else if (location?.riskLevel === 'CRITICAL') {
         populationRisk = 'Significant population at high risk';
@@ -369,12 +930,21 @@ function generateImpactSummary(impactData) {
             maxBlastRadius: `${maxBlastRadius.toFixed(1)} km`,
             craterSize: `${impactData.calculations?.estimatedCrater?.radiusKm?.toFixed(2) || 0} km radius`,
             thermalRadius: `${impactData.blastRadiusData?.thermalRadiation?.thirdDegreeBurns?.radius?.toFixed(1) || 0} km`,
-            fireballRadius: `${impactData.blastRadiusData?.fireball?.radius?.toFixed(2) || 0} km`
+            fireballRadius: `${impactData.blastRadiusData?.fireball?.radius?.toFixed(2) || 0} km`,
+            torinoScale: hazardScales ? `${hazardScales.torino.rating} (${hazardScales.torino.color})` : 'N/A',
+            palermoScale: hazardScales?.palermo.rating !== null && hazardScales?.palermo.rating !== undefined
+                ? hazardScales.palermo.rating.toFixed(2)
+                : 'N/A'
         },
         comparisonToKnownEvents: impactData.blastRadiusData?.impactClassification?.comparableEvent || null,
         criticalWarnings: getAllCriticalWarnings(impactData),
         evacuationZones: impactData.blastRadiusData?.evacuationZones || null,
-        estimatedCasualties: impactData.blastRadiusData?.casualtyEstimates || null,
+        estimatedCasualties: casualties?.total ? {
+            deaths: casualties.total.deaths,
+            injuries: casualties.total.injuries,
+            exposedPopulation: casualties.total.exposedPopulation,
+            mostAffectedCities: casualties.mostAffectedCities.slice(0, 3).map(city => city.name)
+        } : impactData.blastRadiusData?.casualtyEstimates || null,
         mitigationStrategy: mitigationSummary
     };
 }
@@ -511,4 +1081,11 @@ function getAllCriticalWarnings(impactData) {
     }
     
     return allWarnings;
-}
\ No newline at end of file
+}
+
+module.exports.computeCustomHit = computeCustomHit;
+module.exports.parseCustomHitInput = parseCustomHitInput;
+module.exports.runCustomHitPipeline = runCustomHitPipeline;
+module.exports.validateOutputFormat = validateOutputFormat;
+module.exports.sendNeoExport = sendNeoExport;
+module.exports.MODEL_VERSION = MODEL_VERSION;
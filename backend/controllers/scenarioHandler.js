@@ -0,0 +1,267 @@
+/*
+Scenario Handler --> Saved custom impact scenarios
+        POST   /scenarios                 save { name, inputs, author, tags }; inputs are custom hit inputs and are computed on save
+        GET    /scenarios                 list (q, tag, author, modelVersion, sort, order, page, pageSize), without results
+        GET    /scenarios/:id             one scenario with its inputs and computed result (:id may be the short permalink id)
+        PUT    /scenarios/:id             update name, author or tags; new inputs are recomputed
+        DELETE /scenarios/:id             delete
+        POST   /scenarios/:id/duplicate   copy a scenario (optional { name, author, tags })
+        GET    /custom-hit/:id/timeline   when each effect reaches ?distanceKm= from ground zero and its peak there,
+                                          plus the growth of the blast and thermal rings over time
+*/
+
+const { computeCustomHit, MODEL_VERSION } = require('./customHitHandler');
+const {
+    listScenarios,
+    getScenario,
+    createScenario,
+    updateScenario,
+    deleteScenario,
+    validateScenarioFields,
+    SCENARIO_CONSTANTS
+} = require('../services/scenario_store');
+const { calculateEffectTimeline, calculateEffectFronts, TIMELINE_CONSTANTS } = require('../services/calculate_timeline');
+
+module.exports.listScenarios = async (req, res) => {
+    try {
+        const { options, error } = parseListQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await listScenarios(options));
+    } catch (error) {
+        sendServerError(res, 'Failed to list scenarios', error);
+    }
+};
+
+module.exports.getScenario = async (req, res) => {
+    try {
+        const scenario = await findScenario(req, res);
+        if (scenario) {
+            res.json(scenario);
+        }
+    } catch (error) {
+        sendServerError(res, 'Failed to load scenario', error);
+    }
+};
+
+module.exports.createScenario = async (req, res) => {
+    try {
+        const { name, author, tags, inputs } = req.body;
+        const fieldsError = validateScenarioFields({ name, author, tags });
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
+
+        const computed = await computeScenarioInputs(inputs);
+        if (computed.error) {
+            return res.status(400).json(computed.error);
+        }
+
+        const scenario = await createScenario({ name, author, tags, ...computed });
+        res.status(201).json(scenario);
+    } catch (error) {
+        sendServerError(res, 'Failed to save scenario', error);
+    }
+};
+
+module.exports.updateScenario = async (req, res) => {
+    try {
+        const existing = await findScenario(req, res);
+        if (!existing) return;
+
+        const { name, author, tags, inputs } = req.body;
+        const fieldsError = validateScenarioFields({ name, author, tags }, { partial: true });
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
+
+        // Changed inputs are recomputed so the stored result always matches them
+        let computed = {};
+        if (inputs !== undefined) {
+            computed = await computeScenarioInputs(inputs);
+            if (computed.error) {
+                return res.status(400).json(computed.error);
+            }
+        }
+
+        const scenario = await updateScenario(existing.id, { name, author, tags, ...computed });
+        if (!scenario) {
+            return res.status(404).json({ error: `No scenario found with id ${req.params.id}` });
+        }
+        res.json(scenario);
+    } catch (error) {
+        sendServerError(res, 'Failed to update scenario', error);
+    }
+};
+
+module.exports.deleteScenario = async (req, res) => {
+    try {
+        const existing = await findScenario(req, res);
+        if (!existing) return;
+
+        await deleteScenario(existing.id);
+        res.status(204).end();
+    } catch (error) {
+        sendServerError(res, 'Failed to delete scenario', error);
+    }
+};
+
+module.exports.duplicateScenario = async (req, res) => {
+    try {
+        const original = await findScenario(req, res);
+        if (!original) return;
+
+        const {
+            name = copyName(original.name),
+            author = original.author,
+            tags = original.tags
+        } = req.body || {};
+        const fieldsError = validateScenarioFields({ name, author, tags });
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
+
+        // The copy keeps the original result and model version; update its inputs to recompute
+        const scenario = await createScenario({
+            name,
+            author,
+            tags,
+            inputs: original.inputs,
+            result: original.result,
+            modelVersion: original.modelVersion
+        });
+        res.status(201).json(scenario);
+    } catch (error) {
+        sendServerError(res, 'Failed to duplicate scenario', error);
+    }
+};
+
+module.exports.getScenarioTimeline = async (req, res) => {
+    try {
+        const distanceKm = Number(req.query.distanceKm);
+        if (req.query.distanceKm === undefined || req.query.distanceKm === '' || !Number.isFinite(distanceKm) ||
+            distanceKm < 0 || distanceKm > TIMELINE_CONSTANTS.MAX_DISTANCE) {
+            return res.status(400).json({ error: `distanceKm is required and must be a number from 0 to ${TIMELINE_CONSTANTS.MAX_DISTANCE}` });
+        }
+
+        const scenario = await findScenario(req, res);
+        if (!scenario) return;
+
+        res.json({
+            scenario: { id: scenario.id, shortId: scenario.shortId, name: scenario.name },
+            modelVersion: scenario.modelVersion,
+            ...calculateEffectTimeline(scenario.result, distanceKm),
+            fronts: calculateEffectFronts(scenario.result)
+        });
+    } catch (error) {
+        sendServerError(res, 'Failed to build effect timeline', error);
+    }
+};
+
+/**
+ * Load the scenario named in the route, answering 400 or 404 when there is none
+ * @param {object} req - Request with params.id (UUID or short permalink id)
+ * @param {object} res - Response used for 400 and 404 answers
+ * @returns {Promise<object|null>} Scenario, or null once an error response has been sent
+ */
+async function findScenario(req, res) {
+    const id = req.params.id;
+    if (!SCENARIO_CONSTANTS.ID_PATTERN.test(id) && !SCENARIO_CONSTANTS.SHORT_ID_PATTERN.test(id)) {
+        res.status(400).json({ error: `Scenario id must be a UUID or a short id of ${SCENARIO_CONSTANTS.SHORT_ID_LENGTH} letters and digits` });
+        return null;
+    }
+    const scenario = await getScenario(id);
+    if (!scenario) {
+        res.status(404).json({ error: `No scenario found with id ${id}` });
+        return null;
+    }
+    return scenario;
+}
+
+/**
+ * Compute the result for a scenario's custom hit inputs
+ * The resolved seed is stored with the inputs so the result can be reproduced exactly
+ * @param {object} inputs - Custom hit inputs (see customHitHandler)
+ * @returns {Promise<object>} { inputs, result, modelVersion }, or { error } with the 400 response body
+ */
+async function computeScenarioInputs(inputs) {
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        return { error: { error: 'inputs is required and must be an object of custom hit inputs (see POST /custom-hit)' } };
+    }
+
+    const { data, error } = await computeCustomHit(inputs);
+    if (error) {
+        return { error };
+    }
+
+    return {
+        inputs: { ...inputs, seed: data.metadata.seed },
+        result: data,
+        modelVersion: MODEL_VERSION
+    };
+}
+
+/**
+ * Parse and validate list query parameters
+ * @param {object} query - Request query (q, tag, author, modelVersion, sort, order, page, pageSize)
+ * @returns {object} { options } for listScenarios, or { error } message
+ */
+function parseListQuery(query) {
+    const { q, author, modelVersion, sort = 'updatedAt', order } = query;
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? SCENARIO_CONSTANTS.DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > SCENARIO_CONSTANTS.MAX_PAGE_SIZE) {
+        return { error: `pageSize must be an integer from 1 to ${SCENARIO_CONSTANTS.MAX_PAGE_SIZE}` };
+    }
+    if (!SCENARIO_CONSTANTS.SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${SCENARIO_CONSTANTS.SORT_FIELDS.join(', ')}` };
+    }
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+
+    // Tags may be repeated (?tag=a&tag=b) or comma-separated (?tag=a,b)
+    const tags = [].concat(query.tag || [])
+        .flatMap(tag => String(tag).split(','))
+        .filter(tag => tag.trim());
+
+    return {
+        options: {
+            q: typeof q === 'string' && q.trim() ? q.trim() : undefined,
+            tags: tags,
+            author: typeof author === 'string' && author.trim() ? author.trim() : undefined,
+            modelVersion: typeof modelVersion === 'string' ? modelVersion : undefined,
+            sort: sort,
+            order: order,
+            page: page,
+            pageSize: pageSize
+        }
+    };
+}
+
+/**
+ * Name for a duplicated scenario, kept within the name length limit
+ * @param {string} name - Original name
+ * @returns {string} Name with a copy suffix
+ */
+function copyName(name) {
+    const suffix = ' (copy)';
+    return name.slice(0, SCENARIO_CONSTANTS.MAX_NAME_LENGTH - suffix.length) + suffix;
+}
+
+/**
+ * Log an unexpected error and answer 500
+ * @param {object} res - Response
+ * @param {string} message - Error summary
+ * @param {Error} error - Underlying error
+ * @returns {void}
+ */
+function sendServerError(res, message, error) {
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+}
@@ -69,34 +69,30 @@ async function example2_GeographicData() {
 }
 
 // =============================================================================
-// Example 3: Probability Map Visualization
+// Example 3: Impact Corridor Visualization
 // =============================================================================
-async function example3_ProbabilityMap() {
-  console.log('\n=== Example 3: Probability Map ===\n');
+async function example3_ImpactCorridor() {
+  console.log('\n=== Example 3: Impact Corridor ===\n');
   
   try {
     const response = await axios.get(`${API_BASE}/`);
     const firstNEO = response.data.processedDates[0].neos[0];
     
-    const probMap = firstNEO.geographicImpactData?.probabilityMap;
+    // Feed objects have no orbital elements; the lookup adds the approach geometry
+    const lookup = await axios.get(`${API_BASE}/neo/${firstNEO.id}`);
+    const corridor = lookup.data.geographicImpactData?.impactCorridor;
     
-    if (probMap?.impactPoints && probMap.impactPoints.length > 0) {
+    if (corridor?.available) {
       console.log(`NEO: ${firstNEO.name}`);
-      console.log(`Samples: ${probMap.samples}`);
-      console.log(`Uncertainty: ±${probMap.uncertaintyKm} km`);
-      console.log(`\nFirst 5 Impact Points:`);
+      console.log(`Corridor width (1σ): ${corridor.widthKm.toFixed(1)} km`);
+      console.log(`Line of variations: ±${corridor.lineOfVariations.sigmaKm.toFixed(0)} km (1σ)`);
+      console.log(`\nFirst 5 Corridor Points:`);
       
-      probMap.impactPoints.slice(0, 5).forEach((point, idx) => {
-        console.log(`  ${idx + 1}. Lat: ${point.latitude.toFixed(4)}°, Lon: ${point.longitude.toFixed(4)}°, Prob: ${(point.probability * 100).toFixed(2)}%`);
+      corridor.points.slice(0, 5).forEach((point, idx) => {
+        console.log(`  ${idx + 1}. Lat: ${point.latitude.toFixed(4)}°, Lon: ${point.longitude.toFixed(4)}°, Impact: ${point.impactTime}`);
       });
-      
-      // Calculate center of probability distribution
-      const avgLat = probMap.impactPoints.reduce((sum, p) => sum + p.latitude, 0) / probMap.impactPoints.length;
-      const avgLon = probMap.impactPoints.reduce((sum, p) => sum + p.longitude, 0) / probMap.impactPoints.length;
-      
-      console.log(`\nDistribution Center: ${avgLat.toFixed(4)}°, ${avgLon.toFixed(4)}°`);
     } else {
-      console.log('No probability map available (object passes too far from Earth)');
+      console.log(`No impact corridor available (${corridor?.reason || 'no primary approach'})`);
     }
     
   } catch (error) {
@@ -336,7 +332,7 @@ async function runAllExamples() {
   
   await example1_BasicCall();
   await example2_GeographicData();
-  await example3_ProbabilityMap();
+  await example3_ImpactCorridor();
   await example4_MostDangerous();
   await example5_RegionalThreats();
   await example6_ExportForMapping();
@@ -355,7 +351,7 @@ if (require.main === module) {
 module.exports = {
   example1_BasicCall,
   example2_GeographicData,
-  example3_ProbabilityMap,
+  example3_ImpactCorridor,
   example4_MostDangerous,
   example5_RegionalThreats,
   example6_ExportForMapping,
@@ -1,8 +1,11 @@
 var express = require('express');
 var router = express.Router();
-const { getNeoFeed } = require('../services/nasa');
-const { processNASAFeedData } = require('../services/calculate_hit');
+const { getNeoFeedRange, validateFeedRange, getCachedNeoLookup } = require('../services/nasa');
+const { processNASAFeedData, processNEO } = require('../services/calculate_hit');
+const { getSentryRisk, getSentryRiskForNeos } = require('../services/sentry');
+const { createRandom, validateSeed, resolveSeed } = require('../services/random');
 const customHitHandler = require('../controllers/customHitHandler');
+const scenarioHandler = require('../controllers/scenarioHandler');
 
 /* GET home page. */
 router.get('/', async function(req, res, next) {
@@ -11,11 +14,29 @@ router.get('/', async function(req, res, next) {
     const startDate = req.query.start_date || '2025-09-01';
     const endDate = req.query.end_date || '2025-09-07';
     
-    // Fetch NASA NEO data
-    const nasaData = await getNeoFeed(startDate, endDate);
+    const rangeError = validateFeedRange(startDate, endDate);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const seedError = validateSeed(req.query.seed);
+    if (seedError) {
+      return res.status(400).json({ error: seedError });
+    }
+    const seed = resolveSeed(req.query.seed);
+    
+    // Fetch NASA NEO data in 7-day windows (cached, with stale and offline fallbacks)
+    const { data: nasaData, dataSource, windows } = await getNeoFeedRange(startDate, endDate);
+    
+    // Official impact risk for objects on the Sentry list
+    const sentryRisks = await getSentryRiskForNeos(Object.values(nasaData.near_earth_objects || {}).flat());
     
     // Process the data with impact calculations
-    const processedData = processNASAFeedData(nasaData);
+    const processedData = processNASAFeedData(nasaData, { sentryRisks, seed });
+    processedData.dataSource = dataSource;
+    processedData.windows = windows;
+    processedData.partialFailure = windows.some(window => window.status === 'failed');
+    processedData.metadata = { seed };
     
     res.json(processedData);
   } catch (error) {
@@ -24,7 +45,62 @@ router.get('/', async function(req, res, next) {
   }
 });
 
-// Custom hit endpoint (POST request)
+/* GET a single asteroid with every close approach and its orbital data. */
+router.get('/neo/:id', async function(req, res, next) {
+  const id = req.params.id;
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'NEO id must be a numeric SPK-ID (e.g. 3542519)' });
+  }
+  const seedError = validateSeed(req.query.seed);
+  if (seedError) {
+    return res.status(400).json({ error: seedError });
+  }
+  const seed = resolveSeed(req.query.seed);
+  const formatError = customHitHandler.validateOutputFormat(req.query.format);
+  if (formatError) {
+    return res.status(400).json({ error: formatError });
+  }
+
+  try {
+    // Fetch the NASA NEO lookup (cached, with stale and offline fallbacks)
+    const { data: neo, dataSource } = await getCachedNeoLookup(id);
+
+    // Official impact risk for objects on the Sentry list
+    const sentry = neo.is_sentry_object ? await getSentryRisk(id) : undefined;
+
+    // Process every listed approach, not just the first
+    const processedNEO = processNEO(neo, { sentry, random: createRandom(seed, id) });
+    processedNEO.dataSource = dataSource;
+    processedNEO.metadata = { seed };
+
+    // Map file formats export the NEO as if it struck (GeoJSON, KML or CZML)
+    if (req.query.format && req.query.format !== 'json') {
+      return await customHitHandler.sendNeoExport(res, processedNEO, {
+        format: req.query.format,
+        location: { lat: req.query.lat, long: req.query.long },
+        seed: seed
+      });
+    }
+
+    res.json(processedNEO);
+  } catch (error) {
+    const status = error.response?.status || error.status;
+    if (status === 404) {
+      return res.status(404).json({ error: `No NEO found with id ${id}`, details: error.message });
+    }
+    console.error('Error fetching NEO lookup:', error);
+    res.status(500).json({ error: 'Failed to fetch NEO data', details: error.message });
+  }
+});
+
+// Custom hit endpoint (POST request, or GET with the inputs in the query string)
 router.post('/custom-hit', customHitHandler.getCustomHit);
+router.get('/custom-hit', customHitHandler.getCustomHit);
+
+// Batch of custom hits for parameter sweeps (explicit scenarios or a grid)
+router.post('/custom-hit/batch', customHitHandler.getCustomHitBatch);
+
+// Effect arrival timeline of a saved scenario (:id is its UUID or short id)
+router.get('/custom-hit/:id/timeline', scenarioHandler.getScenarioTimeline);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+var express = require('express');
+var router = express.Router();
+const scenarioHandler = require('../controllers/scenarioHandler');
+
+/* Saved custom impact scenarios. */
+router.get('/', scenarioHandler.listScenarios);
+router.post('/', scenarioHandler.createScenario);
+router.get('/:id', scenarioHandler.getScenario);
+router.put('/:id', scenarioHandler.updateScenario);
+router.delete('/:id', scenarioHandler.deleteScenario);
+router.post('/:id/duplicate', scenarioHandler.duplicateScenario);
+
+module.exports = router;
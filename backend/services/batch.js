@@ -0,0 +1,268 @@
+/**
+ * Batch Custom Hits
+ * Expands a batch request (an explicit list of scenarios, or a grid of linear or
+ * log-spaced parameter values around base inputs) into individual custom hit
+ * inputs, runs each through the impact pipeline and reduces every result to the
+ * chosen output fields, as compact JSON rows or CSV for parameter sweeps
+ */
+
+// Batch Constants
+const BATCH_CONSTANTS = {
+  MAX_RUNS: 500,                    // Each run is a full pipeline (~0.1 s)
+  MAX_AXIS_STEPS: 100,
+  GRID_PARAMETERS: ['diameter', 'velocity', 'density', 'angle', 'azimuth', 'strength', 'lat', 'long', 'miss', 'waterDepth'],
+  SPACINGS: ['linear', 'log'],
+  FORMATS: ['json', 'csv'],
+  FIELD_PATH_PATTERN: /^[A-Za-z]\w*(\.\w+)*$/,
+  FIELD_ALIASES: {
+    energyMegatons: 'calculations.kineticEnergy.megatons',
+    craterDiameterM: 'calculations.estimatedCrater.diameter',
+    isAirburst: 'atmosphericEntryData.isAirburst',
+    burstAltitudeKm: 'atmosphericEntryData.burstAltitude.kilometers',
+    groundEnergyMegatons: 'atmosphericEntryData.energy.atGroundMegatons',
+    seismicMagnitude: 'earthquakeData.seismicMagnitude.primaryMagnitude',
+    maxEffectRadiusKm: 'casualtyData.maxEffectRadiusKm',
+    deaths: 'casualtyData.total.deaths.estimate',
+    injuries: 'casualtyData.total.injuries.estimate',
+    torinoRating: 'calculations.hazardScales.torino.rating',
+    threatLevel: 'impactSummary.overallThreatLevel'
+  },
+  DEFAULT_FIELDS: ['energyMegatons', 'craterDiameterM', 'isAirburst', 'seismicMagnitude', 'maxEffectRadiusKm', 'deaths']
+};
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Resolve the values of one grid axis
+ * @param {string} name - Input parameter name
+ * @param {object} axis - { values } or { min, max, steps, spacing }
+ * @returns {object} { values }, or { error } message
+ */
+function resolveAxis(name, axis) {
+  const { MAX_AXIS_STEPS, SPACINGS } = BATCH_CONSTANTS;
+  if (!isPlainObject(axis)) {
+    return { error: `grid.${name} must be { values } or { min, max, steps, spacing }` };
+  }
+
+  if (axis.values !== undefined) {
+    const values = Array.isArray(axis.values) ? axis.values.map(Number) : [];
+    if (values.length === 0 || values.length > MAX_AXIS_STEPS || !values.every(Number.isFinite)) {
+      return { error: `grid.${name}.values must be an array of 1 to ${MAX_AXIS_STEPS} numbers` };
+    }
+    return { values };
+  }
+
+  const min = Number(axis.min);
+  const max = Number(axis.max);
+  const steps = Number(axis.steps);
+  const spacing = axis.spacing || 'linear';
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+    return { error: `grid.${name} needs numeric min and max with min <= max` };
+  }
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_AXIS_STEPS) {
+    return { error: `grid.${name}.steps must be an integer between 1 and ${MAX_AXIS_STEPS}` };
+  }
+  if (!SPACINGS.includes(spacing)) {
+    return { error: `grid.${name}.spacing must be one of: ${SPACINGS.join(', ')}` };
+  }
+  if (spacing === 'log' && min <= 0) {
+    return { error: `grid.${name}.min must be positive for log spacing` };
+  }
+  if (steps === 1) {
+    return { values: [min] };
+  }
+
+  // Log spacing is linear in log10, so each step multiplies by the same factor
+  const values = Array.from({ length: steps }, (_, i) => {
+    const fraction = i / (steps - 1);
+    return spacing === 'log'
+      ? Math.pow(10, Math.log10(min) + fraction * (Math.log10(max) - Math.log10(min)))
+      : min + fraction * (max - min);
+  });
+  return { values };
+}
+
+/**
+ * Expand grid axes into every combination of their values (first axis varies slowest)
+ * @param {object} axes - Axis values keyed by parameter name
+ * @returns {array} One object of parameter values per combination
+ */
+function expandGrid(axes) {
+  return Object.entries(axes).reduce(
+    (combinations, [name, values]) => combinations.flatMap(combination =>
+      values.map(value => ({ ...combination, [name]: value }))
+    ),
+    [{}]
+  );
+}
+
+/**
+ * Resolve requested output fields into names and result paths
+ * @param {array} fields - Aliases (see FIELD_ALIASES) or dot paths into the custom hit data (optional)
+ * @returns {object} { fields: [{ name, path }] }, or { error } message
+ */
+function resolveFields(fields = BATCH_CONSTANTS.DEFAULT_FIELDS) {
+  const { FIELD_ALIASES, FIELD_PATH_PATTERN } = BATCH_CONSTANTS;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return { error: 'fields must be a non-empty array of field names or dot paths' };
+  }
+
+  const invalid = fields.find(field => typeof field !== 'string' || (!FIELD_ALIASES[field] && !FIELD_PATH_PATTERN.test(field)));
+  if (invalid !== undefined) {
+    return { error: `Unknown field ${JSON.stringify(invalid)}: use one of ${Object.keys(FIELD_ALIASES).join(', ')} or a dot path such as calculations.kineticEnergy.megatons` };
+  }
+
+  return { fields: fields.map(field => ({ name: field, path: FIELD_ALIASES[field] || field })) };
+}
+
+/**
+ * Validate a batch request and expand it into individual runs
+ * @param {object} body - { scenarios } or { grid }, with optional base, fields and format
+ * @returns {object} { mode, runs: [{ inputs, parameters }], parameters, grid, fields, format }, or { error } message
+ */
+function planBatch(body) {
+  const { MAX_RUNS, GRID_PARAMETERS, FORMATS } = BATCH_CONSTANTS;
+  const { scenarios, grid, base = {}, format = 'json' } = body || {};
+
+  if ((scenarios === undefined) === (grid === undefined)) {
+    return { error: 'Provide either scenarios (an array of custom hit inputs) or grid (parameter ranges), not both' };
+  }
+  if (!isPlainObject(base)) {
+    return { error: 'base must be an object of custom hit inputs shared by every run' };
+  }
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+  const { fields, error: fieldsError } = resolveFields(body.fields);
+  if (fieldsError) {
+    return { error: fieldsError };
+  }
+
+  let mode;
+  let parameterSets;
+  let parameters;
+  let resolvedGrid = null;
+
+  if (scenarios !== undefined) {
+    if (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > MAX_RUNS) {
+      return { error: `scenarios must be an array of 1 to ${MAX_RUNS} custom hit inputs` };
+    }
+    if (!scenarios.every(isPlainObject)) {
+      return { error: 'Each scenario must be an object of custom hit inputs' };
+    }
+    mode = 'scenarios';
+    parameterSets = scenarios;
+    // Columns are the scalar inputs that any scenario sets
+    parameters = [...new Set(scenarios.flatMap(scenario =>
+      Object.keys(scenario).filter(key => scenario[key] === null || typeof scenario[key] !== 'object')
+    ))];
+  } else {
+    if (!isPlainObject(grid) || Object.keys(grid).length === 0) {
+      return { error: `grid must map input parameters (${GRID_PARAMETERS.join(', ')}) to value ranges` };
+    }
+    resolvedGrid = {};
+    for (const [name, axis] of Object.entries(grid)) {
+      if (!GRID_PARAMETERS.includes(name)) {
+        return { error: `grid.${name} is not a grid parameter; use ${GRID_PARAMETERS.join(', ')}` };
+      }
+      const { values, error } = resolveAxis(name, axis);
+      if (error) {
+        return { error };
+      }
+      resolvedGrid[name] = values;
+    }
+    const runCount = Object.values(resolvedGrid).reduce((count, values) => count * values.length, 1);
+    if (runCount > MAX_RUNS) {
+      return { error: `grid expands to ${runCount} runs; the limit is ${MAX_RUNS}` };
+    }
+    mode = 'grid';
+    parameterSets = expandGrid(resolvedGrid);
+    parameters = Object.keys(resolvedGrid);
+  }
+
+  const runs = parameterSets.map(set => ({ inputs: { ...base, ...set }, parameters: set }));
+  if (runs.some(run => run.inputs.monteCarlo)) {
+    return { error: 'monteCarlo is not supported in batch runs; use POST /custom-hit for percentile bands' };
+  }
+
+  return { mode, runs, parameters, grid: resolvedGrid, fields, format };
+}
+
+/**
+ * Read a dot path from an object
+ * @param {object} data - Object to read
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value, or null when any part of the path is missing
+ */
+function getPath(data, path) {
+  const value = path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Run every planned input through the pipeline and keep the chosen fields
+ * Yields to the event loop between runs so a long batch does not block other requests
+ * @param {object} plan - Plan from planBatch
+ * @param {function} runScenario - Returns { data } or { error } for one set of custom hit inputs
+ * @returns {Promise<array>} Rows of { index, parameters, outputs } or { index, parameters, error }
+ */
+async function runBatch(plan, runScenario) {
+  const rows = [];
+  for (const [index, run] of plan.runs.entries()) {
+    try {
+      const { data, error } = runScenario(run.inputs);
+      rows.push(error
+        ? { index, parameters: run.parameters, error }
+        : { index, parameters: run.parameters, outputs: Object.fromEntries(plan.fields.map(field => [field.name, getPath(data, field.path)])) });
+    } catch (error) {
+      rows.push({ index, parameters: run.parameters, error: error.message });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return rows;
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format batch rows as CSV: one row per run, one column per parameter and field
+ * @param {object} plan - Plan from planBatch
+ * @param {array} rows - Rows from runBatch
+ * @returns {string} CSV text with a header row
+ */
+function formatBatchCsv(plan, rows) {
+  const header = ['index', ...plan.parameters, ...plan.fields.map(field => field.name), 'error'];
+  const lines = rows.map(row => [
+    row.index,
+    ...plan.parameters.map(name => row.parameters[name]),
+    ...plan.fields.map(field => (row.outputs ? row.outputs[field.name] : null)),
+    row.error || null
+  ].map(toCsvCell).join(','));
+  return [header.map(toCsvCell).join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  planBatch,
+  runBatch,
+  formatBatchCsv,
+  resolveAxis,
+  expandGrid,
+  resolveFields,
+  BATCH_CONSTANTS
+};
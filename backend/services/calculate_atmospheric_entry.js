@@ -0,0 +1,297 @@
+/**
+ * Atmospheric Entry Calculator for Asteroid Impacts
+ * Integrates drag, ablation and aerodynamic breakup along the entry path to decide
+ * whether an object explodes at altitude (airburst) or reaches the ground
+ * Based on the pancake model of Chyba et al. (1993) and Collins et al. (2005)
+ */
+
+// Entry Constants
+const ENTRY_CONSTANTS = {
+  EARTH_RADIUS: 6371000,            // Earth radius (m)
+  GRAVITY: 9.8,                     // Earth gravity (m/s²)
+  SEA_LEVEL_AIR_DENSITY: 1.225,     // Air density at sea level (kg/m³)
+  SCALE_HEIGHT: 8000,               // Atmospheric scale height (m)
+  ENTRY_ALTITUDE: 100000,           // Altitude where integration starts (m)
+
+  DRAG_COEFFICIENT: 2.0,            // Drag coefficient for a tumbling body
+  HEAT_TRANSFER_COEFFICIENT: 0.1,   // Fraction of air flow energy transferred to the body
+  HEAT_OF_ABLATION: 8e6,            // Energy to ablate 1 kg of stony material (J/kg)
+
+  PANCAKE_FACTOR: 7,                // Maximum radius growth before fragments separate
+
+  ALTITUDE_STEP: 50,                // Vertical distance covered per integration step (m)
+  MAX_TIME_STEP: 0.05,              // Upper bound on the time step for grazing paths (s)
+  MAX_STEPS: 200000,                // Safety limit on integration steps
+  PROFILE_BIN_SIZE: 1000,           // Altitude bin size for energy deposition (m)
+
+  DEFAULT_ENTRY_ANGLE: 45,          // Most probable impact angle (degrees from horizontal)
+  AIRBURST_THRESHOLD: 0.5,          // Fraction of energy deposited aloft that makes an airburst
+  MIN_MASS_FRACTION: 1e-6,          // Remaining mass fraction treated as fully ablated
+  MIN_VELOCITY: 500,                // Velocity below which fragments are in free fall (m/s)
+
+  JOULES_PER_MEGATON: 4.184e15      // 1 megaton TNT
+};
+
+/**
+ * Calculate air density at altitude using an exponential atmosphere
+ * @param {number} altitude - Altitude in meters
+ * @returns {number} Air density in kg/m³
+ */
+function calculateAirDensity(altitude) {
+  return ENTRY_CONSTANTS.SEA_LEVEL_AIR_DENSITY * Math.exp(-Math.max(0, altitude) / ENTRY_CONSTANTS.SCALE_HEIGHT);
+}
+
+/**
+ * Estimate bulk yield strength from density
+ * Empirical fit from Collins et al. (2005): Y = 10^(2.107 + 0.0624 × sqrt(ρ))
+ * @param {number} density - Object density in kg/m³
+ * @returns {number} Yield strength in Pa
+ */
+function estimateYieldStrength(density) {
+  return Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+}
+
+/**
+ * Calculate the terminal velocity of a body falling through sea-level air
+ * v_t = sqrt(2 m g / (Cd × ρa × A))
+ * @param {number} mass - Body mass in kg
+ * @param {number} radius - Body (or fragment cloud) radius in meters
+ * @returns {number} Terminal velocity in m/s
+ */
+function calculateTerminalVelocity(mass, radius) {
+  const area = Math.PI * radius * radius;
+  if (!(mass > 0) || !(area > 0)) return 0;
+  return Math.sqrt((2 * mass * ENTRY_CONSTANTS.GRAVITY) /
+    (ENTRY_CONSTANTS.DRAG_COEFFICIENT * ENTRY_CONSTANTS.SEA_LEVEL_AIR_DENSITY * area));
+}
+
+/**
+ * Integrate the entry of a body through the atmosphere
+ * Tracks velocity, mass, path angle, altitude and radius; once ram pressure exceeds
+ * the yield strength the body flattens (pancakes) until its radius reaches PANCAKE_FACTOR × r0
+ *
+ * @param {object} params - Entry parameters
+ * @param {number} params.diameter - Object diameter in meters
+ * @param {number} params.density - Object density in kg/m³
+ * @param {number} params.velocity - Entry velocity in m/s
+ * @param {number} params.angle - Entry angle in degrees from horizontal (default: 45)
+ * @param {number} params.strength - Yield strength in Pa (estimated from density if omitted)
+ * @returns {object} Entry simulation results
+ */
+function simulateAtmosphericEntry({ diameter, density, velocity, angle = ENTRY_CONSTANTS.DEFAULT_ENTRY_ANGLE, strength }) {
+  const yieldStrength = strength || estimateYieldStrength(density);
+  const initialRadius = diameter / 2;
+  const initialMass = density * (4 / 3) * Math.PI * Math.pow(initialRadius, 3);
+  const initialEnergy = 0.5 * initialMass * velocity * velocity;
+
+  // State variables
+  let altitude = ENTRY_CONSTANTS.ENTRY_ALTITUDE;
+  let v = velocity;
+  let m = initialMass;
+  let theta = angle * Math.PI / 180;
+  let radius = initialRadius;
+  let spreadRate = 0;
+  let downrange = 0;
+  let time = 0;
+
+  let breakup = null;
+  let termination = 'ground';
+  const depositionBins = new Map();
+
+  // Nothing to integrate for a massless or stationary body
+  for (let step = 0; initialEnergy > 0 && step < ENTRY_CONSTANTS.MAX_STEPS; step++) {
+    const airDensity = calculateAirDensity(altitude);
+    const area = Math.PI * radius * radius;
+    const sinTheta = Math.sin(theta);
+    const cosTheta = Math.cos(theta);
+
+    // Choose the time step so each step descends roughly ALTITUDE_STEP meters
+    const verticalSpeed = Math.max(v * sinTheta, 1);
+    const dt = Math.min(ENTRY_CONSTANTS.ALTITUDE_STEP / verticalSpeed, ENTRY_CONSTANTS.MAX_TIME_STEP);
+
+    // Aerodynamic breakup when ram pressure exceeds strength
+    const ramPressure = airDensity * v * v;
+    if (!breakup && ramPressure > yieldStrength) {
+      breakup = {
+        occurred: true,
+        altitude: altitude,
+        altitudeKm: altitude / 1000,
+        ramPressure: ramPressure,
+        velocity: v
+      };
+    }
+
+    // Equations of motion (Chyba et al. 1993)
+    const dragDeceleration = (ENTRY_CONSTANTS.DRAG_COEFFICIENT * airDensity * area * v * v) / (2 * m);
+    const dv = (-dragDeceleration + ENTRY_CONSTANTS.GRAVITY * sinTheta) * dt;
+    const dm = -((ENTRY_CONSTANTS.HEAT_TRANSFER_COEFFICIENT * airDensity * area * Math.pow(v, 3)) /
+      (2 * ENTRY_CONSTANTS.HEAT_OF_ABLATION)) * dt;
+    const dTheta = ((ENTRY_CONSTANTS.GRAVITY * cosTheta) / v - (v * cosTheta) / (ENTRY_CONSTANTS.EARTH_RADIUS + altitude)) * dt;
+    const dAltitude = -v * sinTheta * dt;
+
+    const energyBefore = 0.5 * m * v * v;
+
+    v = Math.max(0, v + dv);
+    m = Math.max(0, m + dm);
+    theta += dTheta;
+    downrange += v * cosTheta * dt * ENTRY_CONSTANTS.EARTH_RADIUS / (ENTRY_CONSTANTS.EARTH_RADIUS + altitude);
+    altitude += dAltitude;
+    time += dt;
+
+    // Intact bodies shrink as they ablate; broken bodies spread laterally
+    // d²r/dt² = Cd × ρa × v² / (ρi × r)
+    if (breakup) {
+      if (radius < ENTRY_CONSTANTS.PANCAKE_FACTOR * initialRadius) {
+        spreadRate += (ENTRY_CONSTANTS.DRAG_COEFFICIENT * airDensity * v * v) / (density * radius) * dt;
+        radius = Math.min(radius + spreadRate * dt, ENTRY_CONSTANTS.PANCAKE_FACTOR * initialRadius);
+      }
+    } else {
+      radius = Math.cbrt((3 * m) / (4 * Math.PI * density));
+    }
+
+    // Record energy lost to the atmosphere in this altitude bin
+    const energyLost = Math.max(0, energyBefore - 0.5 * m * v * v);
+    const bin = Math.floor(Math.max(0, altitude) / ENTRY_CONSTANTS.PROFILE_BIN_SIZE);
+    depositionBins.set(bin, (depositionBins.get(bin) || 0) + energyLost);
+
+    if (altitude <= 0) {
+      altitude = 0;
+      termination = 'ground';
+      break;
+    }
+    if (m < initialMass * ENTRY_CONSTANTS.MIN_MASS_FRACTION) {
+      termination = 'ablated';
+      break;
+    }
+    if (v < ENTRY_CONSTANTS.MIN_VELOCITY) {
+      termination = 'decelerated';
+      break;
+    }
+    if (altitude > ENTRY_CONSTANTS.ENTRY_ALTITUDE) {
+      termination = 'escaped';
+      break;
+    }
+  }
+
+  // Whatever reaches the ground (or is left in free fall) is the residual; a decelerated
+  // body's surviving fragments fall the rest of the way at terminal velocity
+  const reachedGround = termination === 'ground' || termination === 'decelerated';
+  const groundVelocity = termination === 'decelerated' ? calculateTerminalVelocity(m, radius) : v;
+  const groundEnergy = reachedGround ? 0.5 * m * groundVelocity * groundVelocity : 0;
+  const depositedEnergy = termination === 'escaped'
+    ? Array.from(depositionBins.values()).reduce((sum, e) => sum + e, 0)
+    : Math.max(0, initialEnergy - groundEnergy);
+  const fractionDeposited = initialEnergy > 0 ? depositedEnergy / initialEnergy : 0;
+
+  // Build the deposition profile (top of atmosphere first)
+  const energyDeposition = Array.from(depositionBins.entries())
+    .sort((a, b) => b[0] - a[0])
+    .map(([bin, energy]) => ({
+      altitudeKm: (bin * ENTRY_CONSTANTS.PROFILE_BIN_SIZE) / 1000,
+      energy: energy,
+      megatons: energy / ENTRY_CONSTANTS.JOULES_PER_MEGATON,
+      energyPerKm: energy / (ENTRY_CONSTANTS.PROFILE_BIN_SIZE / 1000)
+    }));
+
+  // Burst altitude is where energy deposition peaks
+  const peakBin = energyDeposition.reduce((peak, b) => (!peak || b.energy > peak.energy ? b : peak), null);
+  const isAirburst = termination !== 'escaped' && fractionDeposited >= ENTRY_CONSTANTS.AIRBURST_THRESHOLD;
+  const burstAltitudeKm = isAirburst && peakBin ? peakBin.altitudeKm + ENTRY_CONSTANTS.PROFILE_BIN_SIZE / 2000 : null;
+  const depositionTrail = calculateDepositionTrail(energyDeposition, angle);
+
+  return {
+    entryConditions: {
+      diameter: diameter,
+      density: density,
+      velocity: velocity,
+      angle: angle,
+      yieldStrength: yieldStrength,
+      strengthSource: strength ? 'user-provided' : 'estimated from density',
+      entryAltitude: ENTRY_CONSTANTS.ENTRY_ALTITUDE
+    },
+    breakup: breakup || { occurred: false },
+    isAirburst: isAirburst,
+    burstAltitude: burstAltitudeKm !== null ? {
+      meters: burstAltitudeKm * 1000,
+      kilometers: burstAltitudeKm
+    } : null,
+    energy: {
+      initial: initialEnergy,
+      depositedInAtmosphere: depositedEnergy,
+      atGround: groundEnergy,
+      fractionDeposited: fractionDeposited,
+      initialMegatons: initialEnergy / ENTRY_CONSTANTS.JOULES_PER_MEGATON,
+      depositedMegatons: depositedEnergy / ENTRY_CONSTANTS.JOULES_PER_MEGATON,
+      atGroundMegatons: groundEnergy / ENTRY_CONSTANTS.JOULES_PER_MEGATON
+    },
+    groundImpact: {
+      reached: reachedGround,
+      velocity: reachedGround ? groundVelocity : 0,
+      mass: reachedGround ? m : 0,
+      massFraction: reachedGround ? m / initialMass : 0,
+      kineticEnergy: groundEnergy,
+      // Free fall ends close to vertical
+      angle: termination === 'decelerated' ? 90 : reachedGround ? theta * 180 / Math.PI : null
+    },
+    energyDeposition: energyDeposition,
+    depositionTrail: depositionTrail,
+    termination: termination,
+    flightTime: time,
+    downrangeDistanceKm: downrange / 1000,
+    classification: getEntryClassification(isAirburst, reachedGround, fractionDeposited, termination)
+  };
+}
+
+/**
+ * Find the stretch of the path where most energy was deposited
+ * Bounded by the altitudes where 10% and 90% of the deposited energy has been released;
+ * its ground projection elongates airburst damage along the ground track
+ * @param {array} energyDeposition - Deposition profile ordered from the top down
+ * @param {number} angle - Entry angle in degrees from horizontal
+ * @returns {object|null} Trail altitudes and ground length
+ */
+function calculateDepositionTrail(energyDeposition, angle) {
+  const total = energyDeposition.reduce((sum, b) => sum + b.energy, 0);
+  if (total <= 0) return null;
+
+  const binKm = ENTRY_CONSTANTS.PROFILE_BIN_SIZE / 1000;
+  let cumulative = 0;
+  let startAltitudeKm = null;
+  let endAltitudeKm = null;
+  for (const b of energyDeposition) {
+    cumulative += b.energy;
+    if (startAltitudeKm === null && cumulative >= 0.1 * total) startAltitudeKm = b.altitudeKm + binKm;
+    if (endAltitudeKm === null && cumulative >= 0.9 * total) endAltitudeKm = b.altitudeKm;
+  }
+
+  return {
+    startAltitudeKm: startAltitudeKm,
+    endAltitudeKm: endAltitudeKm,
+    groundLengthKm: (startAltitudeKm - endAltitudeKm) / Math.tan(angle * Math.PI / 180)
+  };
+}
+
+/**
+ * Describe the outcome of atmospheric entry
+ * @param {boolean} isAirburst - Whether the object exploded at altitude
+ * @param {boolean} reachedGround - Whether any mass reached the ground
+ * @param {number} fractionDeposited - Fraction of energy deposited in the atmosphere
+ * @param {string} termination - Reason the integration stopped
+ * @returns {string} Classification
+ */
+function getEntryClassification(isAirburst, reachedGround, fractionDeposited, termination) {
+  if (termination === 'escaped') return 'Grazing entry - object skipped out of the atmosphere';
+  if (isAirburst && !reachedGround) return 'Airburst - object disintegrated before reaching the ground';
+  if (isAirburst) return 'Airburst with surviving fragments reaching the ground';
+  if (termination === 'decelerated') return 'Surface impact - atmosphere slowed the object to free fall before it landed';
+  if (fractionDeposited > 0.1) return 'Surface impact with significant atmospheric deceleration';
+  return 'Surface impact - atmosphere had little effect';
+}
+
+module.exports = {
+  simulateAtmosphericEntry,
+  calculateAirDensity,
+  estimateYieldStrength,
+  calculateTerminalVelocity,
+  ENTRY_CONSTANTS
+};
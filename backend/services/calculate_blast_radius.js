@@ -33,7 +33,24 @@ const BLAST_CONSTANTS = {
   AIRBURST_EFFICIENCY: 1.5,      // Airbursts are more efficient
   SURFACE_EFFICIENCY: 1.0,       // Surface impacts
   SHALLOW_WATER_EFFICIENCY: 0.7, // Water absorbs energy
-  DEEP_WATER_EFFICIENCY: 0.5     // Deep water absorbs more
+  DEEP_WATER_EFFICIENCY: 0.5,    // Deep water absorbs more
+  
+  // Downrange asymmetry of effect zones at grazing incidence (fraction of radius)
+  // Experiments show ejecta and vapor plumes concentrate downrange as the angle drops
+  DOWNRANGE_ASYMMETRY: {
+    BLAST: 0.15,
+    THERMAL: 0.3,
+    EJECTA: 0.6
+  },
+  EJECTA_FORBIDDEN_ZONE_ANGLE: 25, // Below this no ejecta lands uprange (degrees)
+  BUTTERFLY_EJECTA_ANGLE: 12,      // Below this ejecta forms a butterfly pattern (degrees)
+
+  // Shock front propagation
+  SHOCK: {
+    SPEED_OF_SOUND: 0.343,         // Ambient speed of sound (km/s)
+    AIR_GAMMA: 1.4,                // Ratio of specific heats for air
+    AMBIENT_PRESSURE_PSI: 14.7     // Sea-level pressure (psi)
+  }
 };
 
 /**
@@ -41,12 +58,16 @@ const BLAST_CONSTANTS = {
  * Scaled cube-root law: R = C × Y^(1/3)
  * Where R = radius (km), Y = yield (megatons), C = scaling constant
  * 
+ * For airbursts the radius is the slant range from the burst point, so the
+ * ground radius is sqrt(R² - h²) where h is the burst altitude
+ * 
  * @param {number} energyJoules - Impact energy in Joules
  * @param {number} overpressurePSI - Target overpressure in PSI
  * @param {string} impactType - Type of impact
+ * @param {number} burstAltitudeKm - Burst altitude in km (airbursts only)
  * @returns {number} Radius in kilometers
  */
-function calculateBlastRadius(energyJoules, overpressurePSI, impactType = 'surface') {
+function calculateBlastRadius(energyJoules, overpressurePSI, impactType = 'surface', burstAltitudeKm = 0) {
   // Convert energy to megatons
   const yieldMegatons = energyJoules / BLAST_CONSTANTS.JOULES_PER_MEGATON;
   
@@ -82,9 +103,24 @@ function calculateBlastRadius(energyJoules, overpressurePSI, impactType = 'surfa
   const effectiveYield = yieldMegatons * efficiency;
   const radius = scalingConstant * Math.pow(effectiveYield, 1/3);
   
+  // Project the slant range onto the ground for elevated bursts
+  if (impactType === 'airburst' && burstAltitudeKm > 0) {
+    return Math.sqrt(Math.max(0, radius * radius - burstAltitudeKm * burstAltitudeKm));
+  }
+  
   return Math.max(0, radius);
 }
 
+/**
+ * Shock front speed for a peak overpressure (Rankine-Hugoniot)
+ * @param {number} overpressurePsi - Peak overpressure (psi)
+ * @returns {number} Front speed (km/s)
+ */
+function shockFrontSpeed(overpressurePsi) {
+  const { SPEED_OF_SOUND, AIR_GAMMA, AMBIENT_PRESSURE_PSI } = BLAST_CONSTANTS.SHOCK;
+  return SPEED_OF_SOUND * Math.sqrt(1 + ((AIR_GAMMA + 1) / (2 * AIR_GAMMA)) * (overpressurePsi / AMBIENT_PRESSURE_PSI));
+}
+
 /**
  * Calculate thermal radiation radius
  * Based on Stefan-Boltzmann law and atmospheric transmission
@@ -154,14 +190,63 @@ function calculateMushroomCloud(energyJoules) {
   };
 }
 
+/**
+ * Calculate the ground footprint of an effect zone
+ * Vertical point sources give circles. Oblique impacts push effects downrange,
+ * and airbursts spread their energy along the deposition trail, so zones become
+ * ellipses aligned with the ground track and shifted downrange.
+ * 
+ * @param {number} radiusKm - Equivalent circular radius in km
+ * @param {object} geometry - Trajectory geometry
+ * @param {number} geometry.angle - Impact angle in degrees from horizontal (default: 90)
+ * @param {number} geometry.azimuth - Direction of travel in degrees clockwise from north (default: 0)
+ * @param {number} geometry.trailLengthKm - Ground length of the airburst deposition trail
+ * @param {number} asymmetryCoefficient - Downrange asymmetry at grazing incidence
+ * @returns {object} Elliptical footprint relative to ground zero
+ */
+function calculateZoneFootprint(radiusKm, geometry = {}, asymmetryCoefficient = 0) {
+  const angle = geometry.angle ?? 90;
+  const azimuth = geometry.azimuth ?? 0;
+  const trailLengthKm = geometry.trailLengthKm || 0;
+  
+  // Asymmetry vanishes for vertical impacts and peaks at grazing incidence
+  const cosAngle = Math.cos(angle * Math.PI / 180);
+  const asymmetry = asymmetryCoefficient * cosAngle * cosAngle;
+  
+  // A line source only stretches a zone by up to its own radius:
+  // small high-intensity zones follow the local energy, large zones see the whole trail
+  const halfTrail = trailLengthKm / 2;
+  const trailExtension = halfTrail > 0 ? (halfTrail * radiusKm) / (radiusKm + halfTrail) : 0;
+  
+  const downrangeExtent = radiusKm * (1 + asymmetry) + trailExtension;
+  const uprangeExtent = radiusKm * (1 - asymmetry) + trailExtension;
+  const crossrangeExtent = radiusKm;
+  
+  const semiMajorAxis = (downrangeExtent + uprangeExtent) / 2;
+  
+  return {
+    shape: semiMajorAxis === crossrangeExtent && downrangeExtent === uprangeExtent ? 'circle' : 'ellipse',
+    semiMajorAxisKm: semiMajorAxis,
+    semiMinorAxisKm: crossrangeExtent,
+    orientation: azimuth,
+    centerOffsetKm: (downrangeExtent - uprangeExtent) / 2,
+    downrangeExtentKm: downrangeExtent,
+    uprangeExtentKm: uprangeExtent,
+    crossrangeExtentKm: crossrangeExtent
+  };
+}
+
 /**
  * Calculate crater ejecta distribution
  * @param {number} craterRadiusKm - Crater radius in km
  * @param {number} energyJoules - Impact energy in Joules
+ * @param {object} geometry - Trajectory geometry (angle, azimuth)
  * @returns {object} Ejecta distribution data
  */
-function calculateEjectaDistribution(craterRadiusKm, energyJoules) {
+function calculateEjectaDistribution(craterRadiusKm, energyJoules, geometry = {}) {
   const yieldMegatons = energyJoules / BLAST_CONSTANTS.JOULES_PER_MEGATON;
+  const angle = geometry.angle ?? 90;
+  const asymmetry = BLAST_CONSTANTS.DOWNRANGE_ASYMMETRY.EJECTA;
   
   // Ejecta blanket: 2-4 crater radii
   const ejectaBlanketRadius = craterRadiusKm * 3;
@@ -173,30 +258,60 @@ function calculateEjectaDistribution(craterRadiusKm, energyJoules) {
   // Fine ejecta and dust plume
   const dustCloudRadius = Math.min(craterRadiusKm * 20, 1000);
   
+  // Ejecta curtain is thrown mostly downrange; the trail does not apply to crater ejecta
+  const ejectaGeometry = { angle: angle, azimuth: geometry.azimuth };
+  
   return {
     continuousEjectaBlanket: {
       radius: ejectaBlanketRadius,
       thickness: ejectaBlanketThickness,
       description: 'Continuous blanket of melted and pulverized rock',
       effect: 'Complete burial of everything',
-      material: 'Impact melt, breccia, shocked rock'
+      material: 'Impact melt, breccia, shocked rock',
+      footprint: calculateZoneFootprint(ejectaBlanketRadius, ejectaGeometry, asymmetry)
     },
     discontinuousEjecta: {
       radius: largeFragmentRange,
       description: 'Boulder-sized to car-sized projectiles',
       effect: 'Ballistic impacts causing secondary craters',
-      velocity: '100-500 m/s'
+      velocity: '100-500 m/s',
+      footprint: calculateZoneFootprint(largeFragmentRange, ejectaGeometry, asymmetry)
     },
     dustAndVapor: {
       radius: dustCloudRadius,
       description: 'Fine dust and vaporized material',
       effect: 'Reduced visibility, respiratory hazard, climate impact',
       particleSize: '<1 mm to aerosols',
-      atmospheric: yieldMegatons > 10
+      atmospheric: yieldMegatons > 10,
+      footprint: calculateZoneFootprint(dustCloudRadius, ejectaGeometry, BLAST_CONSTANTS.DOWNRANGE_ASYMMETRY.THERMAL)
+    },
+    obliqueImpactPattern: {
+      impactAngle: angle,
+      uprangeForbiddenZone: angle < BLAST_CONSTANTS.EJECTA_FORBIDDEN_ZONE_ANGLE,
+      butterflyPattern: angle < BLAST_CONSTANTS.BUTTERFLY_EJECTA_ANGLE,
+      description: getEjectaPatternDescription(angle)
     }
   };
 }
 
+/**
+ * Describe the ejecta pattern for an impact angle
+ * @param {number} angle - Impact angle in degrees from horizontal
+ * @returns {string} Pattern description
+ */
+function getEjectaPatternDescription(angle) {
+  if (angle < BLAST_CONSTANTS.BUTTERFLY_EJECTA_ANGLE) {
+    return 'Butterfly pattern - ejecta thrown to both sides of the ground track, none uprange or downrange of the crater';
+  }
+  if (angle < BLAST_CONSTANTS.EJECTA_FORBIDDEN_ZONE_ANGLE) {
+    return 'Uprange forbidden zone - ejecta concentrated downrange and to the sides';
+  }
+  if (angle < 45) {
+    return 'Asymmetric blanket - ejecta thicker and farther reaching downrange';
+  }
+  return 'Near-symmetric ejecta blanket';
+}
+
 /**
  * Calculate wind/blast wave effects
  * @param {number} energyJoules - Impact energy in Joules
@@ -250,9 +365,11 @@ function getWindCategory(speedKMH) {
  * @param {number} energyJoules - Impact energy in Joules
  * @param {number} craterRadiusKm - Crater radius in km
  * @param {string} impactType - Type of impact
+ * @param {number} burstAltitudeKm - Burst altitude in km (airbursts only)
+ * @param {object} geometry - Trajectory geometry (angle, azimuth, trailLengthKm)
  * @returns {object} Complete blast effects data
  */
-function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'surface') {
+function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'surface', burstAltitudeKm = 0, geometry = {}) {
   const yieldMegatons = energyJoules / BLAST_CONSTANTS.JOULES_PER_MEGATON;
   const yieldKilotons = yieldMegatons * 1000;
   
@@ -267,7 +384,7 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
   // Calculate blast radii for different overpressure zones
   const blastZones = {
     totalDestruction: {
-      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.TOTAL_DESTRUCTION, impactType),
+      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.TOTAL_DESTRUCTION, impactType, burstAltitudeKm),
       overpressure: BLAST_CONSTANTS.OVERPRESSURE.TOTAL_DESTRUCTION,
       overpressureKPa: BLAST_CONSTANTS.OVERPRESSURE.TOTAL_DESTRUCTION * 6.895,
       description: '20 PSI - Total Destruction Zone',
@@ -278,11 +395,11 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
         'Near 100% fatality rate',
         'Cratering and ground deformation'
       ],
-      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.TOTAL_DESTRUCTION, impactType)),
+      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.TOTAL_DESTRUCTION, impactType, burstAltitudeKm)),
       survivability: '0-1%'
     },
     severeBlastDamage: {
-      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.SEVERE_DAMAGE, impactType),
+      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.SEVERE_DAMAGE, impactType, burstAltitudeKm),
       overpressure: BLAST_CONSTANTS.OVERPRESSURE.SEVERE_DAMAGE,
       overpressureKPa: BLAST_CONSTANTS.OVERPRESSURE.SEVERE_DAMAGE * 6.895,
       description: '10 PSI - Severe Damage Zone',
@@ -293,11 +410,11 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
         '~95% fatality rate without shelter',
         'Major infrastructure destruction'
       ],
-      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.SEVERE_DAMAGE, impactType)),
+      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.SEVERE_DAMAGE, impactType, burstAltitudeKm)),
       survivability: '5-10%'
     },
     moderateBlastDamage: {
-      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MODERATE_DAMAGE, impactType),
+      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MODERATE_DAMAGE, impactType, burstAltitudeKm),
       overpressure: BLAST_CONSTANTS.OVERPRESSURE.MODERATE_DAMAGE,
       overpressureKPa: BLAST_CONSTANTS.OVERPRESSURE.MODERATE_DAMAGE * 6.895,
       description: '5 PSI - Moderate Damage Zone',
@@ -308,11 +425,11 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
         'Widespread structural failures',
         'Flying debris hazard'
       ],
-      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MODERATE_DAMAGE, impactType)),
+      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MODERATE_DAMAGE, impactType, burstAltitudeKm)),
       survivability: '30-50%'
     },
     lightBlastDamage: {
-      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.LIGHT_DAMAGE, impactType),
+      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.LIGHT_DAMAGE, impactType, burstAltitudeKm),
       overpressure: BLAST_CONSTANTS.OVERPRESSURE.LIGHT_DAMAGE,
       overpressureKPa: BLAST_CONSTANTS.OVERPRESSURE.LIGHT_DAMAGE * 6.895,
       description: '2 PSI - Light Damage Zone',
@@ -323,11 +440,11 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
         'Interior walls damaged',
         'Minor building collapse'
       ],
-      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.LIGHT_DAMAGE, impactType)),
+      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.LIGHT_DAMAGE, impactType, burstAltitudeKm)),
       survivability: '70-85%'
     },
     minorDamage: {
-      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MINOR_DAMAGE, impactType),
+      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MINOR_DAMAGE, impactType, burstAltitudeKm),
       overpressure: BLAST_CONSTANTS.OVERPRESSURE.MINOR_DAMAGE,
       overpressureKPa: BLAST_CONSTANTS.OVERPRESSURE.MINOR_DAMAGE * 6.895,
       description: '1 PSI - Minor Damage Zone',
@@ -338,11 +455,11 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
         'Doors displaced',
         'Light fixtures damaged'
       ],
-      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MINOR_DAMAGE, impactType)),
+      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.MINOR_DAMAGE, impactType, burstAltitudeKm)),
       survivability: '>95%'
     },
     glassBreakage: {
-      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.GLASS_BREAKAGE, impactType),
+      radius: calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.GLASS_BREAKAGE, impactType, burstAltitudeKm),
       overpressure: BLAST_CONSTANTS.OVERPRESSURE.GLASS_BREAKAGE,
       overpressureKPa: BLAST_CONSTANTS.OVERPRESSURE.GLASS_BREAKAGE * 6.895,
       description: '0.5 PSI - Glass Breakage Zone',
@@ -353,7 +470,7 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
         'No structural damage',
         'Loud noise and shaking'
       ],
-      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.GLASS_BREAKAGE, impactType)),
+      windSpeed: calculateWindSpeed(energyJoules, calculateBlastRadius(energyJoules, BLAST_CONSTANTS.OVERPRESSURE.GLASS_BREAKAGE, impactType, burstAltitudeKm)),
       survivability: '>99%'
     }
   };
@@ -397,8 +514,16 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
     }
   };
   
+  // Shape every zone to the trajectory
+  Object.values(blastZones).forEach(zone => {
+    zone.footprint = calculateZoneFootprint(zone.radius, geometry, BLAST_CONSTANTS.DOWNRANGE_ASYMMETRY.BLAST);
+  });
+  Object.values(thermalEffects).forEach(zone => {
+    zone.footprint = calculateZoneFootprint(zone.radius, geometry, BLAST_CONSTANTS.DOWNRANGE_ASYMMETRY.THERMAL);
+  });
+  
   // Calculate ejecta distribution
-  const ejectaDistribution = calculateEjectaDistribution(craterRadiusKm, energyJoules);
+  const ejectaDistribution = calculateEjectaDistribution(craterRadiusKm, energyJoules, geometry);
   
   // Calculate maximum affected radius
   const maxRadius = Math.max(
@@ -438,6 +563,12 @@ function calculateAllBlastEffects(energyJoules, craterRadiusKm, impactType = 'su
       totalAffectedArea: affectedAreaKm2,
       areaUnit: 'km²',
       impactType: impactType,
+      burstAltitudeKm: impactType === 'airburst' ? burstAltitudeKm : null,
+      trajectory: {
+        angle: geometry.angle ?? 90,
+        azimuth: geometry.azimuth ?? 0,
+        trailLengthKm: geometry.trailLengthKm || 0
+      },
       note: 'Actual effects vary with terrain, weather, and target characteristics'
     },
     casualtyEstimates: casualtyZones,
@@ -457,7 +588,7 @@ function calculateCasualtyEstimates(blastZones, thermalEffects) {
   const moderateArea = Math.PI * Math.pow(blastZones.moderateBlastDamage.radius, 2) - severeArea - totalDestructionArea;
   
   return {
-    note: 'Casualty estimates are highly dependent on population density, time of day, building quality, and warning time',
+    note: 'Zone areas only - see casualtyData for population-weighted deaths and injuries',
     nearCertainFatality: {
       area: totalDestructionArea,
       description: 'Near-certain fatality zone (95-100% without deep shelter)',
@@ -597,12 +728,14 @@ function getEnergyComparison(megatons) {
 /**
  * Generate evacuation zones based on blast effects
  * @param {object} blastEffects - Complete blast effects data
+ * @param {object} geometry - Trajectory geometry (angle, azimuth, trailLengthKm)
  * @returns {object} Evacuation zone recommendations
  */
-function generateEvacuationZones(blastEffects) {
+function generateEvacuationZones(blastEffects, geometry = {}) {
   const zones = {
     redZone: {
       radius: blastEffects.blastEffects.moderateBlastDamage.radius,
+      footprint: blastEffects.blastEffects.moderateBlastDamage.footprint,
       priority: 'IMMEDIATE - CRITICAL',
       timeframe: 'Evacuate immediately if possible',
       description: 'Unsurvivable without deep underground shelter',
@@ -616,6 +749,7 @@ function generateEvacuationZones(blastEffects) {
     },
     orangeZone: {
       radius: blastEffects.blastEffects.lightBlastDamage.radius,
+      footprint: blastEffects.blastEffects.lightBlastDamage.footprint,
       priority: 'URGENT - HIGH',
       timeframe: 'Evacuate within hours',
       description: 'Severe damage expected, high casualty risk',
@@ -629,6 +763,7 @@ function generateEvacuationZones(blastEffects) {
     },
     yellowZone: {
       radius: blastEffects.blastEffects.minorDamage.radius,
+      footprint: blastEffects.blastEffects.minorDamage.footprint,
       priority: 'MODERATE',
       timeframe: 'Evacuate within 24 hours',
       description: 'Significant damage, injuries likely',
@@ -642,6 +777,7 @@ function generateEvacuationZones(blastEffects) {
     },
     greenZone: {
       radius: blastEffects.blastEffects.glassBreakage.radius,
+      footprint: blastEffects.blastEffects.glassBreakage.footprint,
       priority: 'LOW - ADVISORY',
       timeframe: 'Prepare and monitor',
       description: 'Minor damage possible',
@@ -655,6 +791,7 @@ function generateEvacuationZones(blastEffects) {
     },
     blueZone: {
       radius: blastEffects.impactZoneSummary.maxAffectedRadius,
+      footprint: calculateZoneFootprint(blastEffects.impactZoneSummary.maxAffectedRadius, geometry),
       priority: 'AWARENESS',
       timeframe: 'Stay informed',
       description: 'Possible indirect effects',
@@ -803,6 +940,8 @@ function addBlastRadiusData(impactData) {
     const kineticEnergy = impactData.calculations?.kineticEnergy?.value;
     const craterRadius = impactData.calculations?.estimatedCrater?.radius;
     const location = impactData.geographicImpactData?.geographicRisk;
+    const entry = impactData.atmosphericEntryData;
+    const trajectory = impactData.input?.trajectory;
     
     if (!kineticEnergy) {
       return {
@@ -813,7 +952,8 @@ function addBlastRadiusData(impactData) {
       };
     }
     
-    if (!craterRadius) {
+    // Airbursts legitimately leave no crater, so only a missing value is an error
+    if (craterRadius === undefined || craterRadius === null) {
       return {
         ...impactData,
         blastRadiusData: {
@@ -825,15 +965,30 @@ function addBlastRadiusData(impactData) {
     // Convert crater radius from meters to kilometers
     const craterRadiusKm = craterRadius / 1000;
     
-    // Determine impact type
-    const isOceanImpact = location?.primaryRegion === 'Ocean';
-    const impactType = isOceanImpact ? 'shallow_water' : 'surface';
+    // Determine impact type - airbursts release their energy aloft,
+    // everything else couples the energy that survives entry at the surface
+    const isOceanImpact = location?.isOcean === true;
+    let impactType = isOceanImpact ? 'shallow_water' : 'surface';
+    let blastEnergy = entry ? entry.energy.atGround : kineticEnergy;
+    let burstAltitudeKm = 0;
+    if (entry?.isAirburst) {
+      impactType = 'airburst';
+      blastEnergy = entry.energy.depositedInAtmosphere;
+      burstAltitudeKm = entry.burstAltitude?.kilometers || 0;
+    }
+    
+    // Oblique trajectories and airburst trails stretch zones along the ground track
+    const geometry = {
+      angle: trajectory?.angle ?? 90,
+      azimuth: trajectory?.azimuth ?? 0,
+      trailLengthKm: entry?.isAirburst ? (entry.depositionTrail?.groundLengthKm || 0) : 0
+    };
     
     // Calculate all blast effects
-    const blastEffects = calculateAllBlastEffects(kineticEnergy, craterRadiusKm, impactType);
+    const blastEffects = calculateAllBlastEffects(blastEnergy, craterRadiusKm, impactType, burstAltitudeKm, geometry);
     
     // Generate evacuation zones
-    const evacuationZones = generateEvacuationZones(blastEffects);
+    const evacuationZones = generateEvacuationZones(blastEffects, geometry);
     
     // Generate warnings
     const warnings = generateBlastWarnings(blastEffects, location);
@@ -850,6 +1005,7 @@ function addBlastRadiusData(impactData) {
         warnings: warnings,
         impactClassification: {
           impactType: impactType,
+          burstAltitudeKm: entry?.isAirburst ? burstAltitudeKm : null,
           category: getImpactCategory(blastEffects.energyYield.megatons),
           totalDestructionArea: totalDestructionArea,
           severeDestructionArea: severeArea,
@@ -951,9 +1107,12 @@ function getComparableHistoricalEvent(megatons) {
 // Export functions
 module.exports = {
   calculateBlastRadius,
+  shockFrontSpeed,
   calculateThermalRadius,
   calculateFireballRadius,
   calculateAllBlastEffects,
+  calculateEjectaDistribution,
+  calculateZoneFootprint,
   addBlastRadiusData,
   generateEvacuationZones,
   generateBlastWarnings,
@@ -0,0 +1,240 @@
+/**
+ * Target-Plane (B-Plane) Impact Probability
+ * Places the nominal encounter on Earth's target plane, spreads it with a Gaussian
+ * 1-sigma uncertainty ellipse and integrates that Gaussian over Earth's capture disk,
+ * whose radius is enlarged by gravitational focusing
+ * Based on Öpik (1976), Valsecchi et al. (2003) and Chodas & Yeomans (1999)
+ */
+
+// B-Plane Constants
+const BPLANE_CONSTANTS = {
+  EARTH_RADIUS_KM: 6371,            // Mean Earth radius (km)
+  EARTH_GM: 398600.4418,            // Earth gravitational parameter (km³/s²)
+  MIN_V_INFINITY: 0.5,              // Floor for hyperbolic excess velocity (km/s), avoids unbounded focusing
+  DEFAULT_RELATIVE_SIGMA: 0.1,      // 1-sigma major axis as a fraction of the miss distance when nothing better is known
+  DEFAULT_AXIS_RATIO: 0.1,          // Minor / major axis (b-plane ellipses are stretched along the line of variations)
+  DEFAULT_ORIENTATION: 0,           // Major axis pointing at Earth's centre (most conservative orientation)
+  MIN_SIGMA_KM: 10,                 // Smallest uncertainty the model will use (km)
+  MAX_SIGMA_KM: 1.496e8,            // Beyond 1 AU the encounter is effectively unconstrained and the linear model no longer applies
+  KM_PER_ARCSEC_AT_1AU: 725.27,     // Along-track distance subtended by one arcsecond at 1 AU (km)
+  RUNOFF_YEARS: 10,                 // The MPC uncertainty parameter describes the runoff after one decade
+  MIN_YEARS_FROM_EPOCH: 1,          // Even an approach at epoch carries at least a year of runoff
+  GAUSS_SIGMA_LIMIT: 8,             // Gaussian tails beyond ±8 sigma are ignored (< 1e-15)
+  INTEGRATION_STEPS: 400            // Simpson intervals across the capture disk (must be even)
+};
+
+// Upper bound of the in-orbit longitude runoff (arcsec per decade) for each MPC
+// uncertainty parameter U = 0-9 (Minor Planet Center, "Uncertainty Parameter U")
+const UNCERTAINTY_RUNOFF_ARCSEC = [1.0, 4.4, 19.6, 86.5, 382, 1692, 7488, 33121, 146502, 648000];
+
+/**
+ * Complementary error function (Numerical Recipes erfcc, fractional error < 1.2e-7)
+ * Accurate in the far tail, where 1 - erf(x) would lose every significant digit
+ * @param {number} x - Argument
+ * @returns {number} erfc(x)
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const result = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 +
+    t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 +
+    t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? result : 2 - result;
+}
+
+/**
+ * Upper tail of the standard normal distribution, P(Z > x)
+ * @param {number} x - Standard score
+ * @returns {number} Tail probability
+ */
+function normalTail(x) {
+  return 0.5 * erfc(x / Math.SQRT2);
+}
+
+/**
+ * Probability that a standard normal variable falls between two values
+ * Computed from whichever tails avoid cancellation
+ * @param {number} lower - Lower standard score
+ * @param {number} upper - Upper standard score
+ * @returns {number} P(lower < Z < upper)
+ */
+function normalInterval(lower, upper) {
+  if (upper <= lower) return 0;
+  if (lower >= 0) return normalTail(lower) - normalTail(upper);
+  if (upper <= 0) return normalTail(-upper) - normalTail(-lower);
+  return 1 - normalTail(-lower) - normalTail(upper);
+}
+
+/**
+ * Hyperbolic excess velocity from the relative velocity at closest approach
+ * Energy conservation: v∞² = v² - 2GM / r (r is at least Earth's radius)
+ * @param {number} velocityKmS - Relative velocity at closest approach (km/s)
+ * @param {number} missDistanceKm - Geocentric closest-approach distance (km)
+ * @returns {number} Hyperbolic excess velocity (km/s)
+ */
+function calculateVInfinity(velocityKmS, missDistanceKm) {
+  const { EARTH_GM, EARTH_RADIUS_KM, MIN_V_INFINITY } = BPLANE_CONSTANTS;
+  const radius = Math.max(missDistanceKm, EARTH_RADIUS_KM);
+  const vInfinitySquared = velocityKmS * velocityKmS - 2 * EARTH_GM / radius;
+  return Math.max(Math.sqrt(Math.max(vInfinitySquared, 0)), MIN_V_INFINITY);
+}
+
+/**
+ * Radius of Earth's capture cross-section on the b-plane
+ * b_E = R √(1 + v_esc² / v∞²), with R = Earth radius plus the object's radius
+ * @param {number} vInfinity - Hyperbolic excess velocity (km/s)
+ * @param {number} objectRadiusKm - Radius of the impactor (km)
+ * @returns {object} Capture radius and focusing factor b_E / R
+ */
+function calculateCaptureRadius(vInfinity, objectRadiusKm = 0) {
+  const radius = BPLANE_CONSTANTS.EARTH_RADIUS_KM + objectRadiusKm;
+  const escapeVelocitySquared = 2 * BPLANE_CONSTANTS.EARTH_GM / radius;
+  const focusingFactor = Math.sqrt(1 + escapeVelocitySquared / (vInfinity * vInfinity));
+
+  return {
+    radiusKm: radius * focusingFactor,
+    focusingFactor: focusingFactor
+  };
+}
+
+/**
+ * Convert the closest-approach (perigee) distance into the b-plane impact parameter
+ * b = r_p √(1 + 2GM / (r_p v∞²)) undoes the bending of the trajectory by Earth's gravity
+ * @param {number} missDistanceKm - Geocentric closest-approach distance (km)
+ * @param {number} vInfinity - Hyperbolic excess velocity (km/s)
+ * @returns {number} Impact parameter (km)
+ */
+function calculateImpactParameter(missDistanceKm, vInfinity) {
+  if (!(missDistanceKm > 0)) return 0;
+  return missDistanceKm * Math.sqrt(1 + 2 * BPLANE_CONSTANTS.EARTH_GM / (missDistanceKm * vInfinity * vInfinity));
+}
+
+/**
+ * Estimate the 1-sigma b-plane uncertainty ellipse for an encounter
+ * With the MPC uncertainty parameter, the major axis is the decade runoff of that
+ * class scaled linearly to the time between the orbit epoch and the encounter;
+ * otherwise it is a fixed fraction of the miss distance
+ * @param {object} encounter - Encounter details
+ * @param {number} encounter.missDistanceKm - Nominal miss distance (km)
+ * @param {number|string} encounter.orbitUncertainty - MPC uncertainty parameter U, 0-9 (optional)
+ * @param {number} encounter.yearsFromEpoch - Years between orbit epoch and encounter (optional)
+ * @returns {object} { majorKm, minorKm, orientationDeg, source }
+ */
+function estimateMissUncertainty({ missDistanceKm, orbitUncertainty, yearsFromEpoch }) {
+  const {
+    DEFAULT_RELATIVE_SIGMA, DEFAULT_AXIS_RATIO, DEFAULT_ORIENTATION, MIN_SIGMA_KM,
+    MAX_SIGMA_KM, KM_PER_ARCSEC_AT_1AU, RUNOFF_YEARS, MIN_YEARS_FROM_EPOCH
+  } = BPLANE_CONSTANTS;
+  const uncertaintyClass = parseInt(orbitUncertainty, 10);
+
+  let majorKm;
+  let source;
+  if (uncertaintyClass >= 0 && uncertaintyClass <= 9) {
+    const years = Math.max(Math.abs(yearsFromEpoch) || 0, MIN_YEARS_FROM_EPOCH);
+    majorKm = UNCERTAINTY_RUNOFF_ARCSEC[uncertaintyClass] * KM_PER_ARCSEC_AT_1AU * years / RUNOFF_YEARS;
+    source = 'orbit-uncertainty';
+  } else {
+    majorKm = DEFAULT_RELATIVE_SIGMA * (missDistanceKm || 0);
+    source = 'default';
+  }
+
+  majorKm = Math.min(Math.max(majorKm, MIN_SIGMA_KM), MAX_SIGMA_KM);
+  return {
+    majorKm: majorKm,
+    minorKm: Math.max(majorKm * DEFAULT_AXIS_RATIO, MIN_SIGMA_KM),
+    orientationDeg: DEFAULT_ORIENTATION,
+    source: source
+  };
+}
+
+/**
+ * Integrate a centred 2-D Gaussian over a disk
+ * The disk is sliced into chords across the minor axis; each chord is integrated
+ * exactly with the normal CDF and the chords are summed with Simpson's rule in the
+ * angle t, where w = c_w + R sin t, which removes the square-root edge of the disk
+ * @param {number} sigmaU - Standard deviation along the major axis (km)
+ * @param {number} sigmaW - Standard deviation along the minor axis (km)
+ * @param {number} centerU - Disk centre along the major axis (km)
+ * @param {number} centerW - Disk centre along the minor axis (km)
+ * @param {number} radius - Disk radius (km)
+ * @returns {number} Probability mass inside the disk (0-1)
+ */
+function integrateGaussianOverDisk(sigmaU, sigmaW, centerU, centerW, radius) {
+  const { GAUSS_SIGMA_LIMIT, INTEGRATION_STEPS } = BPLANE_CONSTANTS;
+
+  // Only the part of the disk within the Gaussian's support contributes
+  const lowerW = Math.max(centerW - radius, -GAUSS_SIGMA_LIMIT * sigmaW);
+  const upperW = Math.min(centerW + radius, GAUSS_SIGMA_LIMIT * sigmaW);
+  if (lowerW >= upperW) return 0;
+
+  const clampSine = value => Math.min(Math.max(value, -1), 1);
+  const lowerT = Math.asin(clampSine((lowerW - centerW) / radius));
+  const upperT = Math.asin(clampSine((upperW - centerW) / radius));
+  const step = (upperT - lowerT) / INTEGRATION_STEPS;
+
+  const integrand = t => {
+    const w = centerW + radius * Math.sin(t);
+    const halfChord = radius * Math.cos(t);
+    const density = Math.exp(-0.5 * (w / sigmaW) ** 2) / (sigmaW * Math.sqrt(2 * Math.PI));
+    const chordProbability = normalInterval((centerU - halfChord) / sigmaU, (centerU + halfChord) / sigmaU);
+    return density * chordProbability * halfChord;
+  };
+
+  let sum = integrand(lowerT) + integrand(upperT);
+  for (let i = 1; i < INTEGRATION_STEPS; i++) {
+    sum += (i % 2 === 0 ? 2 : 4) * integrand(lowerT + i * step);
+  }
+
+  return Math.min(Math.max(sum * step / 3, 0), 1);
+}
+
+/**
+ * Calculate impact probability on the b-plane
+ * The nominal encounter sits at the impact parameter b from Earth's centre; the
+ * uncertainty ellipse is centred there with its major axis at orientationDeg from
+ * the line to Earth's centre, and the probability is the ellipse's Gaussian mass
+ * inside the capture radius b_E
+ * @param {object} encounter - Encounter details
+ * @param {number} encounter.missDistanceKm - Nominal geocentric closest-approach distance (km)
+ * @param {number} encounter.velocityKmS - Relative velocity at closest approach (km/s)
+ * @param {number} encounter.diameterKm - Object diameter (km, default: 0)
+ * @param {object} encounter.uncertainty - 1-sigma ellipse { majorKm, minorKm, orientationDeg }
+ *   (default: estimateMissUncertainty)
+ * @returns {object} Probability with the b-plane geometry used to compute it
+ */
+function calculateImpactProbability({ missDistanceKm, velocityKmS, diameterKm = 0, uncertainty }) {
+  const ellipse = uncertainty || estimateMissUncertainty({ missDistanceKm });
+  const vInfinity = calculateVInfinity(velocityKmS, missDistanceKm);
+  const capture = calculateCaptureRadius(vInfinity, diameterKm / 2);
+  const impactParameter = calculateImpactParameter(missDistanceKm, vInfinity);
+
+  // Earth's centre in the ellipse's principal axes
+  const orientation = (ellipse.orientationDeg || 0) * Math.PI / 180;
+  const centerU = impactParameter * Math.cos(orientation);
+  const centerW = impactParameter * Math.sin(orientation);
+
+  const probability = integrateGaussianOverDisk(
+    ellipse.majorKm, ellipse.minorKm, centerU, centerW, capture.radiusKm
+  );
+
+  return {
+    value: probability,
+    model: 'b-plane',
+    impactParameterKm: impactParameter,
+    captureRadiusKm: capture.radiusKm,
+    focusingFactor: capture.focusingFactor,
+    vInfinityKmS: vInfinity,
+    sigmaDistance: (impactParameter - capture.radiusKm) / ellipse.majorKm,
+    uncertainty: ellipse
+  };
+}
+
+module.exports = {
+  calculateImpactProbability,
+  estimateMissUncertainty,
+  calculateVInfinity,
+  calculateCaptureRadius,
+  calculateImpactParameter,
+  integrateGaussianOverDisk,
+  BPLANE_CONSTANTS
+};
@@ -0,0 +1,623 @@
+/**
+ * Casualty Estimator for Asteroid Impacts
+ * Integrates blast, thermal and seismic rings against the bundled population grid
+ * (backend/data/population-grid.json) and large-city list (backend/data/cities.json)
+ * Lethality follows OTA (1979) overpressure/burn tables and the USGS PAGER
+ * empirical fatality model (Jaiswal & Wald 2010)
+ */
+
+const populationGrid = require('../data/population-grid.json');
+const cityData = require('../data/cities.json');
+const { calculateRegionalEffects } = require('./calculate_earthquake');
+const { calculateGreatCircleDistance } = require('./calculate_tsunami');
+
+// Casualty Constants
+const CASUALTY_CONSTANTS = {
+  EARTH_RADIUS_KM: 6371,            // Earth radius (km)
+  KM_PER_DEGREE: 111.32,            // Length of one degree of latitude (km)
+  URBAN_DENSITY: 4000,              // Mean density used to size large-city disks (people/km²)
+  SAMPLE_SPACING_KM: 20,            // Target spacing between integration samples (km)
+  MIN_RADIAL_STEPS: 2,              // Sub-rings per interval between zone boundaries
+  MAX_RADIAL_STEPS: 50,
+  MIN_ANGULAR_STEPS: 36,            // Samples around each sub-ring
+  MAX_ANGULAR_STEPS: 720,
+  MIN_SEISMIC_MMI: 6,               // Shaking below this intensity is not counted
+  PAGER_THETA: 14,                  // Lognormal fatality model median MMI
+  PAGER_BETA: 0.2,                  // Lognormal fatality model spread
+  SEISMIC_INJURY_RATIO: 3,          // Earthquake injuries per death
+  MAX_SEISMIC_DISTANCE_KM: 20000,   // Upper bound when searching intensity contours (km)
+  MAX_CITIES: 10                    // Cities reported in mostAffectedCities
+};
+
+// Share of the population killed / injured inside each overpressure zone
+// (OTA 1979, The Effects of Nuclear War); zones are listed from the centre outwards
+const BLAST_LETHALITY = {
+  totalDestruction: { deaths: 0.98, injuries: 0.02 },      // > 20 psi
+  severeBlastDamage: { deaths: 0.7, injuries: 0.25 },      // 10-20 psi
+  moderateBlastDamage: { deaths: 0.5, injuries: 0.4 },     // 5-10 psi
+  lightBlastDamage: { deaths: 0.05, injuries: 0.45 },      // 2-5 psi
+  minorDamage: { deaths: 0, injuries: 0.25 },              // 1-2 psi
+  glassBreakage: { deaths: 0, injuries: 0.05 }             // 0.5-1 psi
+};
+
+// Share of the population killed / injured inside each thermal zone,
+// assuming roughly a quarter of people are outdoors or behind windows
+const THERMAL_LETHALITY = {
+  vaporization: { deaths: 1, injuries: 0 },
+  thirdDegreeBurns: { deaths: 0.2, injuries: 0.3 },
+  secondDegreeBurns: { deaths: 0.02, injuries: 0.15 },
+  firstDegreeBurns: { deaths: 0, injuries: 0.02 }
+};
+
+// Multipliers on the central lethality for the low and high bounds
+const UNCERTAINTY_FACTORS = {
+  blast: { low: 0.5, high: 1.5 },
+  thermal: { low: 0.3, high: 1.5 },
+  seismic: { low: 0.3, high: 3 }
+};
+
+const SCENARIOS = ['estimate', 'low', 'high'];
+
+// Index grid cells by row/column for constant-time lookup
+const GRID_COLUMNS = Math.round(360 / populationGrid.resolution);
+const GRID_CELLS = new Map(
+  populationGrid.cells.map(([row, col, population]) => [row * GRID_COLUMNS + col, population])
+);
+
+/**
+ * Calculate initial bearing from one point to another
+ * @param {number} lat1 - Latitude of start point in degrees
+ * @param {number} lon1 - Longitude of start point in degrees
+ * @param {number} lat2 - Latitude of end point in degrees
+ * @param {number} lon2 - Longitude of end point in degrees
+ * @returns {number} Bearing in degrees clockwise from north
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLon = (lon2 - lon1) * toRad;
+  const y = Math.sin(dLon) * Math.cos(lat2 * toRad);
+  const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+    Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLon);
+
+  return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+/**
+ * Calculate the point reached by travelling a distance along a bearing
+ * @param {number} latitude - Start latitude in degrees
+ * @param {number} longitude - Start longitude in degrees
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distanceKm - Distance in km
+ * @returns {object} Destination { latitude, longitude }
+ */
+function calculateDestination(latitude, longitude, bearing, distanceKm) {
+  const toRad = Math.PI / 180;
+  const delta = distanceKm / CASUALTY_CONSTANTS.EARTH_RADIUS_KM;
+  const theta = bearing * toRad;
+  const phi1 = latitude * toRad;
+
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+  const lambda2 = longitude * toRad + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    latitude: phi2 / toRad,
+    longitude: ((lambda2 / toRad + 540) % 360) - 180
+  };
+}
+
+/**
+ * Look up the population density of the grid cell containing a point
+ * Large cities are excluded from the grid and handled separately
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} People per km²
+ */
+function getPopulationDensity(latitude, longitude) {
+  const { resolution, origin } = populationGrid;
+  const row = Math.floor((origin.latitude - latitude) / resolution);
+  const col = Math.floor((longitude - origin.longitude) / resolution) % GRID_COLUMNS;
+  const population = GRID_CELLS.get(row * GRID_COLUMNS + col);
+
+  if (!population) {
+    return 0;
+  }
+
+  const cellLatitude = origin.latitude - (row + 0.5) * resolution;
+  const cellSizeKm = resolution * CASUALTY_CONSTANTS.KM_PER_DEGREE;
+  const cellArea = cellSizeKm * cellSizeKm * Math.max(Math.cos(cellLatitude * Math.PI / 180), 0.01);
+
+  return population / cellArea;
+}
+
+/**
+ * Test whether a point lies inside a zone, using its trajectory footprint when available
+ * @param {object} zone - Blast or thermal zone with radius and optional footprint
+ * @param {number} downrangeKm - Distance along the ground track from ground zero
+ * @param {number} crossrangeKm - Distance across the ground track from ground zero
+ * @returns {boolean} True if inside
+ */
+function isInsideZone(zone, downrangeKm, crossrangeKm) {
+  const footprint = zone.footprint;
+  if (!footprint) {
+    return Math.hypot(downrangeKm, crossrangeKm) <= zone.radius;
+  }
+  if (!(footprint.semiMajorAxisKm > 0) || !(footprint.semiMinorAxisKm > 0)) {
+    return false;
+  }
+
+  const x = (downrangeKm - footprint.centerOffsetKm) / footprint.semiMajorAxisKm;
+  const y = crossrangeKm / footprint.semiMinorAxisKm;
+  return x * x + y * y <= 1;
+}
+
+/**
+ * Find the innermost zone containing a point
+ * @param {object} zones - Zones keyed by name
+ * @param {object} lethality - Lethality table keyed by zone name, innermost first
+ * @param {number} downrangeKm - Distance along the ground track from ground zero
+ * @param {number} crossrangeKm - Distance across the ground track from ground zero
+ * @returns {string|null} Zone key, or null if outside every zone
+ */
+function findZone(zones, lethality, downrangeKm, crossrangeKm) {
+  return Object.keys(lethality).find(key => zones[key] && isInsideZone(zones[key], downrangeKm, crossrangeKm)) || null;
+}
+
+/**
+ * Calculate earthquake fatality rate from shaking intensity (PAGER lognormal model)
+ * @param {number} mmi - Modified Mercalli Intensity
+ * @returns {number} Fraction of the population killed
+ */
+function calculateSeismicFatalityRate(mmi) {
+  if (mmi < CASUALTY_CONSTANTS.MIN_SEISMIC_MMI) {
+    return 0;
+  }
+
+  const z = Math.log(mmi / CASUALTY_CONSTANTS.PAGER_THETA) / CASUALTY_CONSTANTS.PAGER_BETA;
+  return normalCdf(z);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ * @param {number} z - Standard score
+ * @returns {number} Probability
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+    Math.exp(-(z * z) / 2);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Calculate the distances at which shaking drops below each intensity level
+ * @param {number} magnitude - Seismic magnitude
+ * @param {string} region - Geographic region passed to the attenuation model
+ * @returns {array} Rings of { mmi, outerRadiusKm }, strongest first
+ */
+function calculateSeismicRings(magnitude, region) {
+  const mmiAt = distanceKm => calculateRegionalEffects(magnitude, distanceKm, region).modifiedMercalliIntensity;
+  const rings = [];
+
+  for (let mmi = 12; mmi >= CASUALTY_CONSTANTS.MIN_SEISMIC_MMI; mmi--) {
+    if (mmiAt(0.1) < mmi) {
+      continue;
+    }
+
+    // Intensity falls monotonically with distance, so bisect for the contour
+    let inner = 0.1;
+    let outer = CASUALTY_CONSTANTS.MAX_SEISMIC_DISTANCE_KM;
+    if (mmiAt(outer) >= mmi) {
+      inner = outer;
+    }
+    while (outer - inner > 0.01) {
+      const middle = (inner + outer) / 2;
+      if (mmiAt(middle) >= mmi) {
+        inner = middle;
+      } else {
+        outer = middle;
+      }
+    }
+
+    rings.push({ mmi: mmi, outerRadiusKm: inner });
+  }
+
+  return rings;
+}
+
+/**
+ * Calculate death and injury rates from every effect at one point
+ * @param {object} effects - Blast zones, thermal zones, seismic rings and trajectory azimuth
+ * @param {number} distanceKm - Distance from ground zero in km
+ * @param {number} bearing - Bearing from ground zero in degrees
+ * @returns {object} Zone and central rates per effect
+ */
+function calculateRatesAtPoint(effects, distanceKm, bearing) {
+  const relativeBearing = (bearing - effects.azimuth) * Math.PI / 180;
+  const downrangeKm = distanceKm * Math.cos(relativeBearing);
+  const crossrangeKm = distanceKm * Math.sin(relativeBearing);
+  const rates = {};
+
+  if (effects.blastZones) {
+    const zone = findZone(effects.blastZones, BLAST_LETHALITY, downrangeKm, crossrangeKm);
+    if (zone) {
+      rates.blast = { zone: zone, ...BLAST_LETHALITY[zone] };
+    }
+  }
+
+  if (effects.thermalZones) {
+    const zone = findZone(effects.thermalZones, THERMAL_LETHALITY, downrangeKm, crossrangeKm);
+    if (zone) {
+      rates.thermal = { zone: zone, ...THERMAL_LETHALITY[zone] };
+    }
+  }
+
+  if (effects.seismicRings) {
+    const ring = effects.seismicRings.find(r => distanceKm <= r.outerRadiusKm);
+    if (ring) {
+      const deaths = calculateSeismicFatalityRate(ring.mmi);
+      rates.seismic = {
+        zone: `MMI ${ring.mmi}`,
+        deaths: deaths,
+        injuries: Math.min(1 - deaths, deaths * CASUALTY_CONSTANTS.SEISMIC_INJURY_RATIO)
+      };
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Scale rates to an uncertainty bound and combine effects as independent hazards
+ * @param {object} rates - Central rates per effect from calculateRatesAtPoint
+ * @param {string} scenario - 'estimate', 'low' or 'high'
+ * @returns {object} Scaled rates per effect and combined death/injury rates
+ */
+function combineRates(rates, scenario) {
+  let survival = 1;
+  let uninjured = 1;
+  const byEffect = {};
+
+  Object.entries(rates).forEach(([effect, rate]) => {
+    const factor = scenario === 'estimate' ? 1 : UNCERTAINTY_FACTORS[effect][scenario];
+    const deaths = Math.min(1, rate.deaths * factor);
+    const injuries = Math.min(1 - deaths, rate.injuries * factor);
+
+    byEffect[effect] = { deaths, injuries };
+    survival *= 1 - deaths;
+    uninjured *= 1 - injuries;
+  });
+
+  const deaths = 1 - survival;
+  return {
+    byEffect: byEffect,
+    deaths: deaths,
+    injuries: Math.min(1 - deaths, 1 - uninjured)
+  };
+}
+
+/**
+ * Create an empty accumulator for deaths/injuries under each uncertainty bound
+ * @returns {object} Accumulator
+ */
+function createTally() {
+  const tally = { exposedPopulation: 0, deaths: {}, injuries: {}, zones: {} };
+  SCENARIOS.forEach(scenario => {
+    tally.deaths[scenario] = 0;
+    tally.injuries[scenario] = 0;
+  });
+  return tally;
+}
+
+/**
+ * Add the casualties of a population at one point to the running tallies
+ * @param {object} tallies - Tallies per effect plus total
+ * @param {object} rates - Central rates per effect from calculateRatesAtPoint
+ * @param {number} population - People represented by the point
+ */
+function addToTallies(tallies, rates, population) {
+  if (population <= 0 || Object.keys(rates).length === 0) {
+    return;
+  }
+
+  tallies.total.exposedPopulation += population;
+  Object.entries(rates).forEach(([effect, rate]) => {
+    const tally = tallies[effect];
+    tally.exposedPopulation += population;
+
+    const zone = tally.zones[rate.zone] || (tally.zones[rate.zone] = { population: 0, deaths: 0, injuries: 0 });
+    zone.population += population;
+    zone.deaths += population * rate.deaths;
+    zone.injuries += population * rate.injuries;
+  });
+
+  SCENARIOS.forEach(scenario => {
+    const combined = combineRates(rates, scenario);
+    tallies.total.deaths[scenario] += population * combined.deaths;
+    tallies.total.injuries[scenario] += population * combined.injuries;
+    Object.entries(combined.byEffect).forEach(([effect, rate]) => {
+      tallies[effect].deaths[scenario] += population * rate.deaths;
+      tallies[effect].injuries[scenario] += population * rate.injuries;
+    });
+  });
+}
+
+/**
+ * Integrate the gridded (non-city) population over polar rings around ground zero
+ * Ring boundaries follow the zone edges so each sub-ring sits inside one band
+ * @param {object} effects - Effects from buildEffects
+ * @param {object} impactPoint - Ground zero { latitude, longitude }
+ * @param {object} tallies - Tallies per effect plus total
+ */
+function integrateGridPopulation(effects, impactPoint, tallies) {
+  const {
+    SAMPLE_SPACING_KM, MIN_RADIAL_STEPS, MAX_RADIAL_STEPS, MIN_ANGULAR_STEPS, MAX_ANGULAR_STEPS
+  } = CASUALTY_CONSTANTS;
+  const boundaries = [...new Set([0, ...effects.boundaries])].sort((a, b) => a - b);
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const inner = boundaries[i - 1];
+    const outer = boundaries[i];
+    const radialSteps = Math.min(MAX_RADIAL_STEPS, Math.max(MIN_RADIAL_STEPS, Math.ceil((outer - inner) / SAMPLE_SPACING_KM)));
+
+    for (let j = 0; j < radialSteps; j++) {
+      const a = inner + ((outer - inner) * j) / radialSteps;
+      const b = inner + ((outer - inner) * (j + 1)) / radialSteps;
+      const radius = Math.sqrt((a * a + b * b) / 2);
+      const angularSteps = Math.min(MAX_ANGULAR_STEPS, Math.max(MIN_ANGULAR_STEPS, Math.ceil((2 * Math.PI * radius) / SAMPLE_SPACING_KM)));
+      const sampleArea = (Math.PI * (b * b - a * a)) / angularSteps;
+
+      for (let k = 0; k < angularSteps; k++) {
+        // Stagger alternate sub-rings by half a step to avoid radial aliasing
+        const bearing = (360 * (k + (j % 2) / 2)) / angularSteps;
+        const point = calculateDestination(impactPoint.latitude, impactPoint.longitude, bearing, radius);
+        const population = getPopulationDensity(point.latitude, point.longitude) * sampleArea;
+
+        if (population > 0) {
+          addToTallies(tallies, calculateRatesAtPoint(effects, radius, bearing), population);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Integrate large-city populations, each treated as a uniform urban disk
+ * @param {object} effects - Effects from buildEffects
+ * @param {object} impactPoint - Ground zero { latitude, longitude }
+ * @param {object} tallies - Tallies per effect plus total
+ * @returns {array} Casualties per affected city
+ */
+function integrateCityPopulation(effects, impactPoint, tallies) {
+  const maxExtent = Math.max(...effects.boundaries, 0);
+  const affectedCities = [];
+
+  cityData.cities.forEach(([name, countryCode, latitude, longitude, population]) => {
+    const urbanRadius = Math.sqrt(population / (Math.PI * CASUALTY_CONSTANTS.URBAN_DENSITY));
+    const distanceKm = calculateGreatCircleDistance(impactPoint.latitude, impactPoint.longitude, latitude, longitude);
+    if (distanceKm - urbanRadius > maxExtent) {
+      return;
+    }
+
+    // Sample the centre and six points around the urban disk
+    const bearing = calculateBearing(impactPoint.latitude, impactPoint.longitude, latitude, longitude);
+    const north = distanceKm * Math.cos(bearing * Math.PI / 180);
+    const east = distanceKm * Math.sin(bearing * Math.PI / 180);
+    const offsets = [[0, 0]];
+    for (let k = 0; k < 6; k++) {
+      const angle = (k * Math.PI) / 3;
+      offsets.push([0.6 * urbanRadius * Math.cos(angle), 0.6 * urbanRadius * Math.sin(angle)]);
+    }
+
+    const share = population / offsets.length;
+    let deaths = 0;
+    let injuries = 0;
+    offsets.forEach(([dNorth, dEast]) => {
+      const sampleDistance = Math.hypot(north + dNorth, east + dEast);
+      const sampleBearing = (Math.atan2(east + dEast, north + dNorth) * 180 / Math.PI + 360) % 360;
+      const rates = calculateRatesAtPoint(effects, sampleDistance, sampleBearing);
+      const combined = combineRates(rates, 'estimate');
+
+      addToTallies(tallies, rates, share);
+      deaths += share * combined.deaths;
+      injuries += share * combined.injuries;
+    });
+
+    if (deaths + injuries >= 1) {
+      const centre = calculateRatesAtPoint(effects, distanceKm, bearing);
+      affectedCities.push({
+        name: name,
+        countryCode: countryCode,
+        coordinates: { latitude, longitude },
+        population: population,
+        distanceKm: distanceKm,
+        estimatedDeaths: Math.round(deaths),
+        estimatedInjuries: Math.round(injuries),
+        blastZone: centre.blast?.zone || null,
+        thermalZone: centre.thermal?.zone || null,
+        shakingIntensity: centre.seismic?.zone || null
+      });
+    }
+  });
+
+  return affectedCities
+    .sort((a, b) => (b.estimatedDeaths + b.estimatedInjuries) - (a.estimatedDeaths + a.estimatedInjuries))
+    .slice(0, CASUALTY_CONSTANTS.MAX_CITIES);
+}
+
+/**
+ * Collect the zones of each effect and the radii where any of them changes
+ * @param {object} blastRadiusData - Blast radius data from addBlastRadiusData
+ * @param {object} earthquakeData - Earthquake data from addEarthquakeData
+ * @param {string} region - Geographic region of the impact point
+ * @param {number} azimuth - Trajectory azimuth in degrees
+ * @returns {object} Zones, seismic rings and ring boundaries
+ */
+function buildEffects(blastRadiusData, earthquakeData, region, azimuth) {
+  const magnitude = earthquakeData?.seismicMagnitude?.primaryMagnitude;
+  const effects = {
+    azimuth: azimuth,
+    blastZones: blastRadiusData?.blastEffects || null,
+    thermalZones: blastRadiusData?.thermalRadiation || null,
+    seismicRings: magnitude ? calculateSeismicRings(magnitude, region) : null,
+    boundaries: []
+  };
+
+  // Each footprint changes along its downrange, uprange and crossrange extents
+  [effects.blastZones, effects.thermalZones].forEach(zones => {
+    Object.values(zones || {}).forEach(zone => {
+      const extents = zone.footprint
+        ? [zone.footprint.downrangeExtentKm, zone.footprint.uprangeExtentKm, zone.footprint.crossrangeExtentKm]
+        : [zone.radius];
+      effects.boundaries.push(...extents.filter(extent => extent > 0));
+    });
+  });
+  (effects.seismicRings || []).forEach(ring => effects.boundaries.push(ring.outerRadiusKm));
+
+  return effects;
+}
+
+/**
+ * Round a tally into deaths/injuries with uncertainty bounds
+ * @param {object} tally - Accumulated tally
+ * @param {boolean} includeZones - Whether to include the per-zone breakdown
+ * @returns {object} Rounded casualty figures
+ */
+function summarizeTally(tally, includeZones = true) {
+  // Higher lethality can turn injuries into deaths, so injuries are not monotonic in the factor
+  const bounds = values => ({
+    estimate: Math.round(values.estimate),
+    low: Math.round(Math.min(values.low, values.estimate, values.high)),
+    high: Math.round(Math.max(values.low, values.estimate, values.high))
+  });
+
+  const summary = {
+    exposedPopulation: Math.round(tally.exposedPopulation),
+    deaths: bounds(tally.deaths),
+    injuries: bounds(tally.injuries)
+  };
+
+  if (includeZones) {
+    summary.zones = Object.entries(tally.zones).map(([zone, values]) => ({
+      zone: zone,
+      population: Math.round(values.population),
+      deaths: Math.round(values.deaths),
+      injuries: Math.round(values.injuries)
+    }));
+  }
+
+  return summary;
+}
+
+/**
+ * Estimate deaths and injuries from every effect for an impact point
+ * @param {object} impactPoint - Ground zero { latitude, longitude }
+ * @param {object} blastRadiusData - Blast radius data from addBlastRadiusData
+ * @param {object} earthquakeData - Earthquake data from addEarthquakeData
+ * @param {object} options - Region and trajectory azimuth
+ * @returns {object} Casualties per effect, totals and most affected cities
+ */
+function calculateCasualties(impactPoint, blastRadiusData, earthquakeData, { region = 'Land', azimuth = 0 } = {}) {
+  const effects = buildEffects(blastRadiusData, earthquakeData, region, azimuth);
+  const tallies = {
+    blast: createTally(),
+    thermal: createTally(),
+    seismic: createTally(),
+    total: createTally()
+  };
+
+  integrateGridPopulation(effects, impactPoint, tallies);
+  const mostAffectedCities = integrateCityPopulation(effects, impactPoint, tallies);
+
+  return {
+    byEffect: {
+      blast: summarizeTally(tallies.blast),
+      thermal: summarizeTally(tallies.thermal),
+      seismic: effects.seismicRings ? summarizeTally(tallies.seismic) : null
+    },
+    total: summarizeTally(tallies.total, false),
+    mostAffectedCities: mostAffectedCities,
+    maxEffectRadiusKm: Math.max(...effects.boundaries, 0)
+  };
+}
+
+/**
+ * Main function to add casualty estimates to impact calculations
+ * @param {object} impactData - Impact data from customHitHandler
+ * @returns {object} Enhanced data with casualty estimates
+ */
+function addCasualtyData(impactData) {
+  try {
+    const impactPoint = impactData.geographicImpactData?.impactLocation?.estimatedImpactPoint;
+    const location = impactData.geographicImpactData?.geographicRisk;
+    const blastRadiusData = impactData.blastRadiusData;
+
+    if (!impactPoint) {
+      return {
+        ...impactData,
+        casualtyData: {
+          error: 'Impact point not available for casualty calculations'
+        }
+      };
+    }
+
+    if (!blastRadiusData || blastRadiusData.error) {
+      return {
+        ...impactData,
+        casualtyData: {
+          error: 'Blast radius data not available for casualty calculations'
+        }
+      };
+    }
+
+    const casualties = calculateCasualties(impactPoint, blastRadiusData, impactData.earthquakeData, {
+      region: location?.primaryRegion || 'Land',
+      azimuth: impactData.input?.trajectory?.azimuth ?? 0
+    });
+
+    return {
+      ...impactData,
+      casualtyData: {
+        ...casualties,
+        uncertaintyFactors: UNCERTAINTY_FACTORS,
+        populationData: {
+          source: populationGrid.source,
+          resolutionDegrees: populationGrid.resolution,
+          largeCitySource: cityData.source,
+          largeCityThreshold: populationGrid.largeCityThreshold
+        },
+        assumptions: [
+          'Effects act independently; a person counts once, towards their most severe outcome',
+          'No warning, evacuation or sheltering',
+          'Residential (night-time) population distribution',
+          'Tsunami and long-term (fire, famine, climate) casualties are not included'
+        ]
+      }
+    };
+  } catch (error) {
+    console.error('Error calculating casualty data:', error);
+    return {
+      ...impactData,
+      casualtyData: {
+        error: 'Failed to calculate casualty data',
+        details: error.message
+      }
+    };
+  }
+}
+
+module.exports = {
+  addCasualtyData,
+  calculateCasualties,
+  calculateSeismicFatalityRate,
+  getPopulationDensity,
+  calculateDestination,
+  calculateBearing,
+  BLAST_LETHALITY,
+  THERMAL_LETHALITY,
+  UNCERTAINTY_FACTORS,
+  CASUALTY_CONSTANTS
+};
@@ -0,0 +1,509 @@
+/**
+ * Impact Corridor (Risk Corridor) Calculator
+ * Samples the line of variations (the major axis of the b-plane uncertainty ellipse)
+ * where it crosses Earth's capture disk, propagates each sample along its geocentric
+ * hyperbola to the surface and converts the impact points to latitude and longitude
+ * with Earth's rotation at each impact time. The result is the corridor centreline
+ * as a polyline plus its 1-sigma cross-track width, ready for a Cesium corridor entity
+ */
+
+const { calculateStateVector, getEarthStateVector, toJulianDate, ORBIT_CONSTANTS } = require('./calculate_orbit');
+const {
+  calculateVInfinity,
+  calculateCaptureRadius,
+  calculateImpactParameter,
+  BPLANE_CONSTANTS
+} = require('./calculate_bplane');
+
+// Corridor Constants
+const CORRIDOR_CONSTANTS = {
+  EARTH_RADIUS_KM: 6371,            // Mean Earth radius (km)
+  EARTH_GM: 398600.4418,            // Earth gravitational parameter (km³/s²)
+  OBLIQUITY_DEG: 23.4392911,        // Obliquity of the ecliptic at J2000 (degrees)
+  GMST_AT_J2000_DEG: 280.46061837,  // Greenwich mean sidereal time at J2000 (degrees)
+  GMST_RATE_DEG_PER_DAY: 360.98564736629,
+  START_DISTANCE_KM: 1.5e6,         // Samples start on a common wavefront about one Hill radius upstream
+  MIN_IMPACT_PARAMETER_KM: 1,       // Near-radial trajectories are nudged off the singular b = 0 case
+  SIGMA_RANGE: 3,                   // Corridor covers the line of variations within ±3 sigma
+  SAMPLES: 41,                      // Trajectories propagated along the line of variations
+  EDGE_FRACTION: 0.999,             // Stay just inside the capture disk so the edge samples still hit
+  BISECTION_ITERATIONS: 80,
+  MONTHS: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+};
+
+const DEG = Math.PI / 180;
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const norm = a => Math.sqrt(dot(a, a));
+const unit = a => scale(a, 1 / norm(a));
+
+/**
+ * Greenwich mean sidereal time
+ * @param {Date} date - Instant (UTC)
+ * @returns {number} GMST in degrees (0-360)
+ */
+function calculateGreenwichSiderealTime(date) {
+  const daysSinceJ2000 = toJulianDate(date) - ORBIT_CONSTANTS.J2000;
+  const gmst = CORRIDOR_CONSTANTS.GMST_AT_J2000_DEG + CORRIDOR_CONSTANTS.GMST_RATE_DEG_PER_DAY * daysSinceJ2000;
+  return ((gmst % 360) + 360) % 360;
+}
+
+/**
+ * Rotate a vector from the J2000 ecliptic frame to the J2000 equatorial frame
+ * @param {object} vector - { x, y, z } in the ecliptic frame
+ * @returns {object} { x, y, z } in the equatorial frame
+ */
+function eclipticToEquatorial(vector) {
+  const cosE = Math.cos(CORRIDOR_CONSTANTS.OBLIQUITY_DEG * DEG);
+  const sinE = Math.sin(CORRIDOR_CONSTANTS.OBLIQUITY_DEG * DEG);
+  return {
+    x: vector.x,
+    y: vector.y * cosE - vector.z * sinE,
+    z: vector.y * sinE + vector.z * cosE
+  };
+}
+
+/**
+ * Convert an inertial (equatorial) direction at an instant to geographic coordinates
+ * @param {object} direction - Unit vector from Earth's centre
+ * @param {Date} date - Instant (UTC)
+ * @returns {object} { latitude, longitude } in degrees
+ */
+function directionToLatLong(direction, date) {
+  const rightAscension = Math.atan2(direction.y, direction.x) / DEG;
+  let longitude = rightAscension - calculateGreenwichSiderealTime(date);
+  while (longitude > 180) longitude -= 360;
+  while (longitude < -180) longitude += 360;
+
+  return {
+    latitude: Math.asin(Math.max(-1, Math.min(1, direction.z))) / DEG,
+    longitude: longitude
+  };
+}
+
+/**
+ * Convert geographic coordinates at an instant to an inertial (equatorial) direction
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Date} date - Instant (UTC)
+ * @returns {object} Unit vector from Earth's centre
+ */
+function latLongToDirection(latitude, longitude, date) {
+  const rightAscension = (longitude + calculateGreenwichSiderealTime(date)) * DEG;
+  const declination = latitude * DEG;
+  return {
+    x: Math.cos(declination) * Math.cos(rightAscension),
+    y: Math.cos(declination) * Math.sin(rightAscension),
+    z: Math.sin(declination)
+  };
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {object} a - { latitude, longitude } in degrees
+ * @param {object} b - { latitude, longitude } in degrees
+ * @returns {number} Distance in km
+ */
+function greatCircleDistance(a, b) {
+  const dLat = (b.latitude - a.latitude) * DEG;
+  const dLong = (b.longitude - a.longitude) * DEG;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.latitude * DEG) * Math.cos(b.latitude * DEG) * Math.sin(dLong / 2) ** 2;
+  return 2 * CORRIDOR_CONSTANTS.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Build the b-plane axes for an incoming asymptote
+ * ζ points opposite to the projection of Earth's heliocentric velocity (the timing
+ * direction, along which most lines of variations lie) and ξ completes the frame
+ * @param {object} incoming - Unit vector of the incoming asymptote (direction of travel)
+ * @param {object} earthVelocity - Earth's heliocentric velocity (any units, optional)
+ * @returns {object} { incoming, xi, zeta } unit vectors
+ */
+function buildBPlaneFrame(incoming, earthVelocity) {
+  let projected = earthVelocity
+    ? add(earthVelocity, scale(incoming, -dot(earthVelocity, incoming)))
+    : null;
+  if (!projected || norm(projected) < 1e-9 * (norm(earthVelocity || projected) || 1)) {
+    // Fall back to any direction perpendicular to the asymptote
+    const helper = Math.abs(incoming.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 1, y: 0, z: 0 };
+    projected = cross(cross(incoming, helper), incoming);
+  }
+
+  const zeta = scale(unit(projected), -1);
+  return {
+    incoming: incoming,
+    xi: unit(cross(zeta, incoming)),
+    zeta: zeta
+  };
+}
+
+/**
+ * Time from perigee on a geocentric hyperbola
+ * @param {number} trueAnomaly - True anomaly (radians)
+ * @param {number} eccentricity - Eccentricity (> 1)
+ * @param {number} meanMotion - √(GM / |a|³) (rad/s)
+ * @returns {number} Seconds from perigee (negative before perigee)
+ */
+function timeFromPerigee(trueAnomaly, eccentricity, meanMotion) {
+  const halfF = Math.atanh(Math.sqrt((eccentricity - 1) / (eccentricity + 1)) * Math.tan(trueAnomaly / 2));
+  const hyperbolicAnomaly = 2 * halfF;
+  return (eccentricity * Math.sinh(hyperbolicAnomaly) - hyperbolicAnomaly) / meanMotion;
+}
+
+/**
+ * Propagate one b-plane point along its geocentric hyperbola
+ * Positions on the hyperbola are r(ν) = p / (1 + e cos ν) along
+ * -cos(ν - ν∞) û + sin(ν - ν∞) b̂, where ν∞ is the incoming asymptote's true anomaly.
+ * Every trajectory starts on the same wavefront (a plane upstream of Earth,
+ * perpendicular to the asymptote), so flight times are comparable between samples
+ * @param {object} bVector - Impact parameter vector on the b-plane (km)
+ * @param {object} incoming - Unit vector of the incoming asymptote
+ * @param {number} vInfinity - Hyperbolic excess velocity (km/s)
+ * @returns {object} Flight time to perigee and, for trajectories that hit, the impact
+ *   direction, flight time to the surface and entry angle
+ */
+function propagateTrajectory(bVector, incoming, vInfinity) {
+  const { EARTH_GM, EARTH_RADIUS_KM, START_DISTANCE_KM, MIN_IMPACT_PARAMETER_KM, BISECTION_ITERATIONS } = CORRIDOR_CONSTANTS;
+  const b = Math.max(norm(bVector), MIN_IMPACT_PARAMETER_KM);
+  const bHat = norm(bVector) > 0 ? unit(bVector) : buildBPlaneFrame(incoming).zeta;
+
+  const semiLatusRectum = b * b * vInfinity * vInfinity / EARTH_GM;
+  const eccentricity = Math.sqrt(1 + (semiLatusRectum / b) ** 2);
+  const perigee = semiLatusRectum / (1 + eccentricity);
+  const hits = perigee < EARTH_RADIUS_KM;
+
+  const asymptoteAnomaly = -Math.acos(-1 / eccentricity);
+  const radiusAt = anomaly => semiLatusRectum / (1 + eccentricity * Math.cos(anomaly));
+  const directionAt = anomaly => add(
+    scale(incoming, -Math.cos(anomaly - asymptoteAnomaly)),
+    scale(bHat, Math.sin(anomaly - asymptoteAnomaly))
+  );
+
+  // Incoming branch crosses the surface where p / (1 + e cos ν) = R
+  const surfaceAnomaly = hits ? -Math.acos((semiLatusRectum / EARTH_RADIUS_KM - 1) / eccentricity) : 0;
+
+  // Find where the trajectory crosses the wavefront
+  let low = asymptoteAnomaly + 1e-12;
+  let high = surfaceAnomaly;
+  for (let i = 0; i < BISECTION_ITERATIONS; i++) {
+    const middle = (low + high) / 2;
+    const alongTrack = radiusAt(middle) * dot(directionAt(middle), incoming);
+    if (alongTrack < -START_DISTANCE_KM) low = middle;
+    else high = middle;
+  }
+  const startAnomaly = (low + high) / 2;
+
+  const semiMajorAxis = EARTH_GM / (vInfinity * vInfinity);
+  const meanMotion = Math.sqrt(EARTH_GM / semiMajorAxis ** 3);
+  const startSeconds = timeFromPerigee(startAnomaly, eccentricity, meanMotion);
+  const trajectory = {
+    hits: hits,
+    flightToPerigeeSeconds: -startSeconds
+  };
+  if (!hits) return trajectory;
+
+  const surfaceSpeed = Math.sqrt(vInfinity * vInfinity + 2 * EARTH_GM / EARTH_RADIUS_KM);
+  const cosEntryAngle = Math.min(1, b * vInfinity / (EARTH_RADIUS_KM * surfaceSpeed));
+
+  // A radial trajectory lands exactly below the asymptote
+  const isRadial = norm(bVector) < MIN_IMPACT_PARAMETER_KM;
+  return {
+    ...trajectory,
+    direction: isRadial ? scale(incoming, -1) : directionAt(surfaceAnomaly),
+    flightSeconds: timeFromPerigee(surfaceAnomaly, eccentricity, meanMotion) - startSeconds,
+    entryAngle: isRadial ? 90 : Math.acos(cosEntryAngle) / DEG
+  };
+}
+
+/**
+ * Reconstruct the incoming asymptote and b-plane point of a trajectory from its
+ * state at the surface (custom hits give the impact point, angle and direction)
+ * @param {object} position - Geocentric position at impact (km, equatorial)
+ * @param {object} velocity - Geocentric velocity at impact (km/s, equatorial)
+ * @returns {object} { incoming, bVector, vInfinity }
+ */
+function calculateIncomingAsymptote(position, velocity) {
+  const mu = CORRIDOR_CONSTANTS.EARTH_GM;
+  const r = norm(position);
+  const speedSquared = dot(velocity, velocity);
+  const vInfinity = Math.max(Math.sqrt(Math.max(speedSquared - 2 * mu / r, 0)), BPLANE_CONSTANTS.MIN_V_INFINITY);
+
+  const angularMomentum = cross(position, velocity);
+  const h = norm(angularMomentum);
+  if (h < 1e-9 * r * Math.sqrt(speedSquared)) {
+    // Vertical entry: the trajectory is radial and the b-plane point is Earth's centre
+    return { incoming: unit(velocity), bVector: { x: 0, y: 0, z: 0 }, vInfinity: vInfinity };
+  }
+
+  // Eccentricity vector e = ((v² - μ/r) r - (r·v) v) / μ points at perigee
+  const eccentricityVector = scale(
+    add(scale(position, speedSquared - mu / r), scale(velocity, -dot(position, velocity))),
+    1 / mu
+  );
+  const eccentricity = Math.max(norm(eccentricityVector), 1 + 1e-12);
+  const perigeeHat = unit(eccentricityVector);
+  const normalHat = scale(angularMomentum, 1 / h);
+  const qHat = cross(normalHat, perigeeHat);
+
+  // Velocity direction at the incoming asymptote (ν = -ν∞, cos ν∞ = -1/e)
+  const sinAsymptote = Math.sqrt(1 - 1 / (eccentricity * eccentricity));
+  const incoming = unit(add(scale(perigeeHat, sinAsymptote), scale(qHat, eccentricity - 1 / eccentricity)));
+  const bHat = unit(cross(incoming, normalHat));
+
+  return {
+    incoming: incoming,
+    bVector: scale(bHat, h / vInfinity),
+    vInfinity: vInfinity
+  };
+}
+
+/**
+ * Trace the impact corridor along the line of variations
+ * @param {object} encounter - Encounter geometry
+ * @param {object} encounter.incoming - Unit vector of the incoming asymptote (equatorial)
+ * @param {object} encounter.bVector - Nominal b-plane point (km)
+ * @param {number} encounter.vInfinity - Hyperbolic excess velocity (km/s)
+ * @param {Date} encounter.referenceTime - Time of the nominal closest approach (or impact)
+ * @param {string} encounter.referenceEvent - 'perigee' (default) or 'impact'
+ * @param {object} encounter.earthVelocity - Earth's heliocentric velocity (equatorial, optional)
+ * @param {object} encounter.uncertainty - 1-sigma ellipse { majorKm, minorKm, orientationDeg }
+ * @param {number} encounter.diameterKm - Object diameter (km, default: 0)
+ * @param {number} samples - Trajectories to propagate (default: 41)
+ * @returns {object} Corridor polyline, width and per-sample impact points
+ */
+function calculateImpactCorridor({
+  incoming, bVector, vInfinity, referenceTime, referenceEvent = 'perigee', earthVelocity, uncertainty, diameterKm = 0
+}, samples = CORRIDOR_CONSTANTS.SAMPLES) {
+  const { SIGMA_RANGE, EDGE_FRACTION } = CORRIDOR_CONSTANTS;
+  const frame = buildBPlaneFrame(incoming, earthVelocity);
+  const captureRadius = calculateCaptureRadius(vInfinity, diameterKm / 2).radiusKm;
+  const nominalDistance = norm(bVector);
+
+  // Line of variations: the ellipse's major axis, at orientationDeg from the line to
+  // Earth's centre (or from ζ when the nominal trajectory is a direct hit)
+  const reference = nominalDistance > CORRIDOR_CONSTANTS.MIN_IMPACT_PARAMETER_KM
+    ? scale(bVector, -1 / nominalDistance)
+    : frame.zeta;
+  const orientation = (uncertainty.orientationDeg || 0) * DEG;
+  const lovDirection = add(
+    scale(reference, Math.cos(orientation)),
+    scale(cross(incoming, reference), Math.sin(orientation))
+  );
+  const crossDirection = cross(incoming, lovDirection);
+
+  // Part of the line of variations inside the capture disk and within ±SIGMA_RANGE
+  const edgeRadius = captureRadius * EDGE_FRACTION;
+  const along = dot(bVector, lovDirection);
+  const discriminant = along * along - nominalDistance * nominalDistance + edgeRadius * edgeRadius;
+  const sigmaLimit = SIGMA_RANGE * uncertainty.majorKm;
+  const lower = discriminant > 0 ? Math.max(-along - Math.sqrt(discriminant), -sigmaLimit) : Infinity;
+  const upper = discriminant > 0 ? Math.min(-along + Math.sqrt(discriminant), sigmaLimit) : -Infinity;
+
+  if (!(upper > lower)) {
+    return {
+      available: false,
+      reason: `The line of variations does not cross Earth within ±${SIGMA_RANGE} sigma`,
+      captureRadiusKm: captureRadius
+    };
+  }
+
+  // Samples share the nominal wavefront, so impact times differ by their flight times
+  const nominal = propagateTrajectory(bVector, incoming, vInfinity);
+  const referenceOffset = referenceEvent === 'impact' && nominal.hits
+    ? nominal.flightSeconds
+    : nominal.flightToPerigeeSeconds;
+  const wavefrontTime = referenceTime.getTime() - 1000 * referenceOffset;
+
+  const impactAt = bPoint => {
+    const trajectory = propagateTrajectory(bPoint, incoming, vInfinity);
+    if (!trajectory.hits) return null;
+    const impactTime = new Date(wavefrontTime + 1000 * trajectory.flightSeconds);
+    return {
+      ...directionToLatLong(trajectory.direction, impactTime),
+      impactTime: impactTime,
+      entryAngle: trajectory.entryAngle
+    };
+  };
+
+  const points = [];
+  for (let i = 0; i < samples; i++) {
+    const offset = samples > 1 ? lower + (upper - lower) * i / (samples - 1) : (lower + upper) / 2;
+    const bPoint = add(bVector, scale(lovDirection, offset));
+    const impact = impactAt(bPoint);
+    if (!impact) continue;
+
+    // Cross-track width from the ±1-sigma minor axis (limited to what still hits Earth)
+    const crossAvailable = Math.sqrt(Math.max(edgeRadius * edgeRadius - dot(bPoint, bPoint) + dot(bPoint, crossDirection) ** 2, 0));
+    const crossOffset = dot(bPoint, crossDirection);
+    const leftReach = Math.min(uncertainty.minorKm, crossAvailable + crossOffset);
+    const rightReach = Math.min(uncertainty.minorKm, crossAvailable - crossOffset);
+    const left = impactAt(add(bPoint, scale(crossDirection, -leftReach)));
+    const right = impactAt(add(bPoint, scale(crossDirection, rightReach)));
+    const widthKm = left && right ? greatCircleDistance(left, right) : 0;
+
+    const sigma = offset / uncertainty.majorKm;
+    points.push({
+      latitude: impact.latitude,
+      longitude: impact.longitude,
+      impactTime: impact.impactTime.toISOString(),
+      entryAngle: impact.entryAngle,
+      sigma: sigma,
+      relativeDensity: Math.exp(-0.5 * sigma * sigma),
+      widthKm: widthKm
+    });
+  }
+
+  const widths = points.map(point => point.widthKm).sort((a, b) => a - b);
+  const widthKm = widths.length > 0 ? widths[Math.floor(widths.length / 2)] : 0;
+  const nominalImpact = nominal.hits ? impactAt(bVector) : null;
+
+  return {
+    available: points.length > 0,
+    polyline: points.map(point => ({ latitude: point.latitude, longitude: point.longitude })),
+    widthKm: widthKm,
+    points: points,
+    nominalImpact: nominalImpact && {
+      latitude: nominalImpact.latitude,
+      longitude: nominalImpact.longitude,
+      impactTime: nominalImpact.impactTime.toISOString(),
+      entryAngle: nominalImpact.entryAngle
+    },
+    sigmaRange: [lower / uncertainty.majorKm, upper / uncertainty.majorKm],
+    lineOfVariations: {
+      sigmaKm: uncertainty.majorKm,
+      crossSigmaKm: uncertainty.minorKm,
+      orientationDeg: uncertainty.orientationDeg || 0
+    },
+    captureRadiusKm: captureRadius,
+    cesium: {
+      degreesArray: points.flatMap(point => [point.longitude, point.latitude]),
+      widthMeters: widthKm * 1000
+    },
+    method: 'b-plane line of variations propagated on two-body hyperbolas',
+    note: 'Centreline of possible impact points along the line of variations; width is the 1-sigma cross-track spread'
+  };
+}
+
+/**
+ * Parse a NASA close approach time ("2029-Apr-13 21:46") as UTC
+ * @param {string} dateFull - close_approach_date_full
+ * @param {string} date - close_approach_date (YYYY-MM-DD), used when the full time is missing
+ * @returns {Date} Close approach time
+ */
+function parseApproachTime(dateFull, date) {
+  const match = /^(\d{4})-([A-Za-z]{3})-(\d{2}) (\d{2}):(\d{2})$/.exec(dateFull || '');
+  const month = match ? CORRIDOR_CONSTANTS.MONTHS.indexOf(match[2]) : -1;
+  if (month >= 0) {
+    return new Date(Date.UTC(Number(match[1]), month, Number(match[3]), Number(match[4]), Number(match[5])));
+  }
+  return new Date(`${date}T00:00:00Z`);
+}
+
+/**
+ * Trace the impact corridor of a NEO close approach
+ * The asymptote is the geocentric velocity from the propagated orbits of the object
+ * and Earth; the b-plane point has NASA's miss distance in the direction of the
+ * propagated geocentric position
+ * @param {object} encounter - Close approach
+ * @param {object} encounter.elements - Orbital elements from calculate_orbit.js
+ * @param {string} encounter.approachDate - Close approach date (YYYY-MM-DD)
+ * @param {string} encounter.approachDateFull - Close approach time ("2029-Apr-13 21:46", optional)
+ * @param {number} encounter.missDistanceKm - Nominal miss distance (km)
+ * @param {number} encounter.velocityKmS - Relative velocity at closest approach (km/s)
+ * @param {object} encounter.uncertainty - 1-sigma ellipse { majorKm, minorKm, orientationDeg }
+ * @param {number} encounter.diameterKm - Object diameter (km)
+ * @returns {object} Impact corridor (see calculateImpactCorridor)
+ */
+function calculateNeoImpactCorridor({
+  elements, approachDate, approachDateFull, missDistanceKm, velocityKmS, uncertainty, diameterKm
+}) {
+  const { AU_KM, SECONDS_PER_DAY } = ORBIT_CONSTANTS;
+  const referenceTime = parseApproachTime(approachDateFull, approachDate);
+  const julianDate = toJulianDate(referenceTime);
+  const object = calculateStateVector(elements, julianDate);
+  const earth = getEarthStateVector(julianDate);
+
+  const relativePosition = eclipticToEquatorial(scale(add(object.position, scale(earth.position, -1)), AU_KM));
+  const relativeVelocity = eclipticToEquatorial(scale(add(object.velocity, scale(earth.velocity, -1)), AU_KM / SECONDS_PER_DAY));
+  const incoming = unit(relativeVelocity);
+  const earthVelocity = eclipticToEquatorial(earth.velocity);
+
+  const vInfinity = calculateVInfinity(velocityKmS, missDistanceKm);
+  const offset = add(relativePosition, scale(incoming, -dot(relativePosition, incoming)));
+  const bHat = norm(offset) > 0 ? unit(offset) : buildBPlaneFrame(incoming, earthVelocity).zeta;
+
+  return calculateImpactCorridor({
+    incoming: incoming,
+    bVector: scale(bHat, calculateImpactParameter(missDistanceKm, vInfinity)),
+    vInfinity: vInfinity,
+    referenceTime: referenceTime,
+    earthVelocity: earthVelocity,
+    uncertainty: uncertainty,
+    diameterKm: diameterKm
+  });
+}
+
+/**
+ * Trace the impact corridor through a custom impact point
+ * The nominal trajectory hits the chosen point at the chosen time, entry angle and
+ * azimuth; the line of variations spreads it along the corridor
+ * @param {object} impact - Custom impact
+ * @param {number} impact.latitude - Impact latitude in degrees
+ * @param {number} impact.longitude - Impact longitude in degrees
+ * @param {string} impact.date - Impact date (YYYY-MM-DD, taken as 00:00 UTC) or ISO time
+ * @param {number} impact.velocity - Entry velocity (km/s)
+ * @param {number} impact.angle - Entry angle in degrees from horizontal
+ * @param {number} impact.azimuth - Direction of travel in degrees clockwise from north
+ * @param {object} impact.uncertainty - 1-sigma ellipse { majorKm, minorKm, orientationDeg }
+ * @param {number} impact.diameterKm - Object diameter (km)
+ * @returns {object} Impact corridor (see calculateImpactCorridor)
+ */
+function calculateCustomImpactCorridor({
+  latitude, longitude, date, velocity, angle, azimuth, uncertainty, diameterKm
+}) {
+  const impactTime = new Date(date);
+  const up = latLongToDirection(latitude, longitude, impactTime);
+  const rightAscension = Math.atan2(up.y, up.x);
+  const declination = Math.asin(up.z);
+  const east = { x: -Math.sin(rightAscension), y: Math.cos(rightAscension), z: 0 };
+  const north = {
+    x: -Math.sin(declination) * Math.cos(rightAscension),
+    y: -Math.sin(declination) * Math.sin(rightAscension),
+    z: Math.cos(declination)
+  };
+
+  // Velocity at the surface: horizontal along the azimuth, descending at the entry angle
+  const horizontal = add(scale(north, Math.cos(azimuth * DEG)), scale(east, Math.sin(azimuth * DEG)));
+  const direction = add(scale(horizontal, Math.cos(angle * DEG)), scale(up, -Math.sin(angle * DEG)));
+  const asymptote = calculateIncomingAsymptote(
+    scale(up, CORRIDOR_CONSTANTS.EARTH_RADIUS_KM),
+    scale(direction, velocity)
+  );
+
+  return calculateImpactCorridor({
+    ...asymptote,
+    referenceTime: impactTime,
+    referenceEvent: 'impact',
+    earthVelocity: eclipticToEquatorial(getEarthStateVector(toJulianDate(impactTime)).velocity),
+    uncertainty: uncertainty,
+    diameterKm: diameterKm
+  });
+}
+
+module.exports = {
+  calculateImpactCorridor,
+  calculateNeoImpactCorridor,
+  calculateCustomImpactCorridor,
+  calculateIncomingAsymptote,
+  propagateTrajectory,
+  buildBPlaneFrame,
+  calculateGreenwichSiderealTime,
+  directionToLatLong,
+  latLongToDirection,
+  eclipticToEquatorial,
+  CORRIDOR_CONSTANTS
+};
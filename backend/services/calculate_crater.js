@@ -0,0 +1,269 @@
+/**
+ * Crater Calculator for Asteroid Impacts
+ * Transient crater size from Holsapple/Schmidt pi-group scaling, followed by
+ * collapse to a simple or complex final crater, depth, rim height and melt volume
+ * Based on Holsapple (1993), Schmidt & Housen (1987) and Collins et al. (2005)
+ */
+
+// Crater Constants
+const CRATER_CONSTANTS = {
+  GRAVITY: 9.8,                     // Earth gravity (m/s²)
+  VELOCITY_EXPONENT_NU: 0.4,        // Density-ratio exponent ν for all targets
+  SIMPLE_RIM_FACTOR: 1.25,          // Final/transient diameter for simple craters
+  COMPLEX_SCALING: 1.17,            // Final diameter coefficient for complex craters (km units)
+  SIMPLE_DEPTH_RATIO: 0.2,          // Depth/diameter of fresh simple craters
+  COMPLEX_DEPTH_COEFFICIENT: 0.4,   // Complex crater depth = 0.4 × D^0.3 (km)
+  RIM_HEIGHT_COEFFICIENT: 0.07,     // Rim height = 0.07 × Dt⁴ / Df³
+  ELLIPTICAL_CRATER_ANGLE: 12,      // Impacts shallower than this leave elongated craters (degrees)
+  DEFAULT_TARGET: 'crystalline_rock'
+};
+
+// Target materials
+// mu: velocity exponent, coupling: pi-scaling coefficient C_D, strength: effective strength Ȳ (Pa),
+// transitionDiameter: simple-to-complex final diameter on Earth (m),
+// meltEnergy: effective specific energy to melt target material (J/kg)
+const TARGET_MATERIALS = {
+  dry_soil: {
+    name: 'Dry soil / sand',
+    density: 1600,
+    mu: 0.41,
+    coupling: 1.68,
+    strength: 0,
+    transitionDiameter: 2000,
+    meltEnergy: 4.1e7,
+    formsCrater: true
+  },
+  wet_sediment: {
+    name: 'Wet sediment',
+    density: 2000,
+    mu: 0.55,
+    coupling: 1.6,
+    strength: 3e5,
+    transitionDiameter: 2000,
+    meltEnergy: 4.1e7,
+    formsCrater: true
+  },
+  crystalline_rock: {
+    name: 'Crystalline rock',
+    density: 2750,
+    mu: 0.55,
+    coupling: 1.6,
+    strength: 1.8e7,
+    transitionDiameter: 4000,
+    meltEnergy: 4.1e7,
+    formsCrater: true
+  },
+  ice: {
+    name: 'Ice',
+    density: 930,
+    mu: 0.55,
+    coupling: 1.6,
+    strength: 1e6,
+    transitionDiameter: 2000,
+    meltEnergy: 4.7e6,
+    formsCrater: true
+  },
+  water: {
+    name: 'Water',
+    density: 1000,
+    mu: 0.55,
+    coupling: 1.88,
+    strength: 0,
+    transitionDiameter: null,
+    meltEnergy: null,
+    formsCrater: false
+  }
+};
+
+/**
+ * Look up a target material
+ * @param {string} target - Target material key
+ * @returns {object|null} Target material properties, or null if unknown
+ */
+function getTargetMaterial(target) {
+  return TARGET_MATERIALS[target] || null;
+}
+
+/**
+ * Calculate transient crater diameter with pi-group scaling
+ * πD = C_D [π2 (ρt/ρi)^((6ν-2-μ)/3μ) + (π3 (ρt/ρi)^((6ν-2)/3μ))^((2+μ)/2)]^(-μ/(2+μ))
+ * Dt = πD × (m/ρt)^(1/3), using the vertical velocity component
+ * @param {object} params - Impactor and target parameters
+ * @param {number} params.mass - Impactor mass in kg
+ * @param {number} params.density - Impactor density in kg/m³
+ * @param {number} params.velocity - Impact velocity in m/s
+ * @param {number} params.angle - Impact angle in degrees from horizontal
+ * @param {object} material - Target material properties
+ * @returns {object} Transient diameter (m) and dominant scaling regime
+ */
+function calculateTransientDiameter({ mass, density, velocity, angle }, material) {
+  const { mu, coupling, strength } = material;
+  const nu = CRATER_CONSTANTS.VELOCITY_EXPONENT_NU;
+  const verticalVelocity = velocity * Math.sin(angle * Math.PI / 180);
+  const radius = Math.cbrt((3 * mass) / (4 * Math.PI * density));
+  const densityRatio = material.density / density;
+
+  // Gravity term: π2 = g·a/U²
+  const pi2 = (CRATER_CONSTANTS.GRAVITY * radius) / (verticalVelocity * verticalVelocity);
+  const gravityTerm = pi2 * Math.pow(densityRatio, (6 * nu - 2 - mu) / (3 * mu));
+
+  // Strength term: π3 = Ȳ/(ρt·U²)
+  const pi3 = strength / (material.density * verticalVelocity * verticalVelocity);
+  const strengthTerm = Math.pow(pi3 * Math.pow(densityRatio, (6 * nu - 2) / (3 * mu)), (2 + mu) / 2);
+
+  const piD = coupling * Math.pow(gravityTerm + strengthTerm, -mu / (2 + mu));
+
+  return {
+    diameter: piD * Math.cbrt(mass / material.density),
+    regime: strengthTerm > gravityTerm ? 'strength' : 'gravity'
+  };
+}
+
+/**
+ * Calculate final crater diameter after collapse of the transient cavity
+ * @param {number} transientDiameter - Transient crater diameter in meters
+ * @param {object} material - Target material properties
+ * @returns {object} Final diameter (m) and crater type
+ */
+function calculateFinalDiameter(transientDiameter, material) {
+  if (!material.formsCrater) {
+    return { diameter: transientDiameter, type: 'transient water cavity' };
+  }
+
+  const simpleDiameter = CRATER_CONSTANTS.SIMPLE_RIM_FACTOR * transientDiameter;
+  if (simpleDiameter <= material.transitionDiameter) {
+    return { diameter: simpleDiameter, type: 'simple' };
+  }
+
+  // Complex craters: Df = 1.17 × Dt^1.13 / Dc^0.13 (all in km)
+  const transientKm = transientDiameter / 1000;
+  const transitionKm = material.transitionDiameter / 1000;
+  const finalKm = CRATER_CONSTANTS.COMPLEX_SCALING * Math.pow(transientKm, 1.13) / Math.pow(transitionKm, 0.13);
+
+  return { diameter: finalKm * 1000, type: 'complex' };
+}
+
+/**
+ * Calculate final crater depth
+ * @param {number} finalDiameter - Final crater diameter in meters
+ * @param {number} transientDiameter - Transient crater diameter in meters
+ * @param {string} type - Crater type (simple, complex or transient water cavity)
+ * @returns {number} Depth in meters
+ */
+function calculateCraterDepth(finalDiameter, transientDiameter, type) {
+  if (type === 'simple') {
+    return CRATER_CONSTANTS.SIMPLE_DEPTH_RATIO * finalDiameter;
+  }
+  if (type === 'complex') {
+    return CRATER_CONSTANTS.COMPLEX_DEPTH_COEFFICIENT * Math.pow(finalDiameter / 1000, 0.3) * 1000;
+  }
+
+  // Water cavities keep the transient bowl shape until they collapse
+  return transientDiameter / (2 * Math.SQRT2);
+}
+
+/**
+ * Estimate crater planform for an oblique impact
+ * Craters stay circular down to ~12° and elongate along the ground track below that
+ * (Bottke et al. 2000)
+ * @param {number} angle - Impact angle in degrees from horizontal
+ * @returns {object} Crater shape and length-to-width ratio
+ */
+function calculateCraterShape(angle) {
+  if (angle >= CRATER_CONSTANTS.ELLIPTICAL_CRATER_ANGLE) {
+    return { shape: 'circular', ellipticity: 1 };
+  }
+
+  const ellipticity = 1 + (CRATER_CONSTANTS.ELLIPTICAL_CRATER_ANGLE - angle) / CRATER_CONSTANTS.ELLIPTICAL_CRATER_ANGLE;
+  return { shape: 'elliptical', ellipticity: ellipticity };
+}
+
+/**
+ * Calculate the full crater for the part of the impactor that reaches the ground
+ * @param {object} params - Impact parameters
+ * @param {number} params.mass - Impactor mass at the ground in kg
+ * @param {number} params.density - Impactor density in kg/m³
+ * @param {number} params.velocity - Impact velocity in m/s
+ * @param {number} params.angle - Impact angle in degrees from horizontal (default: 90)
+ * @param {string} params.target - Target material key (default: crystalline_rock)
+ * @returns {object} Transient and final crater dimensions, melt volume and target data
+ */
+function calculateCrater({ mass, density, velocity, angle = 90, target = CRATER_CONSTANTS.DEFAULT_TARGET }) {
+  const material = getTargetMaterial(target) || TARGET_MATERIALS[CRATER_CONSTANTS.DEFAULT_TARGET];
+  const targetKey = getTargetMaterial(target) ? target : CRATER_CONSTANTS.DEFAULT_TARGET;
+  const shape = calculateCraterShape(angle);
+
+  const targetInfo = {
+    material: targetKey,
+    name: material.name,
+    density: material.density
+  };
+
+  // Nothing reached the ground - no crater
+  if (!(mass > 0) || !(velocity > 0) || !(angle > 0)) {
+    return {
+      diameter: 0,
+      radius: 0,
+      unit: 'meters',
+      radiusKm: 0,
+      depth: 0,
+      rimHeight: 0,
+      craterType: 'none',
+      transientCrater: { diameter: 0, depth: 0 },
+      simpleToComplexDiameter: material.transitionDiameter,
+      meltVolume: { cubicMeters: 0, cubicKilometers: 0 },
+      scalingRegime: null,
+      shape: shape.shape,
+      ellipticity: shape.ellipticity,
+      target: targetInfo
+    };
+  }
+
+  const transient = calculateTransientDiameter({ mass, density, velocity, angle }, material);
+  const final = calculateFinalDiameter(transient.diameter, material);
+  const depth = calculateCraterDepth(final.diameter, transient.diameter, final.type);
+
+  // Rim uplift and ejecta pile-up around the final rim
+  const rimHeight = material.formsCrater
+    ? CRATER_CONSTANTS.RIM_HEIGHT_COEFFICIENT * Math.pow(transient.diameter, 4) / Math.pow(final.diameter, 3)
+    : 0;
+
+  // Melt volume scales with the vertical share of the impact energy
+  const energy = 0.5 * mass * velocity * velocity;
+  const meltVolume = material.meltEnergy
+    ? (energy * Math.sin(angle * Math.PI / 180)) / (material.density * material.meltEnergy)
+    : 0;
+
+  return {
+    diameter: final.diameter,
+    radius: final.diameter / 2,
+    unit: 'meters',
+    radiusKm: final.diameter / 2000,
+    depth: depth,
+    rimHeight: rimHeight,
+    craterType: final.type,
+    transientCrater: {
+      diameter: transient.diameter,
+      depth: transient.diameter / (2 * Math.SQRT2)
+    },
+    simpleToComplexDiameter: material.transitionDiameter,
+    meltVolume: {
+      cubicMeters: meltVolume,
+      cubicKilometers: meltVolume / 1e9
+    },
+    scalingRegime: transient.regime,
+    shape: shape.shape,
+    ellipticity: shape.ellipticity,
+    target: targetInfo
+  };
+}
+
+module.exports = {
+  calculateCrater,
+  calculateTransientDiameter,
+  calculateFinalDiameter,
+  calculateCraterShape,
+  getTargetMaterial,
+  TARGET_MATERIALS,
+  CRATER_CONSTANTS
+};
@@ -286,6 +286,7 @@ function addEarthquakeData(impactData) {
     const kineticEnergy = impactData.calculations?.kineticEnergy?.value;
     const location = impactData.geographicImpactData?.geographicRisk;
     const impactPoint = impactData.geographicImpactData?.impactLocation?.estimatedImpactPoint;
+    const entry = impactData.atmosphericEntryData;
     
     if (!kineticEnergy) {
       return {
@@ -296,12 +297,29 @@ function addEarthquakeData(impactData) {
       };
     }
     
+    // Only energy delivered to the ground drives seismic waves
+    const groundEnergy = entry ? entry.energy.atGround : kineticEnergy;
+    if (groundEnergy <= 0) {
+      return {
+        ...impactData,
+        earthquakeData: {
+          seismicMagnitude: null,
+          regionalEffects: null,
+          aftershockPrediction: null,
+          tsunamiWarning: null,
+          note: 'Object disintegrated in the atmosphere - no ground impact to generate seismic waves',
+          burstAltitudeKm: entry.burstAltitude?.kilometers || null,
+          warnings: []
+        }
+      };
+    }
+    
     // Determine if ocean impact
-    const isOceanImpact = location?.primaryRegion === 'Ocean';
+    const isOceanImpact = location?.isOcean === true;
     const region = location?.primaryRegion || 'Land';
     
     // Calculate seismic magnitude
-    const seismicData = calculateSeismicMagnitude(kineticEnergy, isOceanImpact, region);
+    const seismicData = calculateSeismicMagnitude(groundEnergy, isOceanImpact, region);
     
     // Calculate regional effects at various distances
     const regionalEffects = {
@@ -314,17 +332,8 @@ function addEarthquakeData(impactData) {
     // Calculate aftershock probability
     const aftershocks = calculateAftershockProbability(seismicData.primaryMagnitude);
     
-    // Add tsunami warning if ocean impact with high magnitude
-    let tsunamiWarning = null;
-    if (isOceanImpact && seismicData.primaryMagnitude >= 7.0) {
-      tsunamiWarning = {
-        risk: 'HIGH',
-        message: 'Ocean impact with high seismic magnitude. Tsunami generation likely.',
-        estimatedWaveHeight: `${Math.round(Math.pow(10, seismicData.primaryMagnitude - 6))} - ${Math.round(Math.pow(10, seismicData.primaryMagnitude - 5))} meters`,
-        affectedCoastlines: 'All coastlines within 1000+ km',
-        arrivalTime: '15-60 minutes for nearby coasts, hours for distant coasts'
-      };
-    }
+    // Tsunami warning comes from the water cavity model, not the seismic magnitude
+    const tsunamiWarning = buildTsunamiWarning(impactData.tsunamiData);
     
     return {
       ...impactData,
@@ -334,12 +343,12 @@ function addEarthquakeData(impactData) {
         aftershockPrediction: aftershocks,
         tsunamiWarning: tsunamiWarning,
         comparisonToNaturalEvents: {
-          energyReleased: `${(kineticEnergy / SEISMIC_CONSTANTS.JOULES_PER_MEGATON).toFixed(2)} megatons TNT`,
+          energyReleased: `${(groundEnergy / SEISMIC_CONSTANTS.JOULES_PER_MEGATON).toFixed(2)} megatons TNT`,
           note: 'For reference, the largest nuclear weapon ever tested was 50 megatons',
           naturalEarthquakeEquivalent: seismicData.equivalentEarthquake
         },
         globalImpact: getGlobalImpact(seismicData.primaryMagnitude),
-        warnings: generateWarnings(seismicData.primaryMagnitude, isOceanImpact, location)
+        warnings: generateWarnings(seismicData.primaryMagnitude, tsunamiWarning, location)
       }
     };
   } catch (error) {
@@ -403,14 +412,40 @@ function getGlobalImpact(magnitude) {
   }
 }
 
+/**
+ * Summarize tsunami data as a warning
+ * @param {object} tsunamiData - Tsunami data from calculate_tsunami.js
+ * @returns {object|null} Tsunami warning, or null if no significant wave
+ */
+function buildTsunamiWarning(tsunamiData) {
+  if (!tsunamiData?.generated || tsunamiData.hazardLevel === 'LOW') {
+    return null;
+  }
+  
+  const threatened = tsunamiData.coastalImpacts.filter(point => point.runupHeight >= 1);
+  const firstArrival = threatened[0];
+  
+  return {
+    risk: tsunamiData.hazardLevel,
+    message: `Ocean impact water cavity ${(tsunamiData.source.cavity.diameter / 1000).toFixed(1)} km wide. Tsunami generation expected.`,
+    estimatedWaveHeight: `${tsunamiData.source.initialAmplitude.toFixed(0)} meters at the cavity rim, up to ${tsunamiData.maxRunup.toFixed(1)} meters run-up on listed coasts`,
+    affectedCoastlines: threatened.length > 0
+      ? threatened.map(point => point.name).join(', ')
+      : 'No listed coastline above 1 meter run-up',
+    arrivalTime: firstArrival
+      ? `${firstArrival.arrivalTime.minutes.toFixed(0)} minutes at ${firstArrival.name}`
+      : 'No significant arrivals on listed coasts'
+  };
+}
+
 /**
  * Generate warnings based on earthquake data
  * @param {number} magnitude - Earthquake magnitude
- * @param {boolean} isOceanImpact - Ocean impact flag
+ * @param {object|null} tsunamiWarning - Tsunami warning, if any
  * @param {object} location - Location data
  * @returns {array} Warning messages
  */
-function generateWarnings(magnitude, isOceanImpact, location) {
+function generateWarnings(magnitude, tsunamiWarning, location) {
   const warnings = [];
   
   if (magnitude >= 7.0) {
@@ -420,7 +455,7 @@ function generateWarnings(magnitude, isOceanImpact, location) {
     });
   }
   
-  if (isOceanImpact && magnitude >= 7.0) {
+  if (tsunamiWarning) {
     warnings.push({
       severity: 'CRITICAL',
       message: 'TSUNAMI WARNING: Evacuate all coastal areas immediately. Move to high ground.'
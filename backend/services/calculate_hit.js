@@ -5,6 +5,14 @@
  */
 
 const { addGeographicImpactData } = require('./calculate_lat_and_long');
+const { simulateAtmosphericEntry } = require('./calculate_atmospheric_entry');
+const { calculateCrater } = require('./calculate_crater');
+const { determineOrbit, toJulianDate } = require('./calculate_orbit');
+const { calculateEarthMOID } = require('./calculate_moid');
+const { calculateHazardScales, getSentryHazardScales, getRiskLevel } = require('./hazard_scales');
+const { findVirtualImpactor } = require('./sentry');
+const { calculateImpactProbability, estimateMissUncertainty } = require('./calculate_bplane');
+const { createRandom } = require('./random');
 
 // Physical Constants
 const CONSTANTS = {
@@ -16,40 +24,10 @@ const CONSTANTS = {
   STONY_DENSITY: 3000,             // Stony asteroid density (kg/m³)
   IRON_DENSITY: 8000,              // Iron asteroid density (kg/m³)
   DEFAULT_DENSITY: 3000,           // Default density (kg/m³)
-  CRATER_SCALING_CONSTANT: 0.2     // Empirical crater scaling constant
+  DAYS_PER_YEAR: 365.25,           // Julian year (days)
+  MIN_DAYS_BETWEEN_PASSES: 30      // Propagated approaches closer than this to a pass are the same pass
 };
 
-/**
- * Calculate the semi-major axis using the vis-viva equation
- * @param {number} velocity - Velocity in m/s
- * @param {number} distance - Distance from Sun in meters
- * @returns {number} Semi-major axis in meters
- */
-function calculateSemiMajorAxis(velocity, distance) {
-  const vSquared = velocity * velocity;
-  const GM = CONSTANTS.G * CONSTANTS.M_SUN;
-  
-  const term = (2 / distance) - (vSquared / GM);
-  const semiMajorAxis = 1 / term;
-  
-  return semiMajorAxis;
-}
-
-/**
- * Calculate orbital period using Kepler's Third Law
- * @param {number} semiMajorAxis - Semi-major axis in meters
- * @returns {number} Orbital period in seconds
- */
-function calculateOrbitalPeriod(semiMajorAxis) {
-  const GM = CONSTANTS.G * CONSTANTS.M_SUN;
-  const a3 = Math.pow(semiMajorAxis, 3);
-  
-  const TSquared = (4 * Math.PI * Math.PI * a3) / GM;
-  const period = Math.sqrt(TSquared);
-  
-  return period;
-}
-
 /**
  * Calculate the mass of the meteoroid
  * @param {number} diameter - Diameter in meters
@@ -74,51 +52,22 @@ function calculateKineticEnergy(mass, velocity) {
   return 0.5 * mass * velocity * velocity;
 }
 
-/**
- * Calculate estimated crater diameter
- * @param {number} kineticEnergy - Kinetic energy in Joules
- * @returns {number} Crater diameter in meters
- */
-function calculateCraterDiameter(kineticEnergy) {
-  const exponent = 1 / 3.4;
-  const energyTerm = kineticEnergy / CONSTANTS.GRAVITY;
-  const diameter = CONSTANTS.CRATER_SCALING_CONSTANT * Math.pow(energyTerm, exponent);
-  
-  return diameter;
-}
-
-/**
- * Estimate impact probability based on miss distance and diameter
- * This is a simplified model; real calculations use Monte Carlo simulations
- * @param {number} missDistance - Miss distance in km
- * @param {number} diameter - Object diameter in km
- * @returns {number} Impact probability (0-1)
- */
-function estimateImpactProbability(missDistance, diameter) {
-  // Simplified model: probability decreases with miss distance
-  // Real calculations require orbital uncertainty analysis
-  
-  const earthRadius = CONSTANTS.EARTH_RADIUS / 1000; // Convert to km
-  const criticalDistance = earthRadius + (diameter * 10); // Safety margin
-  
-  if (missDistance <= earthRadius) {
-    return 1.0; // Direct impact
-  } else if (missDistance <= criticalDistance) {
-    // Exponential decay model
-    const ratio = (missDistance - earthRadius) / (criticalDistance - earthRadius);
-    return Math.exp(-5 * ratio);
-  } else {
-    // Very low probability for distant objects
-    return 1e-6;
-  }
-}
-
 /**
  * Process a single NEO object and calculate impact parameters
+ * Feed objects carry one close approach; lookup objects carry every listed past and
+ * future approach, and the primary approach is the next Earth approach after the
+ * reference date (or the latest one if all are past)
+ * Sentry objects use JPL's official probability and ratings for approaches that match a
+ * virtual impactor; every other approach falls back to the b-plane estimate, whose
+ * uncertainty ellipse comes from the orbit's MPC uncertainty parameter when NASA provides it
  * @param {object} neo - Near Earth Object data from NASA API
+ * @param {object} options - Processing options
+ * @param {Date} options.referenceDate - Date separating past and future approaches (default: now)
+ * @param {object} options.sentry - Parsed Sentry risk from sentry.js (optional)
+ * @param {function} options.random - Uniform random number generator on [0, 1) (default: Math.random)
  * @returns {object} Processed NEO data with calculations
  */
-function processNEO(neo) {
+function processNEO(neo, { referenceDate = new Date(), sentry, random = Math.random } = {}) {
   try {
     // Extract basic information
     const neoData = {
@@ -126,9 +75,15 @@ function processNEO(neo) {
       name: neo.name,
       isPotentiallyHazardous: neo.is_potentially_hazardous_asteroid,
       absoluteMagnitude: neo.absolute_magnitude_h,
-      isSentryObject: neo.is_sentry_object || false
+      isSentryObject: neo.is_sentry_object || false,
+      impactProbabilitySource: sentry?.available ? 'sentry' : 'estimate'
     };
 
+    // Official JPL Sentry risk (cumulative probability, ratings and impact dates)
+    if (sentry) {
+      neoData.sentry = sentry;
+    }
+
     // Get diameter information (using meters)
     const diameterData = neo.estimated_diameter?.meters || {};
     const minDiameter = diameterData.estimated_diameter_min || 0;
@@ -142,8 +97,45 @@ function processNEO(neo) {
       unit: 'meters'
     };
 
+    // Propagate the orbit when NASA provides elements (NEO lookup responses)
+    let orbit = null;
+    if (neo.orbital_data) {
+      neoData.orbitalData = neo.orbital_data;
+      try {
+        orbit = determineOrbit(neo.orbital_data);
+      } catch (error) {
+        orbit = {
+          error: 'Unable to determine orbit',
+          details: error.message
+        };
+      }
+      neoData.orbit = orbit;
+    }
+
+    // Earth MOID, used to verify NASA's PHA flag and to rank by orbital proximity
+    try {
+      neoData.moid = calculateEarthMOID(neo);
+    } catch (error) {
+      neoData.moid = {
+        error: 'Unable to calculate MOID',
+        details: error.message
+      };
+    }
+
     // Process close approach data
     if (neo.close_approach_data && neo.close_approach_data.length > 0) {
+      const earthApproachDates = neo.close_approach_data
+        .filter(approach => approach.orbiting_body === 'Earth')
+        .map(approach => ({
+          date: approach.close_approach_date,
+          missDistance: {
+            astronomical: parseFloat(approach.miss_distance?.astronomical),
+            kilometers: parseFloat(approach.miss_distance?.kilometers),
+            lunar: parseFloat(approach.miss_distance?.lunar)
+          }
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
       const approaches = neo.close_approach_data.map(approach => {
         // Extract velocity (convert km/s to m/s)
         const velocityKmS = parseFloat(approach.relative_velocity?.kilometers_per_second || 0);
@@ -160,16 +152,39 @@ function processNEO(neo) {
         // Calculate kinetic energy
         const kineticEnergy = calculateKineticEnergy(mass, velocityMS);
 
-        // Calculate crater diameter
-        const craterDiameter = calculateCraterDiameter(kineticEnergy);
-        const craterRadius = craterDiameter / 2;
+        // Simulate atmospheric entry to find how much energy reaches the ground
+        const entry = simulateAtmosphericEntry({
+          diameter: avgDiameter,
+          density: CONSTANTS.DEFAULT_DENSITY,
+          velocity: velocityMS
+        });
+
+        // Calculate the crater from the mass and velocity that survive entry
+        const crater = calculateCrater({
+          mass: entry.groundImpact.mass,
+          density: CONSTANTS.DEFAULT_DENSITY,
+          velocity: entry.groundImpact.velocity,
+          angle: entry.groundImpact.angle ?? entry.entryConditions.angle
+        });
 
-        // Estimate impact probability
-        const impactProbability = estimateImpactProbability(missDistanceKm, avgDiameter / 1000);
+        // Use the Sentry virtual impactor for this approach if there is one, else estimate
+        const virtualImpactor = findVirtualImpactor(sentry, approach.close_approach_date);
+        const bPlane = virtualImpactor ? null : calculateImpactProbability({
+          missDistanceKm: missDistanceKm,
+          velocityKmS: velocityKmS,
+          diameterKm: avgDiameter / 1000,
+          uncertainty: estimateMissUncertainty({
+            missDistanceKm: missDistanceKm,
+            orbitUncertainty: neo.orbital_data?.orbit_uncertainty,
+            yearsFromEpoch: orbit?.elements
+              ? (toJulianDate(`${approach.close_approach_date}T00:00:00Z`) - orbit.elements.epoch) / CONSTANTS.DAYS_PER_YEAR
+              : undefined
+          })
+        });
+        const impactProbability = virtualImpactor ? virtualImpactor.impactProbability : bPlane.value;
 
-        // Calculate next pass time (simplified - using miss distance and velocity)
-        // For real calculation, we'd need full orbital elements
-        const nextPassEstimate = calculateNextPassEstimate(approach.close_approach_date, missDistanceKm, velocityKmS);
+        // Find the next pass from the propagated orbit
+        const nextPassEstimate = calculateNextPassEstimate(approach.close_approach_date, orbit, earthApproachDates);
 
         return {
           closeApproachDate: approach.close_approach_date,
@@ -197,16 +212,18 @@ function processNEO(neo) {
               unit: 'Joules',
               megatons: kineticEnergy / 4.184e15 // Convert to megatons of TNT
             },
-            estimatedCrater: {
-              diameter: craterDiameter,
-              radius: craterRadius,
-              unit: 'meters'
-            },
+            estimatedCrater: crater,
+            atmosphericEntry: summarizeAtmosphericEntry(entry),
             impactProbability: {
               value: impactProbability,
               percentage: (impactProbability * 100).toFixed(8),
-              riskLevel: getRiskLevel(impactProbability, neo.is_potentially_hazardous_asteroid)
+              riskLevel: getRiskLevel(impactProbability, neo.is_potentially_hazardous_asteroid),
+              source: virtualImpactor ? 'sentry' : 'estimate',
+              ...(bPlane && { bPlane: bPlane })
             },
+            hazardScales: virtualImpactor
+              ? getSentryHazardScales(virtualImpactor)
+              : calculateHazardScales(impactProbability, kineticEnergy / 4.184e15, approach.close_approach_date),
             nextPassEstimate: nextPassEstimate
           }
         };
@@ -214,12 +231,13 @@ function processNEO(neo) {
 
       neoData.closeApproaches = approaches;
       
-      // Set the most recent or upcoming approach as primary
-      neoData.primaryApproach = approaches[0];
+      // Set the upcoming (or most recent) Earth approach as primary
+      neoData.primaryApproach = selectPrimaryApproach(approaches, referenceDate);
+      neoData.approachSummary = summarizeApproaches(approaches, referenceDate);
     }
 
     // Add geographic impact data (latitude/longitude calculations)
-    const neoWithGeoData = addGeographicImpactData(neoData);
+    const neoWithGeoData = addGeographicImpactData(neoData, { random });
     
     return neoWithGeoData;
   } catch (error) {
@@ -234,72 +252,144 @@ function processNEO(neo) {
 }
 
 /**
- * Calculate estimated next pass time
- * @param {string} lastPassDate - Last close approach date
- * @param {number} missDistanceKm - Miss distance in km
- * @param {number} velocityKmS - Velocity in km/s
+ * Pick the approach shown by default: the first Earth approach on or after the
+ * reference date, else the latest Earth approach, else the first listed approach
+ * @param {array} approaches - Processed close approaches
+ * @param {Date} referenceDate - Date separating past and future approaches
+ * @returns {object} Primary approach
+ */
+function selectPrimaryApproach(approaches, referenceDate) {
+  const today = referenceDate.toISOString().split('T')[0];
+  const earthApproaches = approaches
+    .filter(approach => approach.orbitingBody === 'Earth')
+    .sort((a, b) => a.closeApproachDate.localeCompare(b.closeApproachDate));
+
+  return earthApproaches.find(approach => approach.closeApproachDate >= today) ||
+    earthApproaches[earthApproaches.length - 1] ||
+    approaches[0];
+}
+
+/**
+ * Summarize all listed close approaches
+ * @param {array} approaches - Processed close approaches
+ * @param {Date} referenceDate - Date separating past and future approaches
+ * @returns {object} Counts per body and the key Earth approaches
+ */
+function summarizeApproaches(approaches, referenceDate) {
+  const today = referenceDate.toISOString().split('T')[0];
+  const earthApproaches = approaches
+    .filter(approach => approach.orbitingBody === 'Earth')
+    .sort((a, b) => a.closeApproachDate.localeCompare(b.closeApproachDate));
+  const pastEarth = earthApproaches.filter(approach => approach.closeApproachDate < today);
+  const futureEarth = earthApproaches.filter(approach => approach.closeApproachDate >= today);
+
+  const describe = approach => approach ? {
+    date: approach.closeApproachDate,
+    missDistance: approach.missDistance,
+    velocityKmS: approach.velocity.kilometersPerSecond
+  } : null;
+
+  const byBody = {};
+  approaches.forEach(approach => {
+    byBody[approach.orbitingBody] = (byBody[approach.orbitingBody] || 0) + 1;
+  });
+
+  return {
+    total: approaches.length,
+    byBody: byBody,
+    earth: {
+      past: pastEarth.length,
+      future: futureEarth.length,
+      previous: describe(pastEarth[pastEarth.length - 1]),
+      next: describe(futureEarth[0]),
+      closest: describe(earthApproaches.reduce(
+        (closest, approach) => (!closest || approach.missDistance.kilometers < closest.missDistance.kilometers ? approach : closest),
+        null
+      ))
+    },
+    referenceDate: today
+  };
+}
+
+/**
+ * Calculate the next close approach after a given pass
+ * Uses the next Earth approach listed by NASA when there is one, otherwise
+ * propagates the orbit
+ * @param {string} lastPassDate - Close approach date
+ * @param {object|null} orbit - Orbit from determineOrbit, if orbital elements were available
+ * @param {array} listedApproaches - NASA-listed Earth approaches { date, missDistance }, sorted by date
  * @returns {object} Next pass estimate
  */
-function calculateNextPassEstimate(lastPassDate, missDistanceKm, velocityKmS) {
-  // This is a very simplified estimate
-  // Real calculation requires full orbital elements and perturbation analysis
-  
-  try {
-    const lastPass = new Date(lastPassDate);
-    
-    // Estimate orbital period (very rough approximation)
-    // Assuming average distance of 1 AU and using simplified Kepler's law
-    const avgDistanceM = CONSTANTS.AU;
-    const velocityMS = velocityKmS * 1000;
-    
-    // Calculate semi-major axis (rough estimate)
-    const semiMajorAxis = calculateSemiMajorAxis(velocityMS, avgDistanceM);
-    
-    // Calculate orbital period
-    const periodSeconds = calculateOrbitalPeriod(semiMajorAxis);
-    const periodYears = periodSeconds / (365.25 * 24 * 3600);
-    
-    // Estimate next pass
-    const nextPass = new Date(lastPass.getTime() + (periodSeconds * 1000));
-    
+function calculateNextPassEstimate(lastPassDate, orbit, listedApproaches = []) {
+  const listedNext = listedApproaches.find(approach =>
+    toJulianDate(approach.date) > toJulianDate(lastPassDate) + CONSTANTS.MIN_DAYS_BETWEEN_PASSES
+  );
+  if (listedNext) {
     return {
-      estimatedOrbitalPeriod: {
-        seconds: periodSeconds,
-        days: periodSeconds / 86400,
-        years: periodYears
-      },
-      estimatedNextPass: nextPass.toISOString().split('T')[0],
-      note: 'This is a simplified estimate. Actual orbital mechanics require precise tracking and perturbation analysis.',
-      confidence: 'low'
+      available: true,
+      orbitalPeriod: orbit && !orbit.error ? orbit.period : null,
+      estimatedNextPass: listedNext.date,
+      missDistance: listedNext.missDistance,
+      source: 'nasa-close-approach-data',
+      note: 'Next Earth approach listed in NASA close approach data',
+      confidence: 'high'
     };
-  } catch (error) {
+  }
+
+  if (!orbit || orbit.error) {
     return {
-      error: 'Unable to calculate next pass estimate',
-      note: 'Requires more detailed orbital parameters'
+      available: false,
+      note: orbit?.details || 'Orbital elements are not included in feed data; look the object up by ID to propagate its orbit',
+      confidence: 'none'
     };
   }
+
+  // Skip the propagated counterpart of this pass itself
+  const lastPass = toJulianDate(lastPassDate);
+  const nextPass = orbit.closeApproaches.find(approach => approach.julianDate > lastPass + CONSTANTS.MIN_DAYS_BETWEEN_PASSES);
+
+  return {
+    available: Boolean(nextPass),
+    orbitalPeriod: orbit.period,
+    estimatedNextPass: nextPass ? nextPass.date.split('T')[0] : null,
+    missDistance: nextPass ? nextPass.missDistance : null,
+    searchedFrom: orbit.stateVectors.atReferenceDate.date.split('T')[0],
+    source: 'orbit-propagation',
+    note: nextPass
+      ? 'Two-body propagation of NASA orbital elements; perturbations are ignored'
+      : 'No close approach found within the propagation window',
+    confidence: nextPass ? 'medium' : 'none'
+  };
 }
 
 /**
- * Determine risk level based on impact probability and hazard status
- * @param {number} probability - Impact probability (0-1)
- * @param {boolean} isPotentiallyHazardous - NASA hazard classification
- * @returns {string} Risk level
+ * Reduce an atmospheric entry simulation to the fields shown in the NEO feed
+ * The full energy deposition profile is only returned by the custom hit endpoint
+ * @param {object} entry - Result of simulateAtmosphericEntry
+ * @returns {object} Entry summary
  */
-function getRiskLevel(probability, isPotentiallyHazardous) {
-  if (probability > 0.01) return 'CRITICAL';
-  if (probability > 0.001) return 'HIGH';
-  if (probability > 0.0001) return 'MODERATE';
-  if (isPotentiallyHazardous) return 'LOW-HAZARDOUS';
-  return 'MINIMAL';
+function summarizeAtmosphericEntry(entry) {
+  return {
+    isAirburst: entry.isAirburst,
+    burstAltitude: entry.burstAltitude,
+    breakupAltitudeKm: entry.breakup.occurred ? entry.breakup.altitudeKm : null,
+    energyDepositedInAtmosphere: entry.energy.depositedInAtmosphere,
+    energyAtGround: entry.energy.atGround,
+    fractionDeposited: entry.energy.fractionDeposited,
+    groundImpactVelocity: entry.groundImpact.velocity,
+    classification: entry.classification
+  };
 }
 
 /**
  * Process all NEOs from NASA feed data
  * @param {object} nasaFeedData - Raw NASA NEO feed data
+ * @param {object} options - Processing options
+ * @param {object} options.sentryRisks - Parsed Sentry risk keyed by NEO id (optional)
+ * @param {number|string} options.seed - Seed for reproducible sampling, one stream per NEO (optional)
  * @returns {object} Processed data with calculations
  */
-function processNASAFeedData(nasaFeedData) {
+function processNASAFeedData(nasaFeedData, { sentryRisks = {}, seed } = {}) {
   const result = {
     elementCount: nasaFeedData.element_count,
     links: nasaFeedData.links,
@@ -310,7 +400,10 @@ function processNASAFeedData(nasaFeedData) {
   const nearEarthObjects = nasaFeedData.near_earth_objects || {};
   
   for (const [date, neos] of Object.entries(nearEarthObjects)) {
-    const processedNEOs = neos.map(neo => processNEO(neo));
+    const processedNEOs = neos.map(neo => processNEO(neo, {
+      sentry: sentryRisks[neo.id],
+      random: seed === undefined ? Math.random : createRandom(seed, neo.id)
+    }));
     
     result.processedDates.push({
       date: date,
@@ -336,12 +429,43 @@ function generateSummary(processedDates) {
   let maxCraterDiameter = 0;
   let highestProbability = 0;
   let mostDangerousNEO = null;
+  let closestOrbitNEO = null;
+  let phaDisagreements = 0;
+  let sentryObjects = 0;
+  let highestSentryRisk = null;
 
   processedDates.forEach(dateData => {
     totalNEOs += dateData.neoCount;
     
     dateData.neos.forEach(neo => {
       if (neo.isPotentiallyHazardous) hazardousCount++;
+
+      if (neo.isSentryObject) sentryObjects++;
+      if (neo.sentry?.available &&
+          (!highestSentryRisk || neo.sentry.cumulativeImpactProbability > highestSentryRisk.cumulativeImpactProbability)) {
+        highestSentryRisk = {
+          name: neo.name,
+          cumulativeImpactProbability: neo.sentry.cumulativeImpactProbability,
+          palermoCumulative: neo.sentry.palermo.cumulative,
+          torinoMax: neo.sentry.torino.max,
+          firstImpactDate: neo.sentry.impactDates[0]?.date || null
+        };
+      }
+      
+      if (neo.moid?.astronomical !== undefined) {
+        // A computed MOID beats any miss-distance upper bound
+        const isCloser = !closestOrbitNEO ||
+          (closestOrbitNEO.isUpperBound && !neo.moid.isUpperBound) ||
+          (closestOrbitNEO.isUpperBound === neo.moid.isUpperBound && neo.moid.astronomical < closestOrbitNEO.moid);
+        if (isCloser) {
+          closestOrbitNEO = {
+            name: neo.name,
+            moid: neo.moid.astronomical,
+            isUpperBound: neo.moid.isUpperBound
+          };
+        }
+        if (neo.moid.phaVerification?.agreesWithNasa === false) phaDisagreements++;
+      }
       
       if (neo.primaryApproach?.calculations) {
         const calc = neo.primaryApproach.calculations;
@@ -375,7 +499,11 @@ function generateSummary(processedDates) {
       value: highestProbability,
       percentage: (highestProbability * 100).toFixed(8)
     },
-    mostDangerousNEO
+    mostDangerousNEO,
+    closestOrbitNEO,
+    phaDisagreements,
+    sentryObjects,
+    highestSentryRisk
   };
 }
 
@@ -384,7 +512,5 @@ module.exports = {
   processNASAFeedData,
   calculateMass,
   calculateKineticEnergy,
-  calculateCraterDiameter,
-  estimateImpactProbability,
   CONSTANTS
 };
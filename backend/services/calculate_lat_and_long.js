@@ -5,6 +5,9 @@
  */
 
 const { DateTime } = require('luxon');
+const { lookupLocation } = require('./geographic_lookup');
+const { calculateNeoImpactCorridor } = require('./calculate_corridor');
+const { estimateMissUncertainty } = require('./calculate_bplane');
 
 // Earth Constants
 const EARTH_CONSTANTS = {
@@ -82,9 +85,10 @@ function calculateSubsatellitePoint(approachDate, rightAscension, declination) {
  * Estimate impact location based on velocity vector and approach geometry
  * @param {object} approachData - Close approach data
  * @param {number} missDistanceKm - Miss distance in kilometers
+ * @param {function} random - Uniform random number generator on [0, 1) (default: Math.random)
  * @returns {object} Estimated impact coordinates and metadata
  */
-function estimateImpactLocation(approachData, missDistanceKm) {
+function estimateImpactLocation(approachData, missDistanceKm, random = Math.random) {
   try {
     // Safely parse the date - handle both NASA API format and our processed format
     const dateStr = approachData.close_approach_date_full 
@@ -148,7 +152,7 @@ function estimateImpactLocation(approachData, missDistanceKm) {
       // Estimate latitude based on orbital inclination
       // Most NEOs have low inclination, so impacts are more likely near equator
       // Using a normal distribution centered at equator
-      const latitudeVariation = (Math.random() - 0.5) * 60; // ±30 degrees from equator
+      const latitudeVariation = (random() - 0.5) * 60; // ±30 degrees from equator
       const latitude = latitudeVariation * 0.7; // Bias towards equator
       
       return {
@@ -184,96 +188,21 @@ function estimateImpactLocation(approachData, missDistanceKm) {
 }
 
 /**
- * Calculate multiple potential impact points using Monte Carlo approach
- * @param {object} approachData - Close approach data
- * @param {number} missDistanceKm - Miss distance in km
- * @param {number} uncertaintyKm - Positional uncertainty in km
- * @param {number} samples - Number of Monte Carlo samples
- * @returns {array} Array of potential impact coordinates
+ * Detect the geographic region containing a point
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {object} Region (continent or 'Ocean'), continent, country and land/ocean flag
  */
-function calculateImpactProbabilityMap(approachData, missDistanceKm, uncertaintyKm = 1000, samples = 100) {
-  const impactPoints = [];
+function detectRegion(latitude, longitude) {
+  const location = lookupLocation(latitude, longitude);
   
-  // Only calculate if object is potentially hazardous (close approach)
-  if (missDistanceKm > EARTH_CONSTANTS.RADIUS_KM * 5) {
-    return {
-      impactPoints: [],
-      note: 'Object passes too far from Earth for meaningful impact probability mapping'
-    };
-  }
-  
-  try {
-    // Safely parse the date - handle both NASA API format and our processed format
-    const dateStr = approachData.close_approach_date_full 
-      || approachData.close_approach_date 
-      || approachData.closeApproachDateFull 
-      || approachData.closeApproachDate;
-      
-    if (!dateStr) {
-      return {
-        impactPoints: [],
-        error: 'No approach date available'
-      };
-    }
-    
-    const approachDate = new Date(dateStr);
-    
-    // Validate the date
-    if (isNaN(approachDate.getTime())) {
-      return {
-        impactPoints: [],
-        error: 'Invalid approach date'
-      };
-    }
-    
-    const dt = DateTime.fromJSDate(approachDate);
-    
-    // Validate luxon DateTime
-    if (!dt.isValid) {
-      return {
-        impactPoints: [],
-        error: 'Invalid DateTime conversion'
-      };
-    }
-    
-    // Generate samples around the nominal trajectory
-    for (let i = 0; i < samples; i++) {
-      // Add random variation to simulate orbital uncertainty
-      const latVariation = (Math.random() - 0.5) * (uncertaintyKm / EARTH_CONSTANTS.RADIUS_KM) * 57.3; // Convert to degrees
-      const lonVariation = (Math.random() - 0.5) * (uncertaintyKm / EARTH_CONSTANTS.RADIUS_KM) * 57.3;
-      
-      // Base coordinates
-      const baseLon = (dt.hour * 15) - 180;
-      
-      const latitude = latVariation;
-      let longitude = baseLon + lonVariation;
-      
-      // Normalize
-      while (longitude > 180) longitude -= 360;
-      while (longitude < -180) longitude += 360;
-      
-      impactPoints.push({
-        latitude: parseFloat(latitude.toFixed(4)),
-        longitude: parseFloat(longitude.toFixed(4)),
-        probability: 1 / samples // Equal probability for each sample in this simplified model
-      });
-    }
-    
-    return {
-      impactPoints: impactPoints,
-      samples: samples,
-      uncertaintyKm: uncertaintyKm,
-      method: 'Monte Carlo simulation (simplified)',
-      note: 'This is a demonstration. Real calculations require full orbital covariance analysis.'
-    };
-    
-  } catch (error) {
-    console.error('Error calculating impact probability map:', error);
-    return {
-      impactPoints: [],
-      error: error.message
-    };
-  }
+  return {
+    region: location.isOcean ? 'Ocean' : location.continent,
+    continent: location.continent,
+    isOcean: location.isOcean,
+    country: location.country,
+    subregion: location.subregion
+  };
 }
 
 /**
@@ -291,40 +220,7 @@ function assessGeographicRisk(impactLocation, craterRadiusKm) {
   }
   
   const { latitude, longitude } = impactLocation.estimatedImpactPoint;
-  
-  // Simplified region detection based on coordinates
-  let region = 'Ocean';
-  let continent = null;
-  
-  // Very simplified continent detection
-  if (latitude > 35 && latitude < 70) {
-    if (longitude > -10 && longitude < 40) {
-      region = 'Europe';
-      continent = 'Europe';
-    } else if (longitude > 40 && longitude < 180) {
-      region = 'Asia';
-      continent = 'Asia';
-    } else if (longitude > -130 && longitude < -60) {
-      region = 'North America';
-      continent = 'North America';
-    }
-  } else if (latitude > -35 && latitude < 35) {
-    if (longitude > -20 && longitude < 55) {
-      region = 'Africa';
-      continent = 'Africa';
-    } else if (longitude > 90 && longitude < 150) {
-      region = 'Southeast Asia';
-      continent = 'Asia';
-    } else if (longitude > -90 && longitude < -30) {
-      region = 'South America';
-      continent = 'South America';
-    }
-  } else if (latitude > -90 && latitude < -35) {
-    if (longitude > 110 && longitude < 180) {
-      region = 'Australia';
-      continent = 'Australia';
-    }
-  }
+  const { region, continent, isOcean, country, subregion } = detectRegion(latitude, longitude);
   
   // Calculate affected area (simplified circle)
   const affectedAreaKm2 = Math.PI * Math.pow(craterRadiusKm * 3, 2); // 3x crater radius for blast effects
@@ -332,6 +228,9 @@ function assessGeographicRisk(impactLocation, craterRadiusKm) {
   return {
     primaryRegion: region,
     continent: continent,
+    isOcean: isOcean,
+    country: country,
+    subregion: subregion,
     coordinates: {
       latitude: latitude,
       longitude: longitude
@@ -369,12 +268,50 @@ function determineRegionalRiskLevel(region, affectedAreaKm2) {
   return 'LOW';
 }
 
+/**
+ * Trace the impact corridor of a NEO's primary approach
+ * Needs orbital elements (NEO lookups); feed objects only carry miss distance and speed
+ * @param {object} neoData - Processed NEO data with orbit
+ * @param {object} approach - Primary close approach
+ * @param {number} missDistanceKm - Miss distance in km
+ * @returns {object} Impact corridor, or { available: false, reason }
+ */
+function calculateApproachCorridor(neoData, approach, missDistanceKm) {
+  if (!neoData.orbit?.elements) {
+    return {
+      available: false,
+      reason: 'Orbital elements are needed for the approach geometry (use GET /neo/:id)'
+    };
+  }
+
+  try {
+    return calculateNeoImpactCorridor({
+      elements: neoData.orbit.elements,
+      approachDate: approach.closeApproachDate,
+      approachDateFull: approach.closeApproachDateFull,
+      missDistanceKm: missDistanceKm,
+      velocityKmS: approach.velocity?.kilometersPerSecond,
+      uncertainty: approach.calculations?.impactProbability?.bPlane?.uncertainty ||
+        estimateMissUncertainty({ missDistanceKm, orbitUncertainty: neoData.orbitalData?.orbit_uncertainty }),
+      diameterKm: (neoData.diameter?.average || 0) / 1000
+    });
+  } catch (error) {
+    return {
+      available: false,
+      reason: 'Unable to calculate impact corridor',
+      details: error.message
+    };
+  }
+}
+
 /**
  * Main function to process NEO and add geographic impact data
  * @param {object} neoData - Processed NEO data from calculate_hit.js
+ * @param {object} options - Geographic options
+ * @param {function} options.random - Uniform random number generator on [0, 1) (default: Math.random)
  * @returns {object} NEO data enhanced with geographic information
  */
-function addGeographicImpactData(neoData) {
+function addGeographicImpactData(neoData, { random = Math.random } = {}) {
   if (!neoData.primaryApproach) {
     return neoData;
   }
@@ -384,7 +321,7 @@ function addGeographicImpactData(neoData) {
   const craterRadiusKm = (approach.calculations?.estimatedCrater?.radius || 0) / 1000; // Convert m to km
   
   // Estimate impact location
-  const impactLocation = estimateImpactLocation(approach, missDistanceKm);
+  const impactLocation = estimateImpactLocation(approach, missDistanceKm, random);
   
   // Add geographic risk assessment if impact is possible
   let geographicRisk = null;
@@ -392,11 +329,8 @@ function addGeographicImpactData(neoData) {
     geographicRisk = assessGeographicRisk(impactLocation, craterRadiusKm);
   }
   
-  // Add probability map for close approaches
-  let probabilityMap = null;
-  if (missDistanceKm < EARTH_CONSTANTS.RADIUS_KM * 5) {
-    probabilityMap = calculateImpactProbabilityMap(approach, missDistanceKm, 1000, 50);
-  }
+  // Trace the risk corridor when the orbit gives the approach geometry
+  const impactCorridor = calculateApproachCorridor(neoData, approach, missDistanceKm);
   
   // Enhance the NEO data with geographic information
   return {
@@ -404,7 +338,7 @@ function addGeographicImpactData(neoData) {
     geographicImpactData: {
       impactLocation: impactLocation,
       geographicRisk: geographicRisk,
-      probabilityMap: probabilityMap,
+      impactCorridor: impactCorridor,
       earthRotationData: {
         rotationPeriod: EARTH_CONSTANTS.ROTATION_PERIOD_HOURS,
         degreesPerHour: EARTH_CONSTANTS.DEGREES_PER_HOUR,
@@ -416,8 +350,8 @@ function addGeographicImpactData(neoData) {
 
 module.exports = {
   estimateImpactLocation,
-  calculateImpactProbabilityMap,
   assessGeographicRisk,
+  detectRegion,
   addGeographicImpactData,
   cartesianToLatLong,
   calculateSubsatellitePoint,
@@ -0,0 +1,205 @@
+/**
+ * Minimum Orbit Intersection Distance (MOID) Calculator
+ * Smallest distance between the orbit of a NEO and the orbit of the Earth, regardless of
+ * where either body is on its orbit. Found with a coarse grid over both eccentric
+ * anomalies followed by local grid refinement of every candidate minimum
+ * Used with absolute magnitude for the PHA criterion (MOID <= 0.05 AU and H <= 22)
+ */
+
+const {
+  parseOrbitalElements,
+  calculateOrbitPosition,
+  getEarthElements,
+  ORBIT_CONSTANTS
+} = require('./calculate_orbit');
+
+// MOID Constants
+const MOID_CONSTANTS = {
+  GRID_STEPS: 180,                  // Coarse samples per orbit (2° in eccentric anomaly)
+  REFINEMENT_STEPS: 8,              // Samples either side of the current best point per refinement
+  REFINEMENT_TOLERANCE: 1e-9,       // Stop refining below this step (rad)
+  MAX_CANDIDATES: 8,                // Coarse-grid local minima that get refined
+  PHA_MOID_LIMIT: 0.05,             // PHA MOID threshold (AU)
+  PHA_MAGNITUDE_LIMIT: 22           // PHA absolute magnitude threshold (H)
+};
+
+/**
+ * Calculate distance between two points on two orbits
+ * @param {object} orbitA - Orbital elements of the first orbit
+ * @param {number} anomalyA - Eccentric anomaly on the first orbit in radians
+ * @param {object} orbitB - Orbital elements of the second orbit
+ * @param {number} anomalyB - Eccentric anomaly on the second orbit in radians
+ * @returns {number} Distance in AU
+ */
+function calculateOrbitSeparation(orbitA, anomalyA, orbitB, anomalyB) {
+  const a = calculateOrbitPosition(orbitA, anomalyA);
+  const b = calculateOrbitPosition(orbitB, anomalyB);
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Refine a candidate minimum by repeatedly shrinking a local grid around it
+ * @param {object} orbitA - Orbital elements of the first orbit
+ * @param {object} orbitB - Orbital elements of the second orbit
+ * @param {object} candidate - Starting point { anomalyA, anomalyB, distance }
+ * @param {number} step - Initial grid spacing in radians
+ * @returns {object} Refined { anomalyA, anomalyB, distance }
+ */
+function refineMinimum(orbitA, orbitB, candidate, step) {
+  const n = MOID_CONSTANTS.REFINEMENT_STEPS;
+  let best = candidate;
+  let spacing = step;
+
+  while (spacing > MOID_CONSTANTS.REFINEMENT_TOLERANCE) {
+    const centre = best;
+    for (let i = -n; i <= n; i++) {
+      for (let j = -n; j <= n; j++) {
+        const anomalyA = centre.anomalyA + (i * spacing) / n;
+        const anomalyB = centre.anomalyB + (j * spacing) / n;
+        const distance = calculateOrbitSeparation(orbitA, anomalyA, orbitB, anomalyB);
+        if (distance < best.distance) {
+          best = { anomalyA, anomalyB, distance };
+        }
+      }
+    }
+    spacing /= n / 2;
+  }
+
+  return best;
+}
+
+/**
+ * Calculate the minimum distance between two orbits
+ * @param {object} orbitA - Orbital elements of the first orbit (AU, degrees)
+ * @param {object} orbitB - Orbital elements of the second orbit (AU, degrees)
+ * @returns {object} MOID in AU and the eccentric anomalies where it occurs
+ */
+function calculateOrbitMOID(orbitA, orbitB) {
+  const steps = MOID_CONSTANTS.GRID_STEPS;
+  const step = (2 * Math.PI) / steps;
+
+  // Precompute orbit positions on the coarse grid
+  const pointsA = Array.from({ length: steps }, (_, i) => calculateOrbitPosition(orbitA, i * step));
+  const pointsB = Array.from({ length: steps }, (_, j) => calculateOrbitPosition(orbitB, j * step));
+  const grid = pointsA.map(a => pointsB.map(b => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)));
+
+  // Local minima of the periodic grid are candidates for the global minimum
+  const candidates = [];
+  for (let i = 0; i < steps; i++) {
+    for (let j = 0; j < steps; j++) {
+      const distance = grid[i][j];
+      let isMinimum = true;
+      for (let di = -1; di <= 1 && isMinimum; di++) {
+        for (let dj = -1; dj <= 1; dj++) {
+          if ((di || dj) && grid[(i + di + steps) % steps][(j + dj + steps) % steps] < distance) {
+            isMinimum = false;
+            break;
+          }
+        }
+      }
+      if (isMinimum) {
+        candidates.push({ anomalyA: i * step, anomalyB: j * step, distance });
+      }
+    }
+  }
+
+  const best = candidates
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MOID_CONSTANTS.MAX_CANDIDATES)
+    .map(candidate => refineMinimum(orbitA, orbitB, candidate, step))
+    .reduce((min, candidate) => (candidate.distance < min.distance ? candidate : min));
+
+  const normalize = angle => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  return {
+    distance: best.distance,
+    anomalyA: normalize(best.anomalyA),
+    anomalyB: normalize(best.anomalyB)
+  };
+}
+
+/**
+ * Check the PHA criterion (MOID <= 0.05 AU and H <= 22)
+ * @param {number} moidAU - Earth MOID in AU
+ * @param {number} absoluteMagnitude - Absolute magnitude H
+ * @param {boolean} isUpperBound - Whether moidAU is only an upper bound on the MOID
+ * @returns {boolean|null} PHA status, or null if it cannot be decided
+ */
+function isPotentiallyHazardous(moidAU, absoluteMagnitude, isUpperBound = false) {
+  if (!Number.isFinite(absoluteMagnitude)) {
+    return null;
+  }
+  if (absoluteMagnitude > MOID_CONSTANTS.PHA_MAGNITUDE_LIMIT) {
+    return false;
+  }
+  if (moidAU <= MOID_CONSTANTS.PHA_MOID_LIMIT) {
+    return true;
+  }
+
+  // An upper bound above the limit says nothing about the true MOID
+  return isUpperBound ? null : false;
+}
+
+/**
+ * Calculate Earth MOID for a NEO and verify its PHA classification
+ * Uses orbital elements when available; otherwise the closest listed approach
+ * gives an upper bound, since the orbits can be no further apart than the bodies were
+ * @param {object} neo - Near Earth Object data from NASA API
+ * @returns {object|null} MOID and PHA verification, or null if nothing to go on
+ */
+function calculateEarthMOID(neo) {
+  const absoluteMagnitude = parseFloat(neo.absolute_magnitude_h);
+  const nasaMoid = parseFloat(neo.orbital_data?.minimum_orbit_intersection);
+  let moid;
+
+  if (neo.orbital_data) {
+    const elements = parseOrbitalElements(neo.orbital_data);
+    const result = calculateOrbitMOID(elements, getEarthElements(elements.epoch));
+    moid = {
+      astronomical: result.distance,
+      isUpperBound: false,
+      method: 'Orbit-to-orbit minimum distance from NASA orbital elements',
+      eccentricAnomaly: {
+        object: result.anomalyA * 180 / Math.PI,
+        earth: result.anomalyB * 180 / Math.PI
+      }
+    };
+  } else {
+    const missDistances = (neo.close_approach_data || [])
+      .filter(approach => approach.orbiting_body === 'Earth')
+      .map(approach => parseFloat(approach.miss_distance?.astronomical))
+      .filter(Number.isFinite);
+    if (missDistances.length === 0) {
+      return null;
+    }
+
+    moid = {
+      astronomical: Math.min(...missDistances),
+      isUpperBound: true,
+      method: 'Upper bound from the closest listed Earth approach (orbital elements not in feed data)'
+    };
+  }
+
+  const computedPha = isPotentiallyHazardous(moid.astronomical, absoluteMagnitude, moid.isUpperBound);
+  const nasaPha = neo.is_potentially_hazardous_asteroid;
+
+  return {
+    ...moid,
+    kilometers: moid.astronomical * ORBIT_CONSTANTS.AU_KM,
+    lunar: (moid.astronomical * ORBIT_CONSTANTS.AU_KM) / ORBIT_CONSTANTS.LUNAR_DISTANCE_KM,
+    nasaValue: Number.isFinite(nasaMoid) ? nasaMoid : null,
+    phaVerification: {
+      criteria: `MOID <= ${MOID_CONSTANTS.PHA_MOID_LIMIT} AU and H <= ${MOID_CONSTANTS.PHA_MAGNITUDE_LIMIT}`,
+      absoluteMagnitude: Number.isFinite(absoluteMagnitude) ? absoluteMagnitude : null,
+      computed: computedPha,
+      nasa: typeof nasaPha === 'boolean' ? nasaPha : null,
+      agreesWithNasa: computedPha === null || typeof nasaPha !== 'boolean' ? null : computedPha === nasaPha
+    }
+  };
+}
+
+module.exports = {
+  calculateEarthMOID,
+  calculateOrbitMOID,
+  isPotentiallyHazardous,
+  MOID_CONSTANTS
+};
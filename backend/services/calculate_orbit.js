@@ -0,0 +1,404 @@
+/**
+ * Orbit Calculator for Near-Earth Objects
+ * Parses NASA NEO orbital elements, propagates the two-body (Keplerian) orbit,
+ * returns heliocentric state vectors and searches for future Earth close approaches
+ * Earth is propagated from the JPL approximate mean elements (Standish, 1800-2050)
+ */
+
+// Orbit Constants (distances in AU, times in days)
+const ORBIT_CONSTANTS = {
+  GAUSSIAN_GRAVITATIONAL_CONSTANT: 0.01720209895, // k, so GM_sun = k² AU³/day²
+  AU_KM: 149597870.7,               // Astronomical Unit (km)
+  LUNAR_DISTANCE_KM: 384400,        // Mean Earth-Moon distance (km)
+  SECONDS_PER_DAY: 86400,
+  DAYS_PER_YEAR: 365.25,
+  DAYS_PER_CENTURY: 36525,
+  J2000: 2451545.0,                 // Julian date of the J2000 epoch
+  UNIX_EPOCH_JD: 2440587.5,         // Julian date of 1970-01-01T00:00:00Z
+  KEPLER_TOLERANCE: 1e-12,          // Convergence tolerance for Kepler's equation (rad)
+  KEPLER_MAX_ITERATIONS: 50,
+  SEARCH_YEARS: 100,                // How far ahead to search for close approaches
+  SEARCH_STEP_DAYS: 1,              // Sampling step when bracketing approaches
+  MAX_APPROACH_DISTANCE_AU: 0.1,    // Only minima closer than this count as close approaches
+  MAX_CLOSE_APPROACHES: 5           // Close approaches returned per object
+};
+
+// Earth-Moon barycenter mean elements at J2000 and rates per Julian century
+// (Standish, "Keplerian Elements for Approximate Positions of the Major Planets")
+const EARTH_ELEMENTS = {
+  semiMajorAxis: [1.00000261, 0.00000562],
+  eccentricity: [0.01671123, -0.00004392],
+  inclination: [-0.00001531, -0.01294668],
+  meanLongitude: [100.46457166, 35999.37244981],
+  longitudeOfPerihelion: [102.93768193, 0.32327364],
+  ascendingNode: [0, 0]
+};
+
+const GM_SUN = ORBIT_CONSTANTS.GAUSSIAN_GRAVITATIONAL_CONSTANT * ORBIT_CONSTANTS.GAUSSIAN_GRAVITATIONAL_CONSTANT;
+const DEG = Math.PI / 180;
+
+/**
+ * Convert a date to a Julian date
+ * @param {Date|string} date - Date or ISO date string
+ * @returns {number} Julian date
+ */
+function toJulianDate(date) {
+  const time = date instanceof Date ? date.getTime() : new Date(date).getTime();
+  return time / (ORBIT_CONSTANTS.SECONDS_PER_DAY * 1000) + ORBIT_CONSTANTS.UNIX_EPOCH_JD;
+}
+
+/**
+ * Convert a Julian date to an ISO timestamp
+ * @param {number} julianDate - Julian date
+ * @returns {string} ISO 8601 timestamp
+ */
+function fromJulianDate(julianDate) {
+  const time = (julianDate - ORBIT_CONSTANTS.UNIX_EPOCH_JD) * ORBIT_CONSTANTS.SECONDS_PER_DAY * 1000;
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse the orbital_data block of a NASA NEO lookup response
+ * NASA returns every element as a string; angles are in degrees
+ * @param {object} orbitalData - NASA orbital_data object
+ * @returns {object} Numeric orbital elements
+ */
+function parseOrbitalElements(orbitalData) {
+  if (!orbitalData) {
+    throw new Error('Orbital data not provided');
+  }
+
+  const elements = {
+    semiMajorAxis: parseFloat(orbitalData.semi_major_axis),
+    eccentricity: parseFloat(orbitalData.eccentricity),
+    inclination: parseFloat(orbitalData.inclination),
+    ascendingNode: parseFloat(orbitalData.ascending_node_longitude),
+    argumentOfPerihelion: parseFloat(orbitalData.perihelion_argument),
+    meanAnomaly: parseFloat(orbitalData.mean_anomaly),
+    epoch: parseFloat(orbitalData.epoch_osculation)
+  };
+
+  const missing = Object.keys(elements).filter(key => !Number.isFinite(elements[key]));
+  if (missing.length > 0) {
+    throw new Error(`Invalid orbital elements: ${missing.join(', ')}`);
+  }
+  if (elements.eccentricity < 0 || elements.eccentricity >= 1 || elements.semiMajorAxis <= 0) {
+    throw new Error('Only bound elliptical orbits (0 <= e < 1, a > 0) are supported');
+  }
+
+  return {
+    ...elements,
+    orbitId: orbitalData.orbit_id || null,
+    orbitDeterminationDate: orbitalData.orbit_determination_date || null,
+    orbitClass: orbitalData.orbit_class?.orbit_class_type || null
+  };
+}
+
+/**
+ * Solve Kepler's equation M = E - e sin E for the eccentric anomaly (Newton-Raphson)
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity (0 <= e < 1)
+ * @returns {number} Eccentric anomaly in radians
+ */
+function solveKepler(meanAnomaly, eccentricity) {
+  const M = ((meanAnomaly % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  let E = eccentricity < 0.8 ? M : Math.PI;
+
+  for (let i = 0; i < ORBIT_CONSTANTS.KEPLER_MAX_ITERATIONS; i++) {
+    const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < ORBIT_CONSTANTS.KEPLER_TOLERANCE) {
+      break;
+    }
+  }
+
+  return E;
+}
+
+/**
+ * Calculate mean motion from the semi-major axis
+ * @param {number} semiMajorAxis - Semi-major axis in AU
+ * @returns {number} Mean motion in degrees per day
+ */
+function calculateMeanMotion(semiMajorAxis) {
+  return Math.sqrt(GM_SUN / Math.pow(semiMajorAxis, 3)) / DEG;
+}
+
+/**
+ * Rotate a vector from the orbital plane (x towards perihelion) into the ecliptic frame
+ * @param {object} elements - Orbital elements (degrees)
+ * @param {number} x - Component towards perihelion
+ * @param {number} y - Component 90° ahead of perihelion in the orbital plane
+ * @returns {object} Ecliptic { x, y, z }
+ */
+function rotateToEcliptic(elements, x, y) {
+  const cosW = Math.cos(elements.argumentOfPerihelion * DEG);
+  const sinW = Math.sin(elements.argumentOfPerihelion * DEG);
+  const cosI = Math.cos(elements.inclination * DEG);
+  const sinI = Math.sin(elements.inclination * DEG);
+  const cosO = Math.cos(elements.ascendingNode * DEG);
+  const sinO = Math.sin(elements.ascendingNode * DEG);
+
+  return {
+    x: (cosO * cosW - sinO * sinW * cosI) * x + (-cosO * sinW - sinO * cosW * cosI) * y,
+    y: (sinO * cosW + cosO * sinW * cosI) * x + (-sinO * sinW + cosO * cosW * cosI) * y,
+    z: (sinW * sinI) * x + (cosW * sinI) * y
+  };
+}
+
+/**
+ * Calculate the heliocentric position of a point on an orbit
+ * @param {object} elements - Orbital elements (AU, degrees)
+ * @param {number} eccentricAnomaly - Eccentric anomaly in radians
+ * @returns {object} Ecliptic position { x, y, z } in AU
+ */
+function calculateOrbitPosition(elements, eccentricAnomaly) {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  return rotateToEcliptic(
+    elements,
+    a * (Math.cos(eccentricAnomaly) - e),
+    a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly)
+  );
+}
+
+/**
+ * Propagate an orbit to a date and return its heliocentric state vector
+ * @param {object} elements - Orbital elements (AU, degrees, Julian date epoch)
+ * @param {number} julianDate - Julian date to propagate to
+ * @returns {object} Position (AU) and velocity (AU/day) in the J2000 ecliptic frame
+ */
+function calculateStateVector(elements, julianDate) {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  const meanMotion = calculateMeanMotion(a);
+  const meanAnomaly = (elements.meanAnomaly + meanMotion * (julianDate - elements.epoch)) * DEG;
+  const E = solveKepler(meanAnomaly, e);
+
+  // Velocity in the orbital plane (x towards perihelion)
+  const sqrtOneMinusE2 = Math.sqrt(1 - e * e);
+  const distance = a * (1 - e * Math.cos(E));
+  const speedFactor = Math.sqrt(GM_SUN * a) / distance;
+  const vxOrbit = -speedFactor * Math.sin(E);
+  const vyOrbit = speedFactor * sqrtOneMinusE2 * Math.cos(E);
+
+  const trueAnomaly = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+
+  return {
+    julianDate: julianDate,
+    position: calculateOrbitPosition(elements, E),
+    velocity: rotateToEcliptic(elements, vxOrbit, vyOrbit),
+    distance: distance,
+    trueAnomaly: ((trueAnomaly / DEG) + 360) % 360
+  };
+}
+
+/**
+ * Calculate Earth's (Earth-Moon barycenter) mean orbital elements at a date
+ * @param {number} julianDate - Julian date
+ * @returns {object} Orbital elements in the same form as parseOrbitalElements
+ */
+function getEarthElements(julianDate) {
+  const T = (julianDate - ORBIT_CONSTANTS.J2000) / ORBIT_CONSTANTS.DAYS_PER_CENTURY;
+  const at = ([value, rate]) => value + rate * T;
+
+  const longitudeOfPerihelion = at(EARTH_ELEMENTS.longitudeOfPerihelion);
+  const ascendingNode = at(EARTH_ELEMENTS.ascendingNode);
+
+  return {
+    semiMajorAxis: at(EARTH_ELEMENTS.semiMajorAxis),
+    eccentricity: at(EARTH_ELEMENTS.eccentricity),
+    inclination: at(EARTH_ELEMENTS.inclination),
+    ascendingNode: ascendingNode,
+    argumentOfPerihelion: longitudeOfPerihelion - ascendingNode,
+    meanAnomaly: at(EARTH_ELEMENTS.meanLongitude) - longitudeOfPerihelion,
+    epoch: julianDate
+  };
+}
+
+/**
+ * Calculate Earth's heliocentric state vector at a date
+ * @param {number} julianDate - Julian date
+ * @returns {object} Position (AU) and velocity (AU/day) in the J2000 ecliptic frame
+ */
+function getEarthStateVector(julianDate) {
+  return calculateStateVector(getEarthElements(julianDate), julianDate);
+}
+
+/**
+ * Calculate the geocentric distance and relative velocity of an object at a date
+ * @param {object} elements - Orbital elements of the object
+ * @param {number} julianDate - Julian date
+ * @returns {object} Distance (AU) and relative speed (AU/day)
+ */
+function calculateEarthSeparation(elements, julianDate) {
+  const object = calculateStateVector(elements, julianDate);
+  const earth = getEarthStateVector(julianDate);
+
+  return {
+    distance: Math.hypot(
+      object.position.x - earth.position.x,
+      object.position.y - earth.position.y,
+      object.position.z - earth.position.z
+    ),
+    relativeSpeed: Math.hypot(
+      object.velocity.x - earth.velocity.x,
+      object.velocity.y - earth.velocity.y,
+      object.velocity.z - earth.velocity.z
+    )
+  };
+}
+
+/**
+ * Refine a bracketed distance minimum with a golden-section search
+ * @param {object} elements - Orbital elements of the object
+ * @param {number} start - Julian date at the start of the bracket
+ * @param {number} end - Julian date at the end of the bracket
+ * @returns {number} Julian date of minimum distance
+ */
+function refineClosestApproach(elements, start, end) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = start;
+  let b = end;
+
+  // Converge to about a minute
+  while (b - a > 1 / 1440) {
+    const c = b - ratio * (b - a);
+    const d = a + ratio * (b - a);
+    if (calculateEarthSeparation(elements, c).distance < calculateEarthSeparation(elements, d).distance) {
+      b = d;
+    } else {
+      a = c;
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+/**
+ * Find future Earth close approaches by propagating both orbits
+ * @param {object} elements - Orbital elements of the object
+ * @param {number} startJulianDate - Julian date to start searching from
+ * @param {object} options - Search window, distance threshold and result count
+ * @returns {array} Close approaches, earliest first
+ */
+function findCloseApproaches(elements, startJulianDate, {
+  years = ORBIT_CONSTANTS.SEARCH_YEARS,
+  maxDistanceAU = ORBIT_CONSTANTS.MAX_APPROACH_DISTANCE_AU,
+  count = ORBIT_CONSTANTS.MAX_CLOSE_APPROACHES
+} = {}) {
+  const step = ORBIT_CONSTANTS.SEARCH_STEP_DAYS;
+  const end = startJulianDate + years * ORBIT_CONSTANTS.DAYS_PER_YEAR;
+  const approaches = [];
+
+  let previous = calculateEarthSeparation(elements, startJulianDate - step).distance;
+  let current = calculateEarthSeparation(elements, startJulianDate).distance;
+
+  for (let t = startJulianDate; t < end && approaches.length < count; t += step) {
+    const next = calculateEarthSeparation(elements, t + step).distance;
+
+    if (current <= previous && current < next && current < maxDistanceAU * 1.5) {
+      const julianDate = refineClosestApproach(elements, t - step, t + step);
+      const separation = calculateEarthSeparation(elements, julianDate);
+
+      if (separation.distance <= maxDistanceAU && julianDate >= startJulianDate) {
+        const distanceKm = separation.distance * ORBIT_CONSTANTS.AU_KM;
+        approaches.push({
+          date: fromJulianDate(julianDate),
+          julianDate: julianDate,
+          missDistance: {
+            astronomical: separation.distance,
+            kilometers: distanceKm,
+            lunar: distanceKm / ORBIT_CONSTANTS.LUNAR_DISTANCE_KM
+          },
+          relativeVelocity: {
+            kilometersPerSecond: (separation.relativeSpeed * ORBIT_CONSTANTS.AU_KM) / ORBIT_CONSTANTS.SECONDS_PER_DAY
+          }
+        });
+      }
+    }
+
+    previous = current;
+    current = next;
+  }
+
+  return approaches;
+}
+
+/**
+ * Classify a near-Earth orbit by its perihelion and aphelion
+ * @param {number} semiMajorAxis - Semi-major axis in AU
+ * @param {number} perihelion - Perihelion distance in AU
+ * @param {number} aphelion - Aphelion distance in AU
+ * @returns {string} Orbit class
+ */
+function classifyOrbit(semiMajorAxis, perihelion, aphelion) {
+  if (aphelion < 0.983) return 'Atira';
+  if (semiMajorAxis < 1 && aphelion >= 0.983) return 'Aten';
+  if (semiMajorAxis >= 1 && perihelion <= 1.017) return 'Apollo';
+  if (perihelion > 1.017 && perihelion < 1.3) return 'Amor';
+  return 'Non-NEO';
+}
+
+/**
+ * Determine the orbit of a NEO from NASA orbital elements
+ * @param {object} orbitalData - NASA orbital_data object
+ * @param {object} options - Reference date for the current state and approach search
+ * @returns {object} Elements, period, apsides, state vectors and close approaches
+ */
+function determineOrbit(orbitalData, { referenceDate = new Date(), ...searchOptions } = {}) {
+  const elements = parseOrbitalElements(orbitalData);
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  const meanMotion = calculateMeanMotion(a);
+  const periodDays = 360 / meanMotion;
+  const perihelion = a * (1 - e);
+  const aphelion = a * (1 + e);
+  const referenceJulianDate = toJulianDate(referenceDate);
+
+  const toStateVector = state => ({
+    date: fromJulianDate(state.julianDate),
+    julianDate: state.julianDate,
+    position: state.position,
+    velocity: state.velocity,
+    heliocentricDistance: state.distance,
+    trueAnomaly: state.trueAnomaly
+  });
+
+  return {
+    elements: elements,
+    period: {
+      days: periodDays,
+      years: periodDays / ORBIT_CONSTANTS.DAYS_PER_YEAR
+    },
+    meanMotion: meanMotion,
+    perihelion: {
+      astronomical: perihelion,
+      kilometers: perihelion * ORBIT_CONSTANTS.AU_KM
+    },
+    aphelion: {
+      astronomical: aphelion,
+      kilometers: aphelion * ORBIT_CONSTANTS.AU_KM
+    },
+    orbitClass: classifyOrbit(a, perihelion, aphelion),
+    stateVectors: {
+      frame: 'Heliocentric ecliptic J2000',
+      units: { position: 'AU', velocity: 'AU/day' },
+      atEpoch: toStateVector(calculateStateVector(elements, elements.epoch)),
+      atReferenceDate: toStateVector(calculateStateVector(elements, referenceJulianDate))
+    },
+    closeApproaches: findCloseApproaches(elements, referenceJulianDate, searchOptions),
+    note: 'Two-body propagation; planetary perturbations and the Moon are ignored, so accuracy degrades over decades and after close encounters'
+  };
+}
+
+module.exports = {
+  determineOrbit,
+  parseOrbitalElements,
+  calculateStateVector,
+  calculateOrbitPosition,
+  getEarthElements,
+  getEarthStateVector,
+  findCloseApproaches,
+  solveKepler,
+  toJulianDate,
+  fromJulianDate,
+  ORBIT_CONSTANTS
+};
@@ -0,0 +1,325 @@
+/**
+ * Effect Arrival Timeline
+ * Works out when each effect of a custom hit reaches a location at a given
+ * distance from ground zero, and how strong it is when it gets there: the
+ * thermal pulse, the air blast, seismic P and S waves, ejecta fallout and the
+ * tsunami. Also traces how the blast and thermal rings grow over time so the
+ * effects can be animated
+ *
+ * Distances are great-circle distances from ground zero on flat, uniform
+ * ground; trajectory asymmetry (elliptical footprints) is not applied to the
+ * point timeline. Peak values reuse the same scaling laws as the effect zones,
+ * so a location on a zone's edge sees that zone's threshold
+ */
+
+const { calculateBlastRadius, shockFrontSpeed, BLAST_CONSTANTS } = require('./calculate_blast_radius');
+const { calculateRegionalEffects } = require('./calculate_earthquake');
+const { calculateAmplitudeAtDistance, calculateRunup } = require('./calculate_tsunami');
+
+// Timeline Constants
+const TIMELINE_CONSTANTS = {
+  SPEED_OF_LIGHT: 299792.458,       // km/s
+  P_WAVE_SPEED: 6.5,                // Crustal P-wave speed (km/s)
+  S_WAVE_SPEED: 3.7,                // Crustal S-wave speed (km/s)
+  GRAVITY: 9.81,                    // m/s²
+  EJECTA_THICKNESS_DIVISOR: 112,    // h = D_tc^4 / (112 r^3) (Collins et al. 2005)
+  MIN_EJECTA_THICKNESS: 0.0001,     // Thinner deposits are negligible (m)
+  ATMOSPHERIC_TRANSMISSION: 0.5,    // As in calculateThermalRadius
+  THERMAL_SCALING: 1.8,             // As in calculateThermalRadius (km)
+  THERMAL_EXPONENT: 0.41,
+  SHOCK_INTEGRATION_STEPS: 200,
+  FRONT_SAMPLES: 40,                // Points traced along the blast front
+  MIN_SEISMIC_DISTANCE: 1,          // Regional effects are undefined at the epicentre (km)
+  MAX_DISTANCE: 20037.5             // Half of Earth's circumference (km)
+};
+
+/**
+ * Ground zero geometry and energy shared by every effect
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @returns {object} { energyJoules, yieldMegatons, impactType, burstAltitudeKm, fireballSeconds }
+ */
+function getSourceParameters(data) {
+  const blastRadiusData = data.blastRadiusData || {};
+  const energyJoules = blastRadiusData.energyYield?.joules || 0;
+  const isAirburst = Boolean(data.atmosphericEntryData?.isAirburst);
+
+  return {
+    energyJoules: energyJoules,
+    yieldMegatons: energyJoules / BLAST_CONSTANTS.JOULES_PER_MEGATON,
+    impactType: blastRadiusData.impactClassification?.impactType || 'surface',
+    burstAltitudeKm: isAirburst ? (data.atmosphericEntryData.burstAltitude?.kilometers || 0) : 0,
+    fireballSeconds: blastRadiusData.fireball?.duration || 0
+  };
+}
+
+/**
+ * Slant range from the burst point at which each overpressure threshold is reached
+ * @param {object} source - Source parameters from getSourceParameters
+ * @returns {array} Points of { psi, rangeKm }, nearest (highest pressure) first
+ */
+function buildOverpressureProfile(source) {
+  return Object.values(BLAST_CONSTANTS.OVERPRESSURE)
+    .sort((a, b) => b - a)
+    .map(psi => ({ psi: psi, rangeKm: calculateBlastRadius(source.energyJoules, psi, source.impactType, 0) }))
+    .filter(point => point.rangeKm > 0);
+}
+
+/**
+ * Peak overpressure at a slant range, interpolated log-log between thresholds
+ * Inside the innermost threshold the peak is held at that threshold; beyond
+ * the outermost the last segment's slope is extended
+ * @param {array} profile - Profile from buildOverpressureProfile
+ * @param {number} rangeKm - Slant range from the burst point (km)
+ * @returns {number} Peak overpressure (psi)
+ */
+function overpressureAtRange(profile, rangeKm) {
+  if (profile.length === 0) return 0;
+  if (rangeKm <= profile[0].rangeKm) return profile[0].psi;
+  if (profile.length === 1 || !Number.isFinite(rangeKm)) return 0;
+  let index = profile.findIndex(point => point.rangeKm >= rangeKm);
+  if (index <= 0) index = index === 0 ? 1 : profile.length - 1;
+
+  const inner = profile[index - 1];
+  const outer = profile[index];
+  const slope = Math.log(outer.psi / inner.psi) / Math.log(outer.rangeKm / inner.rangeKm);
+  return inner.psi * Math.pow(rangeKm / inner.rangeKm, slope);
+}
+
+/**
+ * Seconds for the shock front to travel from the burst point to a slant range
+ * Integrates the Rankine-Hugoniot front speed for the local peak overpressure
+ * @param {array} profile - Profile from buildOverpressureProfile
+ * @param {number} rangeKm - Slant range from the burst point (km)
+ * @returns {number} Arrival time (s)
+ */
+function shockArrivalSeconds(profile, rangeKm) {
+  const steps = TIMELINE_CONSTANTS.SHOCK_INTEGRATION_STEPS;
+  const step = rangeKm / steps;
+  let seconds = 0;
+  for (let i = 0; i < steps; i++) {
+    seconds += step / shockFrontSpeed(overpressureAtRange(profile, (i + 0.5) * step));
+  }
+  return seconds;
+}
+
+/**
+ * Thermal fluence at a ground distance, inverting calculateThermalRadius
+ * @param {object} source - Source parameters from getSourceParameters
+ * @param {number} distanceKm - Ground distance from ground zero (km)
+ * @returns {number} Fluence (cal/cm²)
+ */
+function thermalFluenceAtDistance(source, distanceKm) {
+  const { THERMAL_SCALING, THERMAL_EXPONENT, ATMOSPHERIC_TRANSMISSION } = TIMELINE_CONSTANTS;
+  const reach = THERMAL_SCALING * Math.pow(source.yieldMegatons * ATMOSPHERIC_TRANSMISSION, THERMAL_EXPONENT);
+  return 100 * Math.pow(reach / Math.max(distanceKm, 0.001), 2);
+}
+
+/**
+ * Most severe zone of a category that covers a distance from ground zero
+ * Uses the zones' nominal radii so a location gets the same label as on the map
+ * @param {object} zones - Zones keyed by name (blastEffects or thermalRadiation)
+ * @param {string} field - Threshold field ranking severity (overpressure or thermalFluence)
+ * @param {number} distanceKm - Ground distance from ground zero (km)
+ * @returns {object|null} Covering zone, or null outside every zone
+ */
+function findCoveringZone(zones, field, distanceKm) {
+  return Object.values(zones || {})
+    .filter(zone => zone.radius > 0 && zone.radius >= distanceKm)
+    .sort((a, b) => b[field] - a[field])[0] || null;
+}
+
+/**
+ * Calculate when each effect arrives at a distance from ground zero and its peak there
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @param {number} distanceKm - Ground distance from ground zero (km)
+ * @returns {object} { distanceKm, slantDistanceKm, effects, notApplicable }; effects are sorted by arrival
+ */
+function calculateEffectTimeline(data, distanceKm) {
+  const { SPEED_OF_LIGHT, P_WAVE_SPEED, S_WAVE_SPEED, GRAVITY, EJECTA_THICKNESS_DIVISOR, MIN_EJECTA_THICKNESS, MIN_SEISMIC_DISTANCE } = TIMELINE_CONSTANTS;
+  const source = getSourceParameters(data);
+  const slantDistanceKm = Math.hypot(distanceKm, source.burstAltitudeKm);
+  const effects = [];
+  const notApplicable = [];
+
+  // Thermal pulse: light from the fireball, delivered over the fireball's lifetime
+  if (source.energyJoules > 0) {
+    const fluence = thermalFluenceAtDistance(source, distanceKm);
+    const zone = findCoveringZone(data.blastRadiusData.thermalRadiation, 'thermalFluence', distanceKm);
+    effects.push({
+      effect: 'thermal',
+      name: 'Thermal pulse',
+      arrivalSeconds: slantDistanceKm / SPEED_OF_LIGHT,
+      durationSeconds: source.fireballSeconds,
+      peak: { value: fluence, unit: 'cal/cm²', label: 'Thermal fluence' },
+      description: zone ? `${zone.description}: ${zone.effect}` : 'Below first-degree burn threshold'
+    });
+  } else {
+    notApplicable.push({ effect: 'thermal', reason: 'No energy released in the atmosphere or at the surface' });
+  }
+
+  // Air blast: shock front from the burst point, slowing as it weakens
+  const profile = buildOverpressureProfile(source);
+  if (profile.length > 0) {
+    const overpressure = overpressureAtRange(profile, slantDistanceKm);
+    const zone = findCoveringZone(data.blastRadiusData.blastEffects, 'overpressure', distanceKm);
+    effects.push({
+      effect: 'airBlast',
+      name: 'Air blast',
+      arrivalSeconds: shockArrivalSeconds(profile, slantDistanceKm),
+      durationSeconds: null,
+      peak: { value: overpressure, unit: 'psi', label: 'Peak overpressure' },
+      description: zone ? `${zone.description} (survivability ${zone.survivability})` : 'Below window-breakage overpressure'
+    });
+  } else {
+    notApplicable.push({ effect: 'airBlast', reason: 'No blast energy available' });
+  }
+
+  // Seismic waves: P arrives first, S carries the strong shaking
+  const seismic = data.earthquakeData?.seismicMagnitude;
+  if (Number.isFinite(seismic?.primaryMagnitude)) {
+    const region = data.geographicImpactData?.geographicRisk?.primaryRegion || 'Land';
+    const regional = calculateRegionalEffects(seismic.primaryMagnitude, Math.max(distanceKm, MIN_SEISMIC_DISTANCE), region);
+    effects.push({
+      effect: 'seismicP',
+      name: 'Seismic P wave',
+      arrivalSeconds: distanceKm / P_WAVE_SPEED,
+      durationSeconds: null,
+      peak: { value: regional.magnitudeAtDistance, unit: 'M', label: 'Magnitude at distance' },
+      description: 'First, weaker tremor; stronger S-wave shaking follows'
+    });
+    effects.push({
+      effect: 'seismicS',
+      name: 'Seismic S wave',
+      arrivalSeconds: distanceKm / S_WAVE_SPEED,
+      durationSeconds: null,
+      peak: { value: regional.modifiedMercalliIntensity, unit: 'MMI', label: 'Shaking intensity' },
+      peakGroundAcceleration: regional.peakGroundAcceleration,
+      description: `${regional.intensityDescription}. ${regional.expectedDamage}`
+    });
+  } else {
+    notApplicable.push({ effect: 'seismic', reason: 'Airburst - no significant energy reaches the ground' });
+  }
+
+  // Ejecta: ballistic fallout from the crater, thinning with the cube of distance
+  const crater = data.calculations?.estimatedCrater;
+  const transientDiameter = crater?.transientCrater?.diameter;
+  if (crater && crater.radius > 0 && transientDiameter > 0 && crater.target?.material !== 'water') {
+    const distanceMeters = distanceKm * 1000;
+    if (distanceMeters <= crater.radius) {
+      effects.push({
+        effect: 'ejecta',
+        name: 'Ejecta fallout',
+        arrivalSeconds: 0,
+        durationSeconds: null,
+        peak: { value: null, unit: 'm', label: 'Deposit thickness' },
+        description: 'Inside the crater - excavated at impact'
+      });
+    } else {
+      const thickness = Math.pow(transientDiameter, 4) / (EJECTA_THICKNESS_DIVISOR * Math.pow(distanceMeters, 3));
+      if (thickness >= MIN_EJECTA_THICKNESS) {
+        effects.push({
+          effect: 'ejecta',
+          name: 'Ejecta fallout',
+          // Flight time of a 45° ballistic launch landing at this distance
+          arrivalSeconds: Math.sqrt((2 * distanceMeters) / GRAVITY),
+          durationSeconds: null,
+          peak: { value: thickness, unit: 'm', label: 'Deposit thickness' },
+          description: thickness >= 1 ? 'Buried under ejecta' : thickness >= 0.01 ? 'Heavy debris fall' : 'Light dust and debris fall'
+        });
+      } else {
+        notApplicable.push({ effect: 'ejecta', reason: 'Ejecta deposit is negligible at this distance' });
+      }
+    }
+  } else {
+    notApplicable.push({ effect: 'ejecta', reason: crater?.target?.material === 'water' ? 'Ocean impact - the cavity is water' : 'No crater' });
+  }
+
+  // Tsunami: water wave spreading from the cavity at the group velocity
+  const tsunami = data.tsunamiData;
+  if (tsunami?.generated) {
+    const amplitude = calculateAmplitudeAtDistance(tsunami.source.initialAmplitude, tsunami.source.cavity.radiusKm, distanceKm);
+    const runup = calculateRunup(amplitude, tsunami.waterDepth.meters);
+    effects.push({
+      effect: 'tsunami',
+      name: 'Tsunami',
+      arrivalSeconds: (distanceKm * 1000) / tsunami.waveSpeed.groupMetersPerSecond,
+      durationSeconds: null,
+      peak: { value: amplitude, unit: 'm', label: 'Wave amplitude' },
+      runupHeight: runup,
+      description: `Offshore amplitude; about ${runup.toFixed(1)} m run-up on a coast at this distance`
+    });
+  } else {
+    notApplicable.push({ effect: 'tsunami', reason: 'No tsunami generated' });
+  }
+
+  return {
+    distanceKm: distanceKm,
+    slantDistanceKm: slantDistanceKm,
+    burstAltitudeKm: source.burstAltitudeKm,
+    effects: effects.sort((a, b) => a.arrivalSeconds - b.arrivalSeconds),
+    notApplicable: notApplicable
+  };
+}
+
+/**
+ * Trace how the effect rings grow after impact, for animating them
+ * Blast rings grow with the shock front; thermal rings grow as fluence builds up
+ * over the fireball lifetime (radius ∝ √fraction delivered, since Q ∝ 1/R²)
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @returns {object} { blastFront: [{ seconds, radiusKm }], zones, speeds, fireballSeconds }
+ */
+function calculateEffectFronts(data) {
+  const { FRONT_SAMPLES, P_WAVE_SPEED, S_WAVE_SPEED } = TIMELINE_CONSTANTS;
+  const source = getSourceParameters(data);
+  const profile = buildOverpressureProfile(source);
+  const arrivalAtGround = distanceKm => shockArrivalSeconds(profile, Math.hypot(distanceKm, source.burstAltitudeKm));
+
+  const blastZones = Object.entries(data.blastRadiusData?.blastEffects || {}).filter(([, zone]) => zone.radius > 0);
+  const thermalZones = Object.entries(data.blastRadiusData?.thermalRadiation || {}).filter(([, zone]) => zone.radius > 0);
+  const outerKm = Math.max(0, ...blastZones.map(([, zone]) => zone.radius));
+
+  // Ground range of the front, sampled more densely near ground zero where it moves fastest
+  const blastFront = profile.length === 0 || outerKm === 0 ? [] : [
+    { seconds: arrivalAtGround(0), radiusKm: 0 },
+    ...Array.from({ length: FRONT_SAMPLES }, (_, i) => {
+      const radiusKm = outerKm * Math.pow((i + 1) / FRONT_SAMPLES, 2);
+      return { seconds: arrivalAtGround(radiusKm), radiusKm: radiusKm };
+    })
+  ];
+
+  const zones = [
+    ...blastZones.map(([key, zone]) => ({
+      category: 'blast',
+      key: key,
+      name: zone.description,
+      radiusKm: zone.radius,
+      arrivalSeconds: arrivalAtGround(zone.radius)
+    })),
+    ...thermalZones.map(([key, zone]) => ({
+      category: 'thermal',
+      key: key,
+      name: zone.description,
+      radiusKm: zone.radius,
+      arrivalSeconds: source.fireballSeconds
+    }))
+  ].sort((a, b) => a.arrivalSeconds - b.arrivalSeconds);
+
+  return {
+    blastFront: blastFront,
+    zones: zones,
+    fireballSeconds: source.fireballSeconds,
+    speeds: {
+      pWaveKmPerSecond: Number.isFinite(data.earthquakeData?.seismicMagnitude?.primaryMagnitude) ? P_WAVE_SPEED : null,
+      sWaveKmPerSecond: Number.isFinite(data.earthquakeData?.seismicMagnitude?.primaryMagnitude) ? S_WAVE_SPEED : null,
+      tsunamiKmPerSecond: data.tsunamiData?.generated ? data.tsunamiData.waveSpeed.groupMetersPerSecond / 1000 : null
+    }
+  };
+}
+
+module.exports = {
+  calculateEffectTimeline,
+  calculateEffectFronts,
+  overpressureAtRange,
+  shockArrivalSeconds,
+  TIMELINE_CONSTANTS
+};
@@ -0,0 +1,279 @@
+/**
+ * Tsunami Calculator for Ocean Impacts
+ * Water cavity from pi-group scaling, initial wave amplitude limited by water depth,
+ * geometric decay with distance, dispersive travel times and coastal run-up
+ * Based on Ward & Asphaug (2000) and Collins et al. (2005)
+ */
+
+const { calculateCrater } = require('./calculate_crater');
+
+// Tsunami Constants
+const TSUNAMI_CONSTANTS = {
+  GRAVITY: 9.8,                     // Earth gravity (m/s²)
+  EARTH_RADIUS_KM: 6371,            // Earth radius (km)
+  DEFAULT_OCEAN_DEPTH: 3700,        // Mean ocean depth when none is provided (m)
+  DEFAULT_IMPACTOR_DENSITY: 3000,   // Stony asteroid density (kg/m³)
+  CAVITY_AMPLITUDE_RATIO: 14.1,     // Rim wave amplitude = cavity diameter / 14.1
+  WAVELENGTH_FACTOR: 2,             // Dominant wavelength ≈ 2 × cavity diameter
+  RUNUP_AMPLITUDE_EXPONENT: 0.8,    // Run-up ≈ A^(4/5) × h^(1/5)
+  RUNUP_DEPTH_EXPONENT: 0.2
+};
+
+// Default coastal points used when a scenario does not supply its own
+const DEFAULT_COASTAL_POINTS = [
+  { name: 'New York', country: 'United States', lat: 40.70, long: -74.01 },
+  { name: 'Miami', country: 'United States', lat: 25.76, long: -80.19 },
+  { name: 'Los Angeles', country: 'United States', lat: 33.74, long: -118.27 },
+  { name: 'Honolulu', country: 'United States', lat: 21.31, long: -157.86 },
+  { name: 'Rio de Janeiro', country: 'Brazil', lat: -22.91, long: -43.17 },
+  { name: 'Lima', country: 'Peru', lat: -12.05, long: -77.15 },
+  { name: 'Lisbon', country: 'Portugal', lat: 38.71, long: -9.14 },
+  { name: 'London', country: 'United Kingdom', lat: 51.50, long: 0.05 },
+  { name: 'Lagos', country: 'Nigeria', lat: 6.45, long: 3.39 },
+  { name: 'Cape Town', country: 'South Africa', lat: -33.92, long: 18.42 },
+  { name: 'Mumbai', country: 'India', lat: 18.94, long: 72.83 },
+  { name: 'Jakarta', country: 'Indonesia', lat: -6.10, long: 106.88 },
+  { name: 'Tokyo', country: 'Japan', lat: 35.62, long: 139.79 },
+  { name: 'Shanghai', country: 'China', lat: 31.23, long: 121.49 },
+  { name: 'Sydney', country: 'Australia', lat: -33.86, long: 151.21 },
+  { name: 'Auckland', country: 'New Zealand', lat: -36.84, long: 174.77 }
+];
+
+/**
+ * Calculate great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of first point in degrees
+ * @param {number} lon1 - Longitude of first point in degrees
+ * @param {number} lat2 - Latitude of second point in degrees
+ * @param {number} lon2 - Longitude of second point in degrees
+ * @returns {number} Distance in km
+ */
+function calculateGreatCircleDistance(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  return 2 * TSUNAMI_CONSTANTS.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculate phase and group velocity of a water wave (linear dispersion)
+ * @param {number} wavelength - Wavelength in meters
+ * @param {number} depth - Water depth in meters
+ * @returns {object} Phase and group velocity in m/s
+ */
+function calculateWaveSpeed(wavelength, depth) {
+  const k = (2 * Math.PI) / wavelength;
+  const kh = k * depth;
+  const phase = Math.sqrt((TSUNAMI_CONSTANTS.GRAVITY / k) * Math.tanh(kh));
+
+  // Group velocity tends to c/2 in deep water and c in shallow water
+  const group = (phase / 2) * (1 + (2 * kh) / Math.sinh(2 * kh));
+
+  return {
+    phase: phase,
+    group: Number.isFinite(group) ? group : phase / 2,
+    regime: kh < Math.PI / 10 ? 'shallow water (long wave)' : kh > Math.PI ? 'deep water (dispersive)' : 'intermediate'
+  };
+}
+
+/**
+ * Calculate the water cavity and initial wave for an ocean impact
+ * @param {object} params - Impact parameters
+ * @param {number} params.mass - Impactor mass at the surface in kg
+ * @param {number} params.density - Impactor density in kg/m³
+ * @param {number} params.velocity - Impact velocity in m/s
+ * @param {number} params.angle - Impact angle in degrees from horizontal
+ * @param {number} waterDepth - Water depth at the impact point in meters
+ * @returns {object} Cavity dimensions, initial amplitude and wavelength
+ */
+function calculateTsunamiSource({ mass, density, velocity, angle }, waterDepth) {
+  const cavity = calculateCrater({ mass, density, velocity, angle, target: 'water' });
+  const cavityDiameter = cavity.transientCrater.diameter;
+  const cavityDepth = cavity.transientCrater.depth;
+
+  // The rim wave cannot be taller than the water column it is made of
+  const initialAmplitude = Math.min(cavityDiameter / TSUNAMI_CONSTANTS.CAVITY_AMPLITUDE_RATIO, waterDepth);
+  const wavelength = TSUNAMI_CONSTANTS.WAVELENGTH_FACTOR * cavityDiameter;
+
+  return {
+    cavity: {
+      diameter: cavityDiameter,
+      depth: cavityDepth,
+      radiusKm: cavityDiameter / 2000,
+      seafloorReached: cavityDepth >= waterDepth
+    },
+    initialAmplitude: initialAmplitude,
+    depthLimited: initialAmplitude === waterDepth,
+    wavelength: wavelength
+  };
+}
+
+/**
+ * Calculate wave amplitude at a distance from the impact
+ * Amplitude decays as 1/r beyond the cavity rim
+ * @param {number} initialAmplitude - Rim wave amplitude in meters
+ * @param {number} cavityRadiusKm - Cavity radius in km
+ * @param {number} distanceKm - Distance from impact in km
+ * @returns {number} Wave amplitude in meters
+ */
+function calculateAmplitudeAtDistance(initialAmplitude, cavityRadiusKm, distanceKm) {
+  if (distanceKm <= cavityRadiusKm) {
+    return initialAmplitude;
+  }
+
+  return initialAmplitude * (cavityRadiusKm / distanceKm);
+}
+
+/**
+ * Estimate run-up height on shore from the offshore amplitude
+ * @param {number} amplitude - Offshore wave amplitude in meters
+ * @param {number} waterDepth - Offshore water depth in meters
+ * @returns {number} Run-up height in meters
+ */
+function calculateRunup(amplitude, waterDepth) {
+  return Math.pow(amplitude, TSUNAMI_CONSTANTS.RUNUP_AMPLITUDE_EXPONENT) *
+    Math.pow(waterDepth, TSUNAMI_CONSTANTS.RUNUP_DEPTH_EXPONENT);
+}
+
+/**
+ * Classify tsunami hazard from run-up height
+ * @param {number} runup - Run-up height in meters
+ * @returns {string} Hazard level
+ */
+function getTsunamiHazardLevel(runup) {
+  if (runup >= 10) return 'EXTREME';
+  if (runup >= 3) return 'SEVERE';
+  if (runup >= 1) return 'HIGH';
+  if (runup >= 0.3) return 'MODERATE';
+  return 'LOW';
+}
+
+/**
+ * Calculate tsunami effects at a list of coastal points
+ * @param {object} source - Tsunami source from calculateTsunamiSource
+ * @param {object} impactPoint - Impact coordinates { latitude, longitude }
+ * @param {number} waterDepth - Water depth along the path in meters
+ * @param {array} coastalPoints - Points of { name, lat, long }
+ * @returns {array} Arrival time, amplitude and run-up per point, earliest first
+ */
+function calculateCoastalImpacts(source, impactPoint, waterDepth, coastalPoints) {
+  const speed = calculateWaveSpeed(source.wavelength, waterDepth);
+
+  return coastalPoints.map(point => {
+    const distanceKm = calculateGreatCircleDistance(impactPoint.latitude, impactPoint.longitude, point.lat, point.long);
+    const amplitude = calculateAmplitudeAtDistance(source.initialAmplitude, source.cavity.radiusKm, distanceKm);
+    const runup = calculateRunup(amplitude, waterDepth);
+    const arrivalSeconds = (distanceKm * 1000) / speed.group;
+
+    return {
+      name: point.name,
+      country: point.country || null,
+      coordinates: {
+        latitude: point.lat,
+        longitude: point.long
+      },
+      distanceKm: distanceKm,
+      arrivalTime: {
+        seconds: arrivalSeconds,
+        minutes: arrivalSeconds / 60,
+        hours: arrivalSeconds / 3600
+      },
+      waveAmplitude: amplitude,
+      runupHeight: runup,
+      hazardLevel: getTsunamiHazardLevel(runup)
+    };
+  }).sort((a, b) => a.arrivalTime.seconds - b.arrivalTime.seconds);
+}
+
+/**
+ * Main function to add tsunami data to impact calculations
+ * @param {object} impactData - Impact data from customHitHandler
+ * @returns {object} Enhanced data with tsunami calculations
+ */
+function addTsunamiData(impactData) {
+  try {
+    const isOcean = impactData.geographicImpactData?.geographicRisk?.isOcean;
+    const impactPoint = impactData.geographicImpactData?.impactLocation?.estimatedImpactPoint;
+    const groundImpact = impactData.atmosphericEntryData?.groundImpact;
+    const ocean = impactData.input?.ocean;
+
+    if (!isOcean || !impactPoint) {
+      return {
+        ...impactData,
+        tsunamiData: {
+          generated: false,
+          reason: 'Impact point is on land'
+        }
+      };
+    }
+
+    if (!groundImpact?.reached) {
+      return {
+        ...impactData,
+        tsunamiData: {
+          generated: false,
+          reason: 'Object disintegrated in the atmosphere - no water cavity formed'
+        }
+      };
+    }
+
+    const waterDepth = ocean?.waterDepth || TSUNAMI_CONSTANTS.DEFAULT_OCEAN_DEPTH;
+    const coastalPoints = ocean?.coastalPoints || DEFAULT_COASTAL_POINTS;
+
+    const source = calculateTsunamiSource({
+      mass: groundImpact.mass,
+      density: impactData.input?.size?.density || TSUNAMI_CONSTANTS.DEFAULT_IMPACTOR_DENSITY,
+      velocity: groundImpact.velocity,
+      angle: groundImpact.angle
+    }, waterDepth);
+
+    const speed = calculateWaveSpeed(source.wavelength, waterDepth);
+    const coastalImpacts = calculateCoastalImpacts(source, impactPoint, waterDepth, coastalPoints);
+    const maxRunup = coastalImpacts.reduce((max, point) => Math.max(max, point.runupHeight), 0);
+
+    return {
+      ...impactData,
+      tsunamiData: {
+        generated: true,
+        waterDepth: {
+          meters: waterDepth,
+          source: ocean?.waterDepth ? 'user-provided' : 'default mean ocean depth'
+        },
+        source: source,
+        waveSpeed: {
+          phaseMetersPerSecond: speed.phase,
+          groupMetersPerSecond: speed.group,
+          groupKilometersPerHour: speed.group * 3.6,
+          regime: speed.regime
+        },
+        coastalImpacts: coastalImpacts,
+        maxRunup: maxRunup,
+        hazardLevel: getTsunamiHazardLevel(maxRunup),
+        note: 'Assumes open-ocean great-circle paths at constant depth; shadowing by land and local bathymetry are not modelled'
+      }
+    };
+  } catch (error) {
+    console.error('Error adding tsunami data:', error);
+    return {
+      ...impactData,
+      tsunamiData: {
+        error: 'Failed to calculate tsunami data',
+        details: error.message
+      }
+    };
+  }
+}
+
+module.exports = {
+  calculateTsunamiSource,
+  calculateWaveSpeed,
+  calculateAmplitudeAtDistance,
+  calculateRunup,
+  calculateCoastalImpacts,
+  calculateGreatCircleDistance,
+  addTsunamiData,
+  DEFAULT_COASTAL_POINTS,
+  TSUNAMI_CONSTANTS
+};
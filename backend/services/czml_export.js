@@ -0,0 +1,203 @@
+/**
+ * CZML Export
+ * Writes a custom hit result as a time-dynamic CZML document for Cesium: the
+ * impactor's incoming trajectory from atmospheric entry to impact (or burst),
+ * an impact flash lasting the fireball duration, and blast and thermal rings
+ * that expand from ground zero to their final footprints over time
+ *
+ * Ring timing is approximate: thermal rings reach full size over the fireball
+ * duration, and blast rings expand with the shock front, whose speed at each
+ * zone comes from the Rankine-Hugoniot relation for that zone's overpressure
+ */
+
+const { collectEffectZones, destinationPoint } = require('./geojson_export');
+const { ENTRY_CONSTANTS } = require('./calculate_atmospheric_entry');
+const { shockFrontSpeed } = require('./calculate_blast_radius');
+
+// CZML Export Constants
+const CZML_CONSTANTS = {
+  TRAJECTORY_SAMPLES: 20,           // Positions along the incoming path
+  AFTERMATH_SECONDS: 30,            // Clock runs on after the last ring settles
+  CLOCK_MULTIPLIER: 5,
+  FLASH_PIXEL_SIZE: 80,
+  RING_FILL_ALPHA: 60,              // 0-255
+  MIN_AXIS_METERS: 1                // Cesium needs positive ellipse axes
+};
+
+/**
+ * Seconds after impact at which the shock front reaches each blast zone's edge
+ * The front travels from the burst point, so airburst arrivals use slant distance
+ * @param {array} blastZones - Blast zones from collectEffectZones
+ * @param {number} burstAltitudeKm - Burst altitude (0 for ground impacts)
+ * @returns {Map} Arrival seconds keyed by zone key
+ */
+function blastArrivalTimes(blastZones, burstAltitudeKm) {
+  const arrivals = new Map();
+  let previousDistance = burstAltitudeKm;
+  let elapsed = 0;
+  [...blastZones].sort((a, b) => a.radiusKm - b.radiusKm).forEach(zone => {
+    const distance = Math.hypot(zone.radiusKm, burstAltitudeKm);
+    elapsed += Math.max(0, distance - previousDistance) / shockFrontSpeed(zone.thresholdValue);
+    previousDistance = Math.max(previousDistance, distance);
+    arrivals.set(zone.key, elapsed);
+  });
+  return arrivals;
+}
+
+/**
+ * Convert a #RRGGBB colour to a CZML rgba array
+ * @param {string} hex - Colour as #RRGGBB
+ * @param {number} alpha - Alpha from 0 to 255
+ * @returns {array} [r, g, b, a]
+ */
+function toRgba(hex, alpha) {
+  const [, r, g, b] = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex) || [null, 'aa', 'aa', 'aa'];
+  return [parseInt(r, 16), parseInt(g, 16), parseInt(b, 16), alpha];
+}
+
+/**
+ * Build a CZML document of a custom hit's trajectory and expanding effect rings
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @param {object} options - Export options
+ * @param {string} options.name - Document name (default: 'Custom impact scenario')
+ * @returns {array} CZML packets, document packet first
+ */
+function buildImpactCzml(data, { name = 'Custom impact scenario' } = {}) {
+  const { TRAJECTORY_SAMPLES, AFTERMATH_SECONDS, CLOCK_MULTIPLIER, FLASH_PIXEL_SIZE, RING_FILL_ALPHA, MIN_AXIS_METERS } = CZML_CONSTANTS;
+  const { latitude, longitude } = data.input.location;
+  const { angle, azimuth } = data.input.trajectory;
+  const velocity = data.input.velocity.kilometersPerSecond;
+  const impactTime = Date.parse(data.geographicImpactData?.impactLocation?.impactTimestamp || `${data.input.date}T00:00:00Z`);
+  const isAirburst = Boolean(data.atmosphericEntryData?.isAirburst);
+  const burstAltitudeKm = isAirburst ? data.atmosphericEntryData.burstAltitude.kilometers : 0;
+  const fireballSeconds = data.blastRadiusData?.fireball?.duration || 1;
+
+  // Straight-line approach from the entry altitude, uprange of ground zero
+  const entryAltitudeKm = ENTRY_CONSTANTS.ENTRY_ALTITUDE / 1000;
+  const angleRadians = angle * Math.PI / 180;
+  const groundTrackKm = (entryAltitudeKm - burstAltitudeKm) / Math.tan(angleRadians);
+  const flightSeconds = (entryAltitudeKm - burstAltitudeKm) / Math.sin(angleRadians) / velocity;
+  const trajectory = [];
+  for (let i = 0; i <= TRAJECTORY_SAMPLES; i++) {
+    const fraction = i / TRAJECTORY_SAMPLES;
+    const [lon, lat] = destinationPoint(latitude, longitude, azimuth + 180, groundTrackKm * (1 - fraction));
+    const altitudeKm = burstAltitudeKm + (entryAltitudeKm - burstAltitudeKm) * (1 - fraction);
+    trajectory.push(Number((fraction * flightSeconds).toFixed(3)), lon, lat, altitudeKm * 1000);
+  }
+
+  const zones = collectEffectZones(data).filter(zone => zone.category === 'blast' || zone.category === 'thermal');
+  const arrivals = blastArrivalTimes(zones.filter(zone => zone.category === 'blast'), burstAltitudeKm);
+  const settleSeconds = Math.max(fireballSeconds, ...arrivals.values());
+
+  const toIso = milliseconds => new Date(milliseconds).toISOString();
+  const entryIso = toIso(impactTime - flightSeconds * 1000);
+  const impactIso = toIso(impactTime);
+  const endIso = toIso(impactTime + (settleSeconds + AFTERMATH_SECONDS) * 1000);
+
+  const rings = zones.map(zone => {
+    const footprint = zone.zone.footprint && zone.zone.footprint.shape === 'ellipse' ? zone.zone.footprint : null;
+    const semiMajorKm = footprint ? footprint.semiMajorAxisKm : zone.radiusKm;
+    const semiMinorKm = footprint ? footprint.semiMinorAxisKm : zone.radiusKm;
+    const offsetKm = footprint ? footprint.centerOffsetKm : 0;
+    const arrival = zone.category === 'blast' ? arrivals.get(zone.key) : fireballSeconds;
+    const [centerLon, centerLat] = destinationPoint(latitude, longitude, azimuth, offsetKm);
+    const grow = sizeKm => ({
+      epoch: impactIso,
+      number: [0, MIN_AXIS_METERS, Number(arrival.toFixed(3)), Math.max(sizeKm * 1000, MIN_AXIS_METERS)],
+      forwardExtrapolationType: 'HOLD'
+    });
+
+    return {
+      id: `${zone.category}-${zone.key}`,
+      name: zone.name,
+      description: `${zone.threshold}: ${zone.description}. Reaches ${zone.radiusKm.toFixed(1)} km about ${Math.round(arrival)} s after impact.`,
+      availability: `${impactIso}/${endIso}`,
+      position: {
+        epoch: impactIso,
+        cartographicDegrees: [0, longitude, latitude, 0, Number(arrival.toFixed(3)), centerLon, centerLat, 0],
+        forwardExtrapolationType: 'HOLD'
+      },
+      ellipse: {
+        semiMajorAxis: grow(semiMajorKm),
+        semiMinorAxis: grow(semiMinorKm),
+        // Cesium measures rotation counter-clockwise from north; azimuth is clockwise
+        rotation: footprint ? -azimuth * Math.PI / 180 : 0,
+        height: 0,
+        material: { solidColor: { color: { rgba: toRgba(zone.color, RING_FILL_ALPHA) } } },
+        outline: true,
+        outlineColor: { rgba: toRgba(zone.color, 255) }
+      },
+      properties: {
+        category: zone.category,
+        threshold: zone.threshold,
+        radiusKm: Number(zone.radiusKm.toFixed(3)),
+        arrivalSeconds: Number(arrival.toFixed(1))
+      }
+    };
+  });
+
+  return [
+    {
+      id: 'document',
+      name: name,
+      version: '1.0',
+      clock: {
+        interval: `${entryIso}/${endIso}`,
+        currentTime: entryIso,
+        multiplier: CLOCK_MULTIPLIER,
+        range: 'CLAMPED',
+        step: 'SYSTEM_CLOCK_MULTIPLIER'
+      }
+    },
+    {
+      id: 'impactor',
+      name: `${data.input.size.diameter} m impactor`,
+      description: `${velocity} km/s at ${angle}° from horizontal, heading ${azimuth}°` +
+        (isAirburst ? `; bursts at ${burstAltitudeKm.toFixed(1)} km` : '; reaches the ground'),
+      availability: `${entryIso}/${impactIso}`,
+      position: {
+        epoch: entryIso,
+        cartographicDegrees: trajectory
+      },
+      point: { pixelSize: 8, color: { rgba: [255, 200, 120, 255] }, outlineColor: { rgba: [255, 80, 0, 255] }, outlineWidth: 2 },
+      path: {
+        leadTime: 0,
+        trailTime: flightSeconds,
+        width: 3,
+        material: { polylineGlow: { color: { rgba: [255, 140, 0, 255] }, glowPower: 0.3 } }
+      }
+    },
+    {
+      id: 'impact-flash',
+      name: isAirburst ? 'Airburst flash' : 'Impact flash',
+      availability: `${impactIso}/${toIso(impactTime + fireballSeconds * 1000)}`,
+      position: { cartographicDegrees: [longitude, latitude, burstAltitudeKm * 1000] },
+      point: {
+        pixelSize: {
+          epoch: impactIso,
+          number: [0, FLASH_PIXEL_SIZE, Number(fireballSeconds.toFixed(3)), 0]
+        },
+        color: { rgba: [255, 255, 220, 255] }
+      }
+    },
+    {
+      id: 'ground-zero',
+      name: 'Ground zero',
+      position: { cartographicDegrees: [longitude, latitude, 0] },
+      point: { pixelSize: 6, color: { rgba: [255, 255, 255, 255] } },
+      label: {
+        text: name,
+        font: '12pt sans-serif',
+        pixelOffset: { cartesian2: [0, -20] },
+        fillColor: { rgba: [255, 255, 255, 255] }
+      }
+    },
+    ...rings
+  ];
+}
+
+module.exports = {
+  buildImpactCzml,
+  blastArrivalTimes,
+  CZML_CONSTANTS
+};
@@ -0,0 +1,218 @@
+/**
+ * Geographic Lookup Service
+ * Offline land/ocean and country detection using point-in-polygon tests against
+ * the bundled Natural Earth 1:10m country boundaries (backend/data/countries.geo.json).
+ * Points just off a coastline are matched to the nearest country, since the
+ * generalized coast can put waterfront cities a few hundred meters offshore
+ */
+
+const countryData = require('../data/countries.geo.json');
+
+// Lookup Constants
+const LOOKUP_CONSTANTS = {
+  COASTLINE_TOLERANCE_KM: 2,        // Points this close to a country's edge count as land
+  KM_PER_DEGREE: 111.32             // Length of one degree of latitude (km)
+};
+
+// Precompute bounding boxes so most countries are rejected without a polygon test
+const COUNTRIES = countryData.features.map(feature => {
+  const polygons = feature.geometry.type === 'Polygon'
+    ? [feature.geometry.coordinates]
+    : feature.geometry.coordinates;
+
+  const polygonBoxes = polygons.map(polygon => {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    polygon[0].forEach(([lon, lat]) => {
+      box[0] = Math.min(box[0], lon);
+      box[1] = Math.min(box[1], lat);
+      box[2] = Math.max(box[2], lon);
+      box[3] = Math.max(box[3], lat);
+    });
+    return box;
+  });
+
+  const bbox = [
+    Math.min(...polygonBoxes.map(box => box[0])),
+    Math.min(...polygonBoxes.map(box => box[1])),
+    Math.max(...polygonBoxes.map(box => box[2])),
+    Math.max(...polygonBoxes.map(box => box[3]))
+  ];
+
+  return {
+    properties: feature.properties,
+    polygons: polygons,
+    polygonBoxes: polygonBoxes,
+    bbox: bbox
+  };
+});
+
+/**
+ * Test whether a point lies inside a bounding box grown by a margin
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {array} box - [minLon, minLat, maxLon, maxLat]
+ * @param {number} marginLon - Margin in degrees of longitude (default: 0)
+ * @param {number} marginLat - Margin in degrees of latitude (default: 0)
+ * @returns {boolean} True if inside
+ */
+function isInBox(lon, lat, box, marginLon = 0, marginLat = 0) {
+  return lon >= box[0] - marginLon && lon <= box[2] + marginLon &&
+    lat >= box[1] - marginLat && lat <= box[3] + marginLat;
+}
+
+/**
+ * Test whether a point lies inside a ring (ray casting)
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {array} ring - Array of [lon, lat] vertices
+ * @returns {boolean} True if inside
+ */
+function isPointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Test whether a point lies inside a polygon with holes
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {array} polygon - GeoJSON polygon rings (outer ring first, then holes)
+ * @returns {boolean} True if inside the outer ring and outside every hole
+ */
+function isPointInPolygon(lon, lat, polygon) {
+  if (!isPointInRing(lon, lat, polygon[0])) {
+    return false;
+  }
+  return !polygon.slice(1).some(hole => isPointInRing(lon, lat, hole));
+}
+
+/**
+ * Distance from a point to the nearest edge of a polygon
+ * Uses a local equirectangular projection, which is accurate at coastline tolerances
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {array} polygon - GeoJSON polygon rings
+ * @returns {number} Distance in km
+ */
+function distanceToPolygonKm(lon, lat, polygon) {
+  const { KM_PER_DEGREE } = LOOKUP_CONSTANTS;
+  const kmPerLon = KM_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+  let nearest = Infinity;
+
+  polygon.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const ax = (ring[i - 1][0] - lon) * kmPerLon;
+      const ay = (ring[i - 1][1] - lat) * KM_PER_DEGREE;
+      const dx = (ring[i][0] - lon) * kmPerLon - ax;
+      const dy = (ring[i][1] - lat) * KM_PER_DEGREE - ay;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+      nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Find the country nearest to a point at sea, within the coastline tolerance
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {object|null} { properties, distanceKm }, or null if no country is that close
+ */
+function findNearestCoast(latitude, longitude) {
+  const { COASTLINE_TOLERANCE_KM, KM_PER_DEGREE } = LOOKUP_CONSTANTS;
+  const marginLat = COASTLINE_TOLERANCE_KM / KM_PER_DEGREE;
+  const marginLon = marginLat / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+  let nearest = null;
+
+  COUNTRIES.forEach(({ bbox, polygons, polygonBoxes, properties }) => {
+    if (!isInBox(longitude, latitude, bbox, marginLon, marginLat)) return;
+    polygons.forEach((polygon, index) => {
+      if (!isInBox(longitude, latitude, polygonBoxes[index], marginLon, marginLat)) return;
+      const distanceKm = distanceToPolygonKm(longitude, latitude, polygon);
+      if (distanceKm <= COASTLINE_TOLERANCE_KM && (!nearest || distanceKm < nearest.distanceKm)) {
+        nearest = { properties: properties, distanceKm: distanceKm };
+      }
+    });
+  });
+
+  return nearest;
+}
+
+/**
+ * Find the country containing a point
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {object|null} Country properties, or null if the point is at sea
+ */
+function findCountry(latitude, longitude) {
+  const country = COUNTRIES.find(({ bbox, polygons, polygonBoxes }) =>
+    isInBox(longitude, latitude, bbox) &&
+    polygons.some((polygon, index) =>
+      isInBox(longitude, latitude, polygonBoxes[index]) && isPointInPolygon(longitude, latitude, polygon))
+  );
+
+  return country ? country.properties : null;
+}
+
+/**
+ * Look up surface type, country and continent for a point
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {object} Land/ocean flag, country, ISO codes and continent
+ */
+function lookupLocation(latitude, longitude) {
+  let country = findCountry(latitude, longitude);
+  let distanceToCoastKm = null;
+
+  // A point just off the generalized coastline is more likely on the waterfront than at sea
+  if (!country) {
+    const coast = findNearestCoast(latitude, longitude);
+    if (coast) {
+      country = coast.properties;
+      distanceToCoastKm = coast.distanceKm;
+    }
+  }
+
+  if (!country) {
+    return {
+      surface: 'ocean',
+      isLand: false,
+      isOcean: true,
+      country: null,
+      continent: null,
+      subregion: null
+    };
+  }
+
+  return {
+    surface: 'land',
+    isLand: true,
+    isOcean: false,
+    country: {
+      name: country.name,
+      isoA2: country.isoA2,
+      isoA3: country.isoA3
+    },
+    continent: country.continent,
+    subregion: country.subregion,
+    matchedByCoastlineTolerance: distanceToCoastKm !== null,
+    distanceToCoastKm: distanceToCoastKm
+  };
+}
+
+module.exports = {
+  lookupLocation,
+  findCountry,
+  isPointInPolygon,
+  LOOKUP_CONSTANTS,
+  dataSource: countryData.source
+};
@@ -0,0 +1,250 @@
+/**
+ * GeoJSON Export
+ * Turns the effect zones of a custom hit result (blast overpressure, thermal
+ * radiation, fireball and evacuation zones) into geodesic polygons around ground
+ * zero, as an RFC 7946 FeatureCollection that GIS tools such as QGIS can load
+ *
+ * Rings are traced on a spherical Earth: every vertex is the point at the zone's
+ * distance and bearing from ground zero, so large zones keep their true size
+ * away from the equator instead of being drawn as flat circles
+ */
+
+// GeoJSON Export Constants
+const GEOJSON_CONSTANTS = {
+  EARTH_RADIUS_KM: 6371.0088,       // Mean Earth radius (km)
+  RING_SEGMENTS: 128,               // Vertices per zone ring
+  COORDINATE_DECIMALS: 6,           // ~0.1 m at the equator
+  BLAST_COLORS: {
+    totalDestruction: '#FF1744',
+    severeBlastDamage: '#FF9100',
+    moderateBlastDamage: '#FFD600',
+    lightBlastDamage: '#00E676',
+    minorDamage: '#29B6F6',
+    glassBreakage: '#B0BEC5'
+  },
+  THERMAL_COLORS: {
+    vaporization: '#D500F9',
+    thirdDegreeBurns: '#FF1744',
+    secondDegreeBurns: '#FF9100',
+    ignitionZone: '#FFD600',
+    firstDegreeBurns: '#FFF176'
+  },
+  FIREBALL_COLOR: '#FF6D00',
+  DEFAULT_COLOR: '#AAAAAA'
+};
+
+/**
+ * Find the point at a distance and bearing from a start point on a sphere
+ * @param {number} latitude - Start latitude (degrees)
+ * @param {number} longitude - Start longitude (degrees)
+ * @param {number} bearing - Initial bearing (degrees clockwise from north)
+ * @param {number} distanceKm - Great-circle distance (km)
+ * @returns {array} [longitude, latitude] of the destination, longitude in -180..180
+ */
+function destinationPoint(latitude, longitude, bearing, distanceKm) {
+  const toRadians = Math.PI / 180;
+  const angular = distanceKm / GEOJSON_CONSTANTS.EARTH_RADIUS_KM;
+  const lat1 = latitude * toRadians;
+  const lon1 = longitude * toRadians;
+  const theta = bearing * toRadians;
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  const normalizedLon = ((lon2 / toRadians + 540) % 360) - 180;
+  return [normalizedLon, lat2 / toRadians];
+}
+
+/**
+ * Trace the outline of a zone around ground zero
+ * Elliptical footprints are stretched downrange along the trajectory azimuth and
+ * shifted by their centre offset; other zones are circles of the zone radius.
+ * Longitudes stay continuous across the antimeridian (they may pass ±180) so the
+ * ring is not torn in two
+ * @param {number} latitude - Ground zero latitude (degrees)
+ * @param {number} longitude - Ground zero longitude (degrees)
+ * @param {object} zone - Zone with radius (km) and an optional footprint
+ * @param {number} segments - Vertices in the ring (default: RING_SEGMENTS)
+ * @returns {array} Closed, counter-clockwise ring of [longitude, latitude] positions
+ */
+function traceZoneRing(latitude, longitude, zone, segments = GEOJSON_CONSTANTS.RING_SEGMENTS) {
+  const footprint = zone.footprint && zone.footprint.shape === 'ellipse'
+    ? zone.footprint
+    : { semiMajorAxisKm: zone.radius, semiMinorAxisKm: zone.radius, centerOffsetKm: 0, orientation: 0 };
+  const azimuth = (footprint.orientation || 0) * Math.PI / 180;
+  const factor = Math.pow(10, GEOJSON_CONSTANTS.COORDINATE_DECIMALS);
+  const round = value => Math.round(value * factor) / factor;
+
+  const ring = [];
+  let previousLon = longitude;
+  for (let i = 0; i < segments; i++) {
+    // Walking the ellipse with a decreasing angle keeps the ring counter-clockwise (RFC 7946)
+    const t = -(i / segments) * 2 * Math.PI;
+    const downrange = (footprint.centerOffsetKm || 0) + footprint.semiMajorAxisKm * Math.cos(t);
+    const crossrange = footprint.semiMinorAxisKm * Math.sin(t);
+    const north = downrange * Math.cos(azimuth) - crossrange * Math.sin(azimuth);
+    const east = downrange * Math.sin(azimuth) + crossrange * Math.cos(azimuth);
+
+    const bearing = Math.atan2(east, north) * 180 / Math.PI;
+    const [lon, lat] = destinationPoint(latitude, longitude, bearing, Math.hypot(north, east));
+    const continuousLon = lon + 360 * Math.round((previousLon - lon) / 360);
+    previousLon = continuousLon;
+    ring.push([round(continuousLon), round(lat)]);
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * List every effect zone of a custom hit result with its threshold and styling
+ * Zones the impact does not produce (radius of zero) are left out
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @returns {array} Zones of { category, key, name, threshold, thresholdValue, thresholdUnit, radiusKm, description, color, zone }, largest first
+ */
+function collectEffectZones(data) {
+  const { BLAST_COLORS, THERMAL_COLORS, FIREBALL_COLOR, DEFAULT_COLOR } = GEOJSON_CONSTANTS;
+  const blastRadiusData = data.blastRadiusData || {};
+  const zones = [];
+
+  Object.entries(blastRadiusData.blastEffects || {}).forEach(([key, zone]) => {
+    zones.push({
+      category: 'blast',
+      key: key,
+      name: zone.description,
+      threshold: `${zone.overpressure} psi`,
+      thresholdValue: zone.overpressure,
+      thresholdUnit: 'psi',
+      description: zone.effects ? zone.effects.join('; ') : zone.description,
+      survivability: zone.survivability,
+      color: BLAST_COLORS[key] || DEFAULT_COLOR,
+      zone: zone
+    });
+  });
+
+  Object.entries(blastRadiusData.thermalRadiation || {}).forEach(([key, zone]) => {
+    zones.push({
+      category: 'thermal',
+      key: key,
+      name: zone.description,
+      threshold: `${zone.thermalFluence} cal/cm²`,
+      thresholdValue: zone.thermalFluence,
+      thresholdUnit: 'cal/cm²',
+      description: zone.effect || zone.description,
+      color: THERMAL_COLORS[key] || DEFAULT_COLOR,
+      zone: zone
+    });
+  });
+
+  if (blastRadiusData.fireball) {
+    zones.push({
+      category: 'fireball',
+      key: 'fireball',
+      name: 'Fireball',
+      threshold: `${Math.round(blastRadiusData.fireball.temperatureCelsius)} °C`,
+      thresholdValue: blastRadiusData.fireball.temperatureCelsius,
+      thresholdUnit: '°C',
+      description: blastRadiusData.fireball.description,
+      color: FIREBALL_COLOR,
+      zone: blastRadiusData.fireball
+    });
+  }
+
+  Object.entries(blastRadiusData.evacuationZones || {}).forEach(([key, zone]) => {
+    zones.push({
+      category: 'evacuation',
+      key: key,
+      name: `${key.replace(/Zone$/, '')} evacuation zone`,
+      threshold: zone.priority,
+      thresholdValue: null,
+      thresholdUnit: null,
+      description: `${zone.description}. ${zone.timeframe}`,
+      priority: zone.priority,
+      color: zone.color || DEFAULT_COLOR,
+      zone: zone
+    });
+  });
+
+  return zones
+    .filter(entry => entry.zone.radius > 0)
+    .map(entry => ({ ...entry, radiusKm: entry.zone.radius }))
+    .sort((a, b) => b.radiusKm - a.radiusKm);
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of a custom hit's effect zones
+ * Polygons are ordered largest first so smaller zones draw on top; the collection
+ * ends with the ground zero point and any tsunami coastal points
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @param {object} options - Export options
+ * @param {string} options.name - Collection name (default: 'Custom impact scenario')
+ * @returns {object} GeoJSON FeatureCollection
+ */
+function buildImpactGeoJSON(data, { name = 'Custom impact scenario' } = {}) {
+  const { latitude, longitude } = data.input.location;
+
+  const zoneFeatures = collectEffectZones(data).map(({ zone, ...properties }) => ({
+    type: 'Feature',
+    geometry: {
+      type: 'Polygon',
+      coordinates: [traceZoneRing(latitude, longitude, zone)]
+    },
+    properties: {
+      ...properties,
+      radiusKm: Number(properties.radiusKm.toFixed(3)),
+      shape: zone.footprint && zone.footprint.shape === 'ellipse' ? 'ellipse' : 'circle'
+    }
+  }));
+
+  const groundZero = {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [longitude, latitude] },
+    properties: {
+      category: 'groundZero',
+      name: 'Ground zero',
+      impactTime: data.geographicImpactData?.impactLocation?.impactTimestamp || null,
+      diameterM: data.input.size.diameter,
+      velocityKmS: data.input.velocity.kilometersPerSecond,
+      energyMegatons: data.calculations?.kineticEnergy?.megatons ?? null,
+      isAirburst: data.atmosphericEntryData?.isAirburst ?? null,
+      threatLevel: data.impactSummary?.overallThreatLevel || null,
+      color: '#FFFFFF'
+    }
+  };
+
+  const coastalFeatures = (data.tsunamiData?.coastalImpacts || []).map(point => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [point.coordinates.longitude, point.coordinates.latitude] },
+    properties: {
+      category: 'tsunami',
+      name: point.name,
+      country: point.country,
+      arrivalHours: Number(point.arrivalTime.hours.toFixed(2)),
+      waveAmplitudeM: Number(point.waveAmplitude.toFixed(2)),
+      runupHeightM: Number(point.runupHeight.toFixed(2)),
+      hazardLevel: point.hazardLevel
+    }
+  }));
+
+  return {
+    type: 'FeatureCollection',
+    name: name,
+    features: [...zoneFeatures, groundZero, ...coastalFeatures],
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      modelVersion: data.metadata?.modelVersion || null,
+      seed: data.metadata?.seed ?? null,
+      crs: 'WGS84 longitude, latitude (RFC 7946)'
+    }
+  };
+}
+
+module.exports = {
+  buildImpactGeoJSON,
+  collectEffectZones,
+  traceZoneRing,
+  destinationPoint,
+  GEOJSON_CONSTANTS
+};
@@ -0,0 +1,215 @@
+/**
+ * Impact Hazard Scales
+ * Torino scale (0-10, public communication) and Palermo technical scale
+ * (logarithmic risk relative to the background impact rate)
+ * Based on Binzel (2000), Morrison et al. (2004) and Chesley et al. (2002)
+ */
+
+// Hazard Scale Constants
+const HAZARD_CONSTANTS = {
+  MIN_TORINO_ENERGY_MT: 1,          // Smaller objects are Torino 0 regardless of probability
+  CERTAIN_PROBABILITY: 0.99,        // Torino 8-10
+  THREATENING_PROBABILITY: 0.01,    // Torino 3-7
+  LIKELY_PROBABILITY: 0.5,          // Separates 4 from 5 and 6 from 7
+  REGIONAL_ENERGY_MT: 1e3,          // Regional devastation threshold
+  GLOBAL_ENERGY_MT: 1e5,            // Global catastrophe threshold
+  TORINO_2_INDEX: 1,                // log10(P) + log10(E) at the 1/2 boundary
+  TORINO_1_INDEX: -2,               // log10(P) + log10(E) at the 0/1 boundary
+  BACKGROUND_RATE_COEFFICIENT: 0.03,// Annual background frequency f_B = 0.03 × E^-0.8
+  BACKGROUND_RATE_EXPONENT: -0.8,
+  DAYS_PER_YEAR: 365.25
+};
+
+// Torino scale levels (Morrison et al. 2004 wording)
+const TORINO_LEVELS = {
+  0: { category: 'No Hazard', color: 'white', description: 'The likelihood of collision is zero, or is so low as to be effectively zero. Also applies to small objects that burn up in the atmosphere.' },
+  1: { category: 'Normal', color: 'green', description: 'A routine discovery: a pass near the Earth that poses no unusual level of danger.' },
+  2: { category: 'Meriting Attention by Astronomers', color: 'yellow', description: 'A somewhat close but not highly unusual pass near the Earth. Collision is very unlikely.' },
+  3: { category: 'Meriting Attention by Astronomers', color: 'yellow', description: 'A close encounter with a 1% or greater chance of collision capable of localized destruction.' },
+  4: { category: 'Meriting Attention by Astronomers', color: 'yellow', description: 'A close encounter with a 1% or greater chance of collision capable of regional devastation.' },
+  5: { category: 'Threatening', color: 'orange', description: 'A close encounter posing a serious, but still uncertain threat of regional devastation.' },
+  6: { category: 'Threatening', color: 'orange', description: 'A close encounter by a large object posing a serious but still uncertain threat of a global catastrophe.' },
+  7: { category: 'Threatening', color: 'orange', description: 'A very close encounter by a large object posing an unprecedented but still uncertain threat of a global catastrophe.' },
+  8: { category: 'Certain Collisions', color: 'red', description: 'A collision is certain, capable of causing localized destruction.' },
+  9: { category: 'Certain Collisions', color: 'red', description: 'A collision is certain, capable of causing unprecedented regional devastation.' },
+  10: { category: 'Certain Collisions', color: 'red', description: 'A collision is certain, capable of causing global climatic catastrophe.' }
+};
+
+/**
+ * Calculate the Torino scale rating
+ * Regions follow the Binzel (2000) chart: probability bands above 1%, energy bands for
+ * local/regional/global effects, and diagonal boundaries of slope -1 in log P - log E below 1%
+ * @param {number} probability - Impact probability (0-1)
+ * @param {number} energyMegatons - Impact kinetic energy in megatons TNT
+ * @returns {object} Rating, category, color and description
+ */
+function calculateTorinoScale(probability, energyMegatons) {
+  const rating = getTorinoRating(probability, energyMegatons);
+  return {
+    rating: rating,
+    ...TORINO_LEVELS[rating]
+  };
+}
+
+/**
+ * Find the Torino level for a probability and energy
+ * @param {number} probability - Impact probability (0-1)
+ * @param {number} energyMegatons - Impact kinetic energy in megatons TNT
+ * @returns {number} Torino level 0-10
+ */
+function getTorinoRating(probability, energyMegatons) {
+  const {
+    MIN_TORINO_ENERGY_MT, CERTAIN_PROBABILITY, THREATENING_PROBABILITY, LIKELY_PROBABILITY,
+    REGIONAL_ENERGY_MT, GLOBAL_ENERGY_MT, TORINO_2_INDEX, TORINO_1_INDEX
+  } = HAZARD_CONSTANTS;
+
+  if (!(probability > 0) || !(energyMegatons >= MIN_TORINO_ENERGY_MT)) {
+    return 0;
+  }
+
+  if (probability >= CERTAIN_PROBABILITY) {
+    if (energyMegatons >= GLOBAL_ENERGY_MT) return 10;
+    if (energyMegatons >= REGIONAL_ENERGY_MT) return 9;
+    return 8;
+  }
+
+  if (probability >= THREATENING_PROBABILITY) {
+    if (energyMegatons >= GLOBAL_ENERGY_MT) return probability >= LIKELY_PROBABILITY ? 7 : 6;
+    if (energyMegatons >= REGIONAL_ENERGY_MT) return probability >= LIKELY_PROBABILITY ? 5 : 4;
+    return 3;
+  }
+
+  const index = Math.log10(probability) + Math.log10(energyMegatons);
+  if (index >= TORINO_2_INDEX) return 2;
+  if (index >= TORINO_1_INDEX) return 1;
+  return 0;
+}
+
+/**
+ * Calculate the Palermo technical scale rating
+ * PS = log10(P / (f_B × T)), f_B = 0.03 × E^-0.8 impacts per year
+ * @param {number} probability - Impact probability (0-1)
+ * @param {number} energyMegatons - Impact kinetic energy in megatons TNT
+ * @param {number} yearsToImpact - Time until the potential impact in years
+ * @returns {object} Rating, background frequency and interpretation
+ */
+function calculatePalermoScale(probability, energyMegatons, yearsToImpact) {
+  const backgroundFrequency = HAZARD_CONSTANTS.BACKGROUND_RATE_COEFFICIENT *
+    Math.pow(energyMegatons, HAZARD_CONSTANTS.BACKGROUND_RATE_EXPONENT);
+
+  if (!(probability > 0) || !(energyMegatons > 0)) {
+    return {
+      rating: null,
+      backgroundFrequency: Number.isFinite(backgroundFrequency) ? backgroundFrequency : null,
+      yearsToImpact: yearsToImpact,
+      interpretation: 'No impact energy or probability to rate'
+    };
+  }
+
+  if (!(yearsToImpact > 0)) {
+    return {
+      rating: null,
+      backgroundFrequency: backgroundFrequency,
+      yearsToImpact: yearsToImpact,
+      interpretation: 'Event date has passed'
+    };
+  }
+
+  const rating = Math.log10(probability / (backgroundFrequency * yearsToImpact));
+
+  return {
+    rating: parseFloat(rating.toFixed(2)),
+    backgroundFrequency: backgroundFrequency,
+    yearsToImpact: yearsToImpact,
+    interpretation: getPalermoInterpretation(rating)
+  };
+}
+
+/**
+ * Describe a Palermo rating
+ * @param {number} rating - Palermo scale value
+ * @returns {string} Interpretation
+ */
+function getPalermoInterpretation(rating) {
+  if (rating > 0) return 'Exceeds the background risk - merits concern';
+  if (rating > -2) return 'Merits careful monitoring';
+  return 'No likely consequences - below the background risk';
+}
+
+/**
+ * Calculate years from now until a date
+ * @param {string} dateString - Event date
+ * @returns {number} Years until the date (negative if past)
+ */
+function calculateYearsToImpact(dateString) {
+  const days = (new Date(dateString).getTime() - Date.now()) / 86400000;
+  return days / HAZARD_CONSTANTS.DAYS_PER_YEAR;
+}
+
+/**
+ * Calculate both hazard scales for an impact scenario
+ * @param {number} probability - Impact probability (0-1)
+ * @param {number} energyMegatons - Impact kinetic energy in megatons TNT
+ * @param {string} impactDate - Date of the potential impact
+ * @returns {object} Torino and Palermo ratings
+ */
+function calculateHazardScales(probability, energyMegatons, impactDate) {
+  return {
+    torino: calculateTorinoScale(probability, energyMegatons),
+    palermo: calculatePalermoScale(probability, energyMegatons, calculateYearsToImpact(impactDate)),
+    source: 'calculated'
+  };
+}
+
+/**
+ * Express official Sentry ratings for a virtual impactor in the same shape
+ * @param {object} virtualImpactor - Parsed Sentry virtual impactor { date, palermo, torino, energyMegatons }
+ * @returns {object} Torino and Palermo ratings
+ */
+function getSentryHazardScales(virtualImpactor) {
+  const torinoRating = virtualImpactor.torino ?? 0;
+  const energyMegatons = virtualImpactor.energyMegatons;
+  const backgroundFrequency = energyMegatons > 0
+    ? HAZARD_CONSTANTS.BACKGROUND_RATE_COEFFICIENT * Math.pow(energyMegatons, HAZARD_CONSTANTS.BACKGROUND_RATE_EXPONENT)
+    : null;
+
+  return {
+    torino: {
+      rating: torinoRating,
+      ...TORINO_LEVELS[torinoRating]
+    },
+    palermo: {
+      rating: virtualImpactor.palermo,
+      backgroundFrequency: backgroundFrequency,
+      yearsToImpact: calculateYearsToImpact(virtualImpactor.date),
+      interpretation: virtualImpactor.palermo !== null
+        ? getPalermoInterpretation(virtualImpactor.palermo)
+        : 'No Palermo rating published'
+    },
+    source: 'sentry'
+  };
+}
+
+/**
+ * Determine risk level based on impact probability and hazard status
+ * @param {number} probability - Impact probability (0-1)
+ * @param {boolean} isPotentiallyHazardous - NASA hazard flag
+ * @returns {string} Risk level
+ */
+function getRiskLevel(probability, isPotentiallyHazardous) {
+  if (probability > 0.01) return 'CRITICAL';
+  if (probability > 0.001) return 'HIGH';
+  if (probability > 0.0001) return 'MODERATE';
+  if (isPotentiallyHazardous) return 'LOW-HAZARDOUS';
+  return 'MINIMAL';
+}
+
+module.exports = {
+  calculateHazardScales,
+  getSentryHazardScales,
+  calculateTorinoScale,
+  calculatePalermoScale,
+  getRiskLevel,
+  TORINO_LEVELS,
+  HAZARD_CONSTANTS
+};
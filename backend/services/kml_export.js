@@ -0,0 +1,154 @@
+/**
+ * KML Export
+ * Writes the effect zones of a custom hit result as a KML 2.2 document for
+ * Google Earth: one styled polygon per zone, grouped in folders by effect,
+ * with a ground zero placemark and the impact time on every feature
+ */
+
+const { collectEffectZones, traceZoneRing } = require('./geojson_export');
+
+// KML Export Constants
+const KML_CONSTANTS = {
+  FILL_OPACITY: 0.25,               // Zone fill alpha (outlines are opaque)
+  LINE_WIDTH: 2,
+  FOLDERS: [
+    { category: 'blast', name: 'Blast overpressure' },
+    { category: 'thermal', name: 'Thermal radiation' },
+    { category: 'fireball', name: 'Fireball' },
+    { category: 'evacuation', name: 'Evacuation zones' }
+  ]
+};
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert a #RRGGBB colour to KML's aabbggrr order
+ * @param {string} hex - Colour as #RRGGBB
+ * @param {number} opacity - Alpha from 0 to 1
+ * @returns {string} KML colour
+ */
+function toKmlColor(hex, opacity) {
+  const [, r, g, b] = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex) || [null, 'aa', 'aa', 'aa'];
+  const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * Format ExtendedData for a placemark
+ * @param {object} fields - Field values keyed by name; null and undefined are skipped
+ * @returns {string} ExtendedData element
+ */
+function formatExtendedData(fields) {
+  const entries = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`);
+  return `<ExtendedData>${entries.join('')}</ExtendedData>`;
+}
+
+/**
+ * Build a KML document of a custom hit's effect zones
+ * @param {object} data - Custom hit data (see customHitHandler)
+ * @param {object} options - Export options
+ * @param {string} options.name - Document name (default: 'Custom impact scenario')
+ * @returns {string} KML document
+ */
+function buildImpactKml(data, { name = 'Custom impact scenario' } = {}) {
+  const { FILL_OPACITY, LINE_WIDTH, FOLDERS } = KML_CONSTANTS;
+  const { latitude, longitude } = data.input.location;
+  const impactTime = data.geographicImpactData?.impactLocation?.impactTimestamp || null;
+  const timeStamp = impactTime ? `<TimeStamp><when>${escapeXml(impactTime)}</when></TimeStamp>` : '';
+  const zones = collectEffectZones(data);
+
+  const styles = zones.map(zone => `
+    <Style id="${zone.category}-${zone.key}">
+      <LineStyle><color>${toKmlColor(zone.color, 1)}</color><width>${LINE_WIDTH}</width></LineStyle>
+      <PolyStyle><color>${toKmlColor(zone.color, FILL_OPACITY)}</color></PolyStyle>
+    </Style>`).join('');
+
+  const folders = FOLDERS.map(folder => {
+    const placemarks = zones.filter(zone => zone.category === folder.category).map(zone => {
+      const coordinates = traceZoneRing(latitude, longitude, zone.zone)
+        .map(([lon, lat]) => `${lon},${lat},0`)
+        .join(' ');
+      return `
+      <Placemark>
+        <name>${escapeXml(zone.name)}</name>
+        <description>${escapeXml(`${zone.threshold}: ${zone.description}`)}</description>
+        ${timeStamp}
+        <styleUrl>#${zone.category}-${zone.key}</styleUrl>
+        ${formatExtendedData({
+          category: zone.category,
+          key: zone.key,
+          threshold: zone.threshold,
+          radiusKm: zone.radiusKm.toFixed(3),
+          survivability: zone.survivability
+        })}
+        <Polygon>
+          <tessellate>1</tessellate>
+          <outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs>
+        </Polygon>
+      </Placemark>`;
+    });
+    return placemarks.length === 0 ? '' : `
+    <Folder>
+      <name>${escapeXml(folder.name)}</name>${placemarks.join('')}
+    </Folder>`;
+  }).join('');
+
+  const energy = data.calculations?.kineticEnergy?.megatons;
+  const groundZero = `
+    <Placemark>
+      <name>Ground zero</name>
+      <description>${escapeXml(`${data.input.size.diameter} m impactor at ${data.input.velocity.kilometersPerSecond} km/s` +
+        (Number.isFinite(energy) ? `, ${energy.toPrecision(3)} Mt TNT` : '') +
+        (data.impactSummary?.overallThreatLevel ? `, threat level ${data.impactSummary.overallThreatLevel}` : ''))}</description>
+      ${timeStamp}
+      ${formatExtendedData({
+        diameterM: data.input.size.diameter,
+        velocityKmS: data.input.velocity.kilometersPerSecond,
+        energyMegatons: energy,
+        isAirburst: data.atmosphericEntryData?.isAirburst,
+        seed: data.metadata?.seed,
+        modelVersion: data.metadata?.modelVersion
+      })}
+      <Point><coordinates>${longitude},${latitude},0</coordinates></Point>
+    </Placemark>`;
+
+  const coastal = (data.tsunamiData?.coastalImpacts || []).map(point => `
+      <Placemark>
+        <name>${escapeXml(point.name)}</name>
+        <description>${escapeXml(`Tsunami arrives after ${point.arrivalTime.hours.toFixed(1)} h with ${point.runupHeight.toFixed(1)} m run-up (${point.hazardLevel})`)}</description>
+        ${impactTime ? `<TimeStamp><when>${new Date(Date.parse(impactTime) + point.arrivalTime.seconds * 1000).toISOString()}</when></TimeStamp>` : ''}
+        <Point><coordinates>${point.coordinates.longitude},${point.coordinates.latitude},0</coordinates></Point>
+      </Placemark>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>${styles}${groundZero}${folders}${coastal ? `
+    <Folder>
+      <name>Tsunami coastal arrivals</name>${coastal}
+    </Folder>` : ''}
+  </Document>
+</kml>
+`;
+}
+
+module.exports = {
+  buildImpactKml,
+  escapeXml,
+  toKmlColor,
+  KML_CONSTANTS
+};
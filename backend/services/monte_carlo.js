@@ -0,0 +1,360 @@
+/**
+ * Monte Carlo Uncertainty Propagation
+ * Samples the poorly known impactor properties (diameter, density, velocity, entry angle,
+ * strength), runs the complete impact pipeline for each sample and reports median and
+ * percentile bands for every effect radius, energy, seismic magnitude and casualties
+ */
+
+const { estimateYieldStrength } = require('./calculate_atmospheric_entry');
+
+// Monte Carlo Constants
+const MONTE_CARLO_CONSTANTS = {
+  DEFAULT_SAMPLES: 100,
+  MIN_SAMPLES: 10,
+  MAX_SAMPLES: 500,                 // Each sample is a full pipeline run (~0.1 s)
+  PERCENTILES: [5, 25, 50, 75, 95],
+  MAX_RESAMPLE_ATTEMPTS: 20,        // Redraws before falling back to the nominal value
+  DEFAULT_DISTRIBUTIONS: {
+    diameter: { distribution: 'uniform', relativeMin: 0.8, relativeMax: 1.2 },  // ±20% (albedo uncertainty)
+    density: { distribution: 'lognormal', sigma: 0.25 },                        // Stony to rubble-pile spread
+    velocity: { distribution: 'normal', relativeSd: 0.05 },                     // 5% of the nominal velocity
+    angle: { distribution: 'normal', sd: 5 },                                   // ±5° around a user-chosen angle
+    strength: { distribution: 'lognormal', sigma: 0.5 * Math.LN10 }             // 0.5 dex around the nominal strength
+  },
+  NATURAL_ANGLE_DISTRIBUTION: { distribution: 'natural', min: 0, max: 90 }      // PDF ∝ sin(2θ) (Shoemaker 1962), when no angle was given
+};
+
+const DISTRIBUTIONS = ['uniform', 'normal', 'lognormal', 'natural', 'fixed'];
+const SAMPLED_PARAMETERS = Object.keys(MONTE_CARLO_CONSTANTS.DEFAULT_DISTRIBUTIONS);
+
+/**
+ * Validate the monteCarlo request option
+ * @param {boolean|object} options - true, or { samples, diameter, density, velocity, angle, strength }
+ * @returns {string|null} Error message, or null if valid or not provided
+ */
+function validateMonteCarloOptions(options) {
+  if (options === undefined || options === null || options === false || options === true) return null;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'monteCarlo must be true or an object of { samples, diameter, density, velocity, angle, strength }';
+  }
+
+  const { MIN_SAMPLES, MAX_SAMPLES } = MONTE_CARLO_CONSTANTS;
+  if (options.samples !== undefined) {
+    const samples = Number(options.samples);
+    if (!Number.isInteger(samples) || samples < MIN_SAMPLES || samples > MAX_SAMPLES) {
+      return `monteCarlo.samples must be an integer between ${MIN_SAMPLES} and ${MAX_SAMPLES}`;
+    }
+  }
+
+  for (const name of SAMPLED_PARAMETERS) {
+    const spec = options[name];
+    if (spec === undefined) continue;
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+      return `monteCarlo.${name} must be an object describing a distribution`;
+    }
+    if (spec.distribution !== undefined && !DISTRIBUTIONS.includes(spec.distribution)) {
+      return `monteCarlo.${name}.distribution must be one of: ${DISTRIBUTIONS.join(', ')}`;
+    }
+    for (const field of ['min', 'max', 'mean', 'sd', 'median', 'sigma', 'value']) {
+      if (spec[field] !== undefined && !Number.isFinite(Number(spec[field]))) {
+        return `monteCarlo.${name}.${field} must be a number`;
+      }
+    }
+    if (spec.min !== undefined && spec.max !== undefined && Number(spec.min) > Number(spec.max)) {
+      return `monteCarlo.${name}.min must not exceed max`;
+    }
+    if ((spec.sd !== undefined && Number(spec.sd) < 0) || (spec.sigma !== undefined && Number(spec.sigma) < 0)) {
+      return `monteCarlo.${name} spread must not be negative`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Default distribution of a parameter
+ * The entry angle is sampled around the user's angle when one was given, and from the
+ * natural distribution of entry angles when it was left at the default
+ * @param {string} name - Parameter name
+ * @param {object} params - Parsed nominal inputs
+ * @returns {object} Default distribution spec
+ */
+function getDefaultDistribution(name, params) {
+  if (name === 'angle' && !params.angleProvided) {
+    return MONTE_CARLO_CONSTANTS.NATURAL_ANGLE_DISTRIBUTION;
+  }
+  return MONTE_CARLO_CONSTANTS.DEFAULT_DISTRIBUTIONS[name];
+}
+
+/**
+ * Resolve a distribution spec around a nominal value
+ * User fields override the defaults; relative defaults are scaled by the nominal value
+ * @param {object} defaults - Default distribution spec (see getDefaultDistribution)
+ * @param {number} nominal - Nominal (deterministic) value of the parameter
+ * @param {object} userSpec - User-provided distribution fields (optional)
+ * @returns {object} Distribution with absolute parameters
+ */
+function resolveDistribution(defaults, nominal, userSpec = {}) {
+  const distribution = userSpec.distribution || defaults.distribution;
+  const field = (key, fallback) => (userSpec[key] !== undefined ? Number(userSpec[key]) : fallback);
+  const sameFamily = distribution === defaults.distribution;
+
+  switch (distribution) {
+    case 'uniform':
+      return {
+        distribution,
+        min: field('min', nominal * (sameFamily && defaults.relativeMin !== undefined ? defaults.relativeMin : 1)),
+        max: field('max', nominal * (sameFamily && defaults.relativeMax !== undefined ? defaults.relativeMax : 1))
+      };
+    case 'normal':
+      return {
+        distribution,
+        mean: field('mean', nominal),
+        sd: field('sd', !sameFamily ? 0
+          : defaults.sd !== undefined ? defaults.sd
+            : defaults.relativeSd !== undefined ? nominal * defaults.relativeSd : 0)
+      };
+    case 'lognormal':
+      return {
+        distribution,
+        median: field('median', nominal),
+        sigma: field('sigma', sameFamily && defaults.sigma !== undefined ? defaults.sigma : 0)
+      };
+    case 'natural':
+      return {
+        distribution,
+        min: field('min', sameFamily ? defaults.min : 0),
+        max: field('max', sameFamily ? defaults.max : 90)
+      };
+    default:
+      return { distribution: 'fixed', value: field('value', nominal) };
+  }
+}
+
+/**
+ * Draw a standard normal deviate (Box-Muller)
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {number} Standard normal deviate
+ */
+function sampleStandardNormal(random) {
+  const u = 1 - random(); // (0, 1] keeps the logarithm finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw one value from a resolved distribution
+ * The natural angle distribution is sin²θ-uniform, so θ = asin(√u) between min and max
+ * @param {object} spec - Resolved distribution
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {number} Sampled value
+ */
+function sampleDistribution(spec, random) {
+  switch (spec.distribution) {
+    case 'uniform':
+      return spec.min + (spec.max - spec.min) * random();
+    case 'normal':
+      return spec.mean + spec.sd * sampleStandardNormal(random);
+    case 'lognormal':
+      return spec.median * Math.exp(spec.sigma * sampleStandardNormal(random));
+    case 'natural': {
+      const toRadians = Math.PI / 180;
+      const lower = Math.pow(Math.sin(spec.min * toRadians), 2);
+      const upper = Math.pow(Math.sin(spec.max * toRadians), 2);
+      const u = lower + (upper - lower) * (1 - random());
+      return Math.asin(Math.sqrt(u)) / toRadians;
+    }
+    default:
+      return spec.value;
+  }
+}
+
+/**
+ * Draw a physically valid value, redrawing values outside the allowed range
+ * @param {object} spec - Resolved distribution
+ * @param {function} isValid - Range check for the parameter
+ * @param {number} nominal - Fallback when no valid value is drawn
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {number} Sampled value
+ */
+function sampleValid(spec, isValid, nominal, random) {
+  for (let attempt = 0; attempt < MONTE_CARLO_CONSTANTS.MAX_RESAMPLE_ATTEMPTS; attempt++) {
+    const value = sampleDistribution(spec, random);
+    if (isValid(value)) return value;
+  }
+  return nominal;
+}
+
+/**
+ * Draw one set of impactor properties
+ * Mass is always recomputed from the sampled diameter and density; when no strength was
+ * given, the strength distribution is centred on the estimate for the sampled density
+ * @param {object} params - Parsed nominal inputs
+ * @param {object} options - monteCarlo request options
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {object} Inputs for one pipeline run
+ */
+function drawSample(params, options, random) {
+  const positive = value => value > 0;
+  const resolve = (name, nominal) => resolveDistribution(getDefaultDistribution(name, params), nominal, options[name]);
+  const diameter = sampleValid(resolve('diameter', params.diameter), positive, params.diameter, random);
+  const density = sampleValid(resolve('density', params.density), positive, params.density, random);
+  const velocity = sampleValid(resolve('velocity', params.velocity), positive, params.velocity, random);
+  const angle = sampleValid(resolve('angle', params.angle), value => value > 0 && value <= 90, params.angle, random);
+
+  const nominalStrength = params.strength !== undefined ? params.strength : estimateYieldStrength(density);
+  const strength = sampleValid(resolve('strength', nominalStrength), positive, nominalStrength, random);
+
+  return { ...params, diameter, density, velocity, angle, strength, mass: undefined };
+}
+
+/**
+ * Calculate a percentile of sorted values by linear interpolation
+ * @param {array} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function calculatePercentile(sorted, percentile) {
+  const position = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarize a set of sampled values
+ * @param {array} values - Sampled values (non-finite values are ignored)
+ * @param {string} unit - Unit of the values
+ * @returns {object|null} Median, mean, range and percentile bands, or null if no values
+ */
+function summarizeSamples(values, unit) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const percentiles = {};
+  MONTE_CARLO_CONSTANTS.PERCENTILES.forEach(p => {
+    percentiles[`p${p}`] = calculatePercentile(sorted, p);
+  });
+
+  return {
+    median: percentiles.p50,
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles: percentiles,
+    samples: sorted.length,
+    unit: unit
+  };
+}
+
+/**
+ * Pull the reported quantities out of one pipeline result
+ * @param {object} result - Complete impact data from the pipeline
+ * @returns {object} Flat record of sampled outputs
+ */
+function extractOutputs(result) {
+  const blast = result.blastRadiusData || {};
+  const radii = zones => Object.fromEntries(
+    Object.entries(zones || {}).map(([zone, data]) => [zone, data?.radius])
+  );
+
+  return {
+    energyMegatons: result.calculations?.kineticEnergy?.megatons,
+    craterDiameterKm: result.calculations?.estimatedCrater?.diameter / 1000,
+    blastRadiiKm: radii(blast.blastEffects),
+    thermalRadiiKm: radii(blast.thermalRadiation),
+    maxAffectedRadiusKm: blast.impactZoneSummary?.maxAffectedRadius,
+    seismicMagnitude: result.earthquakeData?.seismicMagnitude?.primaryMagnitude,
+    deaths: result.casualtyData?.total?.deaths?.estimate,
+    injuries: result.casualtyData?.total?.injuries?.estimate,
+    exposedPopulation: result.casualtyData?.total?.exposedPopulation,
+    isAirburst: result.atmosphericEntryData?.isAirburst === true
+  };
+}
+
+/**
+ * Summarize per-zone radii across samples
+ * @param {array} outputs - Sampled outputs
+ * @param {string} key - blastRadiiKm or thermalRadiiKm
+ * @returns {object} Statistics per zone
+ */
+function summarizeZones(outputs, key) {
+  const zones = [...new Set(outputs.flatMap(output => Object.keys(output[key])))];
+  return Object.fromEntries(
+    zones.map(zone => [zone, summarizeSamples(outputs.map(output => output[key][zone]), 'km')])
+  );
+}
+
+/**
+ * Run the impact pipeline over sampled inputs and summarize the spread of the results
+ * Yields to the event loop between samples so a large run does not block other requests
+ * @param {object} params - Parsed nominal inputs (see parseCustomHitInput)
+ * @param {boolean|object} options - true, or { samples, diameter, density, velocity, angle, strength }
+ * @param {function} runPipeline - Runs the complete pipeline for one set of inputs
+ * @param {function} random - Uniform random number generator on [0, 1) (default: Math.random)
+ * @returns {Promise<object>} Percentile bands for energy, crater, blast and thermal radii, magnitude and casualties
+ */
+async function runMonteCarlo(params, options, runPipeline, random = Math.random) {
+  const settings = typeof options === 'object' && options !== null ? options : {};
+  const samples = settings.samples !== undefined ? Number(settings.samples) : MONTE_CARLO_CONSTANTS.DEFAULT_SAMPLES;
+  const outputs = [];
+  const failures = [];
+
+  for (let i = 0; i < samples; i++) {
+    const sample = drawSample(params, settings, random);
+    try {
+      outputs.push(extractOutputs(runPipeline(sample)));
+    } catch (error) {
+      failures.push(error.message);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const airbursts = outputs.filter(output => output.isAirburst).length;
+  const values = key => outputs.map(output => output[key]);
+  const nominalStrength = params.strength !== undefined ? params.strength : estimateYieldStrength(params.density);
+  const resolve = (name, nominal) => resolveDistribution(getDefaultDistribution(name, params), nominal, settings[name]);
+
+  return {
+    samples: samples,
+    successfulSamples: outputs.length,
+    failedSamples: failures.length,
+    failures: [...new Set(failures)],
+    distributions: {
+      diameter: { ...resolve('diameter', params.diameter), unit: 'meters' },
+      density: { ...resolve('density', params.density), unit: 'kg/m³' },
+      velocity: { ...resolve('velocity', params.velocity), unit: 'km/s' },
+      angle: { ...resolve('angle', params.angle), unit: 'degrees' },
+      strength: {
+        ...resolve('strength', nominalStrength),
+        unit: 'Pa',
+        note: params.strength === undefined && !settings.strength?.median
+          ? 'Centred on the density-based estimate for each sampled density'
+          : undefined
+      }
+    },
+    statistics: {
+      energyMegatons: summarizeSamples(values('energyMegatons'), 'megatons'),
+      craterDiameterKm: summarizeSamples(values('craterDiameterKm'), 'km'),
+      blastRadiiKm: summarizeZones(outputs, 'blastRadiiKm'),
+      thermalRadiiKm: summarizeZones(outputs, 'thermalRadiiKm'),
+      maxAffectedRadiusKm: summarizeSamples(values('maxAffectedRadiusKm'), 'km'),
+      seismicMagnitude: summarizeSamples(values('seismicMagnitude'), 'Mw'),
+      deaths: summarizeSamples(values('deaths'), 'people'),
+      injuries: summarizeSamples(values('injuries'), 'people'),
+      exposedPopulation: summarizeSamples(values('exposedPopulation'), 'people')
+    },
+    airburstProbability: outputs.length > 0 ? airbursts / outputs.length : null,
+    note: 'Percentile bands from repeated full-pipeline runs with sampled impactor properties. ' +
+      'Seismic magnitude only covers samples that reach the ground; airbursts produce no crater.'
+  };
+}
+
+module.exports = {
+  runMonteCarlo,
+  validateMonteCarloOptions,
+  resolveDistribution,
+  sampleDistribution,
+  summarizeSamples,
+  MONTE_CARLO_CONSTANTS
+};
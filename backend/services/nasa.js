@@ -1,12 +1,23 @@
 const axios = require('axios');
+const { getCachedFeed, getCachedLookup } = require('./neo_cache');
 
-const NASA_API_KEY = 'Aws2id8N4lIlkqJ5wf135gCEcynNgH1Ky8J7wmD2';
+const NASA_API_KEY = process.env.NASA_API_KEY || 'Aws2id8N4lIlkqJ5wf135gCEcynNgH1Ky8J7wmD2';
 
 const nasaApi = axios.create({
   baseURL: 'https://api.nasa.gov',
-  timeout: 30000  // Increased to 30 seconds
+  timeout: parseInt(process.env.NASA_TIMEOUT_MS, 10) || 30000  // Increased to 30 seconds
 });
 
+// Feed Query Constants
+const FEED_CONSTANTS = {
+  MAX_WINDOW_DAYS: 7,         // NASA rejects feed ranges longer than 7 days
+  MAX_RANGE_DAYS: 366,        // Longest range accepted from clients
+  CONCURRENCY: 3,             // Windows fetched at the same time
+  MAX_RETRIES: 2,             // Extra attempts per window
+  RETRY_BASE_DELAY_MS: 1000,  // Doubled after every failed attempt
+  DAY_MS: 86400000
+};
+
 async function getApod(params = {}) {
   const res = await nasaApi.get('/planetary/apod', { 
     params: {
@@ -32,4 +43,215 @@ async function getNeoFeed(startDate, endDate) {
   return res.data;
 }
 
-module.exports = { getApod, getNeoFeed };
\ No newline at end of file
+/**
+ * Look up a single NEO by ID, including orbital data and every close approach
+ * @param {string} id - NASA SPK-ID
+ * @returns {Promise<object>} Raw NASA NEO lookup response
+ */
+async function getNeoLookup(id) {
+  const res = await nasaApi.get(`/neo/rest/v1/neo/${encodeURIComponent(id)}`, {
+    params: {
+      api_key: NASA_API_KEY
+    }
+  });
+  return res.data;
+}
+
+/**
+ * Look up a single NEO through the persistent cache (see neo_cache.js)
+ * @param {string} id - NASA SPK-ID
+ * @returns {Promise<object>} { data, dataSource } with the raw lookup and where it came from
+ */
+async function getCachedNeoLookup(id) {
+  return getCachedLookup(id, getNeoLookup);
+}
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @param {string} date - Date string
+ * @returns {number|null} Milliseconds since epoch, or null if invalid
+ */
+function parseFeedDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return Number.isFinite(time) && new Date(time).toISOString().startsWith(date) ? time : null;
+}
+
+/**
+ * Validate a feed date range
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFeedRange(startDate, endDate) {
+  const start = parseFeedDate(startDate);
+  const end = parseFeedDate(endDate);
+  if (start === null || end === null) {
+    return 'start_date and end_date must be valid dates in YYYY-MM-DD format';
+  }
+  if (end < start) {
+    return 'end_date must not be before start_date';
+  }
+  if ((end - start) / FEED_CONSTANTS.DAY_MS + 1 > FEED_CONSTANTS.MAX_RANGE_DAYS) {
+    return `Date range must not exceed ${FEED_CONSTANTS.MAX_RANGE_DAYS} days`;
+  }
+  return null;
+}
+
+/**
+ * Split a date range into consecutive windows NASA accepts
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {number} windowDays - Days per window, inclusive (default: 7)
+ * @returns {array} Windows of { startDate, endDate }
+ */
+function splitDateRange(startDate, endDate, windowDays = FEED_CONSTANTS.MAX_WINDOW_DAYS) {
+  const end = parseFeedDate(endDate);
+  const toDate = time => new Date(time).toISOString().slice(0, 10);
+  const windows = [];
+
+  for (let start = parseFeedDate(startDate); start <= end; start += windowDays * FEED_CONSTANTS.DAY_MS) {
+    windows.push({
+      startDate: toDate(start),
+      endDate: toDate(Math.min(start + (windowDays - 1) * FEED_CONSTANTS.DAY_MS, end))
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Check whether a failed NASA request is worth retrying
+ * Timeouts, network errors, rate limiting and server errors are transient; other
+ * client errors (bad dates, bad key) will fail the same way again
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request may succeed on retry
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Fetch one feed window live, retrying transient failures with exponential backoff
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {object} attempts - Counter updated with the number of requests made
+ * @returns {Promise<object>} Raw NASA feed
+ */
+async function fetchWindowWithRetry(startDate, endDate, attempts) {
+  for (let attempt = 0; ; attempt++) {
+    attempts.count = attempt + 1;
+    try {
+      return await getNeoFeed(startDate, endDate);
+    } catch (error) {
+      if (attempt >= FEED_CONSTANTS.MAX_RETRIES || !isRetryable(error)) throw error;
+      const delay = FEED_CONSTANTS.RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+      console.warn(`NASA feed ${startDate} to ${endDate} failed (${error.message}), retrying in ${delay} ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run async tasks with at most `limit` in flight
+ * @param {array} items - Task inputs
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {function} task - Async function called with each item
+ * @returns {Promise<array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Combine the data sources of several windows into one description
+ * @param {array} dataSources - dataSource of each successful window
+ * @returns {object} Overall data source (oldest fetch time, stale if any window is stale)
+ */
+function combineDataSources(dataSources) {
+  const sources = [...new Set(dataSources.map(dataSource => dataSource.source))];
+  const fetchedAt = dataSources.map(dataSource => dataSource.fetchedAt).filter(Boolean).sort()[0];
+  return {
+    source: sources.length === 1 ? sources[0] : 'mixed',
+    stale: dataSources.some(dataSource => dataSource.stale),
+    offline: dataSources.every(dataSource => dataSource.offline),
+    ...(fetchedAt ? { fetchedAt } : {})
+  };
+}
+
+/**
+ * Get a NEO feed for any date range
+ * Splits the range into 7-day windows, fetches them through the cache with bounded
+ * concurrency and retry, and merges near_earth_objects and element_count. Failed
+ * windows are reported instead of failing the whole range
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<object>} { data, dataSource, windows } with the merged feed and per-window status
+ */
+async function getNeoFeedRange(startDate, endDate) {
+  const rangeError = validateFeedRange(startDate, endDate);
+  if (rangeError) throw new Error(rangeError);
+
+  const windows = await mapWithConcurrency(
+    splitDateRange(startDate, endDate),
+    FEED_CONSTANTS.CONCURRENCY,
+    async window => {
+      const attempts = { count: 0 };
+      try {
+        const result = await getCachedFeed(
+          window.startDate,
+          window.endDate,
+          (start, end) => fetchWindowWithRetry(start, end, attempts)
+        );
+        return { ...window, status: 'ok', attempts: attempts.count, ...result };
+      } catch (error) {
+        return { ...window, status: 'failed', attempts: attempts.count, error: error.message };
+      }
+    }
+  );
+
+  const succeeded = windows.filter(window => window.status === 'ok');
+  if (succeeded.length === 0) {
+    throw new Error(`All ${windows.length} feed window(s) failed: ${windows[0].error}`);
+  }
+
+  const nearEarthObjects = {};
+  succeeded.forEach(window => Object.assign(nearEarthObjects, window.data.near_earth_objects));
+
+  return {
+    data: {
+      links: windows.length === 1 ? succeeded[0].data.links : {},
+      element_count: succeeded.reduce((count, window) => count + (window.data.element_count || 0), 0),
+      near_earth_objects: nearEarthObjects
+    },
+    dataSource: combineDataSources(succeeded.map(window => window.dataSource)),
+    windows: windows.map(({ data, ...window }) => ({
+      ...window,
+      elementCount: data ? data.element_count : null
+    }))
+  };
+}
+
+module.exports = {
+  getApod,
+  getNeoFeed,
+  getNeoFeedRange,
+  getNeoLookup,
+  getCachedNeoLookup,
+  splitDateRange,
+  validateFeedRange,
+  parseFeedDate,
+  mapWithConcurrency,
+  FEED_CONSTANTS
+};
+
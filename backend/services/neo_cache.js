@@ -0,0 +1,344 @@
+/**
+ * NEO Response Cache
+ * Persistent file cache of raw NASA responses: feeds keyed by date range, and
+ * lookups and JPL Sentry risk tables keyed by NEO ID. Serves fresh entries without calling NASA, falls back
+ * to stale entries when the upstream request fails, and replays recorded fixtures
+ * in offline mode
+ *
+ * Environment:
+ *   NASA_OFFLINE=true           Serve only from recorded fixtures (no network)
+ *   NASA_RECORD_FIXTURES=true   Save every live response as a fixture
+ *   NEO_CACHE_TTL_MINUTES       Freshness window for cached responses (default: 60)
+ *   NEO_CACHE_DIR               Cache directory (default: data/cache)
+ *   NEO_FIXTURE_DIR             Fixture directory (default: data/fixtures)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Cache Constants
+const NEO_CACHE_CONSTANTS = {
+  DEFAULT_TTL_MINUTES: 60,
+  DEFAULT_CACHE_DIR: path.join(__dirname, '..', 'data', 'cache'),
+  DEFAULT_FIXTURE_DIR: path.join(__dirname, '..', 'data', 'fixtures'),
+  FEED_SUBDIR: 'neo-feed',
+  LOOKUP_SUBDIR: 'neo-lookup',
+  SENTRY_SUBDIR: 'sentry',
+  DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+  NEO_ID_PATTERN: /^\d+$/
+};
+
+/**
+ * Read cache settings from the environment
+ * Read on every call so the mode can be switched without reloading the module
+ * @returns {object} Cache directory, fixture directory, TTL and mode flags
+ */
+function getCacheSettings() {
+  const ttl = parseFloat(process.env.NEO_CACHE_TTL_MINUTES);
+  const isEnabled = value => value === 'true' || value === '1';
+
+  return {
+    cacheDir: process.env.NEO_CACHE_DIR || NEO_CACHE_CONSTANTS.DEFAULT_CACHE_DIR,
+    fixtureDir: process.env.NEO_FIXTURE_DIR || NEO_CACHE_CONSTANTS.DEFAULT_FIXTURE_DIR,
+    ttlMinutes: ttl >= 0 ? ttl : NEO_CACHE_CONSTANTS.DEFAULT_TTL_MINUTES,
+    offline: isEnabled(process.env.NASA_OFFLINE),
+    recordFixtures: isEnabled(process.env.NASA_RECORD_FIXTURES)
+  };
+}
+
+/**
+ * Build the cache key for a date range
+ * Dates are validated so the key is always a safe file name
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {string} Cache key
+ */
+function getCacheKey(startDate, endDate) {
+  if (!NEO_CACHE_CONSTANTS.DATE_PATTERN.test(startDate) || !NEO_CACHE_CONSTANTS.DATE_PATTERN.test(endDate)) {
+    throw new Error(`Invalid date range ${startDate} to ${endDate} (expected YYYY-MM-DD)`);
+  }
+  return `${startDate}_${endDate}`;
+}
+
+/**
+ * Read a JSON file, treating missing or corrupt files as absent
+ * @param {string} filePath - File to read
+ * @returns {Promise<object|null>} Parsed contents or null
+ */
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Ignoring unreadable cache file ${filePath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to a temporary file, then rename)
+ * @param {string} filePath - File to write
+ * @param {object} contents - Data to store
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(contents));
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Check whether a cache entry is within the freshness window
+ * @param {object} entry - Cache entry with fetchedAt timestamp
+ * @param {number} ttlMinutes - Freshness window in minutes
+ * @returns {boolean} True if fresh
+ */
+function isFresh(entry, ttlMinutes) {
+  const age = Date.now() - new Date(entry.fetchedAt).getTime();
+  return age >= 0 && age <= ttlMinutes * 60000;
+}
+
+/**
+ * Describe where a response came from
+ * @param {string} source - live, cache, stale-cache or fixture
+ * @param {object} details - Extra fields (fetchedAt, error, ...)
+ * @returns {object} Data source description
+ */
+function describeSource(source, details = {}) {
+  return {
+    source: source,
+    stale: source === 'stale-cache',
+    offline: source === 'fixture',
+    ...details
+  };
+}
+
+/**
+ * Assemble a feed for a date range from recorded fixtures
+ * Uses the fixture recorded for exactly this range when there is one; otherwise
+ * collects the requested days from every fixture file
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} fixtureDir - Fixture directory
+ * @returns {Promise<object>} Feed in NASA format
+ */
+async function loadFixtureFeed(startDate, endDate, fixtureDir) {
+  const exact = await readJsonFile(path.join(fixtureDir, `${getCacheKey(startDate, endDate)}.json`));
+  if (exact) return exact;
+
+  let files = [];
+  try {
+    files = (await fs.readdir(fixtureDir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new Error(`Offline mode: fixture directory ${fixtureDir} is not readable`);
+  }
+
+  const nearEarthObjects = {};
+  for (const file of files) {
+    const fixture = await readJsonFile(path.join(fixtureDir, file));
+    Object.entries(fixture?.near_earth_objects || {}).forEach(([date, neos]) => {
+      if (date >= startDate && date <= endDate) {
+        nearEarthObjects[date] = neos;
+      }
+    });
+  }
+
+  if (Object.keys(nearEarthObjects).length === 0) {
+    throw new Error(`Offline mode: no recorded fixture covers ${startDate} to ${endDate}`);
+  }
+
+  return {
+    links: {},
+    element_count: Object.values(nearEarthObjects).reduce((count, neos) => count + neos.length, 0),
+    near_earth_objects: nearEarthObjects
+  };
+}
+
+/**
+ * Validate a NEO ID for use as a cache key
+ * @param {string} id - NASA SPK-ID
+ * @returns {string} The ID
+ */
+function getLookupKey(id) {
+  if (!NEO_CACHE_CONSTANTS.NEO_ID_PATTERN.test(String(id))) {
+    throw new Error(`Invalid NEO id ${id} (expected a numeric SPK-ID)`);
+  }
+  return String(id);
+}
+
+/**
+ * Load the recorded response for a NEO
+ * @param {string} id - NASA SPK-ID
+ * @param {string} fixtureDir - Fixture directory (lookup or Sentry)
+ * @returns {Promise<object>} Recorded response
+ */
+async function loadFixtureById(id, fixtureDir) {
+  const fixture = await readJsonFile(path.join(fixtureDir, `${getLookupKey(id)}.json`));
+  if (!fixture) {
+    const error = new Error(`Offline mode: no recorded fixture for NEO ${id} in ${path.basename(fixtureDir)}`);
+    error.status = 404;
+    throw error;
+  }
+  return fixture;
+}
+
+/**
+ * Load the recorded lookup for a NEO, or build one from the feed fixtures
+ * Feed fixtures list more objects than have recorded lookups; for those the lookup is
+ * assembled from every feed record of the object (its listed approaches, without
+ * orbital elements), so offline deep links work for every object on the dashboard
+ * @param {string} id - NASA SPK-ID
+ * @param {string} fixtureDir - Lookup fixture directory
+ * @returns {Promise<object>} Lookup in NASA format
+ */
+async function loadFixtureLookup(id, fixtureDir) {
+  try {
+    return await loadFixtureById(id, fixtureDir);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+
+    const feedDir = path.join(path.dirname(fixtureDir), NEO_CACHE_CONSTANTS.FEED_SUBDIR);
+    let files = [];
+    try {
+      files = (await fs.readdir(feedDir)).filter(file => file.endsWith('.json')).sort();
+    } catch (readError) {
+      throw error;
+    }
+
+    let lookup = null;
+    const approaches = new Map();
+    for (const file of files) {
+      const fixture = await readJsonFile(path.join(feedDir, file));
+      Object.values(fixture?.near_earth_objects || {}).flat()
+        .filter(neo => String(neo.id) === String(id))
+        .forEach(neo => {
+          lookup = lookup || { ...neo };
+          (neo.close_approach_data || []).forEach(approach => {
+            approaches.set(`${approach.close_approach_date_full || approach.close_approach_date}-${approach.orbiting_body}`, approach);
+          });
+        });
+    }
+
+    if (!lookup) throw error;
+    lookup.close_approach_data = [...approaches.values()]
+      .sort((a, b) => (a.epoch_date_close_approach || 0) - (b.epoch_date_close_approach || 0));
+    return lookup;
+  }
+}
+
+/**
+ * Get a NASA response through the cache
+ * @param {object} request - What to fetch
+ * @param {string} request.subdir - Cache and fixture subdirectory
+ * @param {string} request.key - Cache key (safe file name)
+ * @param {function} request.fetch - Live fetch
+ * @param {function} request.loadFixture - Offline loader, called with the fixture directory
+ * @returns {Promise<object>} { data, dataSource } with the raw response and where it came from
+ */
+async function getCachedResponse({ subdir, key, fetch, loadFixture }) {
+  const settings = getCacheSettings();
+  const fixtureDir = path.join(settings.fixtureDir, subdir);
+
+  if (settings.offline) {
+    return {
+      data: await loadFixture(fixtureDir),
+      dataSource: describeSource('fixture')
+    };
+  }
+
+  const cachePath = path.join(settings.cacheDir, subdir, `${key}.json`);
+  const cached = await readJsonFile(cachePath);
+  if (cached && isFresh(cached, settings.ttlMinutes)) {
+    return {
+      data: cached.data,
+      dataSource: describeSource('cache', { fetchedAt: cached.fetchedAt })
+    };
+  }
+
+  let data;
+  try {
+    data = await fetch();
+  } catch (error) {
+    if (!cached) throw error;
+    console.warn(`NASA request failed, serving stale cache for ${subdir}/${key}: ${error.message}`);
+    return {
+      data: cached.data,
+      dataSource: describeSource('stale-cache', { fetchedAt: cached.fetchedAt, error: error.message })
+    };
+  }
+
+  const fetchedAt = new Date().toISOString();
+  try {
+    await writeJsonFile(cachePath, { key, fetchedAt, data });
+    if (settings.recordFixtures) {
+      await writeJsonFile(path.join(fixtureDir, `${key}.json`), data);
+    }
+  } catch (error) {
+    // A read-only disk should not break live requests
+    console.warn(`Could not write NEO cache for ${subdir}/${key}: ${error.message}`);
+  }
+
+  return {
+    data: data,
+    dataSource: describeSource('live', { fetchedAt })
+  };
+}
+
+/**
+ * Get a NEO feed through the cache
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {function} fetchFeed - Live fetch, called as fetchFeed(startDate, endDate)
+ * @returns {Promise<object>} { data, dataSource } with the raw feed and where it came from
+ */
+async function getCachedFeed(startDate, endDate, fetchFeed) {
+  return getCachedResponse({
+    subdir: NEO_CACHE_CONSTANTS.FEED_SUBDIR,
+    key: getCacheKey(startDate, endDate),
+    fetch: () => fetchFeed(startDate, endDate),
+    loadFixture: fixtureDir => loadFixtureFeed(startDate, endDate, fixtureDir)
+  });
+}
+
+/**
+ * Get a single NEO lookup through the cache
+ * @param {string} id - NASA SPK-ID
+ * @param {function} fetchLookup - Live fetch, called as fetchLookup(id)
+ * @returns {Promise<object>} { data, dataSource } with the raw lookup and where it came from
+ */
+async function getCachedLookup(id, fetchLookup) {
+  return getCachedResponse({
+    subdir: NEO_CACHE_CONSTANTS.LOOKUP_SUBDIR,
+    key: getLookupKey(id),
+    fetch: () => fetchLookup(id),
+    loadFixture: fixtureDir => loadFixtureLookup(id, fixtureDir)
+  });
+}
+
+/**
+ * Get the JPL Sentry risk table of a NEO through the cache
+ * @param {string} id - NASA SPK-ID
+ * @param {function} fetchSentry - Live fetch, called as fetchSentry(id)
+ * @returns {Promise<object>} { data, dataSource } with the raw Sentry response and where it came from
+ */
+async function getCachedSentry(id, fetchSentry) {
+  return getCachedResponse({
+    subdir: NEO_CACHE_CONSTANTS.SENTRY_SUBDIR,
+    key: getLookupKey(id),
+    fetch: () => fetchSentry(id),
+    loadFixture: fixtureDir => loadFixtureById(id, fixtureDir)
+  });
+}
+
+module.exports = {
+  getCachedFeed,
+  getCachedLookup,
+  getCachedSentry,
+  loadFixtureFeed,
+  getCacheSettings,
+  getCacheKey,
+  getLookupKey,
+  NEO_CACHE_CONSTANTS
+};
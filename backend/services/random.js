@@ -0,0 +1,105 @@
+/**
+ * Seeded Random Number Generation
+ * Deterministic uniform generators for every sampling step (impact locations,
+ * Monte Carlo), so a request repeated with the same seed returns the same numbers.
+ * Seeds are hashed with cyrb128 and drive an sfc32 generator; independent streams
+ * (one per NEO, one for Monte Carlo) are derived from the same seed by name
+ */
+
+const crypto = require('crypto');
+
+// Random Constants
+const RANDOM_CONSTANTS = {
+  MAX_SEED_LENGTH: 128,             // Longest accepted string seed
+  WARMUP_ROUNDS: 15                 // Outputs discarded so similar seeds diverge immediately
+};
+
+/**
+ * Hash a string into four 32-bit words (cyrb128)
+ * @param {string} text - Text to hash
+ * @returns {array} Four unsigned 32-bit integers
+ */
+function hashSeed(text) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Create a seeded uniform random number generator (sfc32)
+ * The same seed and stream names always produce the same sequence
+ * @param {number|string} seed - Request seed
+ * @param {...(number|string)} streams - Names of the derived stream (e.g. a NEO id)
+ * @returns {function} Generator returning numbers on [0, 1), like Math.random
+ */
+function createRandom(seed, ...streams) {
+  let [a, b, c, d] = hashSeed([seed, ...streams].map(String).join(':'));
+
+  const random = () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    const t = (a + b | 0) + d | 0;
+    d = d + 1 | 0;
+    a = b ^ (b >>> 9);
+    b = c + (c << 3) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = c + t | 0;
+    return (t >>> 0) / 4294967296;
+  };
+
+  for (let i = 0; i < RANDOM_CONSTANTS.WARMUP_ROUNDS; i++) random();
+  return random;
+}
+
+/**
+ * Generate a fresh seed for requests that do not provide one
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+/**
+ * Validate a request seed
+ * @param {*} seed - Seed from the query string or request body
+ * @returns {string|null} Error message, or null if the seed is valid or absent
+ */
+function validateSeed(seed) {
+  if (seed === undefined || seed === null) return null;
+  if (typeof seed === 'number' && Number.isFinite(seed)) return null;
+  if (typeof seed === 'string' && seed.length > 0 && seed.length <= RANDOM_CONSTANTS.MAX_SEED_LENGTH) return null;
+  return `Seed must be a number or a non-empty string of at most ${RANDOM_CONSTANTS.MAX_SEED_LENGTH} characters`;
+}
+
+/**
+ * Use the request seed, or generate one so the response can still be reproduced
+ * @param {number|string} seed - Seed from the request (optional)
+ * @returns {number|string} Seed to use and echo back
+ */
+function resolveSeed(seed) {
+  return seed === undefined || seed === null ? generateSeed() : seed;
+}
+
+module.exports = {
+  createRandom,
+  generateSeed,
+  validateSeed,
+  resolveSeed,
+  RANDOM_CONSTANTS
+};
@@ -0,0 +1,303 @@
+/**
+ * Scenario Store
+ * Embedded document database of saved custom impact scenarios (inputs, computed
+ * result, model version, author and tags). Records are kept in memory and
+ * persisted to a single JSON file, rewritten atomically after every change;
+ * writes are serialized so concurrent requests cannot lose updates
+ *
+ * Environment:
+ *   SCENARIO_DB_PATH   Database file (default: data/scenarios/scenarios.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Scenario Store Constants
+const SCENARIO_CONSTANTS = {
+  DEFAULT_DB_PATH: path.join(__dirname, '..', 'data', 'scenarios', 'scenarios.json'),
+  DB_FORMAT_VERSION: 1,             // Bumped if the file layout changes
+  MAX_NAME_LENGTH: 120,
+  MAX_AUTHOR_LENGTH: 80,
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 40,
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+  SORT_FIELDS: ['updatedAt', 'createdAt', 'name'],
+  ID_PATTERN: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+  SHORT_ID_LENGTH: 8,               // 62^8 ≈ 2e14 permalink ids
+  SHORT_ID_ALPHABET: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  SHORT_ID_PATTERN: /^[0-9A-Za-z]{8}$/
+};
+
+let database = null;       // { path, scenarios: Map } once loaded
+let writeQueue = Promise.resolve();
+
+/**
+ * Resolve the database file from the environment
+ * Read on every call so tests and tools can point at another file
+ * @returns {string} Database file path
+ */
+function getDatabasePath() {
+  return process.env.SCENARIO_DB_PATH || SCENARIO_CONSTANTS.DEFAULT_DB_PATH;
+}
+
+/**
+ * Load the database file into memory (once per file)
+ * A missing file is an empty database; a corrupt one is an error rather than
+ * being silently replaced
+ * @returns {Promise<Map>} Scenarios keyed by id
+ */
+async function loadDatabase() {
+  const dbPath = getDatabasePath();
+  if (database && database.path === dbPath) return database.scenarios;
+
+  let records = [];
+  try {
+    const contents = JSON.parse(await fs.readFile(dbPath, 'utf8'));
+    records = Array.isArray(contents.scenarios) ? contents.scenarios : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Scenario database ${dbPath} is unreadable: ${error.message}`);
+    }
+  }
+
+  const scenarios = new Map(records.map(record => [record.id, record]));
+
+  // Scenarios saved before permalinks existed get a short id (persisted with the next change)
+  for (const scenario of scenarios.values()) {
+    if (!scenario.shortId) scenario.shortId = generateShortId(scenarios);
+  }
+
+  database = { path: dbPath, scenarios: scenarios };
+  return database.scenarios;
+}
+
+/**
+ * Generate a short permalink id that no stored scenario uses
+ * @param {Map} scenarios - Scenarios keyed by id
+ * @returns {string} Base-62 id of SHORT_ID_LENGTH characters
+ */
+function generateShortId(scenarios) {
+  const { SHORT_ID_LENGTH, SHORT_ID_ALPHABET } = SCENARIO_CONSTANTS;
+  const taken = new Set([...scenarios.values()].map(scenario => scenario.shortId));
+  let shortId;
+  do {
+    shortId = Array.from(crypto.randomBytes(SHORT_ID_LENGTH), byte => SHORT_ID_ALPHABET[byte % SHORT_ID_ALPHABET.length]).join('');
+  } while (taken.has(shortId));
+  return shortId;
+}
+
+/**
+ * Write the in-memory database to disk atomically (write to a temporary file, then rename)
+ * @returns {Promise<void>}
+ */
+async function saveDatabase() {
+  await fs.mkdir(path.dirname(database.path), { recursive: true });
+  const tempPath = `${database.path}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify({
+    formatVersion: SCENARIO_CONSTANTS.DB_FORMAT_VERSION,
+    scenarios: [...database.scenarios.values()]
+  }));
+  await fs.rename(tempPath, database.path);
+}
+
+/**
+ * Run a change against the database after every earlier change has been saved
+ * @param {function} change - Mutates the scenario map and returns the result
+ * @returns {Promise<*>} Result of the change
+ */
+function runWrite(change) {
+  const run = writeQueue.then(async () => {
+    const scenarios = await loadDatabase();
+    const result = change(scenarios);
+    try {
+      await saveDatabase();
+    } catch (error) {
+      database = null; // Reload from disk so memory matches what was saved
+      throw error;
+    }
+    return result;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Validate the descriptive fields of a scenario
+ * @param {object} fields - { name, author, tags }
+ * @param {object} options - Validation options
+ * @param {boolean} options.partial - Allow name to be omitted (updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScenarioFields({ name, author, tags }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'name is required and must be a non-empty string';
+    }
+    if (name.trim().length > SCENARIO_CONSTANTS.MAX_NAME_LENGTH) {
+      return `name must be at most ${SCENARIO_CONSTANTS.MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (author !== undefined && author !== null) {
+    if (typeof author !== 'string' || author.trim().length > SCENARIO_CONSTANTS.MAX_AUTHOR_LENGTH) {
+      return `author must be a string of at most ${SCENARIO_CONSTANTS.MAX_AUTHOR_LENGTH} characters`;
+    }
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length > SCENARIO_CONSTANTS.MAX_TAGS) {
+      return `tags must be an array of at most ${SCENARIO_CONSTANTS.MAX_TAGS} strings`;
+    }
+    const badTag = tags.find(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > SCENARIO_CONSTANTS.MAX_TAG_LENGTH);
+    if (badTag !== undefined) {
+      return `Each tag must be a non-empty string of at most ${SCENARIO_CONSTANTS.MAX_TAG_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize tags: trimmed, lower-case and without duplicates
+ * @param {array} tags - Tags from the request
+ * @returns {array} Normalized tags
+ */
+function normalizeTags(tags = []) {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+}
+
+/**
+ * Strip the computed result from a scenario for list responses
+ * @param {object} scenario - Stored scenario
+ * @returns {object} Scenario without its result
+ */
+function summarizeScenario({ result, ...scenario }) {
+  return scenario;
+}
+
+/**
+ * List saved scenarios with filtering, sorting and pagination
+ * @param {object} options - List options
+ * @param {string} options.q - Case-insensitive text to find in the name (optional)
+ * @param {array} options.tags - Tags that must all be present (optional)
+ * @param {string} options.author - Exact author, case-insensitive (optional)
+ * @param {string} options.modelVersion - Exact model version (optional)
+ * @param {string} options.sort - updatedAt, createdAt or name (default: updatedAt)
+ * @param {string} options.order - asc or desc (default: desc, asc for name)
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {number} options.pageSize - Scenarios per page (default: 20, max: 100)
+ * @returns {Promise<object>} { scenarios, pagination } with results omitted from each scenario
+ */
+async function listScenarios({ q, tags = [], author, modelVersion, sort = 'updatedAt', order, page = 1, pageSize = SCENARIO_CONSTANTS.DEFAULT_PAGE_SIZE } = {}) {
+  const scenarios = await loadDatabase();
+  const text = q ? q.toLowerCase() : null;
+  const requiredTags = normalizeTags(tags);
+
+  const matches = [...scenarios.values()].filter(scenario =>
+    (!text || scenario.name.toLowerCase().includes(text)) &&
+    requiredTags.every(tag => scenario.tags.includes(tag)) &&
+    (!author || (scenario.author || '').toLowerCase() === author.toLowerCase()) &&
+    (!modelVersion || scenario.modelVersion === modelVersion)
+  );
+
+  const direction = (order || (sort === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  matches.sort((a, b) => direction * String(a[sort]).localeCompare(String(b[sort])));
+
+  const total = matches.length;
+  const start = (page - 1) * pageSize;
+  return {
+    scenarios: matches.slice(start, start + pageSize).map(summarizeScenario),
+    pagination: {
+      page: page,
+      pageSize: pageSize,
+      total: total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+/**
+ * Get a saved scenario by id or short permalink id
+ * @param {string} id - Scenario id or short id
+ * @returns {Promise<object|null>} Scenario, or null if there is none
+ */
+async function getScenario(id) {
+  const scenarios = await loadDatabase();
+  if (SCENARIO_CONSTANTS.SHORT_ID_PATTERN.test(id)) {
+    return [...scenarios.values()].find(scenario => scenario.shortId === id) || null;
+  }
+  return scenarios.get(id) || null;
+}
+
+/**
+ * Save a new scenario
+ * @param {object} fields - Scenario fields
+ * @param {string} fields.name - Scenario name
+ * @param {string} fields.author - Author (optional)
+ * @param {array} fields.tags - Tags (optional)
+ * @param {object} fields.inputs - Custom hit inputs, including the resolved seed
+ * @param {object} fields.result - Computed custom hit data
+ * @param {string} fields.modelVersion - Impact model version that computed the result
+ * @returns {Promise<object>} Stored scenario
+ */
+function createScenario({ name, author, tags, inputs, result, modelVersion }) {
+  return runWrite(scenarios => {
+    const now = new Date().toISOString();
+    const scenario = {
+      id: crypto.randomUUID(),
+      shortId: generateShortId(scenarios),
+      name: name.trim(),
+      author: author ? author.trim() : null,
+      tags: normalizeTags(tags),
+      modelVersion: modelVersion,
+      inputs: inputs,
+      result: result,
+      createdAt: now,
+      updatedAt: now
+    };
+    scenarios.set(scenario.id, scenario);
+    return scenario;
+  });
+}
+
+/**
+ * Update a saved scenario; fields left out are kept
+ * @param {string} id - Scenario id
+ * @param {object} fields - Any of name, author, tags, and inputs with their result and modelVersion
+ * @returns {Promise<object|null>} Updated scenario, or null if there is none
+ */
+function updateScenario(id, { name, author, tags, inputs, result, modelVersion }) {
+  return runWrite(scenarios => {
+    const existing = scenarios.get(id);
+    if (!existing) return null;
+
+    const scenario = {
+      ...existing,
+      ...(name !== undefined && { name: name.trim() }),
+      ...(author !== undefined && { author: author ? author.trim() : null }),
+      ...(tags !== undefined && { tags: normalizeTags(tags) }),
+      ...(inputs !== undefined && { inputs, result, modelVersion }),
+      updatedAt: new Date().toISOString()
+    };
+    scenarios.set(id, scenario);
+    return scenario;
+  });
+}
+
+/**
+ * Delete a saved scenario
+ * @param {string} id - Scenario id
+ * @returns {Promise<boolean>} True if a scenario was deleted
+ */
+function deleteScenario(id) {
+  return runWrite(scenarios => scenarios.delete(id));
+}
+
+module.exports = {
+  listScenarios,
+  getScenario,
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  validateScenarioFields,
+  SCENARIO_CONSTANTS
+};
@@ -0,0 +1,183 @@
+/**
+ * JPL Sentry Impact Risk Service
+ * Fetches the Sentry virtual-impactor table for objects on the Sentry risk list and
+ * converts it into official impact probabilities, Palermo/Torino ratings and impact dates
+ * API reference: https://ssd-api.jpl.nasa.gov/doc/sentry.html
+ */
+
+const axios = require('axios');
+const { getCachedSentry } = require('./neo_cache');
+const { mapWithConcurrency } = require('./nasa');
+
+// Sentry Constants
+const SENTRY_CONSTANTS = {
+  CONCURRENCY: 3,                   // Sentry requests in flight per feed
+  MATCH_WINDOW_DAYS: 3,             // A virtual impactor this close to an approach date belongs to that approach
+  DAY_MS: 86400000
+};
+
+const sentryApi = axios.create({
+  baseURL: 'https://ssd-api.jpl.nasa.gov',
+  timeout: parseInt(process.env.NASA_TIMEOUT_MS, 10) || 30000
+});
+
+/**
+ * Fetch the Sentry record of one object
+ * @param {string} spkId - NASA SPK-ID
+ * @returns {Promise<object>} Raw Sentry API response (summary and virtual impactors)
+ */
+async function getSentryObject(spkId) {
+  const res = await sentryApi.get('/sentry.api', {
+    params: {
+      spk: spkId
+    }
+  });
+  return res.data;
+}
+
+/**
+ * Convert a Sentry date with fractional day (e.g. "2109-03-04.98") to ISO format
+ * @param {string} sentryDate - Sentry impact date
+ * @returns {string|null} ISO timestamp, or null if unparseable
+ */
+function parseSentryDate(sentryDate) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(\.\d+)?$/.exec(sentryDate || '');
+  if (!match) return null;
+  const [, year, month, day, fraction] = match;
+  const time = Date.UTC(Number(year), Number(month) - 1, Number(day)) +
+    parseFloat(fraction || 0) * SENTRY_CONSTANTS.DAY_MS;
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse a numeric Sentry field (Sentry returns numbers as strings)
+ * @param {string|number} value - Field value
+ * @returns {number|null} Number, or null if missing
+ */
+function parseSentryNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a raw Sentry response into official risk figures
+ * @param {object} raw - Sentry API response
+ * @returns {object} Cumulative probability, Palermo/Torino ratings and virtual impactors
+ */
+function parseSentryData(raw) {
+  if (!raw || raw.error || !raw.summary) {
+    return {
+      available: false,
+      reason: raw?.error || 'No Sentry data for this object',
+      removed: raw?.removed || null
+    };
+  }
+
+  const summary = raw.summary;
+  const impactDates = (raw.data || [])
+    .map(virtualImpactor => ({
+      date: virtualImpactor.date.split('.')[0],
+      timestamp: parseSentryDate(virtualImpactor.date),
+      impactProbability: parseSentryNumber(virtualImpactor.ip),
+      palermo: parseSentryNumber(virtualImpactor.ps),
+      torino: parseSentryNumber(virtualImpactor.ts),
+      energyMegatons: parseSentryNumber(virtualImpactor.energy)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    available: true,
+    designation: summary.des,
+    fullname: summary.fullname,
+    cumulativeImpactProbability: parseSentryNumber(summary.ip),
+    impactCount: parseSentryNumber(summary.n_imp) ?? impactDates.length,
+    palermo: {
+      cumulative: parseSentryNumber(summary.ps_cum),
+      max: parseSentryNumber(summary.ps_max)
+    },
+    torino: {
+      max: parseSentryNumber(summary.ts_max)
+    },
+    impactDates: impactDates,
+    object: {
+      diameterKm: parseSentryNumber(summary.diameter),
+      absoluteMagnitude: parseSentryNumber(summary.h),
+      massKg: parseSentryNumber(summary.mass),
+      energyMegatons: parseSentryNumber(summary.energy),
+      approachVelocityKmS: parseSentryNumber(summary.v_inf),
+      impactVelocityKmS: parseSentryNumber(summary.v_imp)
+    },
+    observations: {
+      first: summary.first_obs || null,
+      last: summary.last_obs || null,
+      arc: summary.darc || null,
+      count: parseSentryNumber(summary.nobs)
+    },
+    method: summary.method || null,
+    computedAt: summary.cdate || null,
+    source: 'JPL Sentry'
+  };
+}
+
+/**
+ * Get the official Sentry risk for one object
+ * Failures are returned as unavailable rather than thrown so one object cannot break a feed
+ * @param {string} spkId - NASA SPK-ID
+ * @returns {Promise<object>} Parsed Sentry risk with its data source
+ */
+async function getSentryRisk(spkId) {
+  try {
+    const { data, dataSource } = await getCachedSentry(spkId, getSentryObject);
+    return {
+      ...parseSentryData(data),
+      dataSource: dataSource
+    };
+  } catch (error) {
+    return {
+      available: false,
+      reason: `Sentry request failed: ${error.message}`,
+      removed: null
+    };
+  }
+}
+
+/**
+ * Get Sentry risk for every Sentry object in a list of NEOs
+ * @param {array} neos - Raw NEOs from the NASA API
+ * @returns {Promise<object>} Sentry risk keyed by NEO id
+ */
+async function getSentryRiskForNeos(neos) {
+  const sentryObjects = neos.filter(neo => neo.is_sentry_object);
+  const risks = await mapWithConcurrency(sentryObjects, SENTRY_CONSTANTS.CONCURRENCY, neo => getSentryRisk(neo.id));
+
+  const risksById = {};
+  sentryObjects.forEach((neo, index) => {
+    risksById[neo.id] = risks[index];
+  });
+  return risksById;
+}
+
+/**
+ * Find the virtual impactor that corresponds to a close approach
+ * @param {object|undefined} sentry - Parsed Sentry risk
+ * @param {string} approachDate - Close approach date (YYYY-MM-DD)
+ * @returns {object|null} Matching virtual impactor
+ */
+function findVirtualImpactor(sentry, approachDate) {
+  if (!sentry?.available) return null;
+  const approachTime = Date.parse(`${approachDate}T00:00:00Z`);
+
+  return sentry.impactDates.find(virtualImpactor =>
+    Math.abs(Date.parse(`${virtualImpactor.date}T00:00:00Z`) - approachTime) <=
+      SENTRY_CONSTANTS.MATCH_WINDOW_DAYS * SENTRY_CONSTANTS.DAY_MS
+  ) || null;
+}
+
+module.exports = {
+  getSentryObject,
+  getSentryRisk,
+  getSentryRiskForNeos,
+  parseSentryData,
+  findVirtualImpactor,
+  SENTRY_CONSTANTS
+};